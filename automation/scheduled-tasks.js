@@ -3,6 +3,216 @@
  * Handles scheduled background tasks and periodic operations
  */
 
+// Shortcuts accepted in place of a five-field cron expression
+const CRON_SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekdays': '0 0 * * 1-5',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+};
+
+const CRON_MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const CRON_WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Cron expression evaluated in an IANA time zone
+ * Supports the five standard fields (minute hour day-of-month month day-of-week)
+ * with lists, ranges, steps and month/weekday names, e.g. "0 8 * * MON-FRI".
+ * When both day fields are restricted a day matching either one is due, as in
+ * Vixie cron. Times skipped when clocks go forward never fire; times repeated
+ * when clocks go back fire once.
+ */
+class CronSchedule {
+    /**
+     * @param {string} expression - Cron expression or shortcut such as @daily
+     * @param {string} [timeZone] - IANA time zone (defaults to the system zone)
+     */
+    constructor(expression, timeZone = null) {
+        this.expression = String(expression).trim();
+        this.timeZone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+        try {
+            this.formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: this.timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                weekday: 'short'
+            });
+        } catch (error) {
+            throw new Error(`Unknown time zone: ${timeZone}`);
+        }
+
+        const fields = (CRON_SHORTCUTS[this.expression.toLowerCase()] || this.expression).split(/\s+/);
+        if (fields.length !== 5) {
+            throw new Error(`Cron expression must have five fields: "${expression}"`);
+        }
+
+        const [minute, hour, day, month, weekday] = fields;
+        this.minutes = this.parseField(minute, 0, 59);
+        this.hours = this.parseField(hour, 0, 23);
+        this.days = this.parseField(day, 1, 31);
+        this.months = this.parseField(month, 1, 12, CRON_MONTH_NAMES, 1);
+        this.weekdays = new Set([...this.parseField(weekday, 0, 7, CRON_WEEKDAY_NAMES, 0)].map(value => value % 7));
+
+        this.sortedMinutes = [...this.minutes].sort((a, b) => a - b);
+        this.dayRestricted = !['*', '?'].includes(day);
+        this.weekdayRestricted = !['*', '?'].includes(weekday);
+    }
+
+    /**
+     * Parse one cron field into the set of values it allows
+     * @param {string} field - Field text, e.g. "1-5", "*\/15" or "mon,wed"
+     * @param {number} min - Smallest allowed value
+     * @param {number} max - Largest allowed value
+     * @param {Array<string>} [names] - Names accepted in place of numbers
+     * @param {number} [nameOffset] - Value of the first name
+     * @returns {Set<number>} Allowed values
+     */
+    parseField(field, min, max, names = null, nameOffset = 0) {
+        const toValue = text => {
+            const nameIndex = names ? names.indexOf(text.toLowerCase().substring(0, 3)) : -1;
+            const value = nameIndex !== -1 ? nameIndex + nameOffset : Number(text);
+            if (!Number.isInteger(value) || value < min || value > max) {
+                throw new Error(`Invalid value "${text}" in cron expression "${this.expression}"`);
+            }
+            return value;
+        };
+
+        const values = new Set();
+        field.split(',').forEach(part => {
+            const [range, stepText] = part.split('/');
+            const step = stepText === undefined ? 1 : Number(stepText);
+            if (!Number.isInteger(step) || step < 1) {
+                throw new Error(`Invalid step "${stepText}" in cron expression "${this.expression}"`);
+            }
+
+            let start = min;
+            let end = max;
+            if (range !== '*' && range !== '?') {
+                const [from, to] = range.split('-');
+                start = toValue(from);
+                end = to !== undefined ? toValue(to) : (stepText !== undefined ? max : start);
+            }
+            if (start > end) {
+                throw new Error(`Invalid range "${range}" in cron expression "${this.expression}"`);
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Get the wall-clock fields of a time in the schedule's time zone
+     * @param {number} time - Epoch milliseconds
+     * @returns {Object} { year, month, day, hour, minute, weekday }
+     */
+    getLocalParts(time) {
+        const parts = {};
+        this.formatter.formatToParts(new Date(time)).forEach(({ type, value }) => {
+            parts[type] = value;
+        });
+
+        return {
+            year: Number(parts.year),
+            month: Number(parts.month),
+            day: Number(parts.day),
+            hour: Number(parts.hour) % 24,
+            minute: Number(parts.minute),
+            weekday: CRON_WEEKDAY_NAMES.indexOf(parts.weekday.toLowerCase())
+        };
+    }
+
+    /**
+     * Check whether a local date is a scheduled day
+     * @param {Object} parts - Local fields from getLocalParts
+     * @returns {boolean} Whether the day matches
+     */
+    matchesDay(parts) {
+        if (!this.months.has(parts.month)) {
+            return false;
+        }
+
+        const dayMatches = this.days.has(parts.day);
+        const weekdayMatches = this.weekdays.has(parts.weekday);
+
+        if (this.dayRestricted && this.weekdayRestricted) {
+            return dayMatches || weekdayMatches;
+        }
+        return dayMatches && weekdayMatches;
+    }
+
+    /**
+     * Find the first scheduled time after a given time
+     * @param {number} after - Epoch milliseconds
+     * @returns {number|null} Epoch milliseconds, or null if nothing is due within five years
+     */
+    next(after) {
+        const minute = 60 * 1000;
+        let time = Math.floor(after / minute) * minute + minute;
+        const limit = time + 5 * 366 * 24 * 60 * minute;
+
+        while (time < limit) {
+            const parts = this.getLocalParts(time);
+
+            if (!this.matchesDay(parts)) {
+                // Jump to an hour before local midnight, so a DST change can't overshoot it
+                const toMidnight = (24 - parts.hour) * 60 - parts.minute;
+                time += (toMidnight > 60 ? toMidnight - 60 : toMidnight) * minute;
+                continue;
+            }
+
+            if (!this.hours.has(parts.hour)) {
+                time += (60 - parts.minute) * minute;
+                continue;
+            }
+
+            const nextMinute = this.sortedMinutes.find(value => value >= parts.minute);
+            if (nextMinute === undefined) {
+                time += (60 - parts.minute) * minute;
+                continue;
+            }
+            if (nextMinute > parts.minute) {
+                time += (nextMinute - parts.minute) * minute;
+                continue;
+            }
+
+            // A wall-clock time repeated when clocks go back only fires the first time
+            const hourBefore = this.getLocalParts(time - 60 * minute);
+            if (hourBefore.day === parts.day && hourBefore.hour === parts.hour && hourBefore.minute === parts.minute) {
+                time += minute;
+                continue;
+            }
+
+            return time;
+        }
+
+        return null;
+    }
+}
+
+/**
+ * Approximate size of a message crossing into or out of the task sandbox
+ * @param {*} value - Message payload
+ * @returns {number} Size in bytes, counting two bytes per character
+ */
+function measureMessageBytes(value) {
+    if (value === undefined || value === null) {
+        return 0;
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text ? text.length * 2 : 0;
+}
+
 class ScheduledTaskManager {
     constructor() {
         // Active tasks
@@ -28,6 +238,43 @@ class ScheduledTaskManager {
             CRITICAL: 3
         };
 
+        // Capabilities a user task can declare; anything else is unavailable in its sandbox
+        this.userTaskPermissions = {
+            'document:read': { method: 'getDocumentText', description: 'Read the text of the open document' },
+            'model:generate': { method: 'generateText', description: 'Send prompts to the configured AI model' },
+            'report:write': { method: 'writeReport', description: 'Save reports to the task history' }
+        };
+
+        // Per-task resource limits for user tasks (defaults and ceilings); memoryMb
+        // bounds the data a task is sent and sends back, see createSandbox
+        this.userTaskLimits = {
+            timeoutMs: { default: 30 * 1000, max: 5 * 60 * 1000 },
+            memoryMb: { default: 64, max: 256 },
+            modelCalls: { default: 5, max: 50 }
+        };
+
+        // Reports written by user tasks
+        this.taskReports = [];
+
+        // What to do with runs missed while Word was closed
+        this.catchUpPolicies = {
+            SKIP: 'skip', // Drop missed runs and wait for the next scheduled time
+            ONCE: 'once', // Run once for any number of missed runs
+            ALL: 'all' // Run once per missed run, up to maxCatchUpRuns
+        };
+        this.maxCatchUpRuns = 5;
+
+        // Runs found due within this long of their time are on time, not missed
+        this.catchUpGraceMs = 2 * 60 * 1000;
+
+        // At most this many tasks run at once; due tasks wait in priority order
+        this.maxConcurrent = 2;
+        this.runningTasks = new Set();
+        this.taskQueue = [];
+
+        // Parsed cron schedules by expression and time zone
+        this.cronSchedules = new Map();
+
         // Initialize task registration
         this.registerDefaultTasks();
 
@@ -118,8 +365,11 @@ class ScheduledTaskManager {
                             ...config
                         };
                     } else if (config.category === this.categories.USER) {
-                        // Restore user task
-                        this.tasks[taskId] = config;
+                        // Restore user task; its code only ever runs in the sandbox
+                        this.tasks[taskId] = {
+                            ...config,
+                            handler: context => this.runSandboxedTask(taskId, context)
+                        };
                     }
                 });
 
@@ -131,6 +381,12 @@ class ScheduledTaskManager {
             if (savedHistory) {
                 this.taskHistory = JSON.parse(savedHistory);
             }
+
+            // Load user task reports
+            const savedReports = localStorage.getItem('wordGptPlusTaskReports');
+            if (savedReports) {
+                this.taskReports = JSON.parse(savedReports);
+            }
         } catch (error) {
             console.error('Error loading scheduled tasks:', error);
         }
@@ -147,7 +403,9 @@ class ScheduledTaskManager {
                 taskConfig[taskId] = {
                     enabled: task.enabled,
                     interval: task.interval,
-                    lastRun: task.lastRun
+                    schedule: task.schedule,
+                    lastRun: task.lastRun,
+                    nextRun: task.nextRun
                 };
 
                 // For user tasks, save additional properties
@@ -158,7 +416,9 @@ class ScheduledTaskManager {
                         description: task.description,
                         category: task.category,
                         priority: task.priority,
-                        handlerCode: task.handlerCode
+                        handlerCode: task.handlerCode,
+                        permissions: task.permissions,
+                        limits: task.limits
                     };
                 }
             });
@@ -195,21 +455,189 @@ class ScheduledTaskManager {
     }
 
     /**
-     * Check for tasks that are due to run
+     * Check for tasks that are due to run and queue them
      */
     checkDueTasks() {
         const now = Date.now();
+        let changed = false;
 
         Object.entries(this.tasks).forEach(([taskId, task]) => {
-            if (!task.enabled) return;
+            if (!task.enabled || this.isTaskPending(taskId)) return;
+
+            if (!task.nextRun) {
+                const nextRun = this.getInitialRunTime(task, now);
+                task.nextRun = nextRun !== null ? new Date(nextRun).toISOString() : null;
+                changed = true;
+            }
+            if (!task.nextRun) return;
 
-            const lastRun = task.lastRun ? new Date(task.lastRun).getTime() : 0;
-            const nextRun = lastRun + task.interval;
+            const dueAt = new Date(task.nextRun).getTime();
+            if (now < dueAt) return;
 
-            if (now >= nextRun) {
-                this.runTask(taskId);
+            const runs = this.countDueRuns(task, dueAt, now);
+            const nextRun = this.computeNextRun(task, now);
+            task.nextRun = nextRun !== null ? new Date(nextRun).toISOString() : null;
+            changed = true;
+
+            if (runs === 0) {
+                console.log(`Skipping missed run of scheduled task: ${task.name}`);
+            }
+            for (let i = 0; i < runs; i++) {
+                this.taskQueue.push({ taskId, dueAt });
             }
         });
+
+        if (changed) {
+            this.saveTasks();
+        }
+
+        this.processQueue();
+    }
+
+    /**
+     * Start queued tasks while there are free slots, highest priority first
+     */
+    processQueue() {
+        this.taskQueue = this.taskQueue.filter(entry => this.tasks[entry.taskId]);
+        this.taskQueue.sort((a, b) =>
+            (this.tasks[b.taskId].priority || 0) - (this.tasks[a.taskId].priority || 0) || a.dueAt - b.dueAt);
+
+        while (this.runningTasks.size < this.maxConcurrent) {
+            // A task never runs alongside itself; repeated catch-up runs wait their turn
+            const index = this.taskQueue.findIndex(entry => !this.runningTasks.has(entry.taskId));
+            if (index === -1) break;
+
+            const [{ taskId }] = this.taskQueue.splice(index, 1);
+            this.runningTasks.add(taskId);
+
+            this.runTask(taskId).finally(() => {
+                this.runningTasks.delete(taskId);
+                this.processQueue();
+            });
+        }
+    }
+
+    /**
+     * Check whether a task is running or waiting to run
+     * @param {string} taskId - Task identifier
+     * @returns {boolean} Whether the task is pending
+     */
+    isTaskPending(taskId) {
+        return this.runningTasks.has(taskId) || this.taskQueue.some(entry => entry.taskId === taskId);
+    }
+
+    /**
+     * Set how many tasks may run at once
+     * @param {number} maxConcurrent - Number of concurrent tasks (at least 1)
+     */
+    setMaxConcurrent(maxConcurrent) {
+        this.maxConcurrent = Math.max(1, Math.floor(maxConcurrent) || 1);
+        this.processQueue();
+    }
+
+    /**
+     * Work out when a task first becomes due
+     * Interval tasks that have never run are due straight away; cron tasks
+     * that have never run wait for their next scheduled time.
+     * @param {Object} task - Task
+     * @param {number} now - Epoch milliseconds
+     * @returns {number|null} Epoch milliseconds
+     */
+    getInitialRunTime(task, now) {
+        const lastRun = task.lastRun ? new Date(task.lastRun).getTime() : null;
+
+        if (task.schedule && task.schedule.cron) {
+            return this.computeNextRun(task, lastRun !== null ? lastRun : now);
+        }
+        return lastRun !== null ? this.computeNextRun(task, lastRun) : now;
+    }
+
+    /**
+     * Work out when a task is next due after a given time, including jitter
+     * @param {Object} task - Task
+     * @param {number} after - Epoch milliseconds
+     * @returns {number|null} Epoch milliseconds, or null if the schedule never fires again
+     */
+    computeNextRun(task, after) {
+        const schedule = task.schedule || {};
+        const next = schedule.cron
+            ? this.getCronSchedule(schedule).next(after)
+            : after + task.interval;
+
+        if (next === null) {
+            return null;
+        }
+
+        // Spread out tasks scheduled for the same moment
+        return next + (schedule.jitterMs > 0 ? Math.floor(Math.random() * schedule.jitterMs) : 0);
+    }
+
+    /**
+     * Count how many times an overdue task should run under its catch-up policy
+     * @param {Object} task - Task
+     * @param {number} dueAt - When the task became due (epoch milliseconds)
+     * @param {number} now - Epoch milliseconds
+     * @returns {number} Number of runs
+     */
+    countDueRuns(task, dueAt, now) {
+        const schedule = task.schedule || {};
+        const policy = schedule.catchUp || this.catchUpPolicies.ONCE;
+
+        if (now - dueAt < this.catchUpGraceMs) {
+            return 1;
+        }
+
+        switch (policy) {
+            case this.catchUpPolicies.SKIP:
+                return 0;
+
+            case this.catchUpPolicies.ALL: {
+                if (!schedule.cron) {
+                    return Math.min(Math.floor((now - dueAt) / task.interval) + 1, this.maxCatchUpRuns);
+                }
+
+                const cron = this.getCronSchedule(schedule);
+                let runs = 1;
+                for (let time = cron.next(dueAt); time !== null && time <= now && runs < this.maxCatchUpRuns; time = cron.next(time)) {
+                    runs++;
+                }
+                return runs;
+            }
+
+            default:
+                return 1;
+        }
+    }
+
+    /**
+     * Get the parsed cron schedule for a task schedule
+     * @param {Object} schedule - { cron, timeZone }
+     * @returns {CronSchedule} Parsed schedule
+     */
+    getCronSchedule(schedule) {
+        const key = `${schedule.cron}|${schedule.timeZone || ''}`;
+
+        if (!this.cronSchedules.has(key)) {
+            this.cronSchedules.set(key, new CronSchedule(schedule.cron, schedule.timeZone));
+        }
+        return this.cronSchedules.get(key);
+    }
+
+    /**
+     * Validate a task schedule
+     * @param {Object} schedule - { cron, timeZone, catchUp, jitterMs }
+     * @throws {Error} If the schedule is invalid
+     */
+    validateSchedule(schedule) {
+        if (schedule.cron) {
+            this.getCronSchedule(schedule);
+        }
+        if (schedule.catchUp && !Object.values(this.catchUpPolicies).includes(schedule.catchUp)) {
+            throw new Error(`Unknown catch-up policy: ${schedule.catchUp}`);
+        }
+        if (schedule.jitterMs !== undefined && !(schedule.jitterMs >= 0)) {
+            throw new Error('Schedule jitter must be a non-negative number of milliseconds');
+        }
     }
 
     /**
@@ -230,8 +658,12 @@ class ScheduledTaskManager {
         console.log(`Running scheduled task: ${task.name}`);
 
         try {
-            // Execute task handler
-            const result = await task.handler();
+            // Execute task handler; model requests made for the task should go
+            // through the API queue behind interactive work
+            const result = await task.handler({
+                taskId,
+                requestOptions: { priority: 'scheduled', source: `scheduled-task:${taskId}` }
+            });
 
             // Record task execution
             this.recordTaskExecution(taskId, true, result);
@@ -313,6 +745,7 @@ class ScheduledTaskManager {
         }
 
         task.interval = intervalMs;
+        task.nextRun = null;
 
         console.log(`Task ${taskId} interval set to ${intervalMs}ms`);
 
@@ -320,9 +753,53 @@ class ScheduledTaskManager {
         this.saveTasks();
     }
 
+    /**
+     * Change a task's schedule
+     * @param {string} taskId - Task identifier
+     * @param {Object|null} schedule - Schedule, or null to go back to the interval
+     * @param {string} [schedule.cron] - Cron expression, e.g. "0 8 * * 1-5" for weekdays at 08:00
+     * @param {string} [schedule.timeZone] - IANA time zone for the cron expression
+     * @param {string} [schedule.catchUp] - One of catchUpPolicies (default 'once')
+     * @param {number} [schedule.jitterMs] - Random delay of up to this many milliseconds
+     */
+    setTaskSchedule(taskId, schedule) {
+        const task = this.tasks[taskId];
+        if (!task) {
+            console.error(`Task ${taskId} not found`);
+            return;
+        }
+
+        if (schedule) {
+            this.validateSchedule(schedule);
+        }
+        if (!(schedule && schedule.cron) && !task.interval) {
+            throw new Error('Task needs an interval or a cron schedule');
+        }
+
+        task.schedule = schedule || undefined;
+        task.nextRun = null;
+
+        console.log(`Task ${taskId} schedule set to ${schedule && schedule.cron ? schedule.cron : `every ${task.interval}ms`}`);
+
+        // Save tasks
+        this.saveTasks();
+    }
+
     /**
      * Create a user-defined task
+     * The handler code runs in a sandboxed Web Worker with no access to the page,
+     * storage or network (see createSandbox). It receives a task object exposing only the capabilities the
+     * task declares in `permissions`, e.g.
+     *   async function (task) {
+     *       const text = await task.getDocumentText();
+     *       const summary = await task.generateText(`Summarize: ${text}`);
+     *       await task.writeReport('Daily summary', summary);
+     *   }
      * @param {Object} taskConfig - Task configuration
+     * @param {number} [taskConfig.interval] - Interval in milliseconds, unless a cron schedule is given
+     * @param {Object} [taskConfig.schedule] - Schedule, as for setTaskSchedule
+     * @param {Array<string>} [taskConfig.permissions] - Capabilities from userTaskPermissions
+     * @param {Object} [taskConfig.limits] - { timeoutMs, memoryMb, modelCalls }
      * @returns {string} Task identifier
      */
     createUserTask(taskConfig) {
@@ -333,34 +810,411 @@ class ScheduledTaskManager {
         if (!taskConfig.name) {
             throw new Error('Task name is required');
         }
-        if (!taskConfig.interval || typeof taskConfig.interval !== 'number') {
-            throw new Error('Task interval must be a number');
+        if (taskConfig.schedule) {
+            this.validateSchedule(taskConfig.schedule);
+        }
+        if (!(taskConfig.schedule && taskConfig.schedule.cron) &&
+            (!taskConfig.interval || typeof taskConfig.interval !== 'number')) {
+            throw new Error('Task needs an interval in milliseconds or a cron schedule');
         }
         if (!taskConfig.handlerCode) {
             throw new Error('Task handler code is required');
         }
 
+        const permissions = taskConfig.permissions || [];
+        const unknownPermissions = permissions.filter(permission => !this.userTaskPermissions[permission]);
+        if (unknownPermissions.length > 0) {
+            throw new Error(`Unknown task permissions: ${unknownPermissions.join(', ')}`);
+        }
+
+        // Register task
+        this.registerTask(taskId, {
+            ...taskConfig,
+            category: this.categories.USER,
+            permissions,
+            limits: this.resolveUserTaskLimits(taskConfig.limits),
+            handler: context => this.runSandboxedTask(taskId, context),
+            enabled: true,
+            lastRun: null
+        });
+
+        console.log(`User task '${taskConfig.name}' created successfully`);
+        this.saveTasks();
+
+        return taskId;
+    }
+
+    /**
+     * Clamp requested limits to the allowed range, filling in defaults
+     * @param {Object} [limits] - Requested limits
+     * @returns {Object} { timeoutMs, memoryMb, modelCalls }
+     */
+    resolveUserTaskLimits(limits = {}) {
+        const resolved = {};
+        Object.entries(this.userTaskLimits).forEach(([name, { default: fallback, max }]) => {
+            const requested = Number(limits[name]);
+            resolved[name] = requested > 0 ? Math.min(requested, max) : fallback;
+        });
+        return resolved;
+    }
+
+    /**
+     * Run a user task's code in an isolated sandbox (see createSandbox)
+     * The sandbox is torn down when the task finishes, fails, runs past its
+     * time limit or exceeds its memory limit.
+     * @param {string} taskId - Task identifier
+     * @param {Object} context - Context from runTask
+     * @returns {Promise<*>} Value returned by the task
+     */
+    runSandboxedTask(taskId, context = {}) {
+        const task = this.tasks[taskId];
+
+        let sandbox;
         try {
-            // Create handler function from code
-            const handlerFunction = new Function('return ' + taskConfig.handlerCode)();
-
-            // Register task
-            this.registerTask(taskId, {
-                ...taskConfig,
-                category: this.categories.USER,
-                handler: handlerFunction,
-                enabled: true,
-                lastRun: null
+            sandbox = this.createSandbox();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        const limits = this.resolveUserTaskLimits(task.limits);
+        const state = { permissions: task.permissions || [], limits, context, modelCalls: 0, dataBytes: 0 };
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+
+            const finish = (error, result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                sandbox.destroy();
+
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result);
+                }
+            };
+
+            // Count what the task is handed or hands back against its memory budget
+            const charge = value => {
+                state.dataBytes += measureMessageBytes(value);
+                if (state.dataBytes > limits.memoryMb * 1024 * 1024) {
+                    finish(new Error(`Task "${task.name}" exceeded its ${limits.memoryMb}MB memory limit`));
+                    return false;
+                }
+                return true;
+            };
+
+            const timer = setTimeout(() => {
+                finish(new Error(`Task "${task.name}" exceeded its ${limits.timeoutMs}ms time limit`));
+            }, limits.timeoutMs);
+
+            sandbox.onerror = message => {
+                finish(new Error(`Task "${task.name}" failed: ${message}`));
+            };
+
+            sandbox.onmessage = async message => {
+                switch (message.type) {
+                    case 'done':
+                        if (charge(message.result)) finish(null, message.result);
+                        break;
+                    case 'error':
+                        finish(new Error(`Task "${task.name}" failed: ${message.message}`));
+                        break;
+                    case 'log':
+                        if (charge(message.args)) console.log(`[${task.name}]`, ...(message.args || []));
+                        break;
+                    case 'call':
+                        if (!charge(message.args)) break;
+                        try {
+                            const value = await this.handleTaskCall(taskId, message.method, message.args || [], state);
+                            if (!settled && charge(value)) sandbox.post({ type: 'result', id: message.id, value });
+                        } catch (error) {
+                            if (!settled) sandbox.post({ type: 'result', id: message.id, error: error.message });
+                        }
+                        break;
+                }
+            };
+
+            sandbox.post({ type: 'run', taskId, handlerCode: task.handlerCode });
+        });
+    }
+
+    /**
+     * Serve a capability call from a sandboxed task
+     * @param {string} taskId - Task identifier
+     * @param {string} method - Capability method
+     * @param {Array} args - Arguments sent by the task
+     * @param {Object} state - Permissions, limits and counters for this run
+     * @returns {Promise<*>} Value sent back to the task
+     */
+    async handleTaskCall(taskId, method, args, state) {
+        const task = this.tasks[taskId];
+        const permission = Object.keys(this.userTaskPermissions)
+            .find(name => this.userTaskPermissions[name].method === method);
+
+        if (!permission) {
+            throw new Error(`Unknown task capability: ${method}`);
+        }
+        if (!state.permissions.includes(permission)) {
+            throw new Error(`Task "${task.name}" does not have the "${permission}" permission`);
+        }
+
+        switch (method) {
+            case 'getDocumentText':
+                return Word.run(async context => {
+                    const body = context.document.body;
+                    body.load('text');
+                    await context.sync();
+
+                    // Keep document text well inside the task's memory budget
+                    return body.text.substring(0, state.limits.memoryMb * 128 * 1024);
+                });
+
+            case 'generateText': {
+                if (state.modelCalls >= state.limits.modelCalls) {
+                    throw new Error(`Task "${task.name}" reached its limit of ${state.limits.modelCalls} model calls`);
+                }
+                if (!window.apiClient) {
+                    throw new Error('No AI model is configured');
+                }
+                state.modelCalls++;
+
+                const [prompt, options = {}] = args;
+                return window.apiClient.generateText(String(prompt), {
+                    maxTokens: Math.min(Number(options.maxTokens) || 1024, 4096),
+                    temperature: options.temperature,
+                    ...state.context.requestOptions
+                });
+            }
+
+            case 'writeReport': {
+                const [title, content] = args;
+                return this.saveTaskReport(taskId, title, content);
+            }
+        }
+    }
+
+    /**
+     * Start a sandbox for one task run: a Web Worker created inside a hidden
+     * iframe. The iframe is sandboxed without allow-same-origin, so neither it
+     * nor the worker can reach the page, its storage or the API keys. Its
+     * content security policy, which the worker inherits, refuses every
+     * network request, including dynamic import(). The task's code only ever
+     * runs in the worker; the iframe just relays messages.
+     *
+     * Browsers don't report a worker's heap size, so the memory limit covers
+     * the data a task is sent and sends back; a task that allocates past the
+     * browser's own limit crashes its worker and fails.
+     * @returns {Object} { post(message), onmessage, onerror, destroy() }
+     */
+    createSandbox() {
+        if (typeof document === 'undefined' || typeof Worker === 'undefined' || typeof Blob === 'undefined') {
+            throw new Error('User tasks require Web Worker support');
+        }
+
+        const iframe = document.createElement('iframe');
+        iframe.setAttribute('sandbox', 'allow-scripts');
+        iframe.setAttribute('aria-hidden', 'true');
+        iframe.style.display = 'none';
+        iframe.srcdoc = this.buildSandboxDocument();
+
+        let ready = false;
+        let outbox = [];
+
+        // The iframe's origin is opaque, so messages can't be addressed to it by
+        // origin; they go to its window directly, and only its replies are read
+        const sandbox = {
+            onmessage: null,
+            onerror: null,
+            post: message => {
+                if (ready) {
+                    iframe.contentWindow.postMessage(message, '*');
+                } else {
+                    outbox.push(message);
+                }
+            },
+            destroy: () => {
+                window.removeEventListener('message', listener);
+                if (iframe.contentWindow) {
+                    iframe.contentWindow.postMessage({ type: 'stop' }, '*');
+                }
+                iframe.remove();
+            }
+        };
+
+        const listener = event => {
+            if (!iframe.contentWindow || event.source !== iframe.contentWindow) {
+                return;
+            }
+
+            const message = event.data || {};
+            if (message.type === 'ready') {
+                ready = true;
+                iframe.contentWindow.postMessage({ type: 'start', source: this.buildSandboxSource() }, '*');
+                outbox.forEach(pending => iframe.contentWindow.postMessage(pending, '*'));
+                outbox = [];
+            } else if (message.type === 'crash') {
+                if (sandbox.onerror) sandbox.onerror(message.message);
+            } else if (sandbox.onmessage) {
+                sandbox.onmessage(message);
+            }
+        };
+
+        window.addEventListener('message', listener);
+        document.body.appendChild(iframe);
+
+        return sandbox;
+    }
+
+    /**
+     * Build the sandbox iframe's document
+     * The worker inherits this policy: scripts only from blob: URLs (its own
+     * source), eval for compiling the task's code, and no connections.
+     * @returns {string} HTML
+     */
+    buildSandboxDocument() {
+        const policy = "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval' blob:; worker-src blob:; connect-src 'none'";
+
+        return `<!DOCTYPE html>
+<html><head><meta http-equiv="Content-Security-Policy" content="${policy}"></head>
+<body><script>
+'use strict';
+let worker = null;
+addEventListener('message', event => {
+    if (event.source !== parent) return;
+    const message = event.data || {};
+
+    if (message.type === 'start' && !worker) {
+        worker = new Worker(URL.createObjectURL(new Blob([message.source], { type: 'text/javascript' })));
+        worker.onmessage = workerEvent => parent.postMessage(workerEvent.data, '*');
+        worker.onerror = workerEvent => {
+            workerEvent.preventDefault();
+            parent.postMessage({ type: 'crash', message: workerEvent.message }, '*');
+        };
+    } else if (message.type === 'stop') {
+        if (worker) worker.terminate();
+        worker = null;
+    } else if (worker) {
+        worker.postMessage(message);
+    }
+});
+parent.postMessage({ type: 'ready' }, '*');
+</script></body></html>`;
+    }
+
+    /**
+     * Build the worker script that runs user tasks
+     * Network, storage and script-loading APIs are removed from the worker's
+     * global scope and prototypes, then the task's code, sent with the run
+     * message, is compiled in a function scope that can't see the bridge.
+     * @returns {string} Worker source
+     */
+    buildSandboxSource() {
+        return `'use strict';
+(() => {
+    const post = self.postMessage.bind(self);
+    const listen = self.addEventListener.bind(self);
+
+    const blocked = ['fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource', 'importScripts',
+        'indexedDB', 'caches', 'BroadcastChannel', 'Worker', 'SharedWorker'];
+    for (let scope = self; scope && scope !== Object.prototype; scope = Object.getPrototypeOf(scope)) {
+        blocked.forEach(name => {
+            if (Object.prototype.hasOwnProperty.call(scope, name)) {
+                try {
+                    Object.defineProperty(scope, name, { value: undefined, writable: false, configurable: false });
+                } catch (error) {
+                    delete scope[name];
+                }
+            }
+        });
+    }
+
+    const pending = new Map();
+    let nextCallId = 0;
+    const call = (method, args) => new Promise((resolve, reject) => {
+        const id = ++nextCallId;
+        pending.set(id, { resolve, reject });
+        post({ type: 'call', id, method, args });
+    });
+
+    listen('message', event => {
+        const message = event.data || {};
+
+        if (message.type === 'result' && pending.has(message.id)) {
+            const { resolve, reject } = pending.get(message.id);
+            pending.delete(message.id);
+            if (message.error) {
+                reject(new Error(message.error));
+            } else {
+                resolve(message.value);
+            }
+        } else if (message.type === 'run') {
+            const task = Object.freeze({
+                taskId: message.taskId,
+                getDocumentText: () => call('getDocumentText', []),
+                generateText: (prompt, options) => call('generateText', [String(prompt), options || {}]),
+                writeReport: (title, content) => call('writeReport', [String(title), content]),
+                log: (...args) => post({ type: 'log', args: args.map(String) })
             });
 
-            console.log(`User task '${taskConfig.name}' created successfully`);
-            this.saveTasks();
+            Promise.resolve()
+                .then(() => {
+                    const handler = new Function("'use strict';\\nreturn (\\n" + String(message.handlerCode) + "\\n);")();
+                    if (typeof handler !== 'function') {
+                        throw new Error('Task handler code must evaluate to a function');
+                    }
+                    return handler(task);
+                })
+                .then(result => post({ type: 'done', result: result === undefined ? null : JSON.parse(JSON.stringify(result)) }))
+                .catch(error => post({ type: 'error', message: error && error.message ? error.message : String(error) }));
+        }
+    });
+})();
+`;
+    }
 
-            return taskId;
+    /**
+     * Save a report written by a user task
+     * @param {string} taskId - Task identifier
+     * @param {string} title - Report title
+     * @param {*} content - Report content (stored as text)
+     * @returns {string} Report identifier
+     */
+    saveTaskReport(taskId, title, content) {
+        const report = {
+            id: `report_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+            taskId,
+            title: String(title).substring(0, 200),
+            content: (typeof content === 'string' ? content : JSON.stringify(content)).substring(0, 100000),
+            timestamp: new Date().toISOString()
+        };
+
+        this.taskReports.push(report);
+
+        // Keep the most recent reports
+        if (this.taskReports.length > 50) {
+            this.taskReports = this.taskReports.slice(-50);
+        }
+
+        try {
+            localStorage.setItem('wordGptPlusTaskReports', JSON.stringify(this.taskReports));
         } catch (error) {
-            console.error('Error creating user task:', error);
-            throw new Error(`Failed to create task: ${error.message}`);
+            console.error('Error saving task report:', error);
         }
+
+        return report.id;
+    }
+
+    /**
+     * Get reports written by user tasks
+     * @param {string} [taskId] - Filter by task ID (optional)
+     * @returns {Array} Reports, oldest first
+     */
+    getTaskReports(taskId = null) {
+        return taskId
+            ? this.taskReports.filter(report => report.taskId === taskId)
+            : this.taskReports;
     }
 
     /**
@@ -852,4 +1706,9 @@ class ScheduledTaskManager {
 }
 
 // Create global instance
-const scheduledTaskManager = new ScheduledTaskManager();
\ No newline at end of file
+const scheduledTaskManager = new ScheduledTaskManager();
+
+// SystemIntegration and the test page look components up on window by name
+if (typeof window !== 'undefined') {
+    window.scheduledTaskManager = scheduledTaskManager;
+}
\ No newline at end of file
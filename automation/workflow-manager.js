@@ -1,8 +1,270 @@
 /**
  * Word GPT Plus - Workflow Automation Manager
  * Manages automated workflows and task sequences
+ *
+ * Template steps form a graph:
+ *   dependsOn  - IDs of steps that must finish first. A step without it follows
+ *                the step listed before it, so plain step lists run in order.
+ *                Steps whose dependencies are met run in parallel.
+ *   condition  - Expression over workflow data; the step is skipped when false,
+ *                e.g. "toneAnalysis.formality.score >= 60".
+ *   loop       - { to, until, maxIterations }: after the step, if `until` is
+ *                false, run again from step `to` (default: this step).
+ * Skipped steps count as finished. A step whose required inputs are missing
+ * because a step it depends on was skipped is skipped as well.
  */
 
+// Tokens of the workflow expression language
+const WORKFLOW_EXPRESSION_TOKEN = /\s*(?:(\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_$][\w$]*)|(===|!==|==|!=|<=|>=|&&|\|\||[-+*\/%<>!().[\]]))/y;
+
+// Binary operators by precedence, lowest first
+const WORKFLOW_EXPRESSION_OPERATORS = [
+    ['||'],
+    ['&&'],
+    ['==', '!=', '===', '!=='],
+    ['<', '<=', '>', '>='],
+    ['+', '-'],
+    ['*', '/', '%']
+];
+
+/**
+ * Expression evaluated against workflow data
+ * Supports literals, property access (data.a.b, items[0], name.length),
+ * arithmetic, comparison and logical operators, and parentheses. Bare names
+ * refer to fields of the workflow data; `data` is the data object itself.
+ * Equality is always strict. Nothing outside the data can be reached.
+ */
+class WorkflowExpression {
+    /**
+     * @param {string} source - Expression text
+     */
+    constructor(source) {
+        this.source = String(source);
+        this.tokens = this.tokenize(this.source);
+        this.position = 0;
+        this.ast = this.parseBinary(0);
+
+        if (this.position < this.tokens.length) {
+            throw new Error(`Unexpected "${this.tokens[this.position].value}" in expression: ${this.source}`);
+        }
+    }
+
+    /**
+     * Split the expression into tokens
+     * @param {string} source - Expression text
+     * @returns {Array<Object>} Tokens { type, value }
+     */
+    tokenize(source) {
+        const tokens = [];
+        WORKFLOW_EXPRESSION_TOKEN.lastIndex = 0;
+
+        while (WORKFLOW_EXPRESSION_TOKEN.lastIndex < source.length) {
+            if (!source.substring(WORKFLOW_EXPRESSION_TOKEN.lastIndex).trim()) break;
+
+            const start = WORKFLOW_EXPRESSION_TOKEN.lastIndex;
+            const match = WORKFLOW_EXPRESSION_TOKEN.exec(source);
+            if (!match) {
+                throw new Error(`Unexpected character at position ${start} in expression: ${source}`);
+            }
+
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'literal', value: Number(match[1]) });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'literal', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+            } else if (match[3] !== undefined) {
+                const keywords = { true: true, false: false, null: null, undefined: undefined };
+                tokens.push(Object.prototype.hasOwnProperty.call(keywords, match[3])
+                    ? { type: 'literal', value: keywords[match[3]] }
+                    : { type: 'name', value: match[3] });
+            } else {
+                tokens.push({ type: 'operator', value: match[4] });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * @private
+     */
+    peekOperator(...operators) {
+        const token = this.tokens[this.position];
+        return token && token.type === 'operator' && operators.includes(token.value) ? token.value : null;
+    }
+
+    /**
+     * @private
+     */
+    expectOperator(operator) {
+        if (!this.peekOperator(operator)) {
+            throw new Error(`Expected "${operator}" in expression: ${this.source}`);
+        }
+        this.position++;
+    }
+
+    /**
+     * Parse binary operators from the given precedence level up
+     * @private
+     */
+    parseBinary(level) {
+        if (level === WORKFLOW_EXPRESSION_OPERATORS.length) {
+            return this.parseUnary();
+        }
+
+        let left = this.parseBinary(level + 1);
+        let operator;
+        while ((operator = this.peekOperator(...WORKFLOW_EXPRESSION_OPERATORS[level]))) {
+            this.position++;
+            left = { type: 'binary', operator, left, right: this.parseBinary(level + 1) };
+        }
+        return left;
+    }
+
+    /**
+     * @private
+     */
+    parseUnary() {
+        const operator = this.peekOperator('!', '-');
+        if (operator) {
+            this.position++;
+            return { type: 'unary', operator, argument: this.parseUnary() };
+        }
+        return this.parseMember();
+    }
+
+    /**
+     * @private
+     */
+    parseMember() {
+        let node = this.parsePrimary();
+
+        for (;;) {
+            if (this.peekOperator('.')) {
+                this.position++;
+                const token = this.tokens[this.position++];
+                if (!token || token.type !== 'name') {
+                    throw new Error(`Expected a property name in expression: ${this.source}`);
+                }
+                node = { type: 'member', object: node, property: { type: 'literal', value: token.value } };
+            } else if (this.peekOperator('[')) {
+                this.position++;
+                const property = this.parseBinary(0);
+                this.expectOperator(']');
+                node = { type: 'member', object: node, property };
+            } else {
+                return node;
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    parsePrimary() {
+        const token = this.tokens[this.position++];
+        if (!token) {
+            throw new Error(`Unexpected end of expression: ${this.source}`);
+        }
+
+        if (token.type === 'literal') {
+            return { type: 'literal', value: token.value };
+        }
+        if (token.type === 'name') {
+            return { type: 'name', name: token.value };
+        }
+        if (token.value === '(') {
+            const node = this.parseBinary(0);
+            this.expectOperator(')');
+            return node;
+        }
+
+        throw new Error(`Unexpected "${token.value}" in expression: ${this.source}`);
+    }
+
+    /**
+     * Evaluate the expression
+     * @param {Object} data - Workflow data
+     * @returns {*} Result
+     */
+    evaluate(data) {
+        return this.evaluateNode(this.ast, data || {});
+    }
+
+    /**
+     * @private
+     */
+    evaluateNode(node, data) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+
+            case 'name':
+                return node.name === 'data' ? data : this.getProperty(data, node.name);
+
+            case 'member':
+                return this.getProperty(this.evaluateNode(node.object, data), this.evaluateNode(node.property, data));
+
+            case 'unary': {
+                const value = this.evaluateNode(node.argument, data);
+                return node.operator === '!' ? !value : -value;
+            }
+
+            case 'binary': {
+                const left = this.evaluateNode(node.left, data);
+
+                // Short-circuit like JavaScript
+                if (node.operator === '&&') return left && this.evaluateNode(node.right, data);
+                if (node.operator === '||') return left || this.evaluateNode(node.right, data);
+
+                const right = this.evaluateNode(node.right, data);
+                switch (node.operator) {
+                    case '==':
+                    case '===': return left === right;
+                    case '!=':
+                    case '!==': return left !== right;
+                    case '<': return left < right;
+                    case '<=': return left <= right;
+                    case '>': return left > right;
+                    case '>=': return left >= right;
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    case '/': return left / right;
+                    case '%': return left % right;
+                }
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Read an own property, or the length of a string or array
+     * @private
+     */
+    getProperty(object, property) {
+        if (object === null || object === undefined) {
+            return undefined;
+        }
+        if (property === 'length' && (typeof object === 'string' || Array.isArray(object))) {
+            return object.length;
+        }
+        return typeof object === 'object' && Object.prototype.hasOwnProperty.call(object, property)
+            ? object[property]
+            : undefined;
+    }
+}
+
+/**
+ * Check whether a storage write failed because storage is full
+ * @param {Error} error - Error thrown by localStorage.setItem
+ * @returns {boolean} Whether it is a quota error
+ */
+function isStorageQuotaError(error) {
+    return Boolean(error) && (error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+}
+
 class WorkflowManager {
     constructor() {
         // Available workflow templates
@@ -124,8 +386,24 @@ class WorkflowManager {
         // Handler registry - maps step handler names to actual functions
         this.handlerRegistry = {};
 
+        // Compiled condition expressions by source
+        this.expressions = new Map();
+
+        // Loops stop after this many iterations unless the step sets maxIterations
+        this.defaultMaxIterations = 10;
+
+        // Checkpoints are kept in localStorage, so they hold only small data fields
+        // and are dropped once they are old enough to be forgotten
+        this.checkpointLimits = {
+            maxFieldLength: 50 * 1000, // Characters of JSON per data field
+            maxAgeMs: 7 * 24 * 60 * 60 * 1000
+        };
+
         // Load saved workflows
         this.loadSavedWorkflows();
+
+        // Restore workflows that were running when the task pane closed
+        this.loadCheckpoints();
     }
 
     /**
@@ -173,6 +451,192 @@ class WorkflowManager {
         }
     }
 
+    /**
+     * Restore checkpointed workflows
+     * Workflows waiting for approval can be approved or rejected as before.
+     * Workflows that were running are marked 'interrupted' until resumeWorkflow
+     * is called; steps that had not finished are run again, completed ones are not.
+     * Checkpoints older than checkpointLimits.maxAgeMs are deleted.
+     */
+    loadCheckpoints() {
+        try {
+            const savedCheckpoints = localStorage.getItem('wordGptPlusWorkflowCheckpoints');
+            if (!savedCheckpoints) return;
+
+            let stale = 0;
+            Object.values(JSON.parse(savedCheckpoints)).forEach(workflow => {
+                if (Date.now() - new Date(workflow.checkpointTime).getTime() > this.checkpointLimits.maxAgeMs) {
+                    stale++;
+                    return;
+                }
+
+                if (workflow.status === 'running') {
+                    workflow.status = 'interrupted';
+                    Object.values(workflow.stepStates).forEach(state => {
+                        if (state.status === 'running') {
+                            state.status = 'pending';
+                        }
+                    });
+                }
+                this.activeWorkflows[workflow.id] = workflow;
+            });
+
+            if (stale > 0) {
+                console.log(`Deleted ${stale} stale workflow checkpoint${stale === 1 ? '' : 's'}`);
+                this.saveCheckpoints();
+            }
+            console.log('Workflow checkpoints restored');
+        } catch (error) {
+            console.error('Error loading workflow checkpoints:', error);
+        }
+    }
+
+    /**
+     * Save the state of every started workflow, with the data fields that fit
+     * (see createCheckpoint). When storage is full, workflows are saved
+     * without their data so they can at least be discarded after a reload.
+     */
+    saveCheckpoints() {
+        const checkpoints = {};
+        Object.values(this.activeWorkflows).forEach(workflow => {
+            if (workflow.status !== 'created') {
+                checkpoints[workflow.id] = this.createCheckpoint(workflow);
+            }
+        });
+
+        try {
+            localStorage.setItem('wordGptPlusWorkflowCheckpoints', JSON.stringify(checkpoints));
+            return;
+        } catch (error) {
+            if (!isStorageQuotaError(error)) {
+                console.error('Error saving workflow checkpoints:', error);
+                return;
+            }
+        }
+
+        Object.values(checkpoints).forEach(checkpoint => {
+            checkpoint.omittedData = [...checkpoint.omittedData, ...Object.keys(checkpoint.data)];
+            checkpoint.data = {};
+        });
+
+        try {
+            localStorage.setItem('wordGptPlusWorkflowCheckpoints', JSON.stringify(checkpoints));
+            console.warn('Storage is full; workflow checkpoints were saved without their data');
+        } catch (error) {
+            localStorage.removeItem('wordGptPlusWorkflowCheckpoints');
+            console.error('Storage is full; workflow checkpoints were deleted:', error);
+        }
+    }
+
+    /**
+     * Build the checkpoint for a workflow
+     * Data fields longer than checkpointLimits.maxFieldLength, such as a whole
+     * document's text, are left out and listed in omittedData.
+     * @param {Object} workflow - Workflow instance
+     * @returns {Object} Checkpoint
+     */
+    createCheckpoint(workflow) {
+        const data = {};
+        // Fields left out of an earlier checkpoint stay missing until set again
+        const omittedData = (workflow.omittedData || []).filter(name => workflow.data[name] === undefined);
+
+        Object.entries(workflow.data).forEach(([name, value]) => {
+            const json = JSON.stringify(value);
+            if (json !== undefined && json.length > this.checkpointLimits.maxFieldLength) {
+                omittedData.push(name);
+            } else {
+                data[name] = value;
+            }
+        });
+
+        return { ...workflow, data, omittedData, checkpointTime: new Date().toISOString() };
+    }
+
+    /**
+     * Get data fields that were too large to checkpoint and that unfinished
+     * steps still need
+     * @param {Object} workflow - Workflow instance
+     * @returns {Array<string>} Field names
+     */
+    getMissingData(workflow) {
+        const omitted = (workflow.omittedData || []).filter(name => workflow.data[name] === undefined);
+
+        return omitted.filter(name => workflow.steps.some(step =>
+            !['completed', 'skipped'].includes(workflow.stepStates[step.id].status) &&
+            (step.requiredInput || []).includes(name)));
+    }
+
+    /**
+     * @private
+     */
+    assertDataRestored(workflow) {
+        const missing = this.getMissingData(workflow);
+        if (missing.length > 0) {
+            throw new Error(`Workflow ${workflow.name} can't continue after the reload: ` +
+                `${missing.join(', ')} ${missing.length === 1 ? 'was' : 'were'} too large to save. Discard it and start again.`);
+        }
+    }
+
+    /**
+     * Get workflows that can be resumed after a reload
+     * @returns {Array<Object>} { workflowId, name, status, startTime, checkpointTime, completedSteps, totalSteps, awaitingSteps, missingData }
+     */
+    getResumableWorkflows() {
+        return Object.values(this.activeWorkflows)
+            .filter(workflow => ['interrupted', 'awaiting_approval'].includes(workflow.status))
+            .map(workflow => {
+                const stateOf = step => workflow.stepStates[step.id].status;
+                return {
+                    workflowId: workflow.id,
+                    name: workflow.name,
+                    status: workflow.status,
+                    startTime: workflow.startTime,
+                    checkpointTime: workflow.checkpointTime,
+                    completedSteps: workflow.steps.filter(step => ['completed', 'skipped'].includes(stateOf(step))).length,
+                    totalSteps: workflow.steps.length,
+                    awaitingSteps: workflow.steps
+                        .filter(step => stateOf(step) === 'awaiting_approval')
+                        .map(step => ({ stepId: step.id, stepName: step.name })),
+                    missingData: this.getMissingData(workflow)
+                };
+            });
+    }
+
+    /**
+     * Resume a workflow interrupted by a reload
+     * @param {string} workflowId - Workflow ID
+     * @returns {Promise} Continued workflow execution
+     */
+    async resumeWorkflow(workflowId) {
+        const workflow = this.activeWorkflows[workflowId];
+        if (!workflow || workflow.status !== 'interrupted') {
+            throw new Error(`Workflow ${workflowId} is not waiting to be resumed`);
+        }
+        this.assertDataRestored(workflow);
+
+        console.log(`Resuming workflow: ${workflow.name} (${workflowId})`);
+
+        workflow.status = 'running';
+        return this.executeWorkflowStep(workflowId);
+    }
+
+    /**
+     * Abandon an interrupted workflow
+     * @param {string} workflowId - Workflow ID
+     */
+    discardWorkflow(workflowId) {
+        const workflow = this.activeWorkflows[workflowId];
+        if (!workflow || !['interrupted', 'awaiting_approval'].includes(workflow.status)) {
+            throw new Error(`Workflow ${workflowId} is not waiting to be resumed`);
+        }
+
+        workflow.status = 'cancelled';
+        workflow.completionTime = new Date().toISOString();
+        workflow.cancellationReason = 'Discarded after reload';
+
+        this.addWorkflowToHistory(workflowId);
+    }
+
     /**
      * Create a new workflow instance
      * @param {string} templateId - Workflow template ID
@@ -184,6 +648,7 @@ class WorkflowManager {
         if (!template) {
             throw new Error(`Workflow template ${templateId} not found`);
         }
+        this.validateWorkflowTemplate(template);
 
         // Generate workflow ID
         const workflowId = `wf_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
@@ -193,7 +658,11 @@ class WorkflowManager {
             id: workflowId,
             templateId: templateId,
             name: template.name,
-            steps: [...template.steps], // Clone steps
+            steps: template.steps.map(step => ({ ...step })), // Clone steps
+            stepStates: template.steps.reduce((states, step) => {
+                states[step.id] = { status: 'pending', runs: 0 };
+                return states;
+            }, {}),
             status: 'created',
             currentStepIndex: -1,
             startTime: null,
@@ -221,6 +690,7 @@ class WorkflowManager {
             ...this.activeWorkflows[workflowId].data,
             ...data
         };
+        this.saveCheckpoints();
     }
 
     /**
@@ -242,19 +712,20 @@ class WorkflowManager {
         // Update status
         workflow.status = 'running';
         workflow.startTime = new Date().toISOString();
-        workflow.currentStepIndex = 0;
+        this.saveCheckpoints();
 
         // Trigger workflow start event
         if (this.events.onWorkflowStart) {
             this.events.onWorkflowStart(workflow);
         }
 
-        // Start with the first step
+        // Start with the steps that have no dependencies
         return this.executeWorkflowStep(workflowId);
     }
 
     /**
-     * Execute current step of a workflow
+     * Run every step whose dependencies have finished, in parallel where the
+     * graph allows, until the workflow completes, fails or waits for approval
      * @param {string} workflowId - Workflow ID
      * @returns {Promise} Step execution promise
      */
@@ -264,44 +735,81 @@ class WorkflowManager {
             return;
         }
 
-        const currentStep = workflow.steps[workflow.currentStepIndex];
-        if (!currentStep) {
-            // If no more steps, complete workflow
-            return this.completeWorkflow(workflowId);
-        }
+        const running = new Map();
+        let failedStep = null;
 
-        try {
-            console.log(`Executing workflow step: ${currentStep.name}`);
+        const startReadySteps = () => {
+            let skipped;
+            do {
+                skipped = false;
+
+                for (const step of this.getReadySteps(workflow)) {
+                    const state = workflow.stepStates[step.id];
+
+                    if (!this.shouldRunStep(workflow, step)) {
+                        // Skipping can unblock further steps, so look again
+                        state.status = 'skipped';
+                        skipped = true;
+                        console.log(`Skipping workflow step: ${step.name}`);
+                        continue;
+                    }
+
+                    // Check if step requires user approval
+                    if (!state.approved && workflow.settings.requiredUserApproval &&
+                        workflow.settings.requiredUserApproval.includes(step.id)) {
+                        state.status = 'awaiting_approval';
+                        continue;
+                    }
+
+                    state.status = 'running';
+                    workflow.currentStepIndex = workflow.steps.indexOf(step);
+
+                    const execution = this.executeStepHandler(workflowId, step)
+                        .catch(error => {
+                            failedStep = failedStep || step;
+                            throw error;
+                        })
+                        .finally(() => running.delete(step.id));
 
-            // Check if we have all required inputs
-            for (const inputName of currentStep.requiredInput) {
-                if (workflow.data[inputName] === undefined) {
-                    throw new Error(`Missing required input: ${inputName}`);
+                    // Failures are handled through Promise.race below
+                    execution.catch(() => {});
+                    running.set(step.id, execution);
                 }
-            }
+            } while (skipped);
 
-            // Check if step requires user approval
-            if (workflow.settings.requiredUserApproval &&
-                workflow.settings.requiredUserApproval.includes(currentStep.id)) {
+            this.saveCheckpoints();
+        };
 
-                // Pause workflow until approval
-                workflow.status = 'awaiting_approval';
-                console.log(`Workflow ${workflowId} is waiting for user approval for step: ${currentStep.name}`);
+        try {
+            startReadySteps();
 
-                // Return here - workflow will be continued when approveStep is called
-                return {
-                    status: 'awaiting_approval',
-                    workflowId: workflowId,
-                    stepId: currentStep.id,
-                    stepName: currentStep.name
-                };
+            while (running.size > 0) {
+                await Promise.race(running.values());
+                startReadySteps();
             }
-
-            // Execute step handler
-            return await this.executeStepHandler(workflowId, currentStep);
         } catch (error) {
-            return this.handleWorkflowError(workflowId, error);
+            return this.handleWorkflowError(workflowId, error, failedStep);
+        }
+
+        const awaitingSteps = workflow.steps.filter(step => workflow.stepStates[step.id].status === 'awaiting_approval');
+        if (awaitingSteps.length > 0) {
+            // Pause workflow until approval
+            workflow.status = 'awaiting_approval';
+            this.saveCheckpoints();
+            console.log(`Workflow ${workflowId} is waiting for user approval for: ${awaitingSteps.map(step => step.name).join(', ')}`);
+
+            // Return here - workflow will be continued when approveStep is called
+            return {
+                status: 'awaiting_approval',
+                workflowId: workflowId,
+                stepId: awaitingSteps[0].id,
+                stepName: awaitingSteps[0].name,
+                awaitingSteps: awaitingSteps.map(step => ({ stepId: step.id, stepName: step.name }))
+            };
         }
+
+        // If no more steps, complete workflow
+        return this.completeWorkflow(workflowId);
     }
 
     /**
@@ -318,24 +826,36 @@ class WorkflowManager {
             throw new Error(`Handler not found: ${step.handler}`);
         }
 
+        console.log(`Executing workflow step: ${step.name}`);
+
         // Extract required inputs from workflow data
         const inputs = {};
-        for (const inputName of step.requiredInput) {
+        for (const inputName of step.requiredInput || []) {
+            if (workflow.data[inputName] === undefined) {
+                throw new Error(`Missing required input: ${inputName}`);
+            }
             inputs[inputName] = workflow.data[inputName];
         }
 
         // Execute handler
-        const result = await handler(inputs);
+        const result = await handler(inputs) || {};
+
+        // Another branch may have failed the workflow meanwhile
+        if (workflow.status !== 'running') {
+            return;
+        }
 
         // Store outputs in workflow data
-        for (const outputName of step.output) {
+        const outputNames = step.output || [];
+        for (const outputName of outputNames) {
             if (result[outputName] !== undefined) {
                 workflow.data[outputName] = result[outputName];
             }
         }
 
-        // Step complete - move to next step
-        workflow.currentStepIndex++;
+        const state = workflow.stepStates[step.id];
+        state.status = 'completed';
+        state.runs++;
 
         // Trigger step completion event
         if (this.events.onWorkflowStepComplete) {
@@ -343,40 +863,266 @@ class WorkflowManager {
                 workflowId,
                 stepId: step.id,
                 stepName: step.name,
-                outputs: step.output.reduce((outputs, name) => {
+                outputs: outputNames.reduce((outputs, name) => {
                     outputs[name] = workflow.data[name];
                     return outputs;
                 }, {})
             });
         }
 
-        // Execute next step
-        return this.executeWorkflowStep(workflowId);
+        if (step.loop) {
+            this.continueLoop(workflow, step);
+        }
+
+        // Checkpoint outputs so a reload doesn't pay for this step again
+        this.saveCheckpoints();
+    }
+
+    /**
+     * Re-queue a loop's steps if its exit condition is not met yet
+     * @param {Object} workflow - Workflow instance
+     * @param {Object} step - Step that closes the loop
+     */
+    continueLoop(workflow, step) {
+        const { until, maxIterations = this.defaultMaxIterations } = step.loop;
+        const runs = workflow.stepStates[step.id].runs;
+
+        if (this.evaluateCondition(until, workflow)) {
+            return;
+        }
+        if (runs >= maxIterations) {
+            console.warn(`Loop ending at step ${step.name} stopped after ${runs} iterations without meeting: ${until}`);
+            return;
+        }
+
+        this.getLoopSteps(workflow.steps, step).forEach(stepId => {
+            workflow.stepStates[stepId].status = 'pending';
+        });
+    }
+
+    /**
+     * Get the steps a loop repeats: those between its start step and the step
+     * that closes it, inclusive
+     * @param {Array<Object>} steps - Workflow steps
+     * @param {Object} step - Step that closes the loop
+     * @returns {Array<string>} Step IDs
+     */
+    getLoopSteps(steps, step) {
+        const startId = step.loop.to || step.id;
+        const stepsById = new Map(steps.map(candidate => [candidate.id, candidate]));
+
+        // Steps the closing step depends on, directly or not
+        const ancestors = new Set([step.id]);
+        const pending = [step];
+        while (pending.length > 0) {
+            this.getStepDependencies(steps, pending.pop()).forEach(dependencyId => {
+                if (!ancestors.has(dependencyId)) {
+                    ancestors.add(dependencyId);
+                    pending.push(stepsById.get(dependencyId));
+                }
+            });
+        }
+
+        // ...that also depend on the start step
+        return [...ancestors].filter(stepId => this.dependsOnStep(steps, stepsById.get(stepId), startId));
+    }
+
+    /**
+     * Check whether a step is, or depends directly or indirectly on, another step
+     * @param {Array<Object>} steps - Workflow steps
+     * @param {Object} step - Step to check
+     * @param {string} targetId - Step ID to look for
+     * @returns {boolean} Whether step depends on targetId
+     */
+    dependsOnStep(steps, step, targetId) {
+        const stepsById = new Map(steps.map(candidate => [candidate.id, candidate]));
+        const seen = new Set();
+        const pending = [step];
+
+        while (pending.length > 0) {
+            const current = pending.pop();
+            if (current.id === targetId) {
+                return true;
+            }
+            this.getStepDependencies(steps, current).forEach(dependencyId => {
+                if (!seen.has(dependencyId)) {
+                    seen.add(dependencyId);
+                    pending.push(stepsById.get(dependencyId));
+                }
+            });
+        }
+
+        return false;
+    }
+
+    /**
+     * Get the IDs of the steps a step waits for
+     * @param {Array<Object>} steps - Workflow steps
+     * @param {Object} step - Step
+     * @returns {Array<string>} Step IDs
+     */
+    getStepDependencies(steps, step) {
+        if (Array.isArray(step.dependsOn)) {
+            return step.dependsOn;
+        }
+
+        // Without dependsOn, a step follows the one listed before it
+        const index = steps.indexOf(step);
+        return index > 0 ? [steps[index - 1].id] : [];
+    }
+
+    /**
+     * Get pending steps whose dependencies have all finished
+     * @param {Object} workflow - Workflow instance
+     * @returns {Array<Object>} Steps ready to start
+     */
+    getReadySteps(workflow) {
+        return workflow.steps.filter(step =>
+            workflow.stepStates[step.id].status === 'pending' &&
+            this.getStepDependencies(workflow.steps, step).every(dependencyId =>
+                ['completed', 'skipped'].includes(workflow.stepStates[dependencyId].status)));
+    }
+
+    /**
+     * Decide whether a ready step runs or is skipped
+     * @param {Object} workflow - Workflow instance
+     * @param {Object} step - Step
+     * @returns {boolean} Whether the step should run
+     */
+    shouldRunStep(workflow, step) {
+        if (step.condition && !this.evaluateCondition(step.condition, workflow)) {
+            return false;
+        }
+
+        // Inputs missing because a branch was skipped skip this step too
+        const missingInput = (step.requiredInput || []).some(name => workflow.data[name] === undefined);
+        return !(missingInput && this.getStepDependencies(workflow.steps, step)
+            .some(dependencyId => workflow.stepStates[dependencyId].status === 'skipped'));
+    }
+
+    /**
+     * Evaluate a condition expression against workflow data
+     * @param {string} expression - Condition expression
+     * @param {Object} workflow - Workflow instance
+     * @returns {boolean} Whether the condition holds
+     */
+    evaluateCondition(expression, workflow) {
+        return Boolean(this.compileExpression(expression).evaluate(workflow.data));
+    }
+
+    /**
+     * Compile an expression, reusing earlier compilations
+     * @param {string} expression - Expression text
+     * @returns {WorkflowExpression} Compiled expression
+     */
+    compileExpression(expression) {
+        if (!this.expressions.has(expression)) {
+            this.expressions.set(expression, new WorkflowExpression(expression));
+        }
+        return this.expressions.get(expression);
+    }
+
+    /**
+     * Check that a template's steps form a valid graph
+     * @param {Object} template - Workflow template definition
+     * @throws {Error} If the template is invalid
+     */
+    validateWorkflowTemplate(template) {
+        if (!template.name) {
+            throw new Error('Workflow template must have a name');
+        }
+        if (!template.steps || !Array.isArray(template.steps) || template.steps.length === 0) {
+            throw new Error('Workflow template must have steps');
+        }
+
+        const steps = template.steps;
+        const stepIds = new Set();
+        steps.forEach(step => {
+            if (!step.id || !step.handler) {
+                throw new Error('Each workflow step needs an id and a handler');
+            }
+            if (stepIds.has(step.id)) {
+                throw new Error(`Duplicate workflow step id: ${step.id}`);
+            }
+            stepIds.add(step.id);
+        });
+
+        steps.forEach(step => {
+            this.getStepDependencies(steps, step).forEach(dependencyId => {
+                if (!stepIds.has(dependencyId)) {
+                    throw new Error(`Step ${step.id} depends on unknown step: ${dependencyId}`);
+                }
+            });
+
+            if (step.condition) {
+                this.compileExpression(step.condition);
+            }
+        });
+
+        // Depth-first search for dependency cycles
+        const visiting = new Set();
+        const visited = new Set();
+        const stepsById = new Map(steps.map(step => [step.id, step]));
+        const visit = step => {
+            if (visited.has(step.id)) return;
+            if (visiting.has(step.id)) {
+                throw new Error(`Workflow steps have a dependency cycle at: ${step.id}`);
+            }
+            visiting.add(step.id);
+            this.getStepDependencies(steps, step).forEach(dependencyId => visit(stepsById.get(dependencyId)));
+            visiting.delete(step.id);
+            visited.add(step.id);
+        };
+        steps.forEach(visit);
+
+        steps.filter(step => step.loop).forEach(step => {
+            if (!step.loop.until) {
+                throw new Error(`Loop at step ${step.id} needs an until condition`);
+            }
+            this.compileExpression(step.loop.until);
+
+            if (step.loop.to && !(stepIds.has(step.loop.to) && this.dependsOnStep(steps, step, step.loop.to))) {
+                throw new Error(`Loop at step ${step.id} must go back to a step it depends on, not ${step.loop.to}`);
+            }
+            if (step.loop.maxIterations !== undefined &&
+                !(Number.isInteger(step.loop.maxIterations) && step.loop.maxIterations > 0)) {
+                throw new Error(`Loop at step ${step.id} needs a positive whole number of maxIterations`);
+            }
+        });
     }
 
     /**
      * Approve a workflow step that requires user approval
      * @param {string} workflowId - Workflow ID
      * @param {Object} approvalData - Data provided with the approval
+     * @param {string} [stepId] - Step to approve when several are waiting (defaults to the first)
      * @returns {Promise} Continued workflow execution
      */
-    async approveStep(workflowId, approvalData = {}) {
+    async approveStep(workflowId, approvalData = {}, stepId = null) {
         const workflow = this.activeWorkflows[workflowId];
         if (!workflow || workflow.status !== 'awaiting_approval') {
             throw new Error(`Workflow ${workflowId} is not awaiting approval`);
         }
 
+        const step = workflow.steps.find(candidate =>
+            workflow.stepStates[candidate.id].status === 'awaiting_approval' && (!stepId || candidate.id === stepId));
+        if (!step) {
+            throw new Error(`Step ${stepId} is not awaiting approval`);
+        }
+
         // Add approval data to workflow data
         if (approvalData) {
             Object.assign(workflow.data, approvalData);
         }
+        this.assertDataRestored(workflow);
+
+        // Approval holds for later iterations of a loop too
+        workflow.stepStates[step.id].status = 'pending';
+        workflow.stepStates[step.id].approved = true;
 
         // Resume workflow
         workflow.status = 'running';
-
-        // Execute step handler for current step
-        const currentStep = workflow.steps[workflow.currentStepIndex];
-        return await this.executeStepHandler(workflowId, currentStep);
+        return this.executeWorkflowStep(workflowId);
     }
 
     /**
@@ -411,18 +1157,24 @@ class WorkflowManager {
      * Handle a workflow error
      * @param {string} workflowId - Workflow ID
      * @param {Error} error - Error object
+     * @param {Object} [step] - Step that failed
      */
-    handleWorkflowError(workflowId, error) {
+    handleWorkflowError(workflowId, error, step = null) {
         const workflow = this.activeWorkflows[workflowId];
         if (!workflow) return;
 
+        if (step) {
+            workflow.stepStates[step.id].status = 'error';
+        }
+
         // Update workflow status
         workflow.status = 'error';
         workflow.error = {
             message: error.message,
             stack: error.stack,
-            stepIndex: workflow.currentStepIndex,
-            stepName: workflow.steps[workflow.currentStepIndex]?.name || 'Unknown'
+            stepIndex: step ? workflow.steps.indexOf(step) : workflow.currentStepIndex,
+            stepId: step ? step.id : null,
+            stepName: (step || workflow.steps[workflow.currentStepIndex])?.name || 'Unknown'
         };
 
         workflow.completionTime = new Date().toISOString();
@@ -511,6 +1263,7 @@ class WorkflowManager {
 
         // Cleanup active workflow
         delete this.activeWorkflows[workflowId];
+        this.saveCheckpoints();
     }
 
     /**
@@ -532,12 +1285,7 @@ class WorkflowManager {
         const templateId = template.id || `workflow_${Date.now()}`;
 
         // Validate template
-        if (!template.name) {
-            throw new Error('Workflow template must have a name');
-        }
-        if (!template.steps || !Array.isArray(template.steps) || template.steps.length === 0) {
-            throw new Error('Workflow template must have steps');
-        }
+        this.validateWorkflowTemplate(template);
 
         // Add to templates
         this.workflowTemplates[templateId] = {
@@ -574,14 +1322,22 @@ class WorkflowManager {
             return null;
         }
 
+        const stateOf = step => workflow.stepStates[step.id];
+        const activeSteps = workflow.steps.filter(step => ['running', 'awaiting_approval'].includes(stateOf(step).status));
+
         return {
             workflowId: workflow.id,
             name: workflow.name,
             status: workflow.status,
-            currentStep: workflow.currentStepIndex >= 0 ?
-                workflow.steps[workflow.currentStepIndex].name : null,
+            currentStep: activeSteps.length > 0 ? activeSteps.map(step => step.name).join(', ') : null,
+            steps: workflow.steps.map(step => ({
+                id: step.id,
+                name: step.name,
+                status: stateOf(step).status,
+                runs: stateOf(step).runs
+            })),
             progress: {
-                current: workflow.currentStepIndex + 1,
+                current: workflow.steps.filter(step => ['completed', 'skipped'].includes(stateOf(step).status)).length,
                 total: workflow.steps.length
             },
             startTime: workflow.startTime
@@ -608,3 +1364,8 @@ class WorkflowManager {
 
 // Create global instance
 const workflowManager = new WorkflowManager();
+
+// SystemIntegration and the test page look components up on window by name
+if (typeof window !== 'undefined') {
+    window.workflowManager = workflowManager;
+}
@@ -69,36 +69,120 @@ class ApiClient {
 
         // Queue for API requests
         this.requestQueue = [];
-        this.isProcessingQueue = false;
+        this.queueSequence = 0;
+        this.queueTimer = null;
+
+        // Queued requests sent at once; one slow or backing-off request
+        // doesn't hold up the rest
+        this.maxConcurrentRequests = 4;
+        this.inFlightRequests = 0;
+
+        // Queued background requests kept across a task pane reload. They are
+        // kept in sessionStorage so prompts and document text are not left on
+        // disk once Word closes, and dropped if they wait longer than this.
+        this.persistedQueueMaxAge = 60 * 60 * 1000;
+
+        // Queue priorities: lower values are served first
+        this.requestPriorities = {
+            interactive: 0,
+            normal: 1,
+            batch: 2,
+            scheduled: 3
+        };
+
+        // Handlers for requests restored from a previous session, keyed by source
+        this.restoredRequestHandlers = {};
+
+        // Encrypts API keys at rest; falls back to the securityProtocol service
+        // that security/security-protocol.js publishes through the script bridge
+        this.securityProtocol = null;
 
         // Load API configuration
-        this.loadApiConfig();
+        this.configSaved = Promise.resolve();
+        this.configLoaded = this.loadApiConfig();
 
         // Initialize rate limit tracking
         this.initializeRateLimitTracking();
+
+        // Pick up background work left over from before a reload
+        this.restorePersistedQueue();
+
+        // Stored keys are only read once the security protocol is published
+        if (typeof window !== 'undefined' && !this.getSecurityProtocol()) {
+            const onServiceExposed = (event) => {
+                const security = this.getSecurityProtocol();
+                if (event.detail.name === 'securityProtocol' && security) {
+                    window.removeEventListener('wordGptPlus:serviceExposed', onServiceExposed);
+                    this.setSecurityProtocol(security);
+                }
+            };
+            window.addEventListener('wordGptPlus:serviceExposed', onServiceExposed);
+        }
+    }
+
+    /**
+     * Use a security protocol to encrypt API keys, reloading the stored configuration with it
+     * @param {Object} securityProtocol - Security protocol instance
+     * @returns {Promise<void>} Resolves when the configuration has been reloaded
+     */
+    setSecurityProtocol(securityProtocol) {
+        this.securityProtocol = securityProtocol;
+        this.configLoaded = this.configSaved.then(() => this.loadApiConfig());
+        return this.configLoaded;
+    }
+
+    /**
+     * Get the security protocol used for API keys
+     * @returns {Object|null} Security protocol
+     */
+    getSecurityProtocol() {
+        const services = typeof window !== 'undefined' ? window.wordGptPlusServices : null;
+        return this.securityProtocol || (services && services.securityProtocol) || null;
+    }
+
+    /**
+     * Whether API keys can be encrypted and decrypted
+     * The security protocol has to be published and its local key loaded.
+     * @returns {boolean} True when keys can be read and saved
+     */
+    canProtectKeys() {
+        const security = this.getSecurityProtocol();
+        return Boolean(security && security.keysAvailable);
     }
 
     /**
      * Load API configuration from storage
+     * Without a security protocol, or when its local key can't be loaded, the
+     * stored keys are left unread: they are ciphertext, and using them as keys
+     * would send them to providers and later encrypt them a second time.
+     * @returns {Promise<void>}
      */
-    loadApiConfig() {
+    async loadApiConfig() {
         try {
+            const security = this.getSecurityProtocol();
+
+            // Stored keys are migrated to the current encryption format before we read them
+            if (security && security.ready) {
+                await security.ready;
+            }
+
             const savedConfig = localStorage.getItem('wordGptPlusApiConfig');
             if (savedConfig) {
                 const parsedConfig = JSON.parse(savedConfig);
 
-                // Use security module if available for decryption
-                if (window.securityProtocol && window.securityProtocol.decrypt) {
-                    try {
-                        const decryptedKeys = {};
-                        Object.entries(parsedConfig.keys || {}).forEach(([provider, encryptedKey]) => {
-                            decryptedKeys[provider] = window.securityProtocol.decrypt(encryptedKey, 'local');
-                        });
-                        parsedConfig.keys = decryptedKeys;
-                    } catch (decryptError) {
-                        console.error('Error decrypting API keys:', decryptError);
-                        // Continue with encrypted keys as fallback
+                if (!this.canProtectKeys()) {
+                    console.warn('API keys not loaded: encryption is not available');
+                    delete parsedConfig.keys;
+                } else {
+                    const decryptedKeys = {};
+                    for (const [provider, encryptedKey] of Object.entries(parsedConfig.keys || {})) {
+                        const key = await security.decrypt(encryptedKey, 'local');
+                        // Keys that can't be decrypted have to be entered again
+                        if (key !== null) {
+                            decryptedKeys[provider] = key;
+                        }
                     }
+                    parsedConfig.keys = decryptedKeys;
                 }
 
                 // Merge with existing config
@@ -116,8 +200,20 @@ class ApiClient {
 
     /**
      * Save API configuration to storage
+     * Saves run one after another, so a slow encryption can't let an older
+     * configuration overwrite a newer one.
+     * @returns {Promise<void>}
      */
     saveApiConfig() {
+        this.configSaved = this.configSaved.then(() => this.writeApiConfig());
+        return this.configSaved;
+    }
+
+    /**
+     * Encrypt and write the current API configuration
+     * @returns {Promise<void>}
+     */
+    async writeApiConfig() {
         try {
             // Create a copy of the configuration
             const configToSave = {
@@ -126,18 +222,22 @@ class ApiClient {
                 customEndpoints: { ...this.apiConfig.customEndpoints }
             };
 
-            // Use security module if available for encryption
-            if (window.securityProtocol && window.securityProtocol.encrypt) {
-                try {
-                    const encryptedKeys = {};
-                    Object.entries(configToSave.keys).forEach(([provider, key]) => {
-                        encryptedKeys[provider] = window.securityProtocol.encrypt(key, 'local');
-                    });
-                    configToSave.keys = encryptedKeys;
-                } catch (encryptError) {
-                    console.error('Error encrypting API keys:', encryptError);
-                    // Continue with unencrypted keys as fallback
+            // Keys are only ever written encrypted; while encryption is not
+            // available the stored ones are kept as they are
+            const security = this.getSecurityProtocol();
+            if (security && security.ready) {
+                await security.ready;
+            }
+
+            if (this.canProtectKeys()) {
+                const encryptedKeys = {};
+                for (const [provider, key] of Object.entries(configToSave.keys)) {
+                    encryptedKeys[provider] = await security.encrypt(key, 'local');
                 }
+                configToSave.keys = encryptedKeys;
+            } else {
+                const stored = JSON.parse(localStorage.getItem('wordGptPlusApiConfig') || 'null');
+                configToSave.keys = (stored && stored.keys) || {};
             }
 
             localStorage.setItem('wordGptPlusApiConfig', JSON.stringify(configToSave));
@@ -164,11 +264,15 @@ class ApiClient {
      * Set API key for a provider
      * @param {string} provider - Provider name
      * @param {string} key - API key
+     * @throws {Error} When the key can't be stored encrypted
      */
     setApiKey(provider, key) {
         if (!this.apiProviders[provider]) {
             throw new Error(`Unknown API provider: ${provider}`);
         }
+        if (!this.canProtectKeys()) {
+            throw new Error('API keys cannot be saved until encryption is available');
+        }
 
         this.apiConfig.keys[provider] = key;
         this.saveApiConfig();
@@ -250,6 +354,26 @@ class ApiClient {
         return this.apiProviders[providerName].baseUrl;
     }
 
+    /**
+     * Build request headers, including authorization, for a provider
+     * @param {string} provider - Provider name
+     * @returns {Object} Request headers
+     */
+    getRequestHeaders(provider) {
+        const apiKey = this.apiConfig.keys[provider];
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (provider === 'openai') {
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        } else if (provider === 'azure') {
+            headers['api-key'] = apiKey;
+        }
+
+        return headers;
+    }
+
     /**
      * Check if a request would exceed rate limits
      * @param {string} provider - Provider name
@@ -286,41 +410,97 @@ class ApiClient {
         return false;
     }
 
+    /**
+     * Work out how long a request must wait before it fits in the rate limit window
+     * @param {string} provider - Provider name
+     * @param {number} tokenCount - Expected token count
+     * @returns {number} Milliseconds to wait (0 if the request can go now)
+     */
+    getRateLimitDelay(provider, tokenCount = 0) {
+        const tracking = this.rateLimitTracking[provider];
+        const limits = this.apiProviders[provider]?.rateLimits;
+        if (!tracking || !limits) return 0;
+
+        if (tokenCount >= limits.tokensPerMinute) {
+            throw new Error(`Request of ${tokenCount} tokens can never fit ${provider}'s limit of ${limits.tokensPerMinute} tokens per minute`);
+        }
+
+        const now = Date.now();
+        const oneMinuteAgo = now - 60000;
+
+        tracking.requestTimestamps = tracking.requestTimestamps.filter(time => time > oneMinuteAgo);
+        tracking.tokenCounts = tracking.tokenCounts.filter(entry => entry.time > oneMinuteAgo);
+
+        let delay = 0;
+
+        // Wait until enough requests have left the window
+        const excessRequests = tracking.requestTimestamps.length - limits.requestsPerMinute;
+        if (excessRequests >= 0) {
+            delay = tracking.requestTimestamps[excessRequests] + 60000 - now;
+        }
+
+        // Wait until enough tokens have left the window
+        let recentTokens = tracking.tokenCounts.reduce((sum, entry) => sum + entry.count, 0);
+        for (const entry of tracking.tokenCounts) {
+            if (recentTokens + tokenCount < limits.tokensPerMinute) break;
+            recentTokens -= entry.count;
+            delay = Math.max(delay, entry.time + 60000 - now);
+        }
+
+        return Math.max(0, delay);
+    }
+
     /**
      * Record API usage for rate limiting
+     * Usage is recorded when a request is sent, not when it returns, so
+     * requests sent at the same time all count against the window.
      * @param {string} provider - Provider name
      * @param {number} tokenCount - Token count used
+     * @returns {Object|null} Token entry, to correct once the actual usage is known
      */
     recordApiUsage(provider, tokenCount = 0) {
         const tracking = this.rateLimitTracking[provider];
-        if (!tracking) return;
+        if (!tracking) return null;
 
         const now = Date.now();
 
         tracking.requestTimestamps.push(now);
 
+        const entry = { time: now, count: tokenCount };
         if (tokenCount > 0) {
-            tracking.tokenCounts.push({
-                time: now,
-                count: tokenCount
-            });
+            tracking.tokenCounts.push(entry);
         }
+        return entry;
     }
-
     /**
      * Estimate token count for a request
      * @param {Object} request - Request parameters
+     * @param {string} [model] - Model id, used to pick the tokenizer vocabulary
      * @returns {number} Estimated token count
      */
-    estimateTokenCount(request) {
-        // This is a simplified estimation
-        // In a real implementation, this would use a more accurate algorithm
+    estimateTokenCount(request, model = 'openai') {
+        // Use the BPE tokenizer when utils/tokenization has published it
+        const services = typeof window !== 'undefined' ? window.wordGptPlusServices : null;
+        const tokenizer = services ? services.tokenizer : null;
+
+        if (tokenizer) {
+            if (request.messages) {
+                return tokenizer.estimateMessagesTokenCount(request.messages, model);
+            }
+
+            const text = request.prompt ?? request.input;
+            if (text) {
+                const inputs = Array.isArray(text) ? text : [text];
+                return inputs.reduce((total, item) => total + tokenizer.estimateTokenCount(String(item), model), 0);
+            }
 
-        // Base counts for different request types
+            return 0;
+        }
+
+        // Fallback: roughly 4 characters per token for English text
         if (request.messages) {
             // Chat completion
             return request.messages.reduce((total, message) => {
-                // Roughly 4 characters per token for English text
                 return total + Math.ceil((message.content?.length || 0) / 4);
             }, 0);
         } else if (request.prompt) {
@@ -337,10 +517,14 @@ class ApiClient {
     /**
      * Make an API request to the chat completions endpoint
      * @param {Array} messages - Array of message objects
-     * @param {Object} options - Request options
+     * @param {Object} options - Request options (set `stream` to receive tokens through `onToken`)
      * @returns {Promise<Object>} API response
      */
     async createChatCompletion(messages, options = {}) {
+        if (options.stream) {
+            return this.streamChatCompletion(messages, options);
+        }
+
         const provider = options.provider || this.apiConfig.activeProvider;
 
         if (!this.isProviderConfigured(provider)) {
@@ -366,13 +550,212 @@ class ApiClient {
             requestParams.deployment_id = options.deployment || model;
         }
 
+        // Ask for a JSON object when the caller needs to parse the reply
+        if (options.format === 'json') {
+            requestParams.response_format = { type: 'json_object' };
+        }
+
         // Estimate token count for rate limiting
-        const estimatedTokens = this.estimateTokenCount({ messages }) + requestParams.max_tokens;
+        const estimatedTokens = this.estimateTokenCount({ messages }, model) + requestParams.max_tokens;
 
         // Get appropriate endpoint
         const endpoint = providerConfig.endpoints.chatCompletions;
 
-        return this.makeApiRequest(provider, endpoint, requestParams, estimatedTokens);
+        return this.makeApiRequest(provider, endpoint, requestParams, estimatedTokens, options);
+    }
+
+    /**
+     * Stream a chat completion, delivering tokens as they arrive.
+     * Handles SSE (OpenAI, Azure) and NDJSON (Ollama-style local servers) bodies.
+     * @param {Array} messages - Array of message objects
+     * @param {Object} options - Request options
+     * @param {Function} [options.onToken] - Called with each text fragment
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the stream
+     * @returns {Promise<Object>} Chat completion shaped response holding the full content
+     */
+    async streamChatCompletion(messages, options = {}) {
+        const provider = options.provider || this.apiConfig.activeProvider;
+
+        if (!this.isProviderConfigured(provider)) {
+            throw new Error(`Provider ${provider} is not properly configured`);
+        }
+
+        const providerConfig = this.apiProviders[provider];
+        const model = options.model || providerConfig.defaultModel;
+        const onToken = options.onToken || (() => { });
+
+        const requestParams = {
+            model,
+            messages,
+            temperature: options.temperature ?? 0.7,
+            max_tokens: options.maxTokens || 1000,
+            top_p: options.topP ?? 1,
+            frequency_penalty: options.frequencyPenalty ?? 0,
+            presence_penalty: options.presencePenalty ?? 0,
+            stream: true
+        };
+
+        if (provider === 'azure' && providerConfig.deploymentRequired) {
+            requestParams.deployment_id = options.deployment || model;
+        }
+
+        const estimatedTokens = this.estimateTokenCount({ messages }, model) + requestParams.max_tokens;
+        const endpoint = providerConfig.endpoints.chatCompletions;
+
+        // Streams cannot be replayed from the queue, so wait for the window instead
+        let waitTime;
+        while ((waitTime = this.getRateLimitDelay(provider, estimatedTokens)) > 0) {
+            if (options.signal?.aborted) {
+                return this.buildStreamResult(provider, model, '', 'cancelled', null);
+            }
+            await new Promise(resolve => setTimeout(resolve, waitTime));
+        }
+
+        const url = `${this.getBaseUrl(provider)}${endpoint}`;
+        let content = '';
+        let finishReason = null;
+        let usage = null;
+
+        try {
+            console.log(`Streaming API request to ${provider}:${endpoint}`);
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: this.getRequestHeaders(provider),
+                body: JSON.stringify(requestParams),
+                signal: options.signal
+            });
+
+            this.recordApiUsage(provider, estimatedTokens);
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                const error = new Error(`API error (${response.status}): ${errorData.error}`);
+                error.status = response.status;
+                error.provider = provider;
+                error.endpoint = endpoint;
+                throw error;
+            }
+
+            await this.readEventStream(response, payload => {
+                const token = this.extractStreamToken(payload);
+                if (token) {
+                    content += token;
+                    onToken(token);
+                }
+
+                finishReason = payload.choices?.[0]?.finish_reason || (payload.done ? 'stop' : finishReason);
+                if (payload.usage) {
+                    usage = payload.usage;
+                }
+            });
+        } catch (error) {
+            if (error.name === 'AbortError' || options.signal?.aborted) {
+                return this.buildStreamResult(provider, model, content, 'cancelled', usage);
+            }
+            throw error;
+        }
+
+        // Replace the estimate with the real figure when the server reports it
+        if (usage && usage.total_tokens) {
+            const tracking = this.rateLimitTracking[provider];
+            if (tracking && tracking.tokenCounts.length > 0) {
+                tracking.tokenCounts[tracking.tokenCounts.length - 1].count = usage.total_tokens;
+            }
+        }
+
+        return this.buildStreamResult(provider, model, content, finishReason || 'stop', usage);
+    }
+
+    /**
+     * Read a streaming response body, invoking a callback for each JSON event.
+     * Lines prefixed with `data:` are treated as SSE, bare lines as NDJSON.
+     * @param {Response} response - Fetch response with a readable body
+     * @param {Function} onEvent - Called with each parsed payload
+     * @returns {Promise<void>} Resolves when the stream ends
+     * @private
+     */
+    async readEventStream(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let finished = false;
+
+        const handleLine = rawLine => {
+            let line = rawLine.trim();
+            if (!line || line.startsWith(':') || line.startsWith('event:')) return;
+
+            if (line.startsWith('data:')) {
+                line = line.slice(5).trim();
+            }
+
+            if (line === '[DONE]') {
+                finished = true;
+                return;
+            }
+
+            try {
+                onEvent(JSON.parse(line));
+            } catch (e) {
+                console.warn('Skipping malformed stream chunk:', line);
+            }
+        };
+
+        while (!finished) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            let newlineIndex;
+            while (!finished && (newlineIndex = buffer.indexOf('\n')) !== -1) {
+                handleLine(buffer.slice(0, newlineIndex));
+                buffer = buffer.slice(newlineIndex + 1);
+            }
+        }
+
+        if (!finished && buffer) {
+            handleLine(buffer);
+        }
+
+        if (finished) {
+            reader.cancel().catch(() => { });
+        }
+    }
+
+    /**
+     * Extract the text fragment from a streamed payload
+     * @param {Object} payload - Parsed stream event
+     * @returns {string} Text fragment (empty if the event carries none)
+     * @private
+     */
+    extractStreamToken(payload) {
+        const choice = payload.choices?.[0];
+        if (choice) {
+            return choice.delta?.content || choice.text || '';
+        }
+
+        // Ollama chat and generate formats
+        return payload.message?.content || payload.response || '';
+    }
+
+    /**
+     * Build a chat completion shaped result for a finished stream
+     * @private
+     */
+    buildStreamResult(provider, model, content, finishReason, usage) {
+        return {
+            object: 'chat.completion',
+            model,
+            provider,
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content },
+                finish_reason: finishReason
+            }],
+            usage: usage || undefined,
+            streamed: true
+        };
     }
 
     /**
@@ -408,12 +791,12 @@ class ApiClient {
         }
 
         // Estimate token count for rate limiting
-        const estimatedTokens = this.estimateTokenCount({ prompt }) + requestParams.max_tokens;
+        const estimatedTokens = this.estimateTokenCount({ prompt }, model) + requestParams.max_tokens;
 
         // Get appropriate endpoint
         const endpoint = providerConfig.endpoints.completions;
 
-        return this.makeApiRequest(provider, endpoint, requestParams, estimatedTokens);
+        return this.makeApiRequest(provider, endpoint, requestParams, estimatedTokens, options);
     }
 
     /**
@@ -444,203 +827,440 @@ class ApiClient {
         }
 
         // Estimate token count for rate limiting
-        const estimatedTokens = this.estimateTokenCount({ input });
+        const estimatedTokens = this.estimateTokenCount({ input }, model);
 
         // Get appropriate endpoint
         const endpoint = providerConfig.endpoints.embeddings;
 
-        return this.makeApiRequest(provider, endpoint, requestParams, estimatedTokens);
+        return this.makeApiRequest(provider, endpoint, requestParams, estimatedTokens, options);
     }
 
     /**
-     * Make an API request
+     * Make an API request, queueing it when the provider is rate limited or
+     * other work is already waiting
      * @param {string} provider - Provider name
      * @param {string} endpoint - API endpoint
      * @param {Object} params - Request parameters
      * @param {number} estimatedTokens - Estimated token usage
+     * @param {Object} [queueOptions] - Queue options
+     * @param {string} [queueOptions.priority='interactive'] - interactive, normal, batch or scheduled
+     * @param {string} [queueOptions.source] - Caller identifier, used to deliver restored results
+     * @param {boolean} [queueOptions.persist] - Keep the request across reloads (default: non-interactive only)
+     * @param {AbortSignal} [queueOptions.signal] - Cancels the request, queued or in flight
      * @returns {Promise<Object>} API response
      */
-    async makeApiRequest(provider, endpoint, params, estimatedTokens = 0) {
-        // Check rate limits
-        if (this.checkRateLimit(provider, estimatedTokens)) {
-            // Add to queue and process when available
-            return new Promise((resolve, reject) => {
-                this.requestQueue.push({
-                    provider,
-                    endpoint,
-                    params,
-                    estimatedTokens,
-                    resolve,
-                    reject,
-                    retries: 0
-                });
+    async makeApiRequest(provider, endpoint, params, estimatedTokens = 0, queueOptions = {}) {
+        const priority = this.resolvePriority(queueOptions.priority);
 
-                this.processRequestQueue();
-            });
+        // Go straight out when nothing is waiting and the window has room
+        if (this.requestQueue.length === 0 && this.getRateLimitDelay(provider, estimatedTokens) === 0) {
+            return this.executeRequest(provider, endpoint, params, estimatedTokens, queueOptions.signal);
         }
 
-        // Make the request
-        return this.executeRequest(provider, endpoint, params, estimatedTokens);
+        return new Promise((resolve, reject) => {
+            const request = {
+                id: `q_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`,
+                provider,
+                endpoint,
+                params,
+                estimatedTokens,
+                priority,
+                source: queueOptions.source || 'taskpane',
+                persist: queueOptions.persist ?? priority > this.requestPriorities.interactive,
+                enqueuedAt: Date.now(),
+                signal: queueOptions.signal,
+                resolve,
+                reject
+            };
+
+            // A caller that gives up while the request is still queued takes it out of the queue
+            if (queueOptions.signal) {
+                queueOptions.signal.addEventListener('abort', () => {
+                    if (this.requestQueue.includes(request)) {
+                        this.settleQueuedRequest(request, null, new DOMException('Request aborted', 'AbortError'));
+                    }
+                }, { once: true });
+            }
+
+            this.enqueueRequest(request);
+        });
     }
 
     /**
-     * Execute an API request
-     * @param {string} provider - Provider name
-     * @param {string} endpoint - API endpoint
-     * @param {Object} params - Request parameters
-     * @param {number} estimatedTokens - Estimated token usage
-     * @returns {Promise<Object>} API response
+     * Map a priority name or number to its numeric value
+     * @param {string|number} [priority] - Priority name or value
+     * @returns {number} Numeric priority
      */
-    async executeRequest(provider, endpoint, params, estimatedTokens) {
-        try {
-            const baseUrl = this.getBaseUrl(provider);
-            const url = `${baseUrl}${endpoint}`;
+    resolvePriority(priority) {
+        if (typeof priority === 'number') {
+            return priority;
+        }
+        return this.requestPriorities[priority] ?? this.requestPriorities.interactive;
+    }
 
-            // Get API key
-            const apiKey = this.apiConfig.keys[provider];
+    /**
+     * Add a request to the queue and start processing
+     * @param {Object} request - Queued request
+     * @private
+     */
+    enqueueRequest(request) {
+        request.sequence = this.queueSequence++;
+        this.requestQueue.push(request);
 
-            // Prepare headers
-            const headers = {
-                'Content-Type': 'application/json'
-            };
+        if (request.persist) {
+            this.savePersistedQueue();
+        }
 
-            // Add authorization header based on provider
-            if (provider === 'openai') {
-                headers['Authorization'] = `Bearer ${apiKey}`;
-            } else if (provider === 'azure') {
-                headers['api-key'] = apiKey;
-            }
+        this.processRequestQueue();
+    }
 
-            // Make request
-            console.log(`Making API request to ${provider}:${endpoint}`);
+    /**
+     * Pick the next request to send: highest priority first, then oldest.
+     * A provider whose best request is still rate limited is skipped entirely
+     * so smaller, lower-priority work cannot keep eating its budget. Requests
+     * already in flight or backing off before a retry are passed over.
+     * @returns {{request: Object|null, waitTime: number}} Next request, or how long to wait
+     * @private
+     */
+    selectNextRequest() {
+        const ordered = [...this.requestQueue].sort((a, b) =>
+            a.priority - b.priority || a.sequence - b.sequence
+        );
+        const blockedProviders = new Set();
+        const now = Date.now();
+        let waitTime = Infinity;
 
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify(params)
-            });
+        for (const request of ordered) {
+            // Restored requests wait until they are known to have a handler
+            if (request.inFlight || request.held) continue;
 
-            // Record API usage
-            this.recordApiUsage(provider, estimatedTokens);
+            if (request.retryAt > now) {
+                waitTime = Math.min(waitTime, request.retryAt - now);
+                continue;
+            }
 
-            // Check if response is OK
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-                const error = new Error(`API error (${response.status}): ${errorData.error}`);
-                error.status = response.status;
-                error.provider = provider;
-                error.endpoint = endpoint;
+            if (blockedProviders.has(request.provider)) continue;
 
-                // Check if we should retry based on status code
-                if (this.shouldRetry(response.status)) {
-                    throw error; // Will be caught and retried
-                }
+            let delay;
+            try {
+                delay = this.getRateLimitDelay(request.provider, request.estimatedTokens);
+            } catch (error) {
+                // Can never be sent; fail it rather than block the queue
+                this.settleQueuedRequest(request, null, error);
+                return this.selectNextRequest();
+            }
 
-                // Otherwise, propagate error
-                throw error;
+            if (delay === 0) {
+                return { request, waitTime: 0 };
             }
 
-            // Parse response
-            const data = await response.json();
+            blockedProviders.add(request.provider);
+            waitTime = Math.min(waitTime, delay);
+        }
 
-            // Calculate actual token usage if available
-            if (data.usage && data.usage.total_tokens) {
-                // If actual token usage is available, update our tracking
-                const actualTokens = data.usage.total_tokens;
+        return { request: null, waitTime };
+    }
+    /**
+     * Remove a request from the queue and deliver its outcome
+     * @private
+     */
+    settleQueuedRequest(request, result, error) {
+        this.requestQueue = this.requestQueue.filter(item => item !== request);
 
-                // Update the last token count entry
-                const tracking = this.rateLimitTracking[provider];
-                if (tracking && tracking.tokenCounts.length > 0) {
-                    const lastEntry = tracking.tokenCounts[tracking.tokenCounts.length - 1];
-                    lastEntry.count = actualTokens;
-                }
-            }
+        if (request.persist) {
+            this.savePersistedQueue();
+        }
 
-            return data;
-        } catch (error) {
-            // Handle retryable errors
-            if (this.shouldRetry(error.status)) {
-                return this.retryRequest(provider, endpoint, params, estimatedTokens);
+        if (error) {
+            request.reject(error);
+        } else {
+            request.resolve(result);
+        }
+    }
+
+    /**
+     * Get a summary of queued requests
+     * @returns {Object} Counts by priority name and by source
+     */
+    getQueueStatus() {
+        const byPriority = {};
+        const bySource = {};
+        const priorityNames = Object.fromEntries(
+            Object.entries(this.requestPriorities).map(([name, value]) => [value, name])
+        );
+
+        this.requestQueue.forEach(request => {
+            const name = priorityNames[request.priority] || String(request.priority);
+            byPriority[name] = (byPriority[name] || 0) + 1;
+            bySource[request.source] = (bySource[request.source] || 0) + 1;
+        });
+
+        return { total: this.requestQueue.length, byPriority, bySource };
+    }
+
+    /**
+     * Cancel queued requests, optionally only those from one source
+     * @param {string} [source] - Caller identifier
+     * @returns {number} Number of requests cancelled
+     */
+    cancelQueuedRequests(source = null) {
+        const cancelled = this.requestQueue.filter(request => !source || request.source === source);
+
+        cancelled.forEach(request => {
+            this.settleQueuedRequest(request, null, new Error('Queued request cancelled'));
+        });
+
+        return cancelled.length;
+    }
+
+    /**
+     * Register a handler for requests restored after a reload.
+     * The original caller is gone, so results are delivered here instead;
+     * restored requests from a source without a handler are not sent.
+     * @param {string} source - Caller identifier used when the request was queued
+     * @param {Function} handler - Called with ({ id, params, result, error })
+     */
+    onRestoredRequest(source, handler) {
+        this.restoredRequestHandlers[source] = handler;
+    }
+
+    /**
+     * Save persistable queued requests to session storage
+     * @private
+     */
+    savePersistedQueue() {
+        try {
+            const persisted = this.requestQueue
+                .filter(request => request.persist)
+                .map(({ id, provider, endpoint, params, estimatedTokens, priority, source, enqueuedAt }) => ({
+                    id, provider, endpoint, params, estimatedTokens, priority, source, enqueuedAt
+                }));
+
+            if (persisted.length > 0) {
+                sessionStorage.setItem('wordGptPlusRequestQueue', JSON.stringify(persisted));
+            } else {
+                sessionStorage.removeItem('wordGptPlusRequestQueue');
             }
+        } catch (error) {
+            // Too large for storage; the requests still run, but won't survive a reload
+            console.error('Error saving request queue:', error);
+            sessionStorage.removeItem('wordGptPlusRequestQueue');
+        }
+    }
+    /**
+     * Restore queued requests saved before the task pane was reloaded
+     * @private
+     */
+    restorePersistedQueue() {
+        try {
+            // Earlier versions kept the queue, prompts included, in localStorage
+            localStorage.removeItem('wordGptPlusRequestQueue');
+
+            const saved = sessionStorage.getItem('wordGptPlusRequestQueue');
+            if (!saved) return;
+
+            const oldest = Date.now() - this.persistedQueueMaxAge;
+            const restored = JSON.parse(saved).filter(item => item.enqueuedAt > oldest);
+            restored.forEach(item => {
+                const deliver = (result, error) => {
+                    const handler = this.restoredRequestHandlers[item.source];
+                    if (handler) {
+                        handler({ id: item.id, source: item.source, params: item.params, result, error });
+                    }
+                };
 
-            throw error;
+                this.requestQueue.push({
+                    ...item,
+                    persist: true,
+                    restored: true,
+                    held: true,
+                    sequence: this.queueSequence++,
+                    resolve: result => deliver(result, null),
+                    reject: error => deliver(null, error)
+                });
+            });
+
+            if (restored.length > 0) {
+                console.log(`Restored ${restored.length} queued API requests`);
+                // Wait for the API keys, which also gives other modules a chance to register handlers
+                this.configLoaded.then(() => this.releaseRestoredRequests());
+            }
+        } catch (error) {
+            console.error('Error restoring request queue:', error);
         }
     }
 
     /**
-     * Process queued requests
+     * Let restored requests be sent once handlers have had a chance to register
+     * Requests no handler will receive are dropped: their results would be
+     * paid for and then discarded.
+     * @private
      */
-    async processRequestQueue() {
-        // If already processing or queue is empty, do nothing
-        if (this.isProcessingQueue || this.requestQueue.length === 0) {
-            return;
+    releaseRestoredRequests() {
+        const held = this.requestQueue.filter(request => request.held);
+        const unclaimed = held.filter(request => !this.restoredRequestHandlers[request.source]);
+
+        held.forEach(request => {
+            request.held = false;
+        });
+        unclaimed.forEach(request => {
+            this.settleQueuedRequest(request, null, new Error('No handler for restored request'));
+        });
+
+        if (unclaimed.length > 0) {
+            console.warn(`Dropped ${unclaimed.length} restored API requests with no handler`);
         }
 
-        this.isProcessingQueue = true;
+        this.processRequestQueue();
+    }
 
-        try {
-            // Process queue until empty
-            while (this.requestQueue.length > 0) {
-                const request = this.requestQueue[0];
-
-                // Check if we can send the request now
-                if (this.checkRateLimit(request.provider, request.estimatedTokens)) {
-                    // Still rate limited, wait and try again
-                    await new Promise(resolve => setTimeout(resolve, 5000));
-                    continue;
+    /**
+     * Execute an API request, retrying rate limit and server errors with backoff
+     * @param {string} provider - Provider name
+     * @param {string} endpoint - API endpoint
+     * @param {Object} params - Request parameters
+     * @param {number} estimatedTokens - Estimated token usage
+     * @param {AbortSignal} [signal] - Cancels the request and any retries
+     * @returns {Promise<Object>} API response
+     */
+    async executeRequest(provider, endpoint, params, estimatedTokens, signal) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.sendRequest(provider, endpoint, params, estimatedTokens, signal);
+            } catch (error) {
+                if (signal?.aborted || !this.shouldRetry(error.status)) {
+                    throw error;
                 }
-
-                // Remove request from queue
-                this.requestQueue.shift();
-
-                try {
-                    // Execute request
-                    const result = await this.executeRequest(
-                        request.provider,
-                        request.endpoint,
-                        request.params,
-                        request.estimatedTokens
-                    );
-
-                    request.resolve(result);
-                } catch (error) {
-                    request.reject(error);
+                if (attempt >= this.retryConfig.maxRetries) {
+                    // Keep the last status so callers such as the failover chain can tell why
+                    const exhausted = new Error(`Maximum retries (${this.retryConfig.maxRetries}) exceeded for ${provider}:${endpoint}: ${error.message}`);
+                    exhausted.status = error.status;
+                    exhausted.retryable = true;
+                    exhausted.provider = provider;
+                    exhausted.endpoint = endpoint;
+                    exhausted.cause = error;
+                    throw exhausted;
                 }
+
+                const delay = Math.max(this.getRetryDelay(attempt), this.getRateLimitDelay(provider, estimatedTokens));
+                console.log(`Retrying API request to ${provider}:${endpoint} (attempt ${attempt + 1}/${this.retryConfig.maxRetries}) after ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
             }
-        } finally {
-            this.isProcessingQueue = false;
         }
     }
 
     /**
-     * Retry a failed request with exponential backoff
+     * Send a request once
+     * @param {string} provider - Provider name
+     * @param {string} endpoint - API endpoint
+     * @param {Object} params - Request parameters
+     * @param {number} estimatedTokens - Estimated token usage
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<Object>} API response
      * @private
      */
-    async retryRequest(provider, endpoint, params, estimatedTokens, currentRetry = 0) {
-        const maxRetries = this.retryConfig.maxRetries;
+    async sendRequest(provider, endpoint, params, estimatedTokens, signal) {
+        const baseUrl = this.getBaseUrl(provider);
+        const url = `${baseUrl}${endpoint}`;
+
+        // Count the request before it goes out so concurrent callers see it
+        const usage = this.recordApiUsage(provider, estimatedTokens);
+
+        console.log(`Making API request to ${provider}:${endpoint}`);
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: this.getRequestHeaders(provider),
+            body: JSON.stringify(params),
+            signal
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+            const error = new Error(`API error (${response.status}): ${errorData.error}`);
+            error.status = response.status;
+            error.provider = provider;
+            error.endpoint = endpoint;
+            throw error;
+        }
 
-        if (currentRetry >= maxRetries) {
-            throw new Error(`Maximum retries (${maxRetries}) exceeded for ${provider}:${endpoint}`);
+        const data = await response.json();
+
+        // Replace the estimate with the actual token usage when the provider reports it
+        if (usage && data.usage && data.usage.total_tokens) {
+            usage.count = data.usage.total_tokens;
         }
 
-        // Calculate backoff delay
-        const delay = this.retryConfig.initialDelay * Math.pow(this.retryConfig.backoffFactor, currentRetry);
+        return data;
+    }
+
+    /**
+     * Backoff before a retry
+     * @param {number} attempt - Number of retries already made
+     * @returns {number} Milliseconds to wait
+     * @private
+     */
+    getRetryDelay(attempt) {
+        return this.retryConfig.initialDelay * Math.pow(this.retryConfig.backoffFactor, attempt);
+    }
+    /**
+     * Send queued requests, up to maxConcurrentRequests at a time, waiting out
+     * rate limit windows instead of failing
+     */
+    processRequestQueue() {
+        clearTimeout(this.queueTimer);
+        this.queueTimer = null;
+
+        while (this.inFlightRequests < this.maxConcurrentRequests) {
+            const { request, waitTime } = this.selectNextRequest();
+
+            if (!request) {
+                // Wake up when the earliest window opens or retry is due;
+                // finishing requests also wake the queue
+                if (waitTime !== Infinity) {
+                    this.queueTimer = setTimeout(() => this.processRequestQueue(), waitTime);
+                }
+                return;
+            }
 
-        console.log(`Retrying API request to ${provider}:${endpoint} (attempt ${currentRetry + 1}/${maxRetries}) after ${delay}ms`);
+            this.dispatchQueuedRequest(request);
+        }
+    }
 
-        // Wait for backoff delay
-        await new Promise(resolve => setTimeout(resolve, delay));
+    /**
+     * Send one queued request
+     * A request that fails with a retryable error goes back in the queue
+     * until its backoff has passed, so it doesn't hold a slot meanwhile.
+     * @param {Object} request - Queued request
+     * @private
+     */
+    async dispatchQueuedRequest(request) {
+        request.inFlight = true;
+        this.inFlightRequests++;
 
         try {
-            return await this.executeRequest(provider, endpoint, params, estimatedTokens);
+            const result = await this.sendRequest(
+                request.provider,
+                request.endpoint,
+                request.params,
+                request.estimatedTokens,
+                request.signal
+            );
+            this.settleQueuedRequest(request, result, null);
         } catch (error) {
-            if (this.shouldRetry(error.status)) {
-                return this.retryRequest(provider, endpoint, params, estimatedTokens, currentRetry + 1);
+            request.retries = (request.retries || 0) + 1;
+
+            if (!request.signal?.aborted && this.shouldRetry(error.status) && request.retries <= this.retryConfig.maxRetries) {
+                request.retryAt = Date.now() + this.getRetryDelay(request.retries - 1);
+            } else {
+                this.settleQueuedRequest(request, null, error);
             }
-            throw error;
+        } finally {
+            request.inFlight = false;
+            this.inFlightRequests--;
+            this.processRequestQueue();
         }
     }
-
     /**
      * Check if an error should trigger a retry
      * @private
@@ -668,25 +1288,10 @@ class ApiClient {
 
             const url = `${baseUrl}${endpoint}`;
 
-            // Get API key
-            const apiKey = this.apiConfig.keys[providerName];
-
-            // Prepare headers
-            const headers = {
-                'Content-Type': 'application/json'
-            };
-
-            // Add authorization header based on provider
-            if (providerName === 'openai') {
-                headers['Authorization'] = `Bearer ${apiKey}`;
-            } else if (providerName === 'azure') {
-                headers['api-key'] = apiKey;
-            }
-
             // Make request
             const response = await fetch(url, {
                 method: 'GET',
-                headers: headers
+                headers: this.getRequestHeaders(providerName)
             });
 
             if (!response.ok) {
@@ -706,6 +1311,8 @@ class ApiClient {
      * Generate text based on a prompt
      * @param {string} prompt - Text prompt
      * @param {Object} options - Generation options
+     * @param {string} [options.systemPrompt] - Sent as the system message
+     * @param {string} [options.format] - 'json' to ask for a JSON object
      * @returns {Promise<string>} Generated text
      */
     async generateText(prompt, options = {}) {
@@ -717,6 +1324,10 @@ class ApiClient {
                     content: prompt
                 }];
 
+                if (options.systemPrompt) {
+                    messages.unshift({ role: 'system', content: options.systemPrompt });
+                }
+
                 const response = await this.createChatCompletion(messages, options);
 
                 if (response.choices && response.choices[0] && response.choices[0].message) {
@@ -726,7 +1337,8 @@ class ApiClient {
                 }
             } else {
                 // Use traditional completions for older models
-                const response = await this.createCompletion(prompt, options);
+                const fullPrompt = options.systemPrompt ? `${options.systemPrompt}\n\n${prompt}` : prompt;
+                const response = await this.createCompletion(fullPrompt, options);
 
                 if (response.choices && response.choices[0] && response.choices[0].text) {
                     return response.choices[0].text;
@@ -742,4 +1354,9 @@ class ApiClient {
 }
 
 // Create global instance
-const apiClient = new ApiClient();
\ No newline at end of file
+const apiClient = new ApiClient();
+
+// SystemIntegration and the test page look components up on window by name
+if (typeof window !== 'undefined') {
+    window.apiClient = apiClient;
+}
@@ -8,6 +8,7 @@ import logger from '../utils/logger';
 import secureStorage from '../security/secure-storage';
 import contentScanner from '../security/content-scanner';
 import config from '../config';
+import { isRetryableStatus } from './retry-policy';
 
 // Create a logger for API operations
 const apiLogger = logger.createContextLogger('API');
@@ -350,8 +351,7 @@ class EnhancedApiClient {
      * @private
      */
     _shouldRetry(status) {
-        // Retry on rate limiting (429), server errors (5xx), or network issues (no status)
-        return status === 429 || (status >= 500 && status < 600) || !status;
+        return isRetryableStatus(status);
     }
 
     /**
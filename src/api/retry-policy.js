@@ -0,0 +1,14 @@
+/**
+ * Word GPT Plus - Retry Policy
+ * Shared rules for deciding whether a failed API request is worth repeating
+ */
+
+/**
+ * Check if a request should be retried (or sent elsewhere) based on its status
+ * @param {number} [status] - HTTP status code
+ * @returns {boolean} Whether the failure is transient
+ */
+export function isRetryableStatus(status) {
+    // Retry on rate limiting (429), server errors (5xx), or network issues (no status)
+    return status === 429 || (status >= 500 && status < 600) || !status;
+}
@@ -1,6 +1,11 @@
 /**
  * Word GPT Plus - Automation Manager
  * Central system for managing automated document tasks and workflows
+ *
+ * Chains here are fixed sequences of this manager's own automations. They are
+ * separate from the template workflows in automation/workflow-manager.js,
+ * which have their own step graph, tracking and checkpoints; merging the two
+ * is out of scope for now.
  */
 
 import documentAnalyzer from './document-analyzer.js';
@@ -15,15 +20,20 @@ class AutomationManager {
         // Registry for available automations
         this.automations = {};
 
-        // Active workflow trackers
+        // Named chains of automations run one after another
+        this.chains = {};
+
+        // Active workflow trackers; single runs and chains share the same limit
         this.activeWorkflows = {};
         this.workflowHistory = [];
+        this.workflowWaiters = [];
 
         // Configuration
         this.config = {
             maxConcurrentWorkflows: 3,
             defaultTimeoutMs: 60000, // 1 minute
             retryAttempts: 2,
+            retryDelayMs: 1000, // Multiplied by the attempt number
             autoSave: true
         };
 
@@ -44,6 +54,10 @@ class AutomationManager {
             // Load custom automations from storage
             await this.loadCustomAutomations();
 
+            // Register chains once every automation they use is known
+            this.registerBuiltInChains();
+            this.loadCustomChains();
+
             // Load config
             this.loadConfig();
 
@@ -62,7 +76,7 @@ class AutomationManager {
             name: 'Analyze Readability',
             description: 'Analyze document readability and suggest improvements',
             category: 'analysis',
-            handler: documentAnalyzer.analyzeReadability,
+            handler: documentAnalyzer.analyzeReadability.bind(documentAnalyzer),
             params: [{
                 name: 'target',
                 type: 'string',
@@ -75,7 +89,7 @@ class AutomationManager {
             name: 'Analyze Tone',
             description: 'Identify document tone and sentiment',
             category: 'analysis',
-            handler: documentAnalyzer.analyzeTone,
+            handler: documentAnalyzer.analyzeTone.bind(documentAnalyzer),
             params: [{
                 name: 'target',
                 type: 'string',
@@ -89,7 +103,7 @@ class AutomationManager {
             name: 'Generate Outline',
             description: 'Create document outline based on topic',
             category: 'generation',
-            handler: contentGenerator.generateOutline,
+            handler: contentGenerator.generateOutline.bind(contentGenerator),
             params: [{
                 name: 'topic',
                 type: 'string',
@@ -112,7 +126,7 @@ class AutomationManager {
             name: 'Expand Bullet Points',
             description: 'Convert bullet points to fully developed paragraphs',
             category: 'generation',
-            handler: contentGenerator.expandBulletPoints
+            handler: contentGenerator.expandBulletPoints.bind(contentGenerator)
         });
 
         // Batch processing automations
@@ -120,14 +134,14 @@ class AutomationManager {
             name: 'Format All Headings',
             description: 'Apply consistent formatting to all document headings',
             category: 'batch',
-            handler: batchProcessor.formatHeadings
+            handler: batchProcessor.formatHeadings.bind(batchProcessor)
         });
 
         this.registerAutomation('batch-fix-grammar', {
             name: 'Fix Grammar Throughout',
             description: 'Find and fix grammar issues throughout document',
             category: 'batch',
-            handler: batchProcessor.fixGrammar
+            handler: batchProcessor.fixGrammar.bind(batchProcessor)
         });
 
         // Citation automations
@@ -135,7 +149,7 @@ class AutomationManager {
             name: 'Format Citations',
             description: 'Format citations according to chosen style',
             category: 'academic',
-            handler: citationManager.formatCitations,
+            handler: citationManager.formatCitations.bind(citationManager),
             params: [{
                 name: 'style',
                 type: 'string',
@@ -148,7 +162,14 @@ class AutomationManager {
             name: 'Generate Bibliography',
             description: 'Create a bibliography from document citations',
             category: 'academic',
-            handler: citationManager.generateBibliography
+            handler: citationManager.generateBibliography.bind(citationManager)
+        });
+
+        this.registerAutomation('refresh-citations', {
+            name: 'Refresh Citations',
+            description: 'Renumber citation fields and rebuild the bibliography in place',
+            category: 'academic',
+            handler: citationManager.refreshCitations.bind(citationManager)
         });
 
         // Format conversion automations
@@ -156,14 +177,14 @@ class AutomationManager {
             name: 'Convert to Smart Quotes',
             description: 'Convert straight quotes to smart quotes throughout document',
             category: 'formatting',
-            handler: formatConverter.smartifyQuotes
+            handler: formatConverter.smartifyQuotes.bind(formatConverter)
         });
 
         this.registerAutomation('format-table', {
             name: 'Format Table',
             description: 'Apply professional formatting to selected table',
             category: 'formatting',
-            handler: formatConverter.formatTable,
+            handler: formatConverter.formatTable.bind(formatConverter),
             params: [{
                 name: 'style',
                 type: 'string',
@@ -173,6 +194,128 @@ class AutomationManager {
         });
     }
 
+    /**
+     * Register built-in automation chains
+     */
+    registerBuiltInChains() {
+        this.registerChain('academic-cleanup', {
+            name: 'Academic Cleanup',
+            description: 'Check readability, fix grammar, format headings and rebuild the bibliography',
+            params: [{
+                name: 'style',
+                type: 'string',
+                enum: ['APA', 'MLA', 'Chicago', 'Harvard'],
+                default: 'APA'
+            }],
+            steps: [
+                { id: 'readability', automationId: 'analyze-readability', params: { target: 'document' } },
+                { id: 'grammar', automationId: 'batch-fix-grammar' },
+                { id: 'headings', automationId: 'batch-format-headings' },
+                { id: 'bibliography', automationId: 'generate-bibliography', paramsFrom: { style: 'params.style' } }
+            ]
+        });
+    }
+
+    /**
+     * Register an automation chain
+     * Each step runs an automation with its static `params`, plus values named
+     * in `paramsFrom` as "params.<name>" (the chain's run parameters) or
+     * "<stepId>.<path>" (the result of an earlier step), e.g.
+     *   { id: 'tone', automationId: 'analyze-tone', paramsFrom: { target: 'params.target' } }
+     * @param {string} id - Unique chain identifier
+     * @param {Object} chain - { name, description, params, steps }
+     */
+    registerChain(id, chain) {
+        if (!chain.name) {
+            throw new Error(`Automation chain "${id}" needs a name`);
+        }
+        if (!Array.isArray(chain.steps) || chain.steps.length === 0) {
+            throw new Error(`Automation chain "${id}" needs at least one step`);
+        }
+
+        const steps = chain.steps.map(step => ({ ...step, id: step.id || step.automationId }));
+        const earlierSteps = new Set();
+
+        steps.forEach(step => {
+            if (!this.automations[step.automationId]) {
+                throw new Error(`Automation chain "${id}", step "${step.id}": automation "${step.automationId}" not found`);
+            }
+            if (earlierSteps.has(step.id)) {
+                throw new Error(`Automation chain "${id}": duplicate step "${step.id}"`);
+            }
+
+            Object.entries(step.paramsFrom || {}).forEach(([name, source]) => {
+                const [root] = String(source).split('.');
+                if (root !== 'params' && !earlierSteps.has(root)) {
+                    throw new Error(`Automation chain "${id}", step "${step.id}": parameter "${name}" reads from "${source}", which is not an earlier step`);
+                }
+            });
+
+            earlierSteps.add(step.id);
+        });
+
+        if (this.chains[id]) {
+            console.warn(`Overwriting existing automation chain: ${id}`);
+        }
+
+        this.chains[id] = {
+            id,
+            ...chain,
+            steps,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Create a custom automation chain
+     * @param {Object} chain - Chain definition, as for registerChain
+     * @returns {string} - ID of created chain
+     */
+    createCustomChain(chain) {
+        const id = chain.id || `chain_${Date.now()}`;
+
+        this.registerChain(id, { ...chain, isCustom: true });
+        this.saveCustomChains();
+
+        return id;
+    }
+
+    /**
+     * Load custom automation chains from storage
+     */
+    loadCustomChains() {
+        try {
+            const stored = localStorage.getItem('wordGptPlusAutomationChains');
+            if (stored) {
+                Object.entries(JSON.parse(stored)).forEach(([id, chain]) => {
+                    try {
+                        this.registerChain(id, chain);
+                    } catch (e) {
+                        console.error(`Failed to load automation chain "${id}":`, e);
+                    }
+                });
+            }
+        } catch (error) {
+            console.error('Error loading automation chains:', error);
+        }
+    }
+
+    /**
+     * Save custom automation chains to storage
+     */
+    saveCustomChains() {
+        try {
+            const customChains = Object.fromEntries(
+                Object.entries(this.chains)
+                    .filter(([_, chain]) => chain.isCustom)
+            );
+
+            localStorage.setItem('wordGptPlusAutomationChains', JSON.stringify(customChains));
+        } catch (error) {
+            console.error('Error saving automation chains:', error);
+        }
+    }
+
     /**
      * Register a new automation
      * @param {string} id - Unique automation identifier
@@ -261,49 +404,27 @@ class AutomationManager {
             throw new Error(`Automation "${id}" not found`);
         }
 
-        const automation = this.automations[id];
-
-        // Validate required parameters
-        if (automation.params) {
-            const missingParams = automation.params
-                .filter(param => param.required && !params[param.name])
-                .map(param => param.name);
-
-            if (missingParams.length > 0) {
-                throw new Error(`Missing required parameters for "${id}": ${missingParams.join(', ')}`);
-            }
-        }
+        this.validateParams(id, params);
 
         // Generate workflow ID
         const workflowId = `wf_${Date.now()}_${id}`;
 
         try {
-            // Track workflow
-            this.activeWorkflows[workflowId] = {
+            // Track workflow once a slot is free
+            await this.trackWorkflow({
                 id: workflowId,
                 automationId: id,
                 params,
-                startTime: Date.now(),
                 status: 'running'
-            };
-
-            // Create Word context
-            const context = await this.createWordContext();
+            });
+            this.activeWorkflows[workflowId].startTime = Date.now();
 
-            // Execute the automation
-            console.log(`Running automation "${id}" with params:`, params);
-            const result = await automation.handler(context, params);
+            const result = await this.executeAutomation(id, params);
 
             // Update workflow status
             this.activeWorkflows[workflowId].status = 'completed';
-            this.activeWorkflows[workflowId].endTime = Date.now();
             this.activeWorkflows[workflowId].result = result;
-
-            // Add to history
-            this.addToHistory(this.activeWorkflows[workflowId]);
-
-            // Clean up
-            delete this.activeWorkflows[workflowId];
+            this.finishWorkflow(workflowId);
 
             return {
                 success: true,
@@ -317,14 +438,8 @@ class AutomationManager {
             // Update workflow status
             if (this.activeWorkflows[workflowId]) {
                 this.activeWorkflows[workflowId].status = 'failed';
-                this.activeWorkflows[workflowId].endTime = Date.now();
                 this.activeWorkflows[workflowId].error = error.message;
-
-                // Add to history
-                this.addToHistory(this.activeWorkflows[workflowId]);
-
-                // Clean up
-                delete this.activeWorkflows[workflowId];
+                this.finishWorkflow(workflowId);
             }
 
             return {
@@ -335,6 +450,203 @@ class AutomationManager {
         }
     }
 
+    /**
+     * Run an automation chain, retrying failed steps up to config.retryAttempts times
+     * @param {string} chainId - Chain ID
+     * @param {Object} params - Run parameters, available to steps as "params.<name>"
+     * @param {Object} options - Options
+     * @param {function(Object): void} [options.onProgress] - Called with the chain run after every step change
+     * @returns {Promise<Object>} - { success, workflowId, results, steps } or { success: false, error, failedStep }
+     */
+    async runChain(chainId, params = {}, options = {}) {
+        const chain = this.chains[chainId];
+        if (!chain) {
+            throw new Error(`Automation chain "${chainId}" not found`);
+        }
+
+        const onProgress = options.onProgress || (() => {});
+        const workflowId = `wf_${Date.now()}_${chainId}`;
+        const run = {
+            id: workflowId,
+            chainId,
+            params,
+            status: 'queued',
+            steps: chain.steps.map(step => ({
+                id: step.id,
+                automationId: step.automationId,
+                name: this.automations[step.automationId].name,
+                status: 'pending',
+                attempts: 0
+            }))
+        };
+        const report = () => onProgress({ ...run, steps: run.steps.map(step => ({ ...step })) });
+
+        report();
+        await this.trackWorkflow(run);
+
+        run.status = 'running';
+        run.startTime = Date.now();
+        report();
+
+        // Results by step ID, for later steps' paramsFrom
+        const results = {};
+
+        for (const [index, step] of chain.steps.entries()) {
+            const stepRun = run.steps[index];
+
+            try {
+                const stepParams = { ...step.params, ...this.resolveChainParams(step.paramsFrom, params, results) };
+                this.validateParams(step.automationId, stepParams);
+
+                results[step.id] = await this.runChainStep(step, stepParams, stepRun, report);
+                stepRun.status = 'completed';
+                report();
+            } catch (error) {
+                console.error(`Automation chain "${chainId}" failed at step "${step.id}":`, error);
+
+                stepRun.status = 'failed';
+                stepRun.error = error.message;
+                run.status = 'failed';
+                run.error = error.message;
+                report();
+                this.finishWorkflow(workflowId);
+
+                return {
+                    success: false,
+                    workflowId,
+                    error: error.message,
+                    failedStep: step.id,
+                    steps: run.steps
+                };
+            }
+        }
+
+        run.status = 'completed';
+        run.result = results;
+        report();
+        this.finishWorkflow(workflowId);
+
+        return {
+            success: true,
+            workflowId,
+            results,
+            steps: run.steps
+        };
+    }
+
+    /**
+     * Run one chain step, retrying on failure
+     * @private
+     */
+    async runChainStep(step, params, stepRun, report) {
+        for (let attempt = 1; ; attempt++) {
+            stepRun.attempts = attempt;
+            stepRun.status = attempt === 1 ? 'running' : 'retrying';
+            report();
+
+            try {
+                return await this.executeAutomation(step.automationId, params);
+            } catch (error) {
+                if (attempt > this.config.retryAttempts) {
+                    throw error;
+                }
+
+                console.warn(`Retrying step "${step.id}" after error: ${error.message}`);
+                stepRun.error = error.message;
+                await new Promise(resolve => setTimeout(resolve, this.config.retryDelayMs * attempt));
+            }
+        }
+    }
+
+    /**
+     * Resolve a step's paramsFrom against the run parameters and earlier results
+     * @private
+     */
+    resolveChainParams(paramsFrom = {}, params, results) {
+        const resolved = {};
+
+        Object.entries(paramsFrom).forEach(([name, source]) => {
+            const [root, ...path] = source.split('.');
+            const value = path.reduce((object, key) => (object == null ? undefined : object[key]),
+                root === 'params' ? params : results[root]);
+
+            if (value !== undefined) {
+                resolved[name] = value;
+            }
+        });
+
+        return resolved;
+    }
+
+    /**
+     * Check an automation's required parameters are present
+     * @param {string} id - Automation ID
+     * @param {Object} params - Parameters
+     */
+    validateParams(id, params) {
+        const automation = this.automations[id];
+
+        if (automation.params) {
+            const missingParams = automation.params
+                .filter(param => param.required && !params[param.name])
+                .map(param => param.name);
+
+            if (missingParams.length > 0) {
+                throw new Error(`Missing required parameters for "${id}": ${missingParams.join(', ')}`);
+            }
+        }
+    }
+
+    /**
+     * Execute an automation's handler in a Word context
+     * @param {string} id - Automation ID
+     * @param {Object} params - Parameters
+     * @returns {Promise<*>} - Handler result
+     */
+    async executeAutomation(id, params) {
+        const automation = this.automations[id];
+
+        // Create Word context
+        const context = await this.createWordContext();
+
+        // Execute the automation; the id lets handlers tag their edits for review
+        console.log(`Running automation "${id}" with params:`, params);
+        return automation.handler(context, { ...params, automationId: id });
+    }
+
+    /**
+     * Add a run to activeWorkflows once fewer than config.maxConcurrentWorkflows are active
+     * The check and the insert happen together, so concurrent callers can't
+     * both take the last slot.
+     * @param {Object} workflow - Run record with an id
+     */
+    async trackWorkflow(workflow) {
+        while (Object.keys(this.activeWorkflows).length >= this.config.maxConcurrentWorkflows) {
+            await new Promise(resolve => this.workflowWaiters.push(resolve));
+        }
+        this.activeWorkflows[workflow.id] = workflow;
+    }
+
+    /**
+     * Move a finished run to history and let the next queued run start
+     * @param {string} workflowId - Workflow ID
+     */
+    finishWorkflow(workflowId) {
+        const workflow = this.activeWorkflows[workflowId];
+        workflow.endTime = Date.now();
+
+        // Add to history
+        this.addToHistory(workflow);
+
+        // Clean up
+        delete this.activeWorkflows[workflowId];
+
+        const next = this.workflowWaiters.shift();
+        if (next) {
+            next();
+        }
+    }
+
     /**
      * Create Word context for automation
      */
@@ -3,6 +3,11 @@
  * Creates the user interface for automation features
  */
 
+import { getAiChangeSummary, reviewAiChanges } from '../utils/changeTracking.js';
+import { importWorkflows, exportWorkflows, detectWorkflowFormat } from './workflow-io.js';
+// Classic script; sets window.workflowManager for the workflow panels below
+import '../../automation/workflow-manager.js';
+
 /**
  * Create automation UI in the given container
  * @param {Object} automationManager - The automation manager instance
@@ -140,6 +145,7 @@ export function createAutomationUI(automationManager, container) {
                 padding: 10px;
                 border-radius: 4px;
                 font-size: 14px;
+                white-space: pre-line;
             }
             
             .wgp-status-success {
@@ -268,9 +274,24 @@ export function createAutomationUI(automationManager, container) {
             <h2>Document Automations</h2>
         </div>
         <div>
+            <button id="wgp-review-changes" class="wgp-btn wgp-btn-secondary">
+                Review AI Changes
+            </button>
             <button id="wgp-create-automation" class="wgp-btn wgp-btn-secondary">
                 Create Custom
             </button>
+            <button id="wgp-create-chain" class="wgp-btn wgp-btn-secondary">
+                Create Chain
+            </button>
+            ${window.workflowManager ? `
+            <button id="wgp-import-workflows" class="wgp-btn wgp-btn-secondary">
+                Import Workflows
+            </button>
+            <button id="wgp-export-workflows" class="wgp-btn wgp-btn-secondary">
+                Export Workflows
+            </button>
+            <input type="file" id="wgp-workflow-file" accept=".json,.yaml,.yml" style="display: none;">
+            ` : ''}
         </div>
     `;
     container.appendChild(headerElement);
@@ -281,6 +302,82 @@ export function createAutomationUI(automationManager, container) {
     statusElement.style.display = 'none';
     container.appendChild(statusElement);
 
+    // Workflows interrupted by a task pane reload, offered for resuming
+    const resumableWorkflows = window.workflowManager ? window.workflowManager.getResumableWorkflows() : [];
+    if (resumableWorkflows.length > 0) {
+        const sectionElement = document.createElement('div');
+        sectionElement.className = 'wgp-section';
+
+        sectionElement.innerHTML = `
+            <div class="wgp-section-header">Unfinished Workflows</div>
+            <div class="wgp-automation-list">
+                ${resumableWorkflows.map(workflow => `
+                    <div class="wgp-automation-item" data-workflow-id="${escapeHtml(workflow.workflowId)}">
+                        <div class="wgp-automation-item-title">${escapeHtml(workflow.name)}</div>
+                        <div class="wgp-automation-item-description">
+                            ${workflow.completedSteps} of ${workflow.totalSteps} steps done
+                            ${workflow.missingData.length > 0
+                                ? `&middot; can't continue: ${escapeHtml(workflow.missingData.join(', '))} was too large to save`
+                                : workflow.status === 'awaiting_approval'
+                                    ? `&middot; waiting for approval of ${escapeHtml(workflow.awaitingSteps.map(step => step.stepName).join(', '))}`
+                                    : '&middot; interrupted'}
+                        </div>
+                        ${workflow.missingData.length > 0 ? `
+                            <button class="wgp-btn wgp-btn-secondary" data-action="discard">Discard</button>
+                        ` : workflow.status === 'awaiting_approval' ? `
+                            <button class="wgp-btn wgp-btn-primary" data-action="approve">Approve</button>
+                            <button class="wgp-btn wgp-btn-secondary" data-action="reject">Reject</button>
+                        ` : `
+                            <button class="wgp-btn wgp-btn-primary" data-action="resume">Resume</button>
+                            <button class="wgp-btn wgp-btn-secondary" data-action="discard">Discard</button>
+                        `}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        container.appendChild(sectionElement);
+
+        sectionElement.querySelectorAll('button[data-action]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const workflowId = button.closest('[data-workflow-id]').dataset.workflowId;
+                const manager = window.workflowManager;
+                button.disabled = true;
+
+                let message;
+                let type = 'success';
+                try {
+                    let result;
+                    switch (button.dataset.action) {
+                        case 'resume':
+                            showStatus('Resuming workflow...', 'info');
+                            result = await manager.resumeWorkflow(workflowId);
+                            break;
+                        case 'approve':
+                            result = await manager.approveStep(workflowId);
+                            break;
+                        case 'reject':
+                            result = manager.rejectStep(workflowId, 'Rejected after reload');
+                            break;
+                        case 'discard':
+                            manager.discardWorkflow(workflowId);
+                            result = { status: 'cancelled' };
+                            break;
+                    }
+
+                    message = `Workflow ${result.status.replace('_', ' ')}`;
+                    type = result.status === 'error' ? 'error' : 'success';
+                } catch (error) {
+                    message = `Error continuing workflow: ${error.message}`;
+                    type = 'error';
+                }
+
+                // Redraw the list, then report on the fresh status area
+                createAutomationUI(automationManager, container).showStatus(message, type);
+            });
+        });
+    }
+
     // Automation categories
     const categories = automationManager.getAutomationsByCategory();
 
@@ -316,11 +413,87 @@ export function createAutomationUI(automationManager, container) {
         });
     });
 
+    // Automation chains
+    const chains = Object.values(automationManager.chains);
+    if (chains.length > 0) {
+        const sectionElement = document.createElement('div');
+        sectionElement.className = 'wgp-section';
+
+        sectionElement.innerHTML = `
+            <div class="wgp-section-header">Automation Chains</div>
+            <div class="wgp-automation-list"></div>
+        `;
+
+        container.appendChild(sectionElement);
+
+        const listContainer = sectionElement.querySelector('.wgp-automation-list');
+
+        chains.forEach(chain => {
+            const itemElement = document.createElement('div');
+            itemElement.className = 'wgp-automation-item';
+            itemElement.dataset.chainId = chain.id;
+
+            itemElement.innerHTML = `
+                <div class="wgp-automation-item-title">${escapeHtml(chain.name)}</div>
+                <div class="wgp-automation-item-description">
+                    ${chain.steps.map(step => escapeHtml(automationManager.automations[step.automationId].name)).join(' &rarr; ')}
+                </div>
+            `;
+
+            itemElement.addEventListener('click', () => {
+                showChainModal(chain);
+            });
+
+            listContainer.appendChild(itemElement);
+        });
+    }
+
     // Add event listener to Create Custom button
     document.getElementById('wgp-create-automation')?.addEventListener('click', () => {
         showCreateAutomationModal();
     });
 
+    document.getElementById('wgp-create-chain')?.addEventListener('click', () => {
+        showCreateChainModal();
+    });
+
+    // Add event listener to Review AI Changes button
+    document.getElementById('wgp-review-changes')?.addEventListener('click', () => {
+        showReviewChangesModal();
+    });
+
+    // Import workflows from a JSON or YAML file
+    const workflowFileInput = document.getElementById('wgp-workflow-file');
+    document.getElementById('wgp-import-workflows')?.addEventListener('click', () => {
+        workflowFileInput.value = '';
+        workflowFileInput.click();
+    });
+
+    workflowFileInput?.addEventListener('change', async () => {
+        const file = workflowFileInput.files[0];
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const { imported, skipped } = importWorkflows(window.workflowManager, text, {
+                format: detectWorkflowFormat(text, file.name)
+            });
+
+            let message = `Imported ${imported.length} workflow${imported.length === 1 ? '' : 's'} from ${file.name}`;
+            if (skipped.length > 0) {
+                message += `; skipped existing: ${skipped.join(', ')}`;
+            }
+            showStatus(message, 'success');
+        } catch (error) {
+            showStatus(`Could not import ${file.name}: ${error.message}`, 'error');
+        }
+    });
+
+    // Add event listener to Export Workflows button
+    document.getElementById('wgp-export-workflows')?.addEventListener('click', () => {
+        showExportWorkflowsModal();
+    });
+
     // Show status message
     function showStatus(message, type = 'info') {
         statusElement.textContent = message;
@@ -338,6 +511,83 @@ export function createAutomationUI(automationManager, container) {
         statusElement.style.display = 'none';
     }
 
+    // Build form fields for automation or chain parameters
+    function renderParamFields(params) {
+        return params.map(param => {
+            let paramField = '';
+
+            if (param.enum) {
+                // Select dropdown for enum parameters
+                paramField = `
+                    <div class="wgp-form-group">
+                        <label for="param-${param.name}" class="wgp-form-label">
+                            ${param.name} ${param.required ? '*' : ''}
+                        </label>
+                        <select id="param-${param.name}" name="${param.name}" class="wgp-select" 
+                            ${param.required ? 'required' : ''}>
+                `;
+
+                param.enum.forEach(option => {
+                    const isDefault = option === param.default;
+                    paramField += `<option value="${option}" ${isDefault ? 'selected' : ''}>${option}</option>`;
+                });
+
+                paramField += `
+                        </select>
+                    </div>
+                `;
+            } else if (param.type === 'boolean') {
+                // Checkbox for boolean parameters
+                paramField = `
+                    <div class="wgp-form-group">
+                        <label class="wgp-form-check">
+                            <input type="checkbox" id="param-${param.name}" name="${param.name}" 
+                                ${param.default ? 'checked' : ''}>
+                            ${param.name}
+                        </label>
+                    </div>
+                `;
+            } else {
+                // Text input for other parameters
+                paramField = `
+                    <div class="wgp-form-group">
+                        <label for="param-${param.name}" class="wgp-form-label">
+                            ${param.name} ${param.required ? '*' : ''}
+                        </label>
+                        <input type="${param.type === 'number' ? 'number' : 'text'}" 
+                            id="param-${param.name}" 
+                            name="${param.name}" 
+                            class="wgp-form-control" 
+                            value="${param.default || ''}"
+                            ${param.min !== undefined ? `min="${param.min}"` : ''}
+                            ${param.max !== undefined ? `max="${param.max}"` : ''}
+                            ${param.required ? 'required' : ''}>
+                    </div>
+                `;
+            }
+
+            return paramField;
+        }).join('');
+    }
+
+    // Read parameter values from the fields built by renderParamFields
+    function readParamValues(paramDefinitions = []) {
+        const params = {};
+        paramDefinitions.forEach(param => {
+            const element = document.getElementById(`param-${param.name}`);
+            if (element) {
+                if (param.type === 'boolean') {
+                    params[param.name] = element.checked;
+                } else if (param.type === 'number') {
+                    params[param.name] = parseFloat(element.value);
+                } else {
+                    params[param.name] = element.value;
+                }
+            }
+        });
+        return params;
+    }
+
     // Show automation modal
     function showAutomationModal(automation) {
         // Create modal backdrop
@@ -370,61 +620,7 @@ export function createAutomationUI(automationManager, container) {
 
         // Add form fields for parameters if any
         if (automation.params && automation.params.length > 0) {
-            automation.params.forEach(param => {
-                let paramField = '';
-
-                if (param.enum) {
-                    // Select dropdown for enum parameters
-                    paramField = `
-                        <div class="wgp-form-group">
-                            <label for="param-${param.name}" class="wgp-form-label">
-                                ${param.name} ${param.required ? '*' : ''}
-                            </label>
-                            <select id="param-${param.name}" name="${param.name}" class="wgp-select" 
-                                ${param.required ? 'required' : ''}>
-                    `;
-
-                    param.enum.forEach(option => {
-                        const isDefault = option === param.default;
-                        paramField += `<option value="${option}" ${isDefault ? 'selected' : ''}>${option}</option>`;
-                    });
-
-                    paramField += `
-                            </select>
-                        </div>
-                    `;
-                } else if (param.type === 'boolean') {
-                    // Checkbox for boolean parameters
-                    paramField = `
-                        <div class="wgp-form-group">
-                            <label class="wgp-form-check">
-                                <input type="checkbox" id="param-${param.name}" name="${param.name}" 
-                                    ${param.default ? 'checked' : ''}>
-                                ${param.name}
-                            </label>
-                        </div>
-                    `;
-                } else {
-                    // Text input for other parameters
-                    paramField = `
-                        <div class="wgp-form-group">
-                            <label for="param-${param.name}" class="wgp-form-label">
-                                ${param.name} ${param.required ? '*' : ''}
-                            </label>
-                            <input type="${param.type === 'number' ? 'number' : 'text'}" 
-                                id="param-${param.name}" 
-                                name="${param.name}" 
-                                class="wgp-form-control" 
-                                value="${param.default || ''}"
-                                ${param.min !== undefined ? `min="${param.min}"` : ''}
-                                ${param.max !== undefined ? `max="${param.max}"` : ''}
-                                ${param.required ? 'required' : ''}>
-                        </div>
-                    `;
-                }
-
-                bodyContent += paramField;
-            });
+            bodyContent += renderParamFields(automation.params);
         } else {
             bodyContent += `<p>This automation doesn't require any parameters.</p>`;
         }
@@ -473,21 +669,7 @@ export function createAutomationUI(automationManager, container) {
             }
 
             // Get parameter values
-            const params = {};
-            if (automation.params) {
-                automation.params.forEach(param => {
-                    const element = document.getElementById(`param-${param.name}`);
-                    if (element) {
-                        if (param.type === 'boolean') {
-                            params[param.name] = element.checked;
-                        } else if (param.type === 'number') {
-                            params[param.name] = parseFloat(element.value);
-                        } else {
-                            params[param.name] = element.value;
-                        }
-                    }
-                });
-            }
+            const params = readParamValues(automation.params);
 
             // Update UI to show running state
             const runButton = modalContent.querySelector('#wgp-modal-run');
@@ -527,6 +709,196 @@ export function createAutomationUI(automationManager, container) {
         });
     }
 
+    // Show a chain's steps and run it, reporting each step as it goes
+    function showChainModal(chain) {
+        // Create modal backdrop
+        const modalBackdrop = document.createElement('div');
+        modalBackdrop.className = 'wgp-modal';
+        document.body.appendChild(modalBackdrop);
+
+        // Create modal content
+        const modalContent = document.createElement('div');
+        modalContent.className = 'wgp-modal-content';
+        modalBackdrop.appendChild(modalContent);
+
+        modalContent.innerHTML = `
+            <div class="wgp-modal-header">
+                <h3 class="wgp-modal-title">${escapeHtml(chain.name)}</h3>
+                <button class="wgp-modal-close">&times;</button>
+            </div>
+            <div class="wgp-modal-body">
+                <p>${escapeHtml(chain.description || '')}</p>
+                <form id="wgp-automation-form">
+                    ${chain.params && chain.params.length > 0 ? renderParamFields(chain.params) : ''}
+                </form>
+                <ol class="wgp-chain-steps">
+                    ${chain.steps.map(step => `
+                        <li data-step-id="${escapeHtml(step.id)}">
+                            ${escapeHtml(automationManager.automations[step.automationId].name)}
+                            <span class="wgp-automation-item-description" data-step-status>pending</span>
+                        </li>
+                    `).join('')}
+                </ol>
+            </div>
+            <div class="wgp-modal-footer">
+                <button id="wgp-modal-cancel" class="wgp-btn wgp-btn-secondary">Close</button>
+                <button id="wgp-modal-run" class="wgp-btn wgp-btn-primary">Run Chain</button>
+            </div>
+        `;
+
+        const closeModal = () => document.body.removeChild(modalBackdrop);
+        modalContent.querySelector('.wgp-modal-close').addEventListener('click', closeModal);
+        modalContent.querySelector('#wgp-modal-cancel').addEventListener('click', closeModal);
+
+        const describeStep = step => {
+            switch (step.status) {
+                case 'retrying':
+                    return `retrying (attempt ${step.attempts}) after: ${step.error}`;
+                case 'failed':
+                    return `failed: ${step.error}`;
+                default:
+                    return step.status;
+            }
+        };
+
+        const showProgress = run => {
+            run.steps.forEach(step => {
+                const statusElement = modalContent.querySelector(`[data-step-id="${step.id}"] [data-step-status]`);
+                statusElement.textContent = describeStep(step);
+                statusElement.style.color = step.status === 'failed' ? '#d13438' : '';
+            });
+
+            if (run.status === 'queued') {
+                showStatus('Waiting for other automations to finish...', 'info');
+            }
+        };
+
+        modalContent.querySelector('#wgp-modal-run').addEventListener('click', async () => {
+            const form = modalContent.querySelector('#wgp-automation-form');
+            if (form.checkValidity && !form.checkValidity()) {
+                form.reportValidity();
+                return;
+            }
+
+            const runButton = modalContent.querySelector('#wgp-modal-run');
+            runButton.disabled = true;
+            runButton.textContent = 'Running...';
+
+            try {
+                const result = await automationManager.runChain(chain.id, readParamValues(chain.params), {
+                    onProgress: showProgress
+                });
+
+                if (result.success) {
+                    showStatus(`Chain "${chain.name}" completed successfully`, 'success');
+                } else {
+                    showStatus(`Chain "${chain.name}" stopped at step "${result.failedStep}": ${result.error}`, 'error');
+                }
+            } catch (error) {
+                console.error('Error running automation chain:', error);
+                showStatus('Error running automation chain: ' + error.message, 'error');
+            } finally {
+                runButton.disabled = false;
+                runButton.textContent = 'Run Chain';
+            }
+        });
+    }
+
+    // Build a chain from existing automations, run in the order listed
+    function showCreateChainModal() {
+        // Create modal backdrop
+        const modalBackdrop = document.createElement('div');
+        modalBackdrop.className = 'wgp-modal';
+        document.body.appendChild(modalBackdrop);
+
+        // Create modal content
+        const modalContent = document.createElement('div');
+        modalContent.className = 'wgp-modal-content';
+        modalBackdrop.appendChild(modalContent);
+
+        const automationOptions = Object.entries(automationManager.automations)
+            .map(([id, automation]) => `<option value="${escapeHtml(id)}">${escapeHtml(automation.name)}</option>`)
+            .join('');
+
+        modalContent.innerHTML = `
+            <div class="wgp-modal-header">
+                <h3 class="wgp-modal-title">Create Automation Chain</h3>
+                <button class="wgp-modal-close">&times;</button>
+            </div>
+            <div class="wgp-modal-body">
+                <form id="wgp-chain-form">
+                    <div class="wgp-form-group">
+                        <label for="chain-name" class="wgp-form-label">Name *</label>
+                        <input type="text" id="chain-name" name="name" class="wgp-form-control" required>
+                    </div>
+
+                    <div class="wgp-form-group">
+                        <label for="chain-description" class="wgp-form-label">Description</label>
+                        <input type="text" id="chain-description" name="description" class="wgp-form-control">
+                    </div>
+
+                    <div class="wgp-form-group">
+                        <label class="wgp-form-label">Steps *</label>
+                        <p class="wgp-form-help">Automations run one after another, in this order.</p>
+                        <ol class="wgp-chain-steps"></ol>
+                        <button type="button" id="wgp-chain-add-step" class="wgp-btn wgp-btn-secondary">Add Step</button>
+                    </div>
+                </form>
+            </div>
+            <div class="wgp-modal-footer">
+                <button id="wgp-modal-cancel" class="wgp-btn wgp-btn-secondary">Cancel</button>
+                <button id="wgp-modal-create" class="wgp-btn wgp-btn-primary">Create Chain</button>
+            </div>
+        `;
+
+        const closeModal = () => document.body.removeChild(modalBackdrop);
+        modalContent.querySelector('.wgp-modal-close').addEventListener('click', closeModal);
+        modalContent.querySelector('#wgp-modal-cancel').addEventListener('click', closeModal);
+
+        const stepList = modalContent.querySelector('.wgp-chain-steps');
+        const addStep = () => {
+            const stepElement = document.createElement('li');
+            stepElement.innerHTML = `
+                <select class="wgp-select" data-step-automation required>${automationOptions}</select>
+                <button type="button" class="wgp-btn wgp-btn-secondary" data-remove-step>Remove</button>
+            `;
+            stepElement.querySelector('[data-remove-step]').addEventListener('click', () => {
+                if (stepList.children.length > 1) {
+                    stepList.removeChild(stepElement);
+                }
+            });
+            stepList.appendChild(stepElement);
+        };
+        addStep();
+        modalContent.querySelector('#wgp-chain-add-step').addEventListener('click', addStep);
+
+        modalContent.querySelector('#wgp-modal-create').addEventListener('click', () => {
+            const form = modalContent.querySelector('#wgp-chain-form');
+            if (form.checkValidity && !form.checkValidity()) {
+                form.reportValidity();
+                return;
+            }
+
+            const name = modalContent.querySelector('#chain-name').value.trim();
+            const description = modalContent.querySelector('#chain-description').value.trim();
+            // Step IDs are positional so the same automation can appear twice
+            const steps = Array.from(stepList.querySelectorAll('[data-step-automation]'))
+                .map((select, index) => ({ id: `step-${index + 1}`, automationId: select.value }));
+
+            try {
+                automationManager.createCustomChain({ name, description, steps });
+
+                closeModal();
+                showStatus(`Automation chain "${name}" created successfully`, 'success');
+
+                // Refresh UI to show the new chain
+                createAutomationUI(automationManager, container);
+            } catch (error) {
+                showStatus(`Error creating automation chain: ${error.message}`, 'error');
+            }
+        });
+    }
+
     // Show create automation modal
     function showCreateAutomationModal() {
         // Create modal backdrop
@@ -674,14 +1046,188 @@ export function createAutomationUI(automationManager, container) {
         });
     }
 
+    // Show tracked AI changes grouped by automation, with accept/reject per automation
+    async function showReviewChangesModal() {
+        // Create modal backdrop
+        const modalBackdrop = document.createElement('div');
+        modalBackdrop.className = 'wgp-modal';
+        document.body.appendChild(modalBackdrop);
+
+        // Create modal content
+        const modalContent = document.createElement('div');
+        modalContent.className = 'wgp-modal-content';
+        modalBackdrop.appendChild(modalContent);
+
+        modalContent.innerHTML = `
+            <div class="wgp-modal-header">
+                <h3 class="wgp-modal-title">Review AI Changes</h3>
+                <button class="wgp-modal-close">&times;</button>
+            </div>
+            <div class="wgp-modal-body">
+                <p>Loading tracked changes...</p>
+            </div>
+        `;
+
+        modalContent.querySelector('.wgp-modal-close').addEventListener('click', () => {
+            document.body.removeChild(modalBackdrop);
+        });
+
+        const modalBody = modalContent.querySelector('.wgp-modal-body');
+
+        const renderSummary = async () => {
+            let summary;
+            try {
+                summary = await getAiChangeSummary();
+            } catch (error) {
+                modalBody.innerHTML = `<p>Could not read tracked changes: ${escapeHtml(error.message)}</p>`;
+                return;
+            }
+
+            const entries = Object.entries(summary);
+            if (entries.length === 0) {
+                modalBody.innerHTML = '<p>There are no tagged AI changes in this document.</p>';
+                return;
+            }
+
+            modalBody.innerHTML = entries.map(([automationId, count]) => {
+                const automation = automationManager.automations[automationId];
+                return `
+                    <div class="wgp-form-group" data-automation-id="${escapeHtml(automationId)}">
+                        <div class="wgp-automation-item-title">${escapeHtml(automation ? automation.name : automationId)}</div>
+                        <div class="wgp-automation-item-description">${count} tagged change${count === 1 ? '' : 's'}</div>
+                        <button class="wgp-btn wgp-btn-primary" data-action="accept">Accept All</button>
+                        <button class="wgp-btn wgp-btn-secondary" data-action="reject">Reject All</button>
+                    </div>
+                `;
+            }).join('');
+
+            modalBody.querySelectorAll('button[data-action]').forEach(button => {
+                button.addEventListener('click', async () => {
+                    const automationId = button.closest('[data-automation-id]').dataset.automationId;
+                    const action = button.dataset.action;
+                    button.disabled = true;
+
+                    try {
+                        const reviewed = await reviewAiChanges(automationId, action);
+                        showStatus(`${action === 'accept' ? 'Accepted' : 'Rejected'} ${reviewed} change${reviewed === 1 ? '' : 's'} from ${automationId}`, 'success');
+                        await renderSummary();
+                    } catch (error) {
+                        showStatus(`Error reviewing changes: ${error.message}`, 'error');
+                        button.disabled = false;
+                    }
+                });
+            });
+        };
+
+        await renderSummary();
+    }
+
+    // Show workflow templates to export, with a choice of JSON or YAML
+    function showExportWorkflowsModal() {
+        const templates = window.workflowManager.getWorkflowTemplates();
+
+        // Create modal backdrop
+        const modalBackdrop = document.createElement('div');
+        modalBackdrop.className = 'wgp-modal';
+        document.body.appendChild(modalBackdrop);
+
+        // Create modal content
+        const modalContent = document.createElement('div');
+        modalContent.className = 'wgp-modal-content';
+        modalBackdrop.appendChild(modalContent);
+
+        modalContent.innerHTML = `
+            <div class="wgp-modal-header">
+                <h3 class="wgp-modal-title">Export Workflows</h3>
+                <button class="wgp-modal-close">&times;</button>
+            </div>
+            <div class="wgp-modal-body">
+                <form id="wgp-export-form">
+                    ${Object.entries(templates).map(([id, template]) => `
+                        <div class="wgp-form-group">
+                            <label class="wgp-form-check">
+                                <input type="checkbox" name="workflow" value="${escapeHtml(id)}" ${template.custom ? 'checked' : ''}>
+                                ${escapeHtml(template.name)}${template.custom ? '' : ' (built-in)'}
+                            </label>
+                        </div>
+                    `).join('')}
+                    <div class="wgp-form-group">
+                        <label for="wgp-export-format" class="wgp-form-label">Format</label>
+                        <select id="wgp-export-format" class="wgp-select">
+                            <option value="json">JSON</option>
+                            <option value="yaml">YAML</option>
+                        </select>
+                    </div>
+                </form>
+            </div>
+            <div class="wgp-modal-footer">
+                <button id="wgp-modal-cancel" class="wgp-btn wgp-btn-secondary">Cancel</button>
+                <button id="wgp-modal-export" class="wgp-btn wgp-btn-primary">Export</button>
+            </div>
+        `;
+
+        const closeModal = () => document.body.removeChild(modalBackdrop);
+        modalContent.querySelector('.wgp-modal-close').addEventListener('click', closeModal);
+        modalContent.querySelector('#wgp-modal-cancel').addEventListener('click', closeModal);
+
+        modalContent.querySelector('#wgp-modal-export').addEventListener('click', () => {
+            const ids = [...modalContent.querySelectorAll('input[name="workflow"]:checked')].map(input => input.value);
+            const format = modalContent.querySelector('#wgp-export-format').value;
+
+            if (ids.length === 0) {
+                showStatus('Select at least one workflow to export', 'error');
+                return;
+            }
+
+            try {
+                const text = exportWorkflows(window.workflowManager, { ids, format });
+                const url = URL.createObjectURL(new Blob([text], {
+                    type: format === 'yaml' ? 'application/yaml' : 'application/json'
+                }));
+
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = `workflows.${format === 'yaml' ? 'yaml' : 'json'}`;
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+                URL.revokeObjectURL(url);
+
+                closeModal();
+                showStatus(`Exported ${ids.length} workflow${ids.length === 1 ? '' : 's'}`, 'success');
+            } catch (error) {
+                showStatus(`Error exporting workflows: ${error.message}`, 'error');
+            }
+        });
+    }
+
     // UI controller object
     const uiController = {
         container,
         showStatus,
         clearStatus,
         refreshUI: () => createAutomationUI(automationManager, container),
-        showAutomationModal
+        showAutomationModal,
+        showReviewChangesModal,
+        showExportWorkflowsModal,
+        showChainModal,
+        showCreateChainModal
     };
 
     return uiController;
 }
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
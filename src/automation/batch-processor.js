@@ -4,6 +4,8 @@
  */
 
 import ModelManager from '../model-manager.js';
+import { chunkParagraphs, loadEncoding } from '../utils/tokenization.js';
+import { withAiChangeTracking } from '../utils/changeTracking.js';
 
 class BatchProcessor {
     constructor() {
@@ -11,7 +13,9 @@ class BatchProcessor {
 
         // Configuration for batch processing
         this.config = {
-            chunkSize: 5000, // Max characters per processing chunk
+            chunkSize: 5000, // Documents longer than this (characters) are processed in chunks
+            chunkTokens: 1500, // Max tokens per chunk sent to the model
+            chunkOverlapTokens: 150, // Context repeated from the previous chunk
             maxConcurrent: 3, // Max concurrent operations
             pauseBetweenChunks: 500, // ms between chunks to prevent UI freezing
         };
@@ -148,89 +152,75 @@ class BatchProcessor {
 
             const fullText = body.text;
 
+            // Edits are tracked and tagged when AI change tracking is enabled
+            const automationId = params.automationId || 'batch-fix-grammar';
+
             // Check if document is too large for single processing
             if (fullText.length > this.config.chunkSize) {
-                return this._processLargeDocument(context, params);
+                return withAiChangeTracking(context, automationId, tag => this._processLargeDocument(context, params, tag));
             }
 
-            // For smaller documents, process everything at once
-            const paragraphs = body.paragraphs;
-            paragraphs.load('items');
-            await context.sync();
-
-            // Track statistics
-            const stats = {
-                passiveVoiceFound: 0,
-                wordinessFixed: 0,
-                redundanciesFixed: 0,
-                spellingFixed: 0,
-                paragraphsProcessed: paragraphs.items.length
-            };
-
-            // Process each paragraph
-            for (const paragraph of paragraphs.items) {
-                paragraph.load('text');
+            return withAiChangeTracking(context, automationId, async tag => {
+                // For smaller documents, process everything at once
+                const paragraphs = body.paragraphs;
+                paragraphs.load('items');
                 await context.sync();
 
-                const originalText = paragraph.text;
-
-                // Skip empty paragraphs
-                if (!originalText.trim()) continue;
-
-                // Check for passive voice
-                const passiveVoiceMatches = originalText.match(this.grammarRules.passiveVoice) || [];
-                stats.passiveVoiceFound += passiveVoiceMatches.length;
+                // Track statistics
+                const stats = {
+                    passiveVoiceFound: 0,
+                    wordinessFixed: 0,
+                    redundanciesFixed: 0,
+                    spellingFixed: 0,
+                    paragraphsProcessed: paragraphs.items.length
+                };
 
-                // Improve text by fixing common issues
-                let improvedText = originalText;
+                // Process each paragraph
+                for (const paragraph of paragraphs.items) {
+                    paragraph.load('text');
+                    await context.sync();
 
-                // Apply wordiness fixes
-                this.grammarRules.wordiness.forEach(rule => {
-                    const matches = improvedText.match(rule.pattern) || [];
-                    stats.wordinessFixed += matches.length;
+                    const originalText = paragraph.text;
 
-                    if (matches.length > 0) {
-                        improvedText = improvedText.replace(rule.pattern, rule.suggestion);
-                    }
-                });
+                    // Skip empty paragraphs
+                    if (!originalText.trim()) continue;
 
-                // Apply redundancy fixes
-                this.grammarRules.redundancies.forEach(rule => {
-                    const matches = improvedText.match(rule.pattern) || [];
-                    stats.redundanciesFixed += matches.length;
+                    // Check for passive voice
+                    const passiveVoiceMatches = originalText.match(this.grammarRules.passiveVoice) || [];
+                    stats.passiveVoiceFound += passiveVoiceMatches.length;
 
-                    if (matches.length > 0) {
-                        improvedText = improvedText.replace(rule.pattern, rule.suggestion);
-                    }
-                });
-
-                // If text has changed, update paragraph
-                if (improvedText !== originalText) {
-                    paragraph.insertText(improvedText, 'Replace');
+                    // Fix common issues, replacing only the matched words
+                    await this._applyRuleFixes(context, paragraph, stats, tag);
                 }
-            }
-
-            // If AI grammar checking is enabled, process with model
-            if (params.aiGrammarCheck !== false) {
-                // Sample text for AI analysis (to avoid token limits)
-                const sampleText = fullText.length > 2000 ?
-                    fullText.substring(0, 2000) + '...' : fullText;
-
-                const aiSuggestions = await this._getAIGrammarSuggestions(sampleText);
-                stats.aiSuggestionsFound = aiSuggestions.length;
 
-                // In a real implementation, we would locate and apply these suggestions
-                console.log('AI grammar suggestions:', aiSuggestions);
-            }
-
-            await context.sync();
+                // If AI grammar checking is enabled, process with model
+                if (params.aiGrammarCheck !== false) {
+                    // Review the text left by the rule fixes, so suggestions match the document
+                    const currentText = paragraphs.items.map(paragraph => paragraph.text).join('\n');
+
+                    // Sample text for AI analysis (to avoid token limits)
+                    const sampleText = currentText.length > 2000 ?
+                        currentText.substring(0, 2000) + '...' : currentText;
+
+                    const aiSuggestions = await this._getAIGrammarSuggestions(sampleText);
+                    stats.aiSuggestionsFound = aiSuggestions.length;
+                    stats.aiSuggestionsApplied = await this._applySuggestionsToParagraphs(
+                        context,
+                        paragraphs.items,
+                        paragraphs.items.map((_, index) => index),
+                        aiSuggestions,
+                        tag
+                    );
+                }
 
-            return {
-                status: 'completed',
-                stats,
-                timestamp: new Date().toISOString()
-            };
+                await context.sync();
 
+                return {
+                    status: 'completed',
+                    stats,
+                    timestamp: new Date().toISOString()
+                };
+            });
         } catch (error) {
             console.error('Error fixing grammar:', error);
             throw error;
@@ -241,44 +231,33 @@ class BatchProcessor {
      * Process large document in chunks
      * @param {Object} context - Word context
      * @param {Object} params - Parameters
+     * @param {Function} [tag] - Tags each edited range for change review
      * @returns {Promise<Object>} Processing results
      * @private
      */
-    async _processLargeDocument(context, params) {
-        // Divide document into manageable chunks
+    async _processLargeDocument(context, params, tag = () => {}) {
+        // Load every paragraph with the structure needed to chunk along
+        // paragraph, heading, list and table boundaries in a single sync
         const body = context.document.body;
         const paragraphs = body.paragraphs;
-        paragraphs.load('items');
-        await context.sync();
-
-        // Calculate chunks
-        const totalParagraphs = paragraphs.items.length;
-        const chunks = [];
-        let currentChunk = [];
-        let currentChunkSize = 0;
-
-        for (let i = 0; i < totalParagraphs; i++) {
-            const para = paragraphs.items[i];
-            para.load('text');
-            await context.sync();
-
-            const paraText = para.text;
-
-            // Add to current chunk
-            currentChunk.push({
-                paragraph: para,
-                text: paraText,
-                index: i
-            });
-            currentChunkSize += paraText.length;
-
-            // If chunk is full or last paragraph, add to chunks
-            if (currentChunkSize >= this.config.chunkSize || i === totalParagraphs - 1) {
-                chunks.push(currentChunk);
-                currentChunk = [];
-                currentChunkSize = 0;
+        paragraphs.load('items/text,items/style,items/isListItem,items/tableNestingLevel');
+        await Promise.all([context.sync(), loadEncoding()]);
+
+        const paragraphItems = paragraphs.items;
+        const totalParagraphs = paragraphItems.length;
+
+        const chunks = chunkParagraphs(
+            paragraphItems.map(para => ({
+                text: para.text,
+                isHeading: !!(para.style && para.style.includes('Heading')),
+                isListItem: !!para.isListItem,
+                inTable: para.tableNestingLevel > 0
+            })),
+            {
+                maxTokens: params.chunkTokens || this.config.chunkTokens,
+                overlapTokens: params.chunkOverlapTokens ?? this.config.chunkOverlapTokens
             }
-        }
+        );
 
         // Process stats
         const stats = {
@@ -286,18 +265,35 @@ class BatchProcessor {
             wordinessFixed: 0,
             redundanciesFixed: 0,
             paragraphsProcessed: totalParagraphs,
-            chunksProcessed: chunks.length
+            chunksProcessed: chunks.length,
+            aiSuggestionsFound: 0,
+            aiSuggestionsApplied: 0,
+            truncatedParagraphs: []
         };
 
+        // Pieces of a split paragraph share its index; fix each paragraph once
+        const processed = new Set();
+
         // Process each chunk with pause between to prevent UI freezing
         for (let i = 0; i < chunks.length; i++) {
             const chunk = chunks[i];
             console.log(`Processing chunk ${i + 1} of ${chunks.length}`);
 
-            // Process paragraphs in this chunk
-            for (const item of chunk) {
-                const paragraph = item.paragraph;
-                const originalText = item.text;
+            // A sentence too long for a chunk is cut; the rest gets no AI review
+            if (chunk.truncated) {
+                chunk.paragraphIndices
+                    .filter(index => !stats.truncatedParagraphs.includes(index))
+                    .forEach(index => stats.truncatedParagraphs.push(index));
+                console.warn(`Chunk ${i + 1} was cut to fit ${params.chunkTokens || this.config.chunkTokens} tokens; part of it was not reviewed`);
+            }
+
+            // Only paragraphs the chunk owns are edited; overlap is context
+            for (const index of chunk.paragraphIndices) {
+                if (processed.has(index)) continue;
+                processed.add(index);
+
+                const paragraph = paragraphItems[index];
+                const originalText = paragraph.text;
 
                 // Skip empty paragraphs
                 if (!originalText.trim()) continue;
@@ -306,37 +302,25 @@ class BatchProcessor {
                 const passiveVoiceMatches = originalText.match(this.grammarRules.passiveVoice) || [];
                 stats.passiveVoiceFound += passiveVoiceMatches.length;
 
-                // Fix common issues
-                let improvedText = originalText;
-
-                // Apply wordiness fixes
-                this.grammarRules.wordiness.forEach(rule => {
-                    const matches = improvedText.match(rule.pattern) || [];
-                    stats.wordinessFixed += matches.length;
-
-                    if (matches.length > 0) {
-                        improvedText = improvedText.replace(rule.pattern, rule.suggestion);
-                    }
-                });
-
-                // Apply redundancy fixes
-                this.grammarRules.redundancies.forEach(rule => {
-                    const matches = improvedText.match(rule.pattern) || [];
-                    stats.redundanciesFixed += matches.length;
-
-                    if (matches.length > 0) {
-                        improvedText = improvedText.replace(rule.pattern, rule.suggestion);
-                    }
-                });
-
-                // If text has changed, update paragraph
-                if (improvedText !== originalText) {
-                    paragraph.insertText(improvedText, 'Replace');
-                }
+                // Fix common issues, replacing only the matched words
+                await this._applyRuleFixes(context, paragraph, stats, tag);
             }
 
             await context.sync();
 
+            // AI suggestions are written back only to the paragraphs this chunk maps to
+            if (params.aiGrammarCheck !== false) {
+                const suggestions = await this._getAIGrammarSuggestions(chunk.text);
+                stats.aiSuggestionsFound += suggestions.length;
+                stats.aiSuggestionsApplied += await this._applySuggestionsToParagraphs(
+                    context,
+                    paragraphItems,
+                    chunk.paragraphIndices,
+                    suggestions,
+                    tag
+                );
+            }
+
             // Pause between chunks
             if (i < chunks.length - 1) {
                 await new Promise(resolve => setTimeout(resolve, this.config.pauseBetweenChunks));
@@ -350,6 +334,91 @@ class BatchProcessor {
         };
     }
 
+    /**
+     * Apply the wordiness and redundancy rules to a paragraph.
+     * Each match is replaced on its own, so change tracking and review tags
+     * cover the changed words rather than the whole paragraph.
+     * @param {Object} context - Word context
+     * @param {Object} paragraph - Word paragraph with text loaded
+     * @param {Object} stats - Statistics to update
+     * @param {Function} [tag] - Tags each edited range for change review
+     * @returns {Promise<boolean>} Whether the paragraph was changed
+     * @private
+     */
+    async _applyRuleFixes(context, paragraph, stats, tag = () => {}) {
+        const rules = [
+            ...this.grammarRules.wordiness.map(rule => ({ ...rule, stat: 'wordinessFixed' })),
+            ...this.grammarRules.redundancies.map(rule => ({ ...rule, stat: 'redundanciesFixed' }))
+        ];
+        let text = paragraph.text;
+        let changed = false;
+
+        for (const rule of rules) {
+            const matches = text.match(rule.pattern) || [];
+            if (matches.length === 0) continue;
+
+            stats[rule.stat] += matches.length;
+
+            // Search each distinct spelling once; Word search is literal and limited to 255 characters
+            const searches = [...new Set(matches)].filter(match => match.length <= 255).map(match => {
+                const results = paragraph.search(match, { matchCase: true });
+                results.load('items');
+                return { match, results };
+            });
+            await context.sync();
+
+            searches.forEach(({ match, results }) => {
+                const replacement = match.replace(rule.pattern, rule.suggestion);
+                results.items.forEach(result => tag(result.insertText(replacement, 'Replace')));
+            });
+            text = text.replace(rule.pattern, rule.suggestion);
+            changed = true;
+        }
+
+        if (changed) {
+            // Later searches in this paragraph need the edited text
+            paragraph.load('text');
+            await context.sync();
+        }
+
+        return changed;
+    }
+
+    /**
+     * Apply AI suggestions to the paragraphs a chunk was built from
+     * @param {Object} context - Word context
+     * @param {Array<Object>} paragraphItems - All document paragraphs
+     * @param {Array<number>} paragraphIndices - Indices owned by the chunk
+     * @param {Array<Object>} suggestions - Suggestions with problem and suggestion text
+     * @param {Function} [tag] - Tags each edited range for change review
+     * @returns {Promise<number>} Number of suggestions applied
+     * @private
+     */
+    async _applySuggestionsToParagraphs(context, paragraphItems, paragraphIndices, suggestions, tag = () => {}) {
+        let applied = 0;
+
+        for (const { problem, suggestion } of suggestions) {
+            // Word search is limited to 255 characters
+            if (!problem || typeof suggestion !== 'string' || problem.length > 255) continue;
+
+            const index = paragraphIndices.find(i => paragraphItems[i].text.includes(problem));
+            if (index === undefined) continue;
+
+            const matches = paragraphItems[index].search(problem, { matchCase: true });
+            matches.load('items');
+            await context.sync();
+
+            if (matches.items.length > 0) {
+                tag(matches.items[0].insertText(suggestion, 'Replace'));
+                paragraphItems[index].load('text');
+                await context.sync();
+                applied++;
+            }
+        }
+
+        return applied;
+    }
+
     /**
      * Get AI grammar suggestions
      * @param {string} text - Text to analyze
@@ -374,7 +443,9 @@ ${text}
 
             const response = await this.modelManager.generateText(prompt, {
                 temperature: 0.3,
-                detailed: true
+                detailed: true,
+                priority: 'batch',
+                source: 'batch-processor'
             });
 
             // Try to parse JSON response
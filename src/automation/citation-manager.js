@@ -3,39 +3,32 @@
  * Handles citations and bibliography in documents
  */
 
-import ModelManager from '../model-manager.js';
+import referenceLibrary from './reference-library.js';
+import citationStyles from './citation-styles.js';
+import { parseLocator } from './csl-engine.js';
+
+// In-text citation forms recognised in the document, in addition to plain
+// author-year citations: pandoc-style [@key; @key2, p. 4] and LaTeX \cite{key}
+const KEY_CITATION_PATTERN = /\[(@[^\]]+)\]/g;
+const LATEX_CITATION_PATTERN = /\\cite[tp]?\{([^}]+)\}/g;
+const AUTHOR_YEAR_PATTERN = /\(([A-Z][\p{L}'-]+)(?:\s+(?:&|and)\s+[A-Z][\p{L}'-]+|\s+et al\.)?,?\s+(\d{4})[a-z]?(?:,\s*([^)]+))?\)/gu;
+
+// Word search is limited to 255 characters
+const MAX_SEARCH_LENGTH = 255;
+
+// Content control tags for live citation fields. A citation's tag lists its
+// reference ids (with any locator); the bibliography's tag names its style.
+const CITATION_TAG_PREFIX = 'wgp-citation:';
+const BIBLIOGRAPHY_TAG_PREFIX = 'wgp-bibliography:';
 
 class CitationManager {
     constructor() {
-        this.modelManager = new ModelManager();
-
-        // Citation style templates
-        this.citationStyles = {
-            APA: {
-                name: 'APA Style (7th Edition)',
-                journal: '{authors} ({year}). {title}. {journal}, {volume}({issue}), {pages}.',
-                book: '{authors} ({year}). {title}. {publisher}.',
-                website: '{authors} ({year}). {title}. {website}. Retrieved from {url}'
-            },
-            MLA: {
-                name: 'MLA Style (9th Edition)',
-                journal: '{authors}. "{title}." {journal}, vol. {volume}, no. {issue}, {year}, pp. {pages}.',
-                book: '{authors}. {title}. {publisher}, {year}.',
-                website: '{authors}. "{title}." {website}, {year}, {url}.'
-            },
-            Chicago: {
-                name: 'Chicago Style (17th Edition)',
-                journal: '{authors}. "{title}." {journal} {volume}, no. {issue} ({year}): {pages}.',
-                book: '{authors}. {title}. {publisher}, {year}.',
-                website: '{authors}. "{title}." {website}, {year}. {url}.'
-            },
-            Harvard: {
-                name: 'Harvard Style',
-                journal: '{authors} ({year}) \'{title}\', {journal}, {volume}({issue}), pp. {pages}.',
-                book: '{authors} ({year}) {title}. {publisher}.',
-                website: '{authors} ({year}) {title}. Available at: {url} (Accessed: {accessDate}).'
-            }
-        };
+        // Local bibliographic database that in-text citations resolve against
+        this.referenceLibrary = referenceLibrary;
+
+        // CSL styles loaded from the styles folder
+        this.styles = citationStyles;
+        this.defaultStyle = 'apa';
 
         // Track found citations
         this.documentCitations = {};
@@ -43,25 +36,18 @@ class CitationManager {
 
     /**
      * Format citations in a document
+     * Each in-text citation is resolved against the reference library; citations
+     * that cannot be resolved are left untouched and reported.
      * @param {Object} context - Word context
      * @param {Object} params - Parameters
      * @returns {Promise<Object>} Formatting result
      */
     async formatCitations(context, params = {}) {
         try {
-            const { style = 'APA' } = params;
-
-            // Validate citation style
-            if (!this.citationStyles[style]) {
-                throw new Error(`Unknown citation style: ${style}`);
-            }
-
-            const citationStyle = this.citationStyles[style];
+            const { style = this.defaultStyle } = params;
 
-            // Get document body
-            const body = context.document.body;
-            body.load('text');
-            await context.sync();
+            // Load the CSL style (throws for unknown styles)
+            const citationStyle = await this.styles.getStyle(style);
 
             // Find potential citations in the document
             const potentialCitations = await this._findPotentialCitations(context);
@@ -75,40 +61,46 @@ class CitationManager {
                 };
             }
 
-            // Process each potential citation
-            const processedCitations = [];
+            // Resolve each citation against the library
+            const resolvedCitations = [];
+            const unresolvedCitations = [];
 
             for (const citation of potentialCitations) {
-                // Load the range text
-                citation.range.load('text');
-                await context.sync();
-
-                const citationText = citation.range.text;
-                const formattedCitation = await this._formatCitation(citationText, style);
-
-                if (formattedCitation && formattedCitation !== citationText) {
-                    // Replace the citation with the formatted version
-                    citation.range.insertText(formattedCitation, 'Replace');
-                    processedCitations.push({
-                        original: citationText,
-                        formatted: formattedCitation
-                    });
+                const { references, missing } = await this._resolveCitation(citation);
+
+                if (missing.length > 0) {
+                    unresolvedCitations.push({ text: citation.text, missing });
+                    continue;
                 }
+
+                resolvedCitations.push({ citation, references });
             }
 
+            // Insert each citation as a field tagged with its references
+            resolvedCitations.forEach(({ citation, references }) => {
+                const formattedCitation = this._formatInTextCitation(references, citationStyle, {});
+
+                const range = citationStyle.isNote
+                    ? citation.range.insertText('', 'Replace').insertFootnote(formattedCitation).body.getRange('Whole')
+                    : citation.range.insertText(formattedCitation, 'Replace');
+
+                const control = range.insertContentControl();
+                control.tag = encodeCitationTag(references);
+                control.title = 'Citation';
+            });
+
             await context.sync();
 
-            // Save processed citations for bibliography generation
-            this.documentCitations = {
-                style,
-                citations: processedCitations
-            };
+            // Number every citation field in document order, including earlier ones
+            const refreshed = await this._refreshCitationFields(context, citationStyle.info.id);
 
             return {
                 status: 'completed',
-                style: citationStyle.name,
+                style: citationStyle.info.title,
                 citationsFound: potentialCitations.length,
-                citationsFormatted: processedCitations.length,
+                citationsFormatted: resolvedCitations.length,
+                bibliographyUpdated: refreshed.bibliographiesUpdated > 0,
+                unresolved: unresolvedCitations,
                 timestamp: new Date().toISOString()
             };
 
@@ -119,98 +111,83 @@ class CitationManager {
     }
 
     /**
-     * Generate a bibliography based on citations in the document
+     * Generate a bibliography from the library references cited in the document.
+     * A bibliography this command created earlier is rebuilt in place.
      * @param {Object} context - Word context
      * @param {Object} params - Parameters
      * @returns {Promise<Object>} Bibliography generation result
      */
     async generateBibliography(context, params = {}) {
         try {
-            // Get style from params or use stored style from previous formatting
-            const style = params.style || (this.documentCitations.style || 'APA');
+            // Renumber citation fields and rebuild any existing bibliography
+            const refreshed = await this._refreshCitationFields(context, params.style);
+            const citationStyle = refreshed.style;
 
-            // Find citations in document if we don't have them already
-            let documentCitations = this.documentCitations.citations || [];
-            if (documentCitations.length === 0) {
+            if (refreshed.bibliographiesUpdated > 0) {
+                return {
+                    status: 'completed',
+                    style: citationStyle.info.title,
+                    citationCount: refreshed.referenceIds.length,
+                    updated: true,
+                    unresolved: refreshed.missing,
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            // Fall back to plain-text citations when the document has no citation fields
+            let referenceIds = refreshed.referenceIds;
+            const unresolvedCitations = [...refreshed.missing];
+
+            if (referenceIds.length === 0) {
                 const potentialCitations = await this._findPotentialCitations(context);
 
-                // Extract text from potential citations
                 for (const citation of potentialCitations) {
-                    citation.range.load('text');
-                    await context.sync();
-
-                    documentCitations.push({
-                        original: citation.range.text
+                    const { references, missing } = await this._resolveCitation(citation);
+                    if (missing.length > 0) {
+                        unresolvedCitations.push({ text: citation.text, missing });
+                    }
+                    references.forEach(reference => {
+                        if (!referenceIds.includes(reference.item.id)) {
+                            referenceIds = [...referenceIds, reference.item.id];
+                        }
                     });
                 }
             }
 
-            if (documentCitations.length === 0) {
+            const items = (await this.referenceLibrary.getReferences(referenceIds)).filter(Boolean);
+
+            if (items.length === 0) {
                 return {
                     status: 'completed',
                     message: 'No citations found to generate bibliography',
+                    unresolved: unresolvedCitations,
                     timestamp: new Date().toISOString()
                 };
             }
 
-            // Use AI to generate a properly formatted bibliography
-            const prompt = `
-Generate a bibliography in ${style} format based on these citations:
-
-${documentCitations.map(c => c.original || c).join('\n\n')}
-
-FORMAT RULES:
-- Use proper ${style} format
-- Sort entries alphabetically by author's last name
-- Format all entries consistently
-- Include all available citation information
-- Return ONLY the bibliography entries, one per line
-`;
-
-            const bibliographyText = await this.modelManager.generateText(prompt, {
-                temperature: 0.3,
-                detailed: true
+            const bibliography = citationStyle.formatBibliography(items, {
+                citationNumbers: this._numberReferences(referenceIds),
+                yearSuffixes: citationStyle.assignYearSuffixes(items)
             });
 
-            // Insert the bibliography at the end of the document or at the cursor
-            let insertLocation;
-            if (params.position === 'end') {
-                // Insert at end of document
-                insertLocation = context.document.body.insertParagraph("Bibliography", "End");
-            } else {
-                // Insert at current selection
-                const selection = context.document.getSelection();
-                selection.insertParagraph("Bibliography", "Before");
-                insertLocation = selection;
-            }
-
-            // Format the heading
-            insertLocation.font.bold = true;
-            insertLocation.font.size = 16;
+            // Insert the bibliography at the end of the document or at the cursor,
+            // inside a field so refreshes can rebuild it in place
+            const anchor = params.position === 'end'
+                ? context.document.body.insertParagraph('', 'End')
+                : context.document.getSelection().insertParagraph('', 'Before');
 
-            // Insert bibliography text
-            const biblioContent = insertLocation.insertParagraph(bibliographyText, "After");
-
-            // Format bibliography with hanging indent if possible
-            try {
-                biblioContent.paragraphs.load('items');
-                await context.sync();
-
-                // Apply hanging indent to each paragraph
-                for (const para of biblioContent.paragraphs.items) {
-                    para.firstLineIndent = -24;
-                    para.leftIndent = 24;
-                }
-            } catch (error) {
-                console.warn('Could not apply hanging indent:', error);
-            }
+            const control = anchor.insertContentControl();
+            control.tag = `${BIBLIOGRAPHY_TAG_PREFIX}${citationStyle.info.id}`;
+            control.title = 'Bibliography';
+            control.insertHtml(this._bibliographyHtml(bibliography), 'Replace');
 
             await context.sync();
 
             return {
                 status: 'completed',
-                style,
-                citationCount: documentCitations.length,
+                style: citationStyle.info.title,
+                citationCount: bibliography.entries.length,
+                unresolved: unresolvedCitations,
                 timestamp: new Date().toISOString()
             };
 
@@ -221,182 +198,348 @@ FORMAT RULES:
     }
 
     /**
-     * Find potential citations in the document
+     * Renumber all citation fields in document order and rebuild the bibliography in place
+     * @param {Object} context - Word context
+     * @param {Object} params - Parameters
+     * @param {string} [params.style] - Switch the document to another style
+     * @returns {Promise<Object>} Refresh result
+     */
+    async refreshCitations(context, params = {}) {
+        try {
+            const refreshed = await this._refreshCitationFields(context, params.style);
+
+            return {
+                status: 'completed',
+                style: refreshed.style.info.title,
+                citationsUpdated: refreshed.citationsUpdated,
+                bibliographyUpdated: refreshed.bibliographiesUpdated > 0,
+                unresolved: refreshed.missing,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            console.error('Error refreshing citations:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List the citation styles in the styles folder
+     * @returns {Promise<Array<Object>>} { id, name, file }
+     */
+    async getAvailableStyles() {
+        return this.styles.listStyles();
+    }
+
+    /**
+     * Import references into the library
+     * @param {string} text - BibTeX, RIS or CSL-JSON data
+     * @param {string} [format='auto'] - Format of the data
+     * @returns {Promise<Object>} { added, skipped, ids }
+     */
+    async importReferences(text, format = 'auto') {
+        return this.referenceLibrary.importReferences(text, format);
+    }
+
+    /**
+     * Export the library, or only the references cited in the document
+     * @param {string} [format='csl-json'] - 'bibtex', 'ris' or 'csl-json'
+     * @param {boolean} [citedOnly=false] - Limit the export to cited references
+     * @returns {Promise<string>} Serialized references
+     */
+    async exportReferences(format = 'csl-json', citedOnly = false) {
+        const ids = citedOnly ? (this.documentCitations.referenceIds || []) : null;
+        return this.referenceLibrary.exportReferences(format, ids);
+    }
+
+    /**
+     * Find in-text citations in the document, in document order
      * @param {Object} context - Word context
-     * @returns {Promise<Object[]>} Potential citations with their ranges
+     * @returns {Promise<Object[]>} Citations { kind, text, cites, range }
      * @private
      */
     async _findPotentialCitations(context) {
-        // Citation patterns to search for
-        const citationPatterns = [
-            // APA style in-text citations
-            '\\([A-Za-z]+\\s*(&\\s*[A-Za-z]+)?\\s*,\\s*\\d{4}\\)',
-            // MLA style
-            '\\([A-Za-z]+\\s+\\d+\\)',
-            // Harvard style
-            '\\([A-Za-z]+\\s+\\d{4}\\)'
-        ];
-
-        const citationRanges = [];
-
-        // Search the document for each pattern
-        for (const pattern of citationPatterns) {
-            const searchResults = context.document.body.search(pattern, {
-                matchWildcards: true
-            });
-            searchResults.load('items');
-            await context.sync();
+        const paragraphs = context.document.body.paragraphs;
+        paragraphs.load('items/text');
+        await context.sync();
 
-            // Add each result to our list
-            searchResults.items.forEach(range => {
-                citationRanges.push({ range, pattern });
-            });
-        }
+        const found = [];
 
-        // Search for bracketed citations [1], [2], etc.
-        const bracketedSearch = context.document.body.search('\\[[0-9]+\\]', {
-            matchWildcards: true
+        paragraphs.items.forEach(paragraph => {
+            const matches = [];
+
+            for (const match of paragraph.text.matchAll(KEY_CITATION_PATTERN)) {
+                matches.push({ kind: 'key', text: match[0], index: match.index, cites: parseKeyCitation(match[1]) });
+            }
+
+            for (const match of paragraph.text.matchAll(LATEX_CITATION_PATTERN)) {
+                const cites = match[1].split(',').map(key => ({ key: key.trim() })).filter(cite => cite.key);
+                matches.push({ kind: 'key', text: match[0], index: match.index, cites });
+            }
+
+            for (const match of paragraph.text.matchAll(AUTHOR_YEAR_PATTERN)) {
+                matches.push({
+                    kind: 'author-year',
+                    text: match[0],
+                    index: match.index,
+                    cites: [{ family: match[1], year: match[2], locator: match[3] ? match[3].trim() : undefined }]
+                });
+            }
+
+            // Identical citations in one paragraph are told apart by occurrence
+            const occurrences = {};
+            matches
+                .sort((a, b) => a.index - b.index)
+                .filter(match => match.text.length <= MAX_SEARCH_LENGTH)
+                .forEach(match => {
+                    occurrences[match.text] = (occurrences[match.text] || 0) + 1;
+                    found.push({ ...match, paragraph, occurrence: occurrences[match.text] - 1 });
+                });
+        });
+
+        // Locate every citation's range in a single sync
+        const searches = found.map(citation => {
+            const results = citation.paragraph.search(citation.text, { matchCase: true });
+            results.load('items');
+            return results;
         });
-        bracketedSearch.load('items');
         await context.sync();
 
-        bracketedSearch.items.forEach(range => {
-            citationRanges.push({ range, pattern: 'bracketed' });
+        // Skip text that is already a citation field or part of the bibliography
+        const located = found.map((citation, i) => {
+            const range = searches[i].items[citation.occurrence];
+            const parent = range ? range.parentContentControlOrNullObject : null;
+            if (parent) {
+                parent.load('tag');
+            }
+            return { citation, range, parent };
         });
+        await context.sync();
 
-        return citationRanges;
+        return located
+            .filter(({ range, parent }) => range && (parent.isNullObject || !isCitationFieldTag(parent.tag)))
+            .map(({ citation, range }) => ({
+                kind: citation.kind,
+                text: citation.text,
+                cites: citation.cites,
+                range
+            }));
     }
 
     /**
-     * Format a citation according to the specified style
-     * @param {string} citationText - Text of the citation
-     * @param {string} style - Citation style
-     * @returns {Promise<string>} Formatted citation
+     * Look up the references an in-text citation points to
+     * @param {Object} citation - Citation from _findPotentialCitations
+     * @returns {Promise<Object>} { references: [{ item, locator }], missing: [string] }
      * @private
      */
-    async _formatCitation(citationText, style) {
-        // Extract key information from the citation text
-        const info = this._extractCitationInfo(citationText);
-
-        if (!info || !info.author) {
-            // If we couldn't extract information, return original
-            return citationText;
-        }
+    async _resolveCitation(citation) {
+        const references = [];
+        const missing = [];
+
+        for (const cite of citation.cites) {
+            if (cite.key) {
+                const item = await this.referenceLibrary.getReference(cite.key);
+                if (item) {
+                    references.push({ item, locator: cite.locator });
+                } else {
+                    missing.push(`No reference with key "${cite.key}"`);
+                }
+                continue;
+            }
 
-        // Format according to style
-        let formatted;
-        switch (style) {
-            case 'APA':
-                formatted = `(${info.author}, ${info.year})`;
-                break;
-            case 'MLA':
-                formatted = `(${info.author} ${info.pages || info.year})`;
-                break;
-            case 'Chicago':
-                formatted = `(${info.author} ${info.year})`;
-                break;
-            case 'Harvard':
-                formatted = `(${info.author}, ${info.year})`;
-                break;
-            default:
-                formatted = citationText;
+            const matches = await this.referenceLibrary.findByAuthorYear(cite.family, cite.year);
+            if (matches.length === 1) {
+                references.push({ item: matches[0], locator: cite.locator });
+            } else if (matches.length === 0) {
+                missing.push(`No reference by ${cite.family} from ${cite.year}`);
+            } else {
+                missing.push(`${matches.length} references by ${cite.family} from ${cite.year}; cite by key instead`);
+            }
         }
 
-        return formatted;
+        return { references, missing };
     }
 
     /**
-     * Extract citation information from text
-     * @param {string} text - Citation text
-     * @returns {Object} Citation information
+     * Re-render every citation field and bibliography field in the document.
+     * Citations are numbered by first appearance, so numeric styles stay correct
+     * after paragraphs move.
+     * @param {Object} context - Word context
+     * @param {string} [styleId] - Style to use; defaults to the bibliography's style
+     * @returns {Promise<Object>} { style, referenceIds, citationNumbers, citationsUpdated, bibliographiesUpdated, missing }
      * @private
      */
-    _extractCitationInfo(text) {
-        // Remove parentheses if present
-        const cleanText = text.replace(/[()[\]]/g, '').trim();
+    async _refreshCitationFields(context, styleId) {
+        const controls = context.document.contentControls;
+        controls.load('items/tag');
+        await context.sync();
 
-        // Try different patterns
+        const citationFields = controls.items
+            .filter(control => (control.tag || '').startsWith(CITATION_TAG_PREFIX))
+            .map(control => ({ control, cites: decodeCitationTag(control.tag) }));
+        const bibliographyFields = controls.items
+            .filter(control => (control.tag || '').startsWith(BIBLIOGRAPHY_TAG_PREFIX));
+
+        const documentStyle = bibliographyFields.length > 0
+            ? bibliographyFields[0].tag.substring(BIBLIOGRAPHY_TAG_PREFIX.length)
+            : null;
+        const citationStyle = await this.styles.getStyle(
+            styleId || documentStyle || this.documentCitations.style || this.defaultStyle
+        );
+
+        // Reference ids in order of first citation
+        const allIds = [];
+        citationFields.forEach(({ cites }) => cites.forEach(({ id }) => {
+            if (!allIds.includes(id)) {
+                allIds.push(id);
+            }
+        }));
 
-        // APA style: Author, Year
-        const apaMatch = cleanText.match(/([A-Za-z]+\s*(?:&\s*[A-Za-z]+)?)\s*,\s*(\d{4})/);
-        if (apaMatch) {
-            return {
-                author: apaMatch[1],
-                year: apaMatch[2]
-            };
-        }
+        const items = await this.referenceLibrary.getReferences(allIds);
+        const itemsById = {};
+        allIds.forEach((id, index) => {
+            if (items[index]) {
+                itemsById[id] = items[index];
+            }
+        });
 
-        // MLA style: Author Page
-        const mlaMatch = cleanText.match(/([A-Za-z]+)\s+(\d+)/);
-        if (mlaMatch) {
-            return {
-                author: mlaMatch[1],
-                pages: mlaMatch[2]
-            };
-        }
+        const referenceIds = allIds.filter(id => itemsById[id]);
+        const citationNumbers = this._numberReferences(referenceIds);
+        // Smith 2020a and 2020b must read the same in the text and the bibliography
+        const yearSuffixes = citationStyle.assignYearSuffixes(referenceIds.map(id => itemsById[id]));
+        const missing = allIds
+            .filter(id => !itemsById[id])
+            .map(id => ({ text: id, missing: [`No reference with key "${id}"`] }));
+
+        // Fields citing deleted references keep their current text
+        let citationsUpdated = 0;
+        citationFields.forEach(({ control, cites }) => {
+            if (cites.some(cite => !itemsById[cite.id])) {
+                return;
+            }
+            const references = cites.map(cite => ({ item: itemsById[cite.id], locator: cite.locator }));
+            control.insertText(this._formatInTextCitation(references, citationStyle, citationNumbers, yearSuffixes), 'Replace');
+            citationsUpdated++;
+        });
 
-        // Numeric citation [1]
-        const numMatch = cleanText.match(/(\d+)/);
-        if (numMatch) {
-            return {
-                index: numMatch[1]
-            };
+        if (bibliographyFields.length > 0) {
+            const bibliography = citationStyle.formatBibliography(
+                referenceIds.map(id => itemsById[id]),
+                { citationNumbers, yearSuffixes }
+            );
+            bibliographyFields.forEach(control => {
+                control.tag = `${BIBLIOGRAPHY_TAG_PREFIX}${citationStyle.info.id}`;
+                control.insertHtml(this._bibliographyHtml(bibliography), 'Replace');
+            });
         }
 
-        return null;
+        await context.sync();
+
+        // Save the document's citations for bibliography generation and export
+        this.documentCitations = {
+            style: citationStyle.info.id,
+            referenceIds,
+            citationNumbers
+        };
+
+        return {
+            style: citationStyle,
+            referenceIds,
+            citationNumbers,
+            citationsUpdated,
+            bibliographiesUpdated: bibliographyFields.length,
+            missing
+        };
     }
 
     /**
-     * Parse a citation string into structured data
-     * @param {string} citation - Citation string
-     * @returns {Object} Parsed citation
+     * Build the HTML for a bibliography field: heading plus one paragraph per entry
+     * @param {Object} bibliography - Result of CslStyle.formatBibliography
+     * @returns {string} HTML
      * @private
      */
-    async _parseCitation(citation) {
-        // For complex parsing, we can use the AI model to help extract information
-        const prompt = `
-Parse the following citation and extract the structured information:
-${citation}
-
-Return ONLY a JSON object with these fields (leave empty if not available):
-- type: "book", "journal", "website", or "other"
-- authors: Author names separated by commas
-- year: Publication year
-- title: Title of the work
-- journal: Journal name (if applicable)
-- volume: Volume number (if applicable)
-- issue: Issue number (if applicable)
-- pages: Page range (if applicable)
-- publisher: Publisher name (if applicable)
-- url: URL (if applicable)
-`;
+    _bibliographyHtml(bibliography) {
+        const indent = bibliography.hangingIndent ? 'margin-left:24pt;text-indent:-24pt;' : '';
+        const entries = bibliography.entries
+            .map(entry => `<p style="${indent}font-size:11pt">${entry.html}</p>`)
+            .join('');
 
-        try {
-            const response = await this.modelManager.generateText(prompt, {
-                temperature: 0.1,
-                format: 'json',
-                maxTokens: 500
-            });
+        return `<p style="font-size:16pt"><b>Bibliography</b></p>${entries}`;
+    }
 
-            // Try to parse JSON response
-            try {
-                const jsonMatch = response.match(/\{[\s\S]*\}/);
-                if (jsonMatch) {
-                    return JSON.parse(jsonMatch[0]);
-                }
-            } catch (e) {
-                console.warn('Failed to parse citation as JSON');
-            }
+    /**
+     * Format an in-text citation for resolved references
+     * @param {Array<Object>} references - { item, locator } pairs
+     * @param {CslStyle} citationStyle - Citation style
+     * @param {Object} citationNumbers - Map of reference id to citation number
+     * @param {Object} [yearSuffixes] - Map of reference id to year suffix
+     * @returns {string} In-text citation
+     * @private
+     */
+    _formatInTextCitation(references, citationStyle, citationNumbers, yearSuffixes = {}) {
+        const cites = references.map(({ item, locator }) => ({ item, ...parseLocator(locator) }));
+        return citationStyle.formatCitation(cites, { citationNumbers, yearSuffixes }).text;
+    }
 
-            // Fallback to original citation
-            return { original: citation };
-        } catch (error) {
-            console.error('Error parsing citation:', error);
-            return { original: citation };
-        }
+    /**
+     * Number references in order of first citation
+     * @param {Array<string>} referenceIds - Reference ids in citation order
+     * @returns {Object} Map of reference id to citation number
+     * @private
+     */
+    _numberReferences(referenceIds) {
+        const citationNumbers = {};
+        referenceIds.forEach((id, index) => {
+            citationNumbers[id] = index + 1;
+        });
+        return citationNumbers;
     }
 }
 
+/**
+ * Parse the inside of a [@key, locator; @key2] citation
+ * @param {string} content - Citation content
+ * @returns {Array<Object>} { key, locator } pairs
+ * @private
+ */
+function parseKeyCitation(content) {
+    return content.split(';').map(part => {
+        const match = /^\s*@([^\s,;]+)\s*(?:,\s*(.+))?$/.exec(part);
+        return match ? { key: match[1], locator: match[2] ? match[2].trim() : undefined } : null;
+    }).filter(Boolean);
+}
+
+/**
+ * Build the content control tag for a citation field
+ * @param {Array<Object>} references - { item, locator } pairs
+ * @returns {string} Tag such as "wgp-citation:smith2020#p.%205;jones2019"
+ * @private
+ */
+function encodeCitationTag(references) {
+    return CITATION_TAG_PREFIX + references
+        .map(({ item, locator }) => encodeURIComponent(item.id) + (locator ? `#${encodeURIComponent(locator)}` : ''))
+        .join(';');
+}
+
+/**
+ * Read the references of a citation field from its tag
+ * @param {string} tag - Content control tag
+ * @returns {Array<Object>} { id, locator } pairs
+ * @private
+ */
+function decodeCitationTag(tag) {
+    return tag.substring(CITATION_TAG_PREFIX.length).split(';').filter(Boolean).map(part => {
+        const [id, locator] = part.split('#');
+        return { id: decodeURIComponent(id), locator: locator ? decodeURIComponent(locator) : undefined };
+    });
+}
+
+/**
+ * @private
+ */
+function isCitationFieldTag(tag) {
+    return Boolean(tag) && (tag.startsWith(CITATION_TAG_PREFIX) || tag.startsWith(BIBLIOGRAPHY_TAG_PREFIX));
+}
+
 // Create and export singleton instance
 const citationManager = new CitationManager();
 export default citationManager;
@@ -0,0 +1,109 @@
+/**
+ * Word GPT Plus - Citation Styles
+ * Loads CSL style files from the add-in's styles folder. The folder holds an
+ * index.json listing each style's id, display name and file; a new style,
+ * such as a firm's Bluebook variant, is added by copying its .csl file into
+ * src/automation/styles and listing it in the index.
+ */
+
+import { CslStyle } from './csl-engine.js';
+
+// Where the build copies src/automation/styles, relative to the taskpane
+const DEFAULT_STYLES_PATH = 'styles/csl/';
+
+class CitationStyleRegistry {
+    constructor(basePath = DEFAULT_STYLES_PATH) {
+        this.basePath = basePath;
+        this.indexPromise = null;
+
+        // Parsed styles by id, cached as promises so each file is fetched once
+        this.styles = new Map();
+
+        // Styles registered at runtime rather than loaded from the folder
+        this.registered = [];
+    }
+
+    /**
+     * List the available styles
+     * @returns {Promise<Array<Object>>} { id, name, file }
+     */
+    async listStyles() {
+        const index = await this._loadIndex();
+        return [...index, ...this.registered];
+    }
+
+    /**
+     * Get a style by id or display name (case-insensitive)
+     * @param {string} idOrName - e.g. 'apa' or 'APA'
+     * @returns {Promise<CslStyle>} Parsed style
+     */
+    async getStyle(idOrName) {
+        const wanted = String(idOrName || '').toLowerCase();
+        const entry = (await this.listStyles())
+            .find(style => style.id.toLowerCase() === wanted || (style.name || '').toLowerCase() === wanted);
+
+        if (!entry) {
+            throw new Error(`Unknown citation style: ${idOrName}`);
+        }
+
+        if (!this.styles.has(entry.id)) {
+            const loading = this._fetchText(`${this.basePath}${entry.file}`)
+                .then(xml => new CslStyle(xml))
+                .catch(error => {
+                    this.styles.delete(entry.id);
+                    throw error;
+                });
+            this.styles.set(entry.id, loading);
+        }
+
+        return this.styles.get(entry.id);
+    }
+
+    /**
+     * Register a style from CSL XML, e.g. one the user picked from disk
+     * @param {string} xml - Contents of a .csl file
+     * @param {string} [name] - Display name (defaults to the style's short title)
+     * @returns {CslStyle} Parsed style
+     */
+    registerStyle(xml, name) {
+        const style = new CslStyle(xml);
+        const id = style.info.id;
+
+        this.registered = this.registered.filter(entry => entry.id !== id);
+        this.registered.push({ id, name: name || style.info.titleShort || style.info.title || id, file: null });
+        this.styles.set(id, Promise.resolve(style));
+
+        return style;
+    }
+
+    /**
+     * Load the style index from the styles folder
+     * @private
+     */
+    _loadIndex() {
+        if (!this.indexPromise) {
+            this.indexPromise = this._fetchText(`${this.basePath}index.json`)
+                .then(text => JSON.parse(text))
+                .catch(error => {
+                    this.indexPromise = null;
+                    throw new Error(`Could not load citation styles: ${error.message}`);
+                });
+        }
+        return this.indexPromise;
+    }
+
+    /**
+     * @private
+     */
+    async _fetchText(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${url}: ${response.status} ${response.statusText}`);
+        }
+        return response.text();
+    }
+}
+
+// Create and export singleton instance
+const citationStyles = new CitationStyleRegistry();
+export default citationStyles;
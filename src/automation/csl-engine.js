@@ -0,0 +1,1148 @@
+/**
+ * Word GPT Plus - CSL Engine
+ * Citation Style Language processor. Parses CSL 1.0 style files and renders
+ * CSL-JSON items as in-text citations and bibliography entries, both as HTML
+ * (for inserting into Word with formatting) and as plain text.
+ *
+ * Supported: macros, names (et al., initials, sort order, substitution), dates,
+ * numbers, labels, terms, groups, choose, sorting, citation-number collapsing,
+ * style-level locale terms and year suffixes (disambiguate-add-year-suffix).
+ * Not supported: other disambiguation methods (adding names or given names),
+ * subsequent-author-substitute and note positions (ibid., subsequent).
+ */
+
+import { createLocale, getTerm, toOrdinal } from './csl-locale.js';
+import { formatYearSuffix } from './reference-formats.js';
+
+const NAME_VARIABLES = [
+    'author', 'editor', 'translator', 'container-author', 'collection-editor',
+    'composer', 'director', 'editorial-director', 'illustrator', 'interviewer',
+    'original-author', 'recipient', 'reviewed-author'
+];
+
+const DATE_VARIABLES = ['issued', 'accessed', 'event-date', 'original-date', 'submitted'];
+
+// Name options that style, citation and bibliography pass down to <name>
+const INHERITABLE_NAME_OPTIONS = {
+    'and': 'and',
+    'delimiter-precedes-et-al': 'delimiter-precedes-et-al',
+    'delimiter-precedes-last': 'delimiter-precedes-last',
+    'et-al-min': 'et-al-min',
+    'et-al-use-first': 'et-al-use-first',
+    'initialize': 'initialize',
+    'initialize-with': 'initialize-with',
+    'name-as-sort-order': 'name-as-sort-order',
+    'sort-separator': 'sort-separator',
+    'name-form': 'form',
+    'name-delimiter': 'delimiter',
+    'names-delimiter': 'names-delimiter'
+};
+
+const TITLE_CASE_STOP_WORDS = new Set([
+    'a', 'an', 'and', 'as', 'at', 'but', 'by', 'for', 'from', 'in', 'into',
+    'nor', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+// Locator labels as written in citations, e.g. "p. 5" or "chap. 2"
+const LOCATOR_LABELS = {
+    'p.': 'page', 'pp.': 'page', 'page': 'page', 'pages': 'page',
+    'chap.': 'chapter', 'ch.': 'chapter', 'chapter': 'chapter',
+    'sec.': 'section', 'section': 'section', '\u00a7': 'section', '\u00a7\u00a7': 'section',
+    'para.': 'paragraph', 'paras.': 'paragraph', '\u00b6': 'paragraph', '\u00b6\u00b6': 'paragraph',
+    'fig.': 'figure', 'figure': 'figure',
+    'n.': 'note', 'nn.': 'note', 'note': 'note',
+    'vol.': 'volume', 'volume': 'volume',
+    'l.': 'line', 'll.': 'line', 'line': 'line',
+    'col.': 'column', 'pt.': 'part', 'bk.': 'book', 'fol.': 'folio'
+};
+
+/**
+ * A parsed CSL style
+ */
+export class CslStyle {
+    /**
+     * @param {string} xml - Contents of a .csl file
+     */
+    constructor(xml) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        const root = doc.documentElement;
+
+        if (!root || root.localName !== 'style' || doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Invalid CSL style: expected a <style> document');
+        }
+
+        this.info = readInfo(root);
+        this.locale = createLocale(readLocaleTerms(root));
+        this.styleOptions = readNameOptions(root);
+
+        this.macros = {};
+        childElements(root, 'macro').forEach(macro => {
+            this.macros[macro.getAttribute('name')] = macro;
+        });
+
+        this.citation = childElement(root, 'citation');
+        this.bibliography = childElement(root, 'bibliography');
+
+        // Styles that place year-suffix themselves don't get it after the year
+        this.rendersYearSuffix = Array.from(root.getElementsByTagName('text'))
+            .some(element => element.getAttribute('variable') === 'year-suffix');
+
+        if (!this.citation || !childElement(this.citation, 'layout')) {
+            throw new Error(`CSL style "${this.info.id}" has no citation layout`);
+        }
+    }
+
+    /**
+     * Whether in-text citations are numbers that depend on citation order
+     * @returns {boolean} True for numeric styles
+     */
+    get isNumeric() {
+        return this.info.citationFormat === 'numeric';
+    }
+
+    /**
+     * Whether citations belong in footnotes rather than in the text
+     * @returns {boolean} True for note styles
+     */
+    get isNote() {
+        return this.info.styleClass === 'note';
+    }
+
+    /**
+     * Render an in-text citation
+     * @param {Array<Object>} cites - { item, locator, label, prefix, suffix }
+     * @param {Object} [options] - Options
+     * @param {Object} [options.citationNumbers] - Map of item id to citation number
+     * @param {Object} [options.yearSuffixes] - Map of item id to year suffix, from assignYearSuffixes
+     * @returns {Object} { html, text }
+     */
+    formatCitation(cites, options = {}) {
+        const citationNumbers = withDefaultNumbers(cites, options.citationNumbers);
+        const yearSuffixes = options.yearSuffixes || {};
+        const layout = childElement(this.citation, 'layout');
+        const nameOptions = { ...this.styleOptions, ...readNameOptions(this.citation) };
+
+        let ordered = cites.map(cite => ({
+            ...cite,
+            citationNumber: citationNumbers[cite.item.id],
+            yearSuffix: yearSuffixes[cite.item.id]
+        }));
+        const sort = childElement(this.citation, 'sort');
+        if (sort) {
+            ordered = this._sort(ordered, sort, nameOptions);
+        }
+
+        let parts = ordered.map(cite => {
+            const ctx = this._createContext(cite, nameOptions);
+            const html = this._renderChildren(layout, ctx);
+            return {
+                cite,
+                html: html ? `${escapeHtml(cite.prefix || '')}${html}${escapeHtml(cite.suffix || '')}` : ''
+            };
+        });
+
+        if (this.citation.getAttribute('collapse') === 'citation-number') {
+            parts = collapseCitationNumbers(parts);
+        }
+
+        const html = finish(decorate(
+            layout,
+            joinParts(parts.map(part => part.html).filter(Boolean), layout.getAttribute('delimiter') || '')
+        ));
+
+        return { html, text: toPlainText(html) };
+    }
+
+    /**
+     * Render bibliography entries
+     * @param {Array<Object>} items - CSL-JSON items
+     * @param {Object} [options] - Options
+     * @param {Object} [options.citationNumbers] - Map of item id to citation number
+     * @param {Object} [options.yearSuffixes] - Map of item id to year suffix; defaults to assignYearSuffixes(items)
+     * @returns {Object} { entries: [{ id, html, text }], hangingIndent, secondFieldAlign, lineSpacing, entrySpacing }
+     */
+    formatBibliography(items, options = {}) {
+        if (!this.bibliography) {
+            return { entries: [], hangingIndent: false, secondFieldAlign: null, lineSpacing: 1, entrySpacing: 1 };
+        }
+
+        const layout = childElement(this.bibliography, 'layout');
+        const nameOptions = { ...this.styleOptions, ...readNameOptions(this.bibliography) };
+        const citationNumbers = options.citationNumbers || {};
+        const yearSuffixes = options.yearSuffixes || this.assignYearSuffixes(items);
+
+        let ordered = items.map(item => ({
+            item,
+            citationNumber: citationNumbers[item.id],
+            yearSuffix: yearSuffixes[item.id]
+        }));
+        const sort = childElement(this.bibliography, 'sort');
+        if (sort) {
+            ordered = this._sort(ordered, sort, nameOptions);
+        } else if (options.citationNumbers) {
+            ordered.sort((a, b) => (a.citationNumber || Infinity) - (b.citationNumber || Infinity));
+        }
+
+        const entries = ordered.map((cite, index) => {
+            const ctx = this._createContext({ ...cite, citationNumber: cite.citationNumber || index + 1 }, nameOptions);
+            const html = finish(decorate(layout, this._renderChildren(layout, ctx)));
+            return { id: cite.item.id, html, text: toPlainText(html) };
+        }).filter(entry => entry.text);
+
+        return {
+            entries,
+            hangingIndent: this.bibliography.getAttribute('hanging-indent') === 'true',
+            secondFieldAlign: this.bibliography.getAttribute('second-field-align') || null,
+            lineSpacing: Number(this.bibliography.getAttribute('line-spacing')) || 1,
+            entrySpacing: Number(this.bibliography.getAttribute('entry-spacing') ?? 1)
+        };
+    }
+
+    /**
+     * Give a, b, c... to works whose citations would otherwise read the same,
+     * e.g. two papers by Smith from 2020, when the style asks for it with
+     * disambiguate-add-year-suffix. Letters follow bibliography order.
+     * @param {Array<Object>} items - Every CSL-JSON item cited in the document
+     * @returns {Object} Map of item id to year suffix; empty when no citations clash
+     */
+    assignYearSuffixes(items) {
+        const yearSuffixes = {};
+        if (this.citation.getAttribute('disambiguate-add-year-suffix') !== 'true') {
+            return yearSuffixes;
+        }
+
+        const layout = childElement(this.citation, 'layout');
+        const nameOptions = { ...this.styleOptions, ...readNameOptions(this.citation) };
+
+        let ordered = items.map(item => ({ item }));
+        const sort = this.bibliography && childElement(this.bibliography, 'sort');
+        if (sort) {
+            ordered = this._sort(ordered, sort, { ...this.styleOptions, ...readNameOptions(this.bibliography) });
+        }
+
+        const groups = new Map();
+        ordered.forEach(cite => {
+            const text = toPlainText(this._renderChildren(layout, this._createContext(cite, nameOptions)));
+            groups.set(text, [...(groups.get(text) || []), cite.item]);
+        });
+
+        groups.forEach(group => {
+            if (group.length > 1) {
+                group.forEach((item, index) => {
+                    yearSuffixes[item.id] = formatYearSuffix(index);
+                });
+            }
+        });
+
+        return yearSuffixes;
+    }
+
+    /**
+     * Create the state for rendering one cite
+     * @private
+     */
+    _createContext(cite, nameOptions) {
+        return {
+            item: cite.item,
+            cite,
+            nameOptions,
+            suppressed: new Set(),
+            stats: { called: 0, hit: 0, variables: [] },
+            sortMode: false,
+            yearSuffixPending: !this.rendersYearSuffix && Boolean(cite.yearSuffix),
+            depth: 0
+        };
+    }
+
+    /**
+     * Render every child of an element and join the results
+     * @private
+     */
+    _renderChildren(element, ctx, delimiter = '') {
+        const parts = Array.from(element.children).map(child => this._render(child, ctx)).filter(Boolean);
+        return joinParts(parts, delimiter);
+    }
+
+    /**
+     * Render a rendering element
+     * @private
+     */
+    _render(element, ctx) {
+        switch (element.localName) {
+            case 'text': return this._renderText(element, ctx);
+            case 'number': return this._renderNumber(element, ctx);
+            case 'label': return this._renderLabel(element, ctx);
+            case 'date': return this._renderDate(element, ctx);
+            case 'names': return this._renderNames(element, ctx);
+            case 'group': return this._renderGroup(element, ctx);
+            case 'choose': return this._renderChoose(element, ctx);
+            default: return '';
+        }
+    }
+
+    /**
+     * @private
+     */
+    _renderText(element, ctx) {
+        let html = '';
+
+        if (element.hasAttribute('variable')) {
+            html = escapeHtml(this._variable(element.getAttribute('variable'), element.getAttribute('form'), ctx));
+        } else if (element.hasAttribute('macro')) {
+            const name = element.getAttribute('macro');
+            const macro = this.macros[name];
+            if (!macro) {
+                throw new Error(`CSL style "${this.info.id}" uses undefined macro "${name}"`);
+            }
+            if (ctx.depth > 20) {
+                throw new Error(`CSL macro "${name}" is recursive`);
+            }
+            ctx.depth++;
+            html = this._renderChildren(macro, ctx);
+            ctx.depth--;
+        } else if (element.hasAttribute('term')) {
+            html = escapeHtml(getTerm(
+                this.locale,
+                element.getAttribute('term'),
+                element.getAttribute('form') || 'long',
+                element.getAttribute('plural') === 'true'
+            ));
+        } else if (element.hasAttribute('value')) {
+            html = escapeHtml(element.getAttribute('value'));
+        }
+
+        return decorate(element, html);
+    }
+
+    /**
+     * @private
+     */
+    _renderNumber(element, ctx) {
+        const value = this._variable(element.getAttribute('variable'), null, ctx);
+        const form = element.getAttribute('form') || 'numeric';
+
+        const html = escapeHtml(value.replace(/\d+/g, digits => {
+            if (form === 'ordinal' || form === 'long-ordinal') {
+                return toOrdinal(digits);
+            }
+            if (form === 'roman') {
+                return toRoman(parseInt(digits, 10));
+            }
+            return digits;
+        }));
+
+        return decorate(element, html);
+    }
+
+    /**
+     * @private
+     */
+    _renderLabel(element, ctx) {
+        const variable = element.getAttribute('variable');
+        const term = variable === 'locator' ? (ctx.cite.label || 'page') : variable;
+        const value = variable === 'locator' ? ctx.cite.locator : ctx.item[variable];
+
+        if (!value || ctx.suppressed.has(variable)) {
+            return '';
+        }
+
+        const pluralMode = element.getAttribute('plural') || 'contextual';
+        const plural = pluralMode === 'always' || (pluralMode === 'contextual' && /[-\u2013,&]|\band\b/.test(String(value)));
+
+        const html = escapeHtml(getTerm(this.locale, term, element.getAttribute('form') || 'long', plural));
+        return decorate(element, html);
+    }
+
+    /**
+     * @private
+     */
+    _renderDate(element, ctx) {
+        const variable = element.getAttribute('variable');
+        ctx.stats.called++;
+
+        const date = ctx.suppressed.has(variable) ? null : ctx.item[variable];
+        if (!date) {
+            return '';
+        }
+
+        ctx.stats.hit++;
+        ctx.stats.variables.push(variable);
+
+        const dateParts = date['date-parts'] && date['date-parts'][0];
+        if (!dateParts || !dateParts[0]) {
+            return decorate(element, escapeHtml(date.literal || date.raw || ''));
+        }
+
+        const [year, month, day] = dateParts;
+        const overrides = {};
+        childElements(element, 'date-part').forEach(part => {
+            overrides[part.getAttribute('name')] = part;
+        });
+
+        // Localized forms take their parts from the locale, limited by date-parts
+        let parts;
+        if (element.hasAttribute('form')) {
+            const wanted = (element.getAttribute('date-parts') || 'year-month-day').split('-');
+            parts = (this.locale.dates[element.getAttribute('form')] || this.locale.dates.text)
+                .filter(part => wanted.includes(part.name))
+                .map(part => ({ ...part, element: overrides[part.name] }));
+        } else {
+            parts = childElements(element, 'date-part').map(part => ({ name: part.getAttribute('name'), element: part }));
+        }
+
+        const rendered = parts.map(part => {
+            const form = (part.element && part.element.getAttribute('form')) || part.form;
+            let text = '';
+
+            if (part.name === 'year') {
+                text = String(year);
+                // Without an explicit year-suffix, it follows the first year of the issued date
+                if (variable === 'issued' && ctx.yearSuffixPending) {
+                    text += ctx.cite.yearSuffix;
+                    ctx.yearSuffixPending = false;
+                }
+            } else if (part.name === 'month' && month) {
+                if (form === 'numeric') {
+                    text = String(month);
+                } else if (form === 'numeric-leading-zeros') {
+                    text = String(month).padStart(2, '0');
+                } else {
+                    text = getTerm(this.locale, `month-${String(month).padStart(2, '0')}`, form === 'short' ? 'short' : 'long');
+                }
+            } else if (part.name === 'day' && day) {
+                text = form === 'numeric-leading-zeros' ? String(day).padStart(2, '0')
+                    : form === 'ordinal' ? toOrdinal(day)
+                        : String(day);
+            }
+
+            if (!text) {
+                return '';
+            }
+
+            // Locale formats carry their own affixes; a date-part element replaces them
+            const html = escapeHtml(text);
+            return part.element
+                ? decorate(part.element, html)
+                : addAffixes(html, escapeHtml(part.prefix || ''), escapeHtml(part.suffix || ''));
+        }).filter(Boolean);
+
+        // Drop the trailing affix of the last part when later parts are missing
+        let html = rendered.join(element.getAttribute('delimiter') || '');
+        if (element.hasAttribute('form')) {
+            html = html.replace(/[\s,/]+$/, '');
+        }
+
+        return decorate(element, html);
+    }
+
+    /**
+     * @private
+     */
+    _renderNames(element, ctx, inherited = null) {
+        const nameElement = childElement(element, 'name') || (inherited && inherited.nameElement);
+        const etAlElement = childElement(element, 'et-al') || (inherited && inherited.etAlElement);
+        const labelElement = childElement(element, 'label') || (inherited && inherited.labelElement);
+        const substitute = childElement(element, 'substitute');
+
+        const options = { ...ctx.nameOptions, ...readAttributes(nameElement) };
+        if (ctx.sortMode) {
+            options['name-as-sort-order'] = 'all';
+        }
+
+        const outputs = [];
+        (element.getAttribute('variable') || '').split(/\s+/).filter(Boolean).forEach(variable => {
+            ctx.stats.called++;
+            const names = ctx.suppressed.has(variable) ? null : ctx.item[variable];
+            if (!Array.isArray(names) || names.length === 0) {
+                return;
+            }
+
+            ctx.stats.hit++;
+            ctx.stats.variables.push(variable);
+
+            let html = this._formatNameList(names, options, nameElement, etAlElement);
+
+            if (labelElement && options.form !== 'count') {
+                const pluralMode = labelElement.getAttribute('plural') || 'contextual';
+                const plural = pluralMode === 'always' || (pluralMode === 'contextual' && names.length > 1);
+                const label = decorate(
+                    labelElement,
+                    escapeHtml(getTerm(this.locale, variable, labelElement.getAttribute('form') || 'long', plural))
+                );
+                const labelFirst = nameElement && labelElement.compareDocumentPosition(nameElement) === 4;
+                html = labelFirst ? label + html : html + label;
+            }
+
+            outputs.push(html);
+        });
+
+        if (outputs.length > 0) {
+            const delimiter = element.getAttribute('delimiter') ?? options['names-delimiter'] ?? '';
+            return decorate(element, outputs.join(delimiter));
+        }
+
+        if (!substitute) {
+            return '';
+        }
+
+        // The first substitute that renders replaces the names; the variables
+        // it used are suppressed for the rest of the entry
+        for (const candidate of Array.from(substitute.children)) {
+            const before = ctx.stats.variables.length;
+            const html = candidate.localName === 'names' && candidate.children.length === 0
+                ? this._renderNames(candidate, ctx, { nameElement, etAlElement, labelElement })
+                : this._render(candidate, ctx);
+
+            if (html) {
+                ctx.stats.variables.slice(before).forEach(variable => ctx.suppressed.add(variable));
+                return decorate(element, html);
+            }
+        }
+
+        return '';
+    }
+
+    /**
+     * Format a list of names with et al. and "and" rules
+     * @private
+     */
+    _formatNameList(names, options, nameElement, etAlElement) {
+        const etAlMin = parseInt(options['et-al-min'], 10);
+        const etAlUseFirst = parseInt(options['et-al-use-first'], 10);
+        const truncate = etAlMin > 0 && etAlUseFirst > 0 && names.length >= etAlMin && etAlUseFirst < names.length;
+        const shown = truncate ? names.slice(0, etAlUseFirst) : names;
+
+        if (options.form === 'count') {
+            return String(shown.length);
+        }
+
+        const sortOrder = options['name-as-sort-order'];
+        const isInverted = index => sortOrder === 'all' || (sortOrder === 'first' && index === 0);
+        const formatted = shown.map((name, index) => this._formatName(name, options, nameElement, isInverted(index)));
+        const delimiter = options.delimiter ?? ', ';
+
+        const precedes = (setting, count, lastInverted) => setting === 'always'
+            || (setting === 'contextual' && count > 2)
+            || (setting === 'after-inverted-name' && lastInverted);
+
+        if (truncate) {
+            const etAl = etAlElement
+                ? decorate(etAlElement, escapeHtml(getTerm(this.locale, etAlElement.getAttribute('term') || 'et-al')))
+                : escapeHtml(getTerm(this.locale, 'et-al'));
+            const useDelimiter = precedes(options['delimiter-precedes-et-al'] || 'contextual', shown.length + 1, isInverted(shown.length - 1));
+            return formatted.join(delimiter) + (useDelimiter ? delimiter : ' ') + etAl;
+        }
+
+        if (formatted.length === 1) {
+            return formatted[0];
+        }
+
+        const and = options.and === 'symbol' ? '&amp;'
+            : options.and === 'text' ? escapeHtml(getTerm(this.locale, 'and'))
+                : null;
+        if (!and) {
+            return formatted.join(delimiter);
+        }
+
+        const last = formatted.pop();
+        const useDelimiter = precedes(options['delimiter-precedes-last'] || 'contextual', shown.length, isInverted(shown.length - 2));
+        return `${formatted.join(delimiter)}${useDelimiter ? delimiter : ' '}${and} ${last}`;
+    }
+
+    /**
+     * Format a single name
+     * @private
+     */
+    _formatName(name, options, nameElement, inverted) {
+        if (name.literal) {
+            return escapeHtml(name.literal);
+        }
+
+        const partElements = {};
+        if (nameElement) {
+            childElements(nameElement, 'name-part').forEach(part => {
+                partElements[part.getAttribute('name')] = part;
+            });
+        }
+
+        const family = [name['non-dropping-particle'], name.family].filter(Boolean).join(' ');
+        let given = name.given || '';
+        if (given && options['initialize-with'] !== undefined && options.initialize !== 'false') {
+            given = initializeGiven(given, options['initialize-with']);
+        }
+        given = [given, name['dropping-particle']].filter(Boolean).join(' ');
+
+        const familyHtml = decorate(partElements.family, escapeHtml(family));
+        const givenHtml = decorate(partElements.given, escapeHtml(given));
+
+        if (options.form === 'short') {
+            return familyHtml;
+        }
+
+        if (inverted) {
+            return [familyHtml, givenHtml, escapeHtml(name.suffix || '')]
+                .filter(Boolean)
+                .join(options['sort-separator'] ?? ', ');
+        }
+
+        return [givenHtml, familyHtml].filter(Boolean).join(' ') + (name.suffix ? `, ${escapeHtml(name.suffix)}` : '');
+    }
+
+    /**
+     * A group is suppressed when it calls variables and all of them are empty
+     * @private
+     */
+    _renderGroup(element, ctx) {
+        const called = ctx.stats.called;
+        const hit = ctx.stats.hit;
+
+        const html = this._renderChildren(element, ctx, element.getAttribute('delimiter') || '');
+
+        if (ctx.stats.called > called && ctx.stats.hit === hit) {
+            return '';
+        }
+        return decorate(element, html);
+    }
+
+    /**
+     * @private
+     */
+    _renderChoose(element, ctx) {
+        for (const branch of Array.from(element.children)) {
+            if (branch.localName === 'else' || this._testCondition(branch, ctx)) {
+                return this._renderChildren(branch, ctx);
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Evaluate an <if> or <else-if>
+     * @private
+     */
+    _testCondition(branch, ctx) {
+        const results = [];
+        const values = attribute => (branch.getAttribute(attribute) || '').split(/\s+/).filter(Boolean);
+
+        values('type').forEach(type => results.push(ctx.item.type === type));
+        values('variable').forEach(variable => results.push(this._hasVariable(variable, ctx)));
+        values('is-numeric').forEach(variable => results.push(isNumeric(this._rawVariable(variable, ctx))));
+        values('is-uncertain-date').forEach(variable => results.push(Boolean(ctx.item[variable] && ctx.item[variable].circa)));
+        values('locator').forEach(label => results.push(Boolean(ctx.cite.locator) && (ctx.cite.label || 'page') === label));
+        // Position is not tracked, so every cite is a first cite
+        values('position').forEach(position => results.push(position === 'first'));
+        values('disambiguate').forEach(() => results.push(false));
+
+        const match = branch.getAttribute('match') || 'all';
+        if (match === 'any') {
+            return results.some(Boolean);
+        }
+        if (match === 'none') {
+            return !results.some(Boolean);
+        }
+        return results.length > 0 && results.every(Boolean);
+    }
+
+    /**
+     * Read a variable for output, recording the call for group suppression
+     * @private
+     */
+    _variable(name, form, ctx) {
+        ctx.stats.called++;
+        const value = this._rawVariable(name, ctx, form);
+
+        if (value === '') {
+            return '';
+        }
+
+        ctx.stats.hit++;
+        ctx.stats.variables.push(name);
+        return value;
+    }
+
+    /**
+     * Read a variable as a string without recording the call
+     * @private
+     */
+    _rawVariable(name, ctx, form = null) {
+        if (ctx.suppressed.has(name)) {
+            return '';
+        }
+
+        let value;
+        if (name === 'citation-number') {
+            value = ctx.cite.citationNumber;
+        } else if (name === 'locator') {
+            value = ctx.cite.locator;
+        } else if (name === 'year-suffix') {
+            value = ctx.cite.yearSuffix;
+        } else if (form === 'short') {
+            value = ctx.item[`${name}-short`] || (name === 'title' && ctx.item.shortTitle) || ctx.item[name];
+        } else {
+            value = ctx.item[name];
+        }
+
+        if (value === undefined || value === null || typeof value === 'object') {
+            return '';
+        }
+
+        let text = String(value);
+        if (name === 'page' || name === 'locator') {
+            text = text.replace(/(\w)\s*-+\s*(\w)/g, '$1\u2013$2');
+        } else if (name === 'DOI') {
+            text = text.replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+        }
+        return text;
+    }
+
+    /**
+     * @private
+     */
+    _hasVariable(name, ctx) {
+        if (NAME_VARIABLES.includes(name)) {
+            return !ctx.suppressed.has(name) && Array.isArray(ctx.item[name]) && ctx.item[name].length > 0;
+        }
+        if (DATE_VARIABLES.includes(name)) {
+            return !ctx.suppressed.has(name) && Boolean(ctx.item[name]);
+        }
+        return this._rawVariable(name, ctx) !== '';
+    }
+
+    /**
+     * Sort cites by the keys of a <sort> element
+     * @private
+     */
+    _sort(cites, sort, nameOptions) {
+        const keys = childElements(sort, 'key');
+        const withKeys = cites.map(cite => ({
+            cite,
+            values: keys.map(key => this._sortValue(key, cite, nameOptions))
+        }));
+
+        withKeys.sort((a, b) => {
+            for (let i = 0; i < keys.length; i++) {
+                const x = a.values[i];
+                const y = b.values[i];
+
+                // Empty values sort last in either direction
+                if (x === '' && y !== '') return 1;
+                if (y === '' && x !== '') return -1;
+
+                let result = typeof x === 'number' && typeof y === 'number'
+                    ? x - y
+                    : String(x).localeCompare(String(y), undefined, { sensitivity: 'base' });
+
+                if (keys[i].getAttribute('sort') === 'descending') {
+                    result = -result;
+                }
+                if (result !== 0) {
+                    return result;
+                }
+            }
+            return 0;
+        });
+
+        return withKeys.map(entry => entry.cite);
+    }
+
+    /**
+     * Compute one sort key value for a cite
+     * @private
+     */
+    _sortValue(key, cite, nameOptions) {
+        const item = cite.item;
+        const variable = key.getAttribute('variable');
+
+        if (variable) {
+            if (NAME_VARIABLES.includes(variable)) {
+                return (item[variable] || [])
+                    .map(name => name.literal || [name['non-dropping-particle'], name.family, name.given].filter(Boolean).join(' '))
+                    .join(' ');
+            }
+            if (DATE_VARIABLES.includes(variable)) {
+                const parts = item[variable] && item[variable]['date-parts'] && item[variable]['date-parts'][0];
+                return parts && parts[0]
+                    ? Number(`${parts[0]}${String(parts[1] || 0).padStart(2, '0')}${String(parts[2] || 0).padStart(2, '0')}`)
+                    : '';
+            }
+            if (variable === 'citation-number') {
+                return cite.citationNumber || '';
+            }
+
+            const value = item[variable];
+            if (value === undefined || value === null) {
+                return '';
+            }
+            return isNumeric(String(value)) ? parseInt(value, 10) : String(value);
+        }
+
+        const macro = this.macros[key.getAttribute('macro')];
+        if (!macro) {
+            return '';
+        }
+
+        const options = { ...nameOptions };
+        if (key.hasAttribute('names-min')) options['et-al-min'] = key.getAttribute('names-min');
+        if (key.hasAttribute('names-use-first')) options['et-al-use-first'] = key.getAttribute('names-use-first');
+
+        const ctx = this._createContext(cite, options);
+        ctx.sortMode = true;
+        // Leading quotes and brackets do not affect alphabetical order
+        return toPlainText(this._renderChildren(macro, ctx)).replace(/^[^\p{L}\p{N}]+/u, '');
+    }
+}
+
+/**
+ * Split a citation locator such as "pp. 10-12" into label and locator
+ * @param {string} text - Locator text
+ * @returns {Object} { label, locator }
+ */
+export function parseLocator(text) {
+    if (!text || !String(text).trim()) {
+        return { label: undefined, locator: undefined };
+    }
+
+    const match = /^\s*([^\s\d]+)\s*(.+)$/.exec(text);
+    if (match && LOCATOR_LABELS[match[1].toLowerCase()]) {
+        return { label: LOCATOR_LABELS[match[1].toLowerCase()], locator: match[2].trim() };
+    }
+    return { label: 'page', locator: String(text).trim() };
+}
+
+/**
+ * Strip HTML markup from rendered output
+ * @param {string} html - Rendered HTML
+ * @returns {string} Plain text
+ */
+export function toPlainText(html) {
+    return html
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read the <info> block
+ * @private
+ */
+function readInfo(root) {
+    const info = childElement(root, 'info');
+    const text = name => {
+        const element = info && childElement(info, name);
+        return element ? element.textContent.trim() : '';
+    };
+    const category = info && childElements(info, 'category').find(element => element.hasAttribute('citation-format'));
+
+    return {
+        // Repository ids are URLs; the last path segment is the short id
+        id: text('id').split('/').pop(),
+        title: text('title'),
+        titleShort: text('title-short'),
+        citationFormat: category ? category.getAttribute('citation-format') : 'author-date',
+        styleClass: root.getAttribute('class') || 'in-text'
+    };
+}
+
+/**
+ * Read term overrides from English <locale> elements in a style
+ * @private
+ */
+function readLocaleTerms(root) {
+    const overrides = {};
+
+    childElements(root, 'locale')
+        .filter(locale => {
+            const lang = locale.getAttribute('xml:lang') || locale.getAttribute('lang');
+            return !lang || lang.startsWith('en');
+        })
+        .forEach(locale => {
+            const terms = childElement(locale, 'terms');
+            if (!terms) {
+                return;
+            }
+
+            childElements(terms, 'term').forEach(term => {
+                const single = childElement(term, 'single');
+                const multiple = childElement(term, 'multiple');
+                const name = term.getAttribute('name');
+                const form = term.getAttribute('form') || 'long';
+
+                overrides[name] = {
+                    ...overrides[name],
+                    [form]: single ? [single.textContent, multiple ? multiple.textContent : single.textContent] : term.textContent
+                };
+            });
+        });
+
+    return overrides;
+}
+
+/**
+ * Read inheritable name options from style, citation or bibliography
+ * @private
+ */
+function readNameOptions(element) {
+    const options = {};
+    Object.entries(INHERITABLE_NAME_OPTIONS).forEach(([attribute, option]) => {
+        if (element.hasAttribute(attribute)) {
+            options[option] = element.getAttribute(attribute);
+        }
+    });
+    return options;
+}
+
+/**
+ * @private
+ */
+function readAttributes(element) {
+    const attributes = {};
+    if (element) {
+        Array.from(element.attributes).forEach(attribute => {
+            attributes[attribute.name] = attribute.value;
+        });
+    }
+    return attributes;
+}
+
+/**
+ * @private
+ */
+function childElements(element, name) {
+    return Array.from(element.children).filter(child => child.localName === name);
+}
+
+/**
+ * @private
+ */
+function childElement(element, name) {
+    return childElements(element, name)[0] || null;
+}
+
+/**
+ * Apply text case, quotes, font formatting and affixes of an element
+ * @private
+ */
+function decorate(element, html) {
+    if (!element || !html) {
+        return html || '';
+    }
+
+    if (element.getAttribute('strip-periods') === 'true') {
+        html = mapText(html, text => text.replace(/\./g, ''));
+    }
+
+    const textCase = element.getAttribute('text-case');
+    if (textCase) {
+        html = applyTextCase(html, textCase);
+    }
+
+    if (element.getAttribute('quotes') === 'true') {
+        html = `\u201c${html.replace(/\u201c/g, '\u2018').replace(/\u201d/g, '\u2019')}\u201d`;
+    }
+
+    if (element.getAttribute('font-style') === 'italic' || element.getAttribute('font-style') === 'oblique') {
+        html = `<i>${html}</i>`;
+    }
+    if (element.getAttribute('font-weight') === 'bold') {
+        html = `<b>${html}</b>`;
+    }
+    if (element.getAttribute('font-variant') === 'small-caps') {
+        html = `<span style="font-variant:small-caps">${html}</span>`;
+    }
+    if (element.getAttribute('text-decoration') === 'underline') {
+        html = `<u>${html}</u>`;
+    }
+    if (element.getAttribute('vertical-align') === 'sup') {
+        html = `<sup>${html}</sup>`;
+    } else if (element.getAttribute('vertical-align') === 'sub') {
+        html = `<sub>${html}</sub>`;
+    }
+
+    return addAffixes(html, escapeHtml(element.getAttribute('prefix') || ''), escapeHtml(element.getAttribute('suffix') || ''));
+}
+
+/**
+ * Add prefix and suffix, without doubling a period already at the end
+ * @private
+ */
+function addAffixes(html, prefix, suffix) {
+    return prefix + appendPunctuation(html, suffix);
+}
+
+/**
+ * Join rendered parts with a delimiter, without doubling periods
+ * @private
+ */
+function joinParts(parts, delimiter) {
+    return parts.reduce((joined, part) => (joined ? appendPunctuation(joined, delimiter) + part : part), '');
+}
+
+/**
+ * @private
+ */
+function appendPunctuation(html, punctuation) {
+    if (punctuation.startsWith('.') && /[.?!]$/.test(toPlainText(html).replace(/[\u201d\u2019]+$/, ''))) {
+        return html + punctuation.substring(1);
+    }
+    return html + punctuation;
+}
+
+/**
+ * Final clean-up of a rendered layout: move periods and commas inside
+ * closing quotes and collapse doubled spaces
+ * @private
+ */
+function finish(html) {
+    return html
+        .replace(/\u201d([.,])/g, '$1\u201d')
+        .replace(/ {2,}/g, ' ')
+        .trim();
+}
+
+/**
+ * Apply a function to the text between tags, leaving entities intact
+ * @private
+ */
+function mapText(html, transform) {
+    let index = 0;
+    return html.replace(/(^|>)([^<]+)/g, (match, boundary, text) => {
+        const mapped = text.split(/(&[a-z]+;)/).map(part => (part.startsWith('&') && part.endsWith(';') ? part : transform(part, index++))).join('');
+        return boundary + mapped;
+    });
+}
+
+/**
+ * @private
+ */
+function applyTextCase(html, textCase) {
+    switch (textCase) {
+        case 'lowercase':
+            return mapText(html, text => text.toLowerCase());
+        case 'uppercase':
+            return mapText(html, text => text.toUpperCase());
+        case 'capitalize-first':
+        case 'sentence': {
+            let done = false;
+            return mapText(html, text => {
+                if (done || !/\p{L}/u.test(text)) {
+                    return text;
+                }
+                done = true;
+                return text.replace(/\p{L}/u, letter => letter.toUpperCase());
+            });
+        }
+        case 'capitalize-all':
+            return mapText(html, text => text.replace(/(^|\s)(\p{L})/gu, (match, space, letter) => space + letter.toUpperCase()));
+        case 'title':
+            return mapText(html, (text, index) => text.replace(/(^|\s)(\p{L}[\p{L}']*)/gu, (match, space, word) => {
+                const first = index === 0 && match === text.substring(0, match.length);
+                if (!first && TITLE_CASE_STOP_WORDS.has(word.toLowerCase())) {
+                    return match;
+                }
+                return space + word.charAt(0).toUpperCase() + word.substring(1);
+            }));
+        default:
+            return html;
+    }
+}
+
+/**
+ * Reduce given names to initials, e.g. "Jean-Paul" to "J.-P."
+ * @private
+ */
+function initializeGiven(given, initializeWith) {
+    const mark = initializeWith.trim();
+    const separator = initializeWith.endsWith(' ') ? ' ' : '';
+
+    return given
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(word => word.split('-').filter(Boolean).map(part => part.charAt(0).toUpperCase() + mark).join('-'))
+        .join(separator);
+}
+
+/**
+ * Collapse runs of three or more consecutive citation numbers into ranges
+ * @private
+ */
+function collapseCitationNumbers(parts) {
+    const collapsible = parts.every(part => part.cite.citationNumber && !part.cite.locator && !part.cite.prefix && !part.cite.suffix);
+    if (!collapsible) {
+        return parts;
+    }
+
+    const sorted = [...parts].sort((a, b) => a.cite.citationNumber - b.cite.citationNumber);
+    const collapsed = [];
+
+    for (let i = 0; i < sorted.length; i++) {
+        let end = i;
+        while (end + 1 < sorted.length && sorted[end + 1].cite.citationNumber === sorted[end].cite.citationNumber + 1) {
+            end++;
+        }
+
+        if (end - i >= 2) {
+            collapsed.push({ cite: sorted[i].cite, html: `${sorted[i].html}\u2013${sorted[end].html}` });
+            i = end;
+        } else {
+            collapsed.push(sorted[i]);
+        }
+    }
+
+    return collapsed;
+}
+
+/**
+ * Number cites in order of appearance when no numbers are given
+ * @private
+ */
+function withDefaultNumbers(cites, citationNumbers) {
+    if (citationNumbers) {
+        return citationNumbers;
+    }
+
+    const numbers = {};
+    cites.forEach(cite => {
+        if (!numbers[cite.item.id]) {
+            numbers[cite.item.id] = Object.keys(numbers).length + 1;
+        }
+    });
+    return numbers;
+}
+
+/**
+ * @private
+ */
+function isNumeric(value) {
+    return /^\s*\d+[a-z]?(?:\s*(?:[-\u2013,&]|and)\s*\d+[a-z]?)*\s*$/i.test(value || '');
+}
+
+/**
+ * @private
+ */
+function toRoman(number) {
+    const numerals = [
+        [1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+        [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']
+    ];
+    let remaining = number;
+    return numerals.reduce((result, [value, numeral]) => {
+        while (remaining >= value) {
+            result += numeral;
+            remaining -= value;
+        }
+        return result;
+    }, '');
+}
+
+/**
+ * @private
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,153 @@
+/**
+ * Word GPT Plus - CSL Locale
+ * US English terms and date formats for the CSL engine. Styles can override
+ * individual terms with their own <locale> element.
+ */
+
+/**
+ * Terms by name. Each form is a string, or [singular, plural].
+ */
+const TERMS = {
+    'and': { long: 'and', symbol: '&' },
+    'and others': { long: 'and others' },
+    'anonymous': { long: 'anonymous', short: 'anon.' },
+    'at': { long: 'at' },
+    'available at': { long: 'available at' },
+    'by': { long: 'by' },
+    'circa': { long: 'circa', short: 'c.' },
+    'cited': { long: 'cited' },
+    'et-al': { long: 'et al.' },
+    'forthcoming': { long: 'forthcoming' },
+    'from': { long: 'from' },
+    'ibid': { long: 'ibid.' },
+    'in': { long: 'in' },
+    'in press': { long: 'in press' },
+    'internet': { long: 'internet' },
+    'no date': { long: 'no date', short: 'n.d.' },
+    'online': { long: 'online' },
+    'presented at': { long: 'presented at the' },
+    'retrieved': { long: 'retrieved' },
+    'version': { long: 'version' },
+    'accessed': { long: 'accessed' },
+
+    // Locators
+    'book': { long: ['book', 'books'], short: ['bk.', 'bks.'] },
+    'chapter': { long: ['chapter', 'chapters'], short: ['chap.', 'chaps.'] },
+    'column': { long: ['column', 'columns'], short: ['col.', 'cols.'] },
+    'figure': { long: ['figure', 'figures'], short: ['fig.', 'figs.'] },
+    'folio': { long: ['folio', 'folios'], short: ['fol.', 'fols.'] },
+    'issue': { long: ['number', 'numbers'], short: ['no.', 'nos.'] },
+    'line': { long: ['line', 'lines'], short: ['l.', 'll.'] },
+    'note': { long: ['note', 'notes'], short: ['n.', 'nn.'] },
+    'page': { long: ['page', 'pages'], short: ['p.', 'pp.'] },
+    'paragraph': { long: ['paragraph', 'paragraphs'], short: ['para.', 'paras.'], symbol: ['\u00b6', '\u00b6\u00b6'] },
+    'part': { long: ['part', 'parts'], short: ['pt.', 'pts.'] },
+    'section': { long: ['section', 'sections'], short: ['sec.', 'secs.'], symbol: ['\u00a7', '\u00a7\u00a7'] },
+    'volume': { long: ['volume', 'volumes'], short: ['vol.', 'vols.'] },
+
+    // Roles
+    'edition': { long: ['edition', 'editions'], short: ['ed.', 'eds.'] },
+    'editor': { long: ['editor', 'editors'], short: ['ed.', 'eds.'], verb: 'edited by', 'verb-short': 'ed.' },
+    'translator': { long: ['translator', 'translators'], short: ['tran.', 'trans.'], verb: 'translated by', 'verb-short': 'trans.' },
+    'editortranslator': {
+        long: ['editor & translator', 'editors & translators'],
+        short: ['ed. & tran.', 'eds. & trans.'],
+        verb: 'edited & translated by'
+    },
+    'container-author': { long: ['author', 'authors'], verb: 'by' },
+
+    // Months
+    'month-01': { long: 'January', short: 'Jan.' },
+    'month-02': { long: 'February', short: 'Feb.' },
+    'month-03': { long: 'March', short: 'Mar.' },
+    'month-04': { long: 'April', short: 'Apr.' },
+    'month-05': { long: 'May', short: 'May' },
+    'month-06': { long: 'June', short: 'Jun.' },
+    'month-07': { long: 'July', short: 'Jul.' },
+    'month-08': { long: 'August', short: 'Aug.' },
+    'month-09': { long: 'September', short: 'Sep.' },
+    'month-10': { long: 'October', short: 'Oct.' },
+    'month-11': { long: 'November', short: 'Nov.' },
+    'month-12': { long: 'December', short: 'Dec.' }
+};
+
+/**
+ * Localized date formats, used by <date form="text|numeric">
+ */
+const DATE_FORMATS = {
+    text: [
+        { name: 'month', form: 'long', suffix: ' ' },
+        { name: 'day', form: 'numeric', suffix: ', ' },
+        { name: 'year' }
+    ],
+    numeric: [
+        { name: 'month', form: 'numeric-leading-zeros', suffix: '/' },
+        { name: 'day', form: 'numeric-leading-zeros', suffix: '/' },
+        { name: 'year' }
+    ]
+};
+
+/**
+ * Create a locale, optionally overriding terms
+ * @param {Object} [overrides] - Terms in the same shape as the built-in ones
+ * @returns {Object} Locale { terms, dates, punctuationInQuote }
+ */
+export function createLocale(overrides = {}) {
+    const terms = { ...TERMS };
+    Object.entries(overrides).forEach(([name, forms]) => {
+        terms[name] = { ...terms[name], ...forms };
+    });
+
+    return {
+        terms,
+        dates: DATE_FORMATS,
+        punctuationInQuote: true
+    };
+}
+
+/**
+ * Look up a term, falling back to longer forms when a form is missing
+ * @param {Object} locale - Locale from createLocale
+ * @param {string} name - Term name
+ * @param {string} [form='long'] - 'long', 'short', 'verb', 'verb-short' or 'symbol'
+ * @param {boolean} [plural=false] - Use the plural form
+ * @returns {string} Term text, or '' when unknown
+ */
+export function getTerm(locale, name, form = 'long', plural = false) {
+    const term = locale.terms[name];
+    if (!term) {
+        return '';
+    }
+
+    const fallbacks = {
+        'verb-short': ['verb-short', 'verb', 'long'],
+        verb: ['verb', 'long'],
+        symbol: ['symbol', 'short', 'long'],
+        short: ['short', 'long'],
+        long: ['long']
+    };
+
+    const value = (fallbacks[form] || fallbacks.long).map(candidate => term[candidate]).find(Boolean);
+    if (Array.isArray(value)) {
+        return plural ? value[1] : value[0];
+    }
+    return value || '';
+}
+
+/**
+ * Add an English ordinal suffix to a number
+ * @param {number|string} value - Number
+ * @returns {string} Ordinal, e.g. 1st, 22nd, 13th
+ */
+export function toOrdinal(value) {
+    const number = parseInt(value, 10);
+    if (isNaN(number)) {
+        return String(value);
+    }
+
+    const lastTwo = number % 100;
+    if (lastTwo >= 11 && lastTwo <= 13) {
+        return `${number}th`;
+    }
+    return `${number}${['th', 'st', 'nd', 'rd'][number % 10] || 'th'}`;
+}
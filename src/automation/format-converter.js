@@ -3,6 +3,8 @@
  * Handles document formatting operations and conversions
  */
 
+import { withAiChangeTracking } from '../utils/changeTracking.js';
+
 class FormatConverter {
     constructor() {
         // Table styles
@@ -52,18 +54,18 @@ class FormatConverter {
         // Smart characters mappings
         this.smartChars = {
             quotes: {
-                '"': { open: '"', close: '"' },
-                "'": { open: ''', close: ''' }
+                '"': { open: '\u201C', close: '\u201D' },
+                "'": { open: '\u2018', close: '\u2019' }
             },
             dashes: {
-                '--': '–',  // en dash
-                '---': '—'  // em dash
+                '--': '\u2013',  // en dash
+                '---': '\u2014'  // em dash
             },
             symbols: {
-                '(c)': '©',
-                '(r)': '®',
-                '(tm)': '™',
-                '...': '…'
+                '(c)': '\u00A9',
+                '(r)': '\u00AE',
+                '(tm)': '\u2122',
+                '...': '\u2026'
             }
         };
     }
@@ -199,39 +201,34 @@ class FormatConverter {
                 registered: (originalText.match(/\(r\)/gi) || []).length
             };
 
-            // Process using Word's built-in search and replace
+            // Process using Word's built-in search and replace; quotes open or
+            // close depending on the character before them in the original text
             const replacements = [
-                // Smart quotes - This is simplified; in a real implementation, 
-                // you'd need context-aware replacement to differentiate opening/closing quotes
-                { search: '"', replace: '"' },
-                { search: "'", replace: "'" },
-
-                // Dashes
-                { search: '---', replace: '—' }, // em dash
-                { search: '--', replace: '–' },  // en dash
-
-                // Symbols
-                { search: '(c)', replace: '©' },
-                { search: '(C)', replace: '©' },
-                { search: '(r)', replace: '®' },
-                { search: '(R)', replace: '®' },
-                { search: '(tm)', replace: '™' },
-                { search: '(TM)', replace: '™' },
-                { search: '...', replace: '…' } // ellipsis
+                { search: '"', replace: this.quoteReplacer(originalText, '"') },
+                { search: "'", replace: this.quoteReplacer(originalText, "'") },
+
+                // Dashes, longest first
+                { search: '---', replace: () => this.smartChars.dashes['---'] },
+                { search: '--', replace: () => this.smartChars.dashes['--'] },
+
+                // Symbols (search ignores case)
+                ...Object.entries(this.smartChars.symbols).map(([search, symbol]) => ({ search, replace: () => symbol }))
             ];
 
-            // Execute replacements
-            for (const item of replacements) {
-                const searchResults = range.search(item.search, { matchCase: false, matchWholeWord: false });
-                searchResults.load('items');
-                await context.sync();
+            // Execute replacements, tagging each replaced range for review
+            await withAiChangeTracking(context, params.automationId || 'smartify-quotes', async tag => {
+                for (const item of replacements) {
+                    const searchResults = range.search(item.search, { matchCase: false, matchWholeWord: false });
+                    searchResults.load('items');
+                    await context.sync();
 
-                for (let i = 0; i < searchResults.items.length; i++) {
-                    searchResults.items[i].insertText(item.replace, 'Replace');
-                }
+                    searchResults.items.forEach((result, i) => {
+                        tag(result.insertText(item.replace(i, searchResults.items.length), 'Replace'));
+                    });
 
-                await context.sync();
-            }
+                    await context.sync();
+                }
+            });
 
             // Get updated text
             range.load('text');
@@ -251,6 +248,27 @@ class FormatConverter {
         }
     }
 
+    /**
+     * Pick the curly form for each occurrence of a straight quote.
+     * A quote at the start, or after whitespace, an opening bracket or a dash,
+     * opens; anything else, including an apostrophe inside a word, closes.
+     * @param {string} text - Text the search runs over
+     * @param {string} quote - '"' or "'"
+     * @returns {function(number, number): string} Replacement for the i-th of n search results
+     */
+    quoteReplacer(text, quote) {
+        const { open, close } = this.smartChars.quotes[quote];
+        const forms = [];
+
+        for (let i = text.indexOf(quote); i !== -1; i = text.indexOf(quote, i + 1)) {
+            forms.push(i === 0 || /[\s([{\u2013\u2014-]/.test(text[i - 1]) ? open : close);
+        }
+
+        // Word found a different number of quotes than the text shows (hidden text,
+        // fields); fall back to alternating
+        return (index, count) => (count === forms.length ? forms[index] : (index % 2 === 0 ? open : close));
+    }
+
     /**
      * Convert text case (UPPERCASE, lowercase, Title Case, etc.)
      * @param {Object} context - Word context
@@ -0,0 +1,694 @@
+/**
+ * Word GPT Plus - Reference Formats
+ * Converts between BibTeX, RIS and CSL-JSON. References are kept as
+ * CSL-JSON items internally, so every format round-trips through that model.
+ */
+
+// BibTeX entry types and their CSL equivalents
+const BIBTEX_TO_CSL_TYPES = {
+    article: 'article-journal',
+    book: 'book',
+    booklet: 'book',
+    inbook: 'chapter',
+    incollection: 'chapter',
+    inproceedings: 'paper-conference',
+    conference: 'paper-conference',
+    manual: 'report',
+    mastersthesis: 'thesis',
+    phdthesis: 'thesis',
+    thesis: 'thesis',
+    techreport: 'report',
+    report: 'report',
+    online: 'webpage',
+    electronic: 'webpage',
+    www: 'webpage',
+    unpublished: 'manuscript',
+    jurisdiction: 'legal_case',
+    legislation: 'legislation',
+    misc: 'document'
+};
+
+const CSL_TO_BIBTEX_TYPES = {
+    'article-journal': 'article',
+    'article-magazine': 'article',
+    'article-newspaper': 'article',
+    book: 'book',
+    chapter: 'incollection',
+    'paper-conference': 'inproceedings',
+    thesis: 'phdthesis',
+    report: 'techreport',
+    webpage: 'online',
+    manuscript: 'unpublished',
+    legal_case: 'jurisdiction',
+    legislation: 'legislation'
+};
+
+// Plain BibTeX fields and their CSL variables
+const BIBTEX_FIELDS = {
+    title: 'title',
+    journal: 'container-title',
+    journaltitle: 'container-title',
+    booktitle: 'container-title',
+    volume: 'volume',
+    number: 'issue',
+    issue: 'issue',
+    pages: 'page',
+    publisher: 'publisher',
+    institution: 'publisher',
+    school: 'publisher',
+    organization: 'publisher',
+    address: 'publisher-place',
+    location: 'publisher-place',
+    edition: 'edition',
+    doi: 'DOI',
+    url: 'URL',
+    isbn: 'ISBN',
+    issn: 'ISSN',
+    abstract: 'abstract',
+    note: 'note'
+};
+
+// RIS reference types and their CSL equivalents
+const RIS_TO_CSL_TYPES = {
+    JOUR: 'article-journal',
+    JFULL: 'article-journal',
+    MGZN: 'article-magazine',
+    NEWS: 'article-newspaper',
+    BOOK: 'book',
+    CHAP: 'chapter',
+    CONF: 'paper-conference',
+    CPAPER: 'paper-conference',
+    THES: 'thesis',
+    RPRT: 'report',
+    ELEC: 'webpage',
+    WEB: 'webpage',
+    UNPB: 'manuscript',
+    CASE: 'legal_case',
+    STAT: 'legislation',
+    BILL: 'bill',
+    GEN: 'document'
+};
+
+const CSL_TO_RIS_TYPES = {
+    'article-journal': 'JOUR',
+    'article-magazine': 'MGZN',
+    'article-newspaper': 'NEWS',
+    book: 'BOOK',
+    chapter: 'CHAP',
+    'paper-conference': 'CPAPER',
+    thesis: 'THES',
+    report: 'RPRT',
+    webpage: 'ELEC',
+    manuscript: 'UNPB',
+    legal_case: 'CASE',
+    legislation: 'STAT',
+    bill: 'BILL'
+};
+
+// Single-value RIS tags and their CSL variables
+const RIS_FIELDS = {
+    TI: 'title',
+    T1: 'title',
+    T2: 'container-title',
+    JO: 'container-title',
+    JF: 'container-title',
+    BT: 'container-title',
+    VL: 'volume',
+    IS: 'issue',
+    PB: 'publisher',
+    CY: 'publisher-place',
+    ET: 'edition',
+    DO: 'DOI',
+    UR: 'URL',
+    SN: 'ISBN',
+    AB: 'abstract',
+    N1: 'note'
+};
+
+/**
+ * Work out which format a block of reference text is in
+ * @param {string} text - Reference data
+ * @returns {string} 'csl-json', 'bibtex' or 'ris'
+ */
+export function detectReferenceFormat(text) {
+    const trimmed = text.trim();
+
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        return 'csl-json';
+    }
+    if (/^\s*@\w+\s*[{(]/m.test(trimmed)) {
+        return 'bibtex';
+    }
+    if (/^TY {2}- /m.test(trimmed)) {
+        return 'ris';
+    }
+
+    throw new Error('Unrecognised reference format; expected BibTeX, RIS or CSL-JSON');
+}
+
+/**
+ * Parse reference data in any supported format
+ * @param {string} text - Reference data
+ * @param {string} [format='auto'] - 'auto', 'bibtex', 'ris' or 'csl-json'
+ * @returns {Array<Object>} CSL-JSON items
+ */
+export function parseReferences(text, format = 'auto') {
+    const resolvedFormat = format === 'auto' ? detectReferenceFormat(text) : format;
+
+    switch (resolvedFormat) {
+        case 'bibtex':
+            return parseBibTeX(text);
+        case 'ris':
+            return parseRIS(text);
+        case 'csl-json':
+            return parseCslJson(text);
+        default:
+            throw new Error(`Unsupported reference format: ${format}`);
+    }
+}
+
+/**
+ * Serialize references in a supported format
+ * @param {Array<Object>} items - CSL-JSON items
+ * @param {string} format - 'bibtex', 'ris' or 'csl-json'
+ * @returns {string} Serialized references
+ */
+export function serializeReferences(items, format) {
+    switch (format) {
+        case 'bibtex':
+            return toBibTeX(items);
+        case 'ris':
+            return toRIS(items);
+        case 'csl-json':
+            return JSON.stringify(items, null, 2);
+        default:
+            throw new Error(`Unsupported reference format: ${format}`);
+    }
+}
+
+/**
+ * Parse CSL-JSON, accepting a single item or an array
+ * @param {string} text - CSL-JSON text
+ * @returns {Array<Object>} CSL-JSON items
+ */
+export function parseCslJson(text) {
+    const data = JSON.parse(text);
+    const items = Array.isArray(data) ? data : [data];
+
+    items.forEach((item, index) => {
+        if (!item || typeof item !== 'object' || !item.type) {
+            throw new Error(`CSL-JSON item ${index + 1} has no type`);
+        }
+    });
+
+    return items.map(item => ({ ...item }));
+}
+
+/**
+ * Parse BibTeX entries
+ * @param {string} text - BibTeX source
+ * @returns {Array<Object>} CSL-JSON items
+ */
+export function parseBibTeX(text) {
+    const strings = { jan: 'January', feb: 'February', mar: 'March', apr: 'April', may: 'May', jun: 'June',
+        jul: 'July', aug: 'August', sep: 'September', oct: 'October', nov: 'November', dec: 'December' };
+    const items = [];
+    let position = 0;
+
+    while ((position = text.indexOf('@', position)) !== -1) {
+        const header = /^@(\w+)\s*([{(])/.exec(text.substring(position));
+        if (!header) {
+            position++;
+            continue;
+        }
+
+        const entryType = header[1].toLowerCase();
+        const bodyStart = position + header[0].length;
+        const bodyEnd = findClosingDelimiter(text, bodyStart - 1);
+        const body = text.substring(bodyStart, bodyEnd);
+        position = bodyEnd + 1;
+
+        if (entryType === 'comment' || entryType === 'preamble') {
+            continue;
+        }
+
+        if (entryType === 'string') {
+            Object.assign(strings, parseBibTeXFields(body, strings));
+            continue;
+        }
+
+        const commaIndex = body.indexOf(',');
+        const key = (commaIndex === -1 ? body : body.substring(0, commaIndex)).trim();
+        const fields = parseBibTeXFields(commaIndex === -1 ? '' : body.substring(commaIndex + 1), strings);
+
+        items.push(bibTeXEntryToCsl(entryType, key, fields));
+    }
+
+    return items;
+}
+
+/**
+ * Serialize references as BibTeX
+ * @param {Array<Object>} items - CSL-JSON items
+ * @returns {string} BibTeX source
+ */
+export function toBibTeX(items) {
+    return items.map(item => {
+        const fields = [];
+        const add = (name, value) => {
+            if (value !== undefined && value !== null && value !== '') {
+                // Identifiers are verbatim in BibTeX; everything else needs LaTeX escapes
+                const escaped = ['url', 'doi'].includes(name) ? value : String(value).replace(/([&%$#_])/g, '\\$1');
+                fields.push(`  ${name} = {${escaped}}`);
+            }
+        };
+
+        add('author', formatBibTeXNames(item.author));
+        add('editor', formatBibTeXNames(item.editor));
+        add('title', item.title);
+
+        const containerField = item.type === 'article-journal' ? 'journal' : 'booktitle';
+        add(containerField, item['container-title']);
+
+        Object.entries(BIBTEX_FIELDS).forEach(([field, variable]) => {
+            if (['title', 'journal', 'journaltitle', 'booktitle', 'issue', 'institution', 'school',
+                'organization', 'location'].includes(field)) {
+                return;
+            }
+            add(field, variable === 'page' ? String(item.page || '').replace(/-/g, '--') : item[variable]);
+        });
+
+        const year = getIssuedYear(item);
+        add('year', year);
+        if (item.accessed) {
+            add('urldate', formatDateParts(item.accessed));
+        }
+
+        const type = CSL_TO_BIBTEX_TYPES[item.type] || 'misc';
+        return `@${type}{${item.id},\n${fields.join(',\n')}\n}`;
+    }).join('\n\n') + '\n';
+}
+
+/**
+ * Parse RIS records
+ * @param {string} text - RIS source
+ * @returns {Array<Object>} CSL-JSON items; records without an ID tag have no
+ *   id, and get a unique key when saved to the reference library
+ */
+export function parseRIS(text) {
+    const items = [];
+    let current = null;
+    let startPage = null;
+    let endPage = null;
+
+    text.split(/\r?\n/).forEach(line => {
+        const match = /^([A-Z][A-Z0-9]) {2}-\s?(.*)$/.exec(line);
+        if (!match) {
+            return;
+        }
+
+        const [, tag, rawValue] = match;
+        const value = rawValue.trim();
+
+        if (tag === 'TY') {
+            current = { type: RIS_TO_CSL_TYPES[value] || 'document' };
+            startPage = endPage = null;
+            return;
+        }
+
+        if (!current) {
+            return;
+        }
+
+        switch (tag) {
+            case 'ER':
+                if (startPage) {
+                    current.page = endPage ? `${startPage}-${endPage}` : startPage;
+                }
+                items.push(current);
+                current = null;
+                break;
+            case 'AU':
+            case 'A1':
+                (current.author = current.author || []).push(parseName(value));
+                break;
+            case 'A2':
+            case 'ED':
+                (current.editor = current.editor || []).push(parseName(value));
+                break;
+            case 'PY':
+            case 'Y1':
+            case 'DA':
+                if (!current.issued) {
+                    current.issued = parseDateString(value);
+                }
+                break;
+            case 'Y2':
+                current.accessed = parseDateString(value);
+                break;
+            case 'SP':
+                startPage = value;
+                break;
+            case 'EP':
+                endPage = value;
+                break;
+            case 'ID':
+                current.id = value;
+                break;
+            case 'KW':
+                current.keyword = current.keyword ? `${current.keyword}, ${value}` : value;
+                break;
+            default:
+                if (RIS_FIELDS[tag] && current[RIS_FIELDS[tag]] === undefined) {
+                    current[RIS_FIELDS[tag]] = value;
+                }
+        }
+    });
+
+    return items;
+}
+
+/**
+ * Serialize references as RIS
+ * @param {Array<Object>} items - CSL-JSON items
+ * @returns {string} RIS source
+ */
+export function toRIS(items) {
+    return items.map(item => {
+        const lines = [`TY  - ${CSL_TO_RIS_TYPES[item.type] || 'GEN'}`];
+        const add = (tag, value) => {
+            if (value !== undefined && value !== null && value !== '') {
+                lines.push(`${tag}  - ${value}`);
+            }
+        };
+
+        add('ID', item.id);
+        (item.author || []).forEach(name => add('AU', formatName(name)));
+        (item.editor || []).forEach(name => add('A2', formatName(name)));
+        add('TI', item.title);
+        add(item.type === 'article-journal' ? 'JO' : 'T2', item['container-title']);
+        add('PY', getIssuedYear(item));
+        add('VL', item.volume);
+        add('IS', item.issue);
+
+        if (item.page) {
+            const [start, end] = String(item.page).split(/[-–]+/);
+            add('SP', start);
+            add('EP', end);
+        }
+
+        add('PB', item.publisher);
+        add('CY', item['publisher-place']);
+        add('ET', item.edition);
+        add('DO', item.DOI);
+        add('UR', item.URL);
+        add('SN', item.ISBN || item.ISSN);
+        if (item.accessed) {
+            add('Y2', formatDateParts(item.accessed, '/'));
+        }
+        add('AB', item.abstract);
+        add('N1', item.note);
+        lines.push('ER  - ');
+
+        return lines.join('\n');
+    }).join('\n\n') + '\n';
+}
+
+/**
+ * Build a citation key of the form smith2020 for items that have none.
+ * A key that is already taken gets a letter after the year (smith2020a,
+ * smith2020b, ...), the way author-year styles tell such works apart.
+ * @param {Object} item - CSL-JSON item
+ * @param {Set<string>} [taken] - Keys already in use
+ * @returns {string} Citation key
+ */
+export function generateCitationKey(item, taken = new Set()) {
+    const firstName = (item.author && item.author[0]) || (item.editor && item.editor[0]);
+    const base = firstName ? (firstName.family || firstName.literal || '') : (item.title || 'ref');
+    const word = base.normalize('NFD').replace(/[\u0300-\u036f]/g, '').split(/\s+/)[0].replace(/[^A-Za-z0-9]/g, '');
+    const key = `${word.toLowerCase() || 'ref'}${getIssuedYear(item) || 'nd'}`;
+
+    if (!taken.has(key)) {
+        return key;
+    }
+
+    for (let index = 0; ; index++) {
+        const candidate = `${key}${formatYearSuffix(index)}`;
+        if (!taken.has(candidate)) {
+            return candidate;
+        }
+    }
+}
+
+/**
+ * Letter suffix for the nth work sharing an author and year: a, b, ..., z, aa, ab, ...
+ * @param {number} index - Zero-based position
+ * @returns {string} Suffix
+ */
+export function formatYearSuffix(index) {
+    let suffix = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        suffix = String.fromCharCode(97 + (n - 1) % 26) + suffix;
+    }
+    return suffix;
+}
+
+/**
+ * Get the year an item was issued
+ * @param {Object} item - CSL-JSON item
+ * @returns {string} Year, or '' when unknown
+ */
+export function getIssuedYear(item) {
+    const parts = item.issued && item.issued['date-parts'];
+    if (parts && parts[0] && parts[0][0]) {
+        return String(parts[0][0]);
+    }
+    if (item.issued && item.issued.literal) {
+        const match = /\d{4}/.exec(item.issued.literal);
+        return match ? match[0] : '';
+    }
+    return '';
+}
+
+/**
+ * Convert a parsed BibTeX entry to a CSL-JSON item
+ * @private
+ */
+function bibTeXEntryToCsl(entryType, key, fields) {
+    // An entry without a key gets one when saved to the reference library
+    const item = { ...(key ? { id: key } : {}), type: BIBTEX_TO_CSL_TYPES[entryType] || 'document' };
+
+    if (fields.author) {
+        item.author = splitBibTeXNames(fields.author);
+    }
+    if (fields.editor) {
+        item.editor = splitBibTeXNames(fields.editor);
+    }
+
+    Object.entries(BIBTEX_FIELDS).forEach(([field, variable]) => {
+        if (fields[field] !== undefined && item[variable] === undefined) {
+            item[variable] = variable === 'page' ? fields[field].replace(/-+/g, '-') : fields[field];
+        }
+    });
+
+    if (entryType === 'phdthesis') {
+        item.genre = 'PhD thesis';
+    } else if (entryType === 'mastersthesis') {
+        item.genre = "Master's thesis";
+    }
+
+    if (fields.date) {
+        item.issued = parseDateString(fields.date);
+    } else if (fields.year) {
+        const month = fields.month ? monthNumber(fields.month) : null;
+        item.issued = { 'date-parts': [month ? [parseInt(fields.year, 10), month] : [parseInt(fields.year, 10)]] };
+    }
+
+    if (fields.urldate) {
+        item.accessed = parseDateString(fields.urldate);
+    }
+
+    return item;
+}
+
+/**
+ * Parse the field list of a BibTeX entry
+ * @private
+ */
+function parseBibTeXFields(body, strings) {
+    const fields = {};
+    let index = 0;
+
+    while (index < body.length) {
+        const nameMatch = /^[\s,]*([\w-]+)\s*=\s*/.exec(body.substring(index));
+        if (!nameMatch) {
+            break;
+        }
+
+        const name = nameMatch[1].toLowerCase();
+        index += nameMatch[0].length;
+
+        // A value is one or more parts joined with #
+        const parts = [];
+        while (index < body.length) {
+            const char = body[index];
+            if (char === '{' || char === '"') {
+                const end = char === '{' ? findClosingDelimiter(body, index) : body.indexOf('"', index + 1);
+                parts.push(body.substring(index + 1, end));
+                index = end + 1;
+            } else {
+                const bare = /^[^,#}\s]+/.exec(body.substring(index));
+                if (!bare) {
+                    break;
+                }
+                parts.push(strings[bare[0].toLowerCase()] ?? bare[0]);
+                index += bare[0].length;
+            }
+
+            const join = /^\s*#\s*/.exec(body.substring(index));
+            if (!join) {
+                break;
+            }
+            index += join[0].length;
+        }
+
+        fields[name] = cleanLatex(parts.join(''));
+    }
+
+    return fields;
+}
+
+/**
+ * Find the delimiter closing the one at openIndex, respecting nested braces
+ * @private
+ */
+function findClosingDelimiter(text, openIndex) {
+    const open = text[openIndex];
+    const close = open === '(' ? ')' : '}';
+    let depth = 0;
+
+    for (let i = openIndex; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+            continue;
+        }
+        if (text[i] === open || (open === '(' && text[i] === '{')) {
+            depth++;
+        } else if (text[i] === close || (open === '(' && text[i] === '}')) {
+            depth--;
+            if (depth === 0) {
+                return i;
+            }
+        }
+    }
+
+    throw new Error('Unbalanced braces in BibTeX entry');
+}
+
+/**
+ * Turn common LaTeX markup into plain text
+ * @private
+ */
+function cleanLatex(value) {
+    const accents = {
+        '"': '\u0308', "'": '\u0301', '`': '\u0300', '^': '\u0302', '~': '\u0303', c: '\u0327', '=': '\u0304'
+    };
+
+    return value
+        .replace(/\\(["'`^~=c])\s*\{?\\?([A-Za-z])\}?/g, (match, accent, letter) =>
+            accents[accent] ? (letter + accents[accent]).normalize('NFC') : letter)
+        .replace(/\\(&|%|\$|#|_)/g, '$1')
+        .replace(/\\(?:textit|textbf|emph|textsc)\{([^}]*)\}/g, '$1')
+        .replace(/---/g, '—')
+        .replace(/[{}]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Split a BibTeX name list on "and"
+ * @private
+ */
+function splitBibTeXNames(value) {
+    return value.split(/\s+and\s+/i).map(name => name.trim()).filter(Boolean).map(parseName);
+}
+
+/**
+ * Parse "Family, Given" or "Given Family" into a CSL name
+ * @private
+ */
+function parseName(name) {
+    if (name.includes(',')) {
+        const [family, ...given] = name.split(',').map(part => part.trim());
+        return given.length ? { family, given: given.join(' ') } : { family };
+    }
+
+    const words = name.split(/\s+/);
+    if (words.length === 1) {
+        return { literal: name };
+    }
+
+    // Lower-case particles such as "van" or "de" belong to the family name
+    const particleIndex = words.findIndex((word, i) => i > 0 && /^[a-z]/.test(word));
+    const familyStart = particleIndex > 0 ? particleIndex : words.length - 1;
+
+    return {
+        family: words.slice(familyStart).join(' '),
+        given: words.slice(0, familyStart).join(' ')
+    };
+}
+
+/**
+ * Format a CSL name as "Family, Given"
+ * @private
+ */
+function formatName(name) {
+    if (name.literal) {
+        return name.literal;
+    }
+    return name.given ? `${name.family}, ${name.given}` : name.family;
+}
+
+/**
+ * @private
+ */
+function formatBibTeXNames(names) {
+    if (!names || names.length === 0) {
+        return undefined;
+    }
+    return names.map(name => (name.literal ? `{${name.literal}}` : formatName(name))).join(' and ');
+}
+
+/**
+ * Parse a date such as 2020, 2020-05-01 or 2020/05/01/ into CSL date parts
+ * @private
+ */
+function parseDateString(value) {
+    const parts = value.split(/[-/]/).filter(Boolean).map(part => parseInt(part, 10)).filter(n => !isNaN(n));
+    return parts.length > 0 ? { 'date-parts': [parts.slice(0, 3)] } : { literal: value };
+}
+
+/**
+ * @private
+ */
+function formatDateParts(date, separator = '-') {
+    const parts = date['date-parts'] && date['date-parts'][0];
+    if (!parts) {
+        return date.literal || '';
+    }
+    return parts.map((part, i) => (i === 0 ? String(part) : String(part).padStart(2, '0'))).join(separator);
+}
+
+/**
+ * @private
+ */
+function monthNumber(month) {
+    const number = parseInt(month, 10);
+    if (!isNaN(number)) {
+        return number;
+    }
+    const index = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+        .indexOf(month.substring(0, 3).toLowerCase());
+    return index === -1 ? null : index + 1;
+}
+
@@ -0,0 +1,202 @@
+/**
+ * Word GPT Plus - Reference Library
+ * Local bibliographic database stored in IndexedDB. References are CSL-JSON
+ * items keyed by citation key, indexed by first-author family name and year.
+ */
+
+import { openDatabase, runTransaction } from '../utils/indexedDb.js';
+import {
+    parseReferences,
+    serializeReferences,
+    generateCitationKey,
+    getIssuedYear
+} from './reference-formats.js';
+
+const DB_NAME = 'wordGptPlusReferences';
+const DB_VERSION = 1;
+const STORE_NAME = 'references';
+
+class ReferenceLibrary {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the library database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('authorYear', 'authorYear', { multiEntry: true });
+                }
+            }).catch(error => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Get a reference by citation key
+     * @param {string} id - Citation key
+     * @returns {Promise<Object|null>} CSL-JSON item
+     */
+    async getReference(id) {
+        const db = await this.open();
+        const record = await runTransaction(db, STORE_NAME, 'readonly', store => store.get(id));
+        return record ? record.item : null;
+    }
+
+    /**
+     * Get several references, in the order of the keys given
+     * @param {Array<string>} ids - Citation keys
+     * @returns {Promise<Array<Object|null>>} CSL-JSON items (null where missing)
+     */
+    async getReferences(ids) {
+        const db = await this.open();
+        const requests = await runTransaction(db, STORE_NAME, 'readonly', store => ids.map(id => store.get(id)));
+        return requests.map(request => (request.result ? request.result.item : null));
+    }
+
+    /**
+     * Get every reference in the library
+     * @returns {Promise<Array<Object>>} CSL-JSON items
+     */
+    async getAllReferences() {
+        const db = await this.open();
+        const records = await runTransaction(db, STORE_NAME, 'readonly', store => store.getAll());
+        return records.map(record => record.item);
+    }
+
+    /**
+     * Find references by first-author family name and year
+     * @param {string} family - Family name as written in the text
+     * @param {string|number} year - Publication year
+     * @returns {Promise<Array<Object>>} Matching CSL-JSON items
+     */
+    async findByAuthorYear(family, year) {
+        const db = await this.open();
+        const records = await runTransaction(db, STORE_NAME, 'readonly',
+            store => store.index('authorYear').getAll(authorYearKey(family, year)));
+        return records.map(record => record.item);
+    }
+
+    /**
+     * Add or replace references
+     * @param {Array<Object>} items - CSL-JSON items
+     * @param {Object} options - Options
+     * @param {boolean} [options.overwrite=true] - Replace references whose key matches an item's own id.
+     *   Items without an id get a new key (smith2020, then smith2020a, ...) and never replace anything.
+     * @returns {Promise<Object>} { added, skipped, ids }
+     */
+    async saveReferences(items, options = {}) {
+        const overwrite = options.overwrite !== false;
+        const db = await this.open();
+        const existing = new Set(await runTransaction(db, STORE_NAME, 'readonly', store => store.getAllKeys()));
+
+        // Keys the items bring with them are claimed before any are generated
+        const taken = new Set([...existing, ...items.filter(item => item.id).map(item => item.id)]);
+
+        const ids = [];
+        let skipped = 0;
+
+        const records = items.map(item => {
+            if (item.id) {
+                return item;
+            }
+            const id = generateCitationKey(item, taken);
+            taken.add(id);
+            return { ...item, id };
+        }).filter(item => {
+            if (existing.has(item.id) && !overwrite) {
+                skipped++;
+                return false;
+            }
+            ids.push(item.id);
+            return true;
+        }).map(item => ({
+            id: item.id,
+            item,
+            authorYear: indexKeys(item),
+            updatedAt: new Date().toISOString()
+        }));
+
+        await runTransaction(db, STORE_NAME, 'readwrite', store => {
+            records.forEach(record => store.put(record));
+        });
+
+        return { added: records.length, skipped, ids };
+    }
+
+    /**
+     * Delete a reference
+     * @param {string} id - Citation key
+     * @returns {Promise<void>}
+     */
+    async deleteReference(id) {
+        const db = await this.open();
+        await runTransaction(db, STORE_NAME, 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Import references from BibTeX, RIS or CSL-JSON
+     * @param {string} text - Reference data
+     * @param {string} [format='auto'] - 'auto', 'bibtex', 'ris' or 'csl-json'
+     * @param {Object} [options] - Options passed to saveReferences
+     * @returns {Promise<Object>} { added, skipped, ids }
+     */
+    async importReferences(text, format = 'auto', options = {}) {
+        const items = parseReferences(text, format);
+        if (items.length === 0) {
+            throw new Error('No references found to import');
+        }
+        return this.saveReferences(items, options);
+    }
+
+    /**
+     * Export references as BibTeX, RIS or CSL-JSON
+     * @param {string} [format='csl-json'] - 'bibtex', 'ris' or 'csl-json'
+     * @param {Array<string>} [ids] - Citation keys to export (all when omitted)
+     * @returns {Promise<string>} Serialized references
+     */
+    async exportReferences(format = 'csl-json', ids = null) {
+        const items = ids
+            ? (await this.getReferences(ids)).filter(Boolean)
+            : await this.getAllReferences();
+        return serializeReferences(items, format);
+    }
+}
+
+/**
+ * Normalize a family name and year into an index key
+ * @private
+ */
+function authorYearKey(family, year) {
+    const name = String(family).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+    return `${name}|${year}`;
+}
+
+/**
+ * Index keys for an item: the first author's full family name and its last
+ * word, so "van der Berg" is found from both "van der Berg" and "Berg"
+ * @private
+ */
+function indexKeys(item) {
+    const first = (item.author && item.author[0]) || (item.editor && item.editor[0]);
+    const year = getIssuedYear(item);
+    if (!first || !year) {
+        return [];
+    }
+
+    const family = first.family || first.literal || '';
+    const lastWord = family.split(/\s+/).pop();
+    return [...new Set([authorYearKey(family, year), authorYearKey(lastWord, year)])];
+}
+
+// Create and export singleton instance
+const referenceLibrary = new ReferenceLibrary();
+export default referenceLibrary;
@@ -0,0 +1,305 @@
+/**
+ * Word GPT Plus - Workflow Import/Export
+ * Reads and writes workflow templates as JSON or YAML files so teams can share
+ * them. Files carry a schema version; imports are checked against the schema,
+ * the step graph and the handlers registered with the workflow manager before
+ * anything is saved.
+ */
+
+import { load as loadYaml, dump as dumpYaml, JSON_SCHEMA } from 'js-yaml';
+
+export const WORKFLOW_SCHEMA_VERSION = 1;
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+const STEP_SCHEMA = {
+    type: 'object',
+    label: 'step',
+    required: ['id', 'name', 'handler'],
+    properties: {
+        id: { type: 'string', pattern: /^[A-Za-z][\w-]*$/ },
+        name: { type: 'string', minLength: 1 },
+        handler: { type: 'string', minLength: 1 },
+        requiredInput: STRING_LIST,
+        output: STRING_LIST,
+        dependsOn: STRING_LIST,
+        condition: { type: 'string', minLength: 1 },
+        loop: {
+            type: 'object',
+            required: ['until'],
+            properties: {
+                to: { type: 'string' },
+                until: { type: 'string', minLength: 1 },
+                maxIterations: { type: 'integer', minimum: 1 }
+            }
+        }
+    }
+};
+
+const WORKFLOW_SCHEMA = {
+    type: 'object',
+    label: 'Workflow',
+    required: ['id', 'name', 'steps'],
+    properties: {
+        id: { type: 'string', pattern: /^[A-Za-z][\w-]*$/ },
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        steps: { type: 'array', minItems: 1, items: STEP_SCHEMA },
+        settings: {
+            type: 'object',
+            properties: {
+                automaticExecution: { type: 'boolean' },
+                requiredUserApproval: STRING_LIST,
+                notifyOnCompletion: { type: 'boolean' }
+            }
+        }
+    }
+};
+
+const DOCUMENT_SCHEMA = {
+    type: 'object',
+    required: ['schemaVersion', 'workflows'],
+    properties: {
+        schemaVersion: { type: 'integer' },
+        exportedAt: { type: 'string' },
+        workflows: { type: 'array', minItems: 1, items: WORKFLOW_SCHEMA }
+    }
+};
+
+/**
+ * Detect a workflow file's format from its name or contents
+ * @param {string} text - File contents
+ * @param {string} [fileName] - File name
+ * @returns {string} 'json' or 'yaml'
+ */
+export function detectWorkflowFormat(text, fileName = '') {
+    if (/\.ya?ml$/i.test(fileName)) return 'yaml';
+    if (/\.json$/i.test(fileName)) return 'json';
+    return /^\s*[{[]/.test(text) ? 'json' : 'yaml';
+}
+
+/**
+ * Parse and validate a workflow file
+ * @param {string} text - File contents
+ * @param {Object} workflowManager - Workflow manager whose handlers steps may use
+ * @param {string} [format='auto'] - 'auto', 'json' or 'yaml'
+ * @returns {Array<Object>} Workflow templates, each with its id
+ * @throws {Error} With an `errors` array listing every problem found
+ */
+export function parseWorkflowFile(text, workflowManager, format = 'auto') {
+    const resolvedFormat = format === 'auto' ? detectWorkflowFormat(text) : format;
+
+    let document;
+    try {
+        document = resolvedFormat === 'yaml'
+            ? loadYaml(text, { schema: JSON_SCHEMA })
+            : JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Could not read workflow file as ${resolvedFormat.toUpperCase()}: ${error.message}`);
+    }
+
+    if (document && Number.isInteger(document.schemaVersion) && document.schemaVersion > WORKFLOW_SCHEMA_VERSION) {
+        throw new Error(`Workflow file uses schema version ${document.schemaVersion}; ` +
+            `this version of Word GPT Plus reads up to version ${WORKFLOW_SCHEMA_VERSION}`);
+    }
+
+    const errors = validateAgainstSchema(document, DOCUMENT_SCHEMA, []);
+    if (errors.length === 0) {
+        errors.push(...validateWorkflows(document.workflows, workflowManager));
+    }
+
+    if (errors.length > 0) {
+        const error = new Error(`Invalid workflow file:\n${errors.join('\n')}`);
+        error.errors = errors;
+        throw error;
+    }
+
+    return document.workflows;
+}
+
+/**
+ * Import workflow templates from a file into the workflow manager
+ * Nothing is imported unless the whole file is valid.
+ * @param {Object} workflowManager - Workflow manager
+ * @param {string} text - File contents
+ * @param {Object} [options] - Options
+ * @param {string} [options.format='auto'] - 'auto', 'json' or 'yaml'
+ * @param {boolean} [options.overwrite=false] - Replace custom templates with the same id
+ * @returns {Object} { imported, skipped } template IDs
+ */
+export function importWorkflows(workflowManager, text, options = {}) {
+    const workflows = parseWorkflowFile(text, workflowManager, options.format || 'auto');
+    const templates = workflowManager.getWorkflowTemplates();
+
+    const builtIn = workflows.filter(workflow => templates[workflow.id] && !templates[workflow.id].custom);
+    if (builtIn.length > 0) {
+        throw new Error(`Workflow file would replace built-in workflows: ${builtIn.map(workflow => workflow.id).join(', ')}`);
+    }
+
+    const imported = [];
+    const skipped = [];
+    workflows.forEach(workflow => {
+        if (templates[workflow.id] && !options.overwrite) {
+            skipped.push(workflow.id);
+            return;
+        }
+        imported.push(workflowManager.createWorkflowTemplate(workflow));
+    });
+
+    return { imported, skipped };
+}
+
+/**
+ * Export workflow templates as a JSON or YAML file
+ * @param {Object} workflowManager - Workflow manager
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.ids] - Templates to export (all custom templates when omitted)
+ * @param {string} [options.format='json'] - 'json' or 'yaml'
+ * @returns {string} File contents
+ */
+export function exportWorkflows(workflowManager, options = {}) {
+    const templates = workflowManager.getWorkflowTemplates();
+    const ids = options.ids || Object.keys(templates).filter(id => templates[id].custom);
+
+    const workflows = ids.map(id => {
+        if (!templates[id]) {
+            throw new Error(`Workflow template ${id} not found`);
+        }
+
+        const template = { id, ...templates[id] };
+        delete template.custom;
+        return template;
+    });
+
+    const document = {
+        schemaVersion: WORKFLOW_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        workflows
+    };
+
+    return options.format === 'yaml'
+        ? dumpYaml(document, { noRefs: true, lineWidth: -1 })
+        : JSON.stringify(document, null, 2);
+}
+
+/**
+ * Check the step graph and handlers of each workflow
+ * @private
+ */
+function validateWorkflows(workflows, workflowManager) {
+    const errors = [];
+    const seenIds = new Set();
+
+    workflows.forEach(workflow => {
+        const context = `Workflow "${workflow.id}"`;
+
+        if (seenIds.has(workflow.id)) {
+            errors.push(`${context}: appears more than once in the file`);
+        }
+        seenIds.add(workflow.id);
+
+        workflow.steps.forEach(step => {
+            if (!Object.prototype.hasOwnProperty.call(workflowManager.handlerRegistry, step.handler)) {
+                errors.push(`${context}, step "${step.id}": handler "${step.handler}" is not registered`);
+            }
+        });
+
+        const stepIds = new Set(workflow.steps.map(step => step.id));
+        ((workflow.settings && workflow.settings.requiredUserApproval) || []).forEach(stepId => {
+            if (!stepIds.has(stepId)) {
+                errors.push(`${context}: settings.requiredUserApproval names unknown step "${stepId}"`);
+            }
+        });
+
+        try {
+            workflowManager.validateWorkflowTemplate(workflow);
+        } catch (error) {
+            errors.push(`${context}: ${error.message}`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validate a value against a schema, naming workflows and steps by id
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema for the value
+ * @param {Array<string>} context - Enclosing workflow and step, e.g. ['Workflow "review"', 'step "tone"']
+ * @param {string} field - Field path within the innermost workflow or step
+ * @returns {Array<string>} Errors
+ * @private
+ */
+function validateAgainstSchema(value, schema, context = [], field = '') {
+    const prefix = context.length > 0 ? `${context.join(', ')}: ` : '';
+    const subject = field || (context.length > 0 ? '' : 'File');
+    const report = problem => [`${prefix}${subject ? `${subject} ` : ''}${problem}`];
+
+    if (schema.type === 'array') {
+        if (!Array.isArray(value)) {
+            return report('must be a list');
+        }
+        if (schema.minItems && value.length < schema.minItems) {
+            return report(`must have at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}`);
+        }
+
+        return value.flatMap((item, index) => {
+            if (!schema.items.label) {
+                return validateAgainstSchema(item, schema.items, context, `${field}[${index}]`);
+            }
+            const name = item && typeof item.id === 'string' ? `"${item.id}"` : `#${index + 1}`;
+            return validateAgainstSchema(item, schema.items, [...context, `${schema.items.label} ${name}`], '');
+        });
+    }
+
+    if (schema.type === 'object') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return report('must be an object');
+        }
+
+        const errors = [];
+        (schema.required || []).forEach(name => {
+            if (value[name] === undefined) {
+                errors.push(`${prefix}missing "${field ? `${field}.${name}` : name}"`);
+            }
+        });
+
+        Object.entries(value).forEach(([name, propertyValue]) => {
+            const propertyField = field ? `${field}.${name}` : name;
+            if (!Object.prototype.hasOwnProperty.call(schema.properties, name)) {
+                errors.push(`${prefix}unknown field "${propertyField}"`);
+            } else if (propertyValue !== undefined) {
+                errors.push(...validateAgainstSchema(propertyValue, schema.properties[name], context, propertyField));
+            }
+        });
+
+        return errors;
+    }
+
+    const problem = checkScalar(value, schema);
+    return problem ? report(problem) : [];
+}
+
+/**
+ * @private
+ */
+function checkScalar(value, schema) {
+    switch (schema.type) {
+        case 'string':
+            if (typeof value !== 'string') return 'must be text';
+            if (schema.minLength && value.length < schema.minLength) return 'must not be empty';
+            if (schema.pattern && !schema.pattern.test(value)) return `"${value}" must start with a letter and use only letters, digits, _ and -`;
+            return null;
+
+        case 'integer':
+            if (!Number.isInteger(value)) return 'must be a whole number';
+            if (schema.minimum !== undefined && value < schema.minimum) return `must be at least ${schema.minimum}`;
+            return null;
+
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be true or false';
+
+        default:
+            return null;
+    }
+}
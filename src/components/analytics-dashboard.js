@@ -12,7 +12,8 @@ class AnalyticsDashboard {
             apiCalls: [],
             userSatisfaction: [],
             modelUsage: {},
-            featureUsage: {}
+            featureUsage: {},
+            providerFallbacks: { total: 0, fallbacks: 0, failures: 0, answeredBy: {} }
         };
 
         this.colors = {
@@ -70,6 +71,10 @@ class AnalyticsDashboard {
                     <div class="metric-value" id="metric-errors">-</div>
                     <div class="metric-label">Errors</div>
                 </div>
+                <div class="metric-card fallbacks">
+                    <div class="metric-value" id="metric-fallbacks">-</div>
+                    <div class="metric-label">Provider Fallbacks</div>
+                </div>
             </div>
             
             <div class="dashboard-charts">
@@ -93,6 +98,13 @@ class AnalyticsDashboard {
                     <div id="feature-usage-chart" class="chart"></div>
                 </div>
             </div>
+
+            <div class="dashboard-charts">
+                <div class="chart-container">
+                    <h3>Answered By Provider</h3>
+                    <div id="provider-fallback-chart" class="chart"></div>
+                </div>
+            </div>
         `;
 
         this.setupEventListeners();
@@ -274,7 +286,7 @@ class AnalyticsDashboard {
      * Show loading state for dashboard elements
      */
     showLoadingState() {
-        const metricIds = ['metric-api-calls', 'metric-response-time', 'metric-satisfaction', 'metric-errors'];
+        const metricIds = ['metric-api-calls', 'metric-response-time', 'metric-satisfaction', 'metric-errors', 'metric-fallbacks'];
         metricIds.forEach(id => {
             const element = document.getElementById(id);
             if (element) {
@@ -362,6 +374,25 @@ class AnalyticsDashboard {
             satisfaction: Math.round(this.metrics.userSatisfaction.reduce((sum, entry) => sum + entry.value, 0) / this.metrics.userSatisfaction.length),
             errors: Math.floor(Math.random() * 5)
         };
+
+        // Provider failover outcomes are real data recorded by the failover chain
+        this.metrics.providerFallbacks = this.loadProviderFallbacks();
+    }
+
+    /**
+     * Load provider failover outcomes recorded by the failover chain
+     * The failover module publishes itself through the script bridge
+     * (src/utils/scriptBridge.js); until it has loaded there is nothing to show.
+     * @returns {Object} { total, fallbacks, failures, answeredBy }
+     */
+    loadProviderFallbacks() {
+        const services = typeof window !== 'undefined' ? window.wordGptPlusServices : null;
+        const providerFailover = services && services.providerFailover;
+
+        if (!providerFailover) {
+            return { total: 0, fallbacks: 0, failures: 0, answeredBy: {} };
+        }
+        return providerFailover.getFallbackStats();
     }
 
     /**
@@ -373,12 +404,14 @@ class AnalyticsDashboard {
         document.getElementById('metric-response-time').textContent = `${this.metrics.summary.avgResponseTime}ms`;
         document.getElementById('metric-satisfaction').textContent = `${this.metrics.summary.satisfaction}%`;
         document.getElementById('metric-errors').textContent = this.metrics.summary.errors;
+        document.getElementById('metric-fallbacks').textContent = this.formatNumber(this.metrics.providerFallbacks.fallbacks);
 
         // Render charts
         this.renderResponseTimeChart();
         this.renderApiUsageChart();
         this.renderModelUsageChart();
         this.renderFeatureUsageChart();
+        this.renderProviderFallbackChart();
     }
 
     /**
@@ -808,6 +841,52 @@ class AnalyticsDashboard {
         }
     }
 
+    /**
+     * Render which providers answered requests routed through the failover chain
+     */
+    renderProviderFallbackChart() {
+        const chartElement = document.getElementById('provider-fallback-chart');
+        if (!chartElement) return;
+
+        const { total, fallbacks, failures, answeredBy } = this.metrics.providerFallbacks;
+
+        if (total === 0) {
+            chartElement.innerHTML = '<div class="chart-empty">No requests have gone through the failover chain yet.</div>';
+            return;
+        }
+
+        // Reuses the bar chart styles from the feature usage chart
+        let htmlContent = '<div class="bar-chart">';
+
+        Object.entries(answeredBy)
+            .sort((a, b) => b[1] - a[1])
+            .forEach(([provider, count], index) => {
+                const percentage = (count / total * 100).toFixed(1);
+                const color = index === 0 ? this.colors.accent2 : this.colors.accent3;
+
+                htmlContent += `
+                    <div class="bar-item">
+                        <div class="bar-label">${this.formatFeatureName(provider)}</div>
+                        <div class="bar-container">
+                            <div class="bar" style="width: ${percentage}%; background-color: ${color};"
+                                 title="${provider}: ${count} answers">
+                            </div>
+                            <div class="bar-value">${count}</div>
+                        </div>
+                    </div>
+                `;
+            });
+
+        htmlContent += `
+            </div>
+            <div class="chart-footnote">
+                ${fallbacks} of ${total} requests needed a fallback; ${failures} failed on every provider.
+            </div>
+        `;
+
+        chartElement.innerHTML = htmlContent;
+    }
+
     /**
      * Format a feature name for display
      * @param {string} feature - Feature identifier
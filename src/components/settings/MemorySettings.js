@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
     Stack,
     Toggle,
@@ -12,10 +12,26 @@ import {
     Spinner,
     SpinnerSize,
     MessageBar,
-    MessageBarType
+    MessageBarType,
+    Dropdown,
+    TextField
 } from '@fluentui/react';
 import { useSettings } from '../../hooks/useSettings';
-import { getMemoryStatistics, clearAllMemories } from '../../services/memory/memorySystem';
+import {
+    getMemoryStatistics,
+    clearAllMemories,
+    getScopedMemories,
+    getUnassignedMemories,
+    promoteMemory,
+    MEMORY_SCOPES
+} from '../../services/memory/memorySystem';
+import {
+    resolveMemoryScope,
+    getMatters,
+    createMatter,
+    setDocumentMatter
+} from '../../services/memory/memoryScope';
+import { createBackup, restoreBackup } from '../../services/memory/memoryBackup';
 
 /**
  * Component for memory system settings
@@ -32,6 +48,20 @@ export default function MemorySettings() {
     const [memoryStats, setMemoryStats] = useState(null);
     const [clearSuccess, setClearSuccess] = useState(false);
 
+    // Scope of the open document
+    const [scope, setScope] = useState(null);
+    const [matters, setMatters] = useState([]);
+    const [scopedMemories, setScopedMemories] = useState([]);
+    const [unassignedMemories, setUnassignedMemories] = useState([]);
+    const [newMatterName, setNewMatterName] = useState('');
+    const [scopeError, setScopeError] = useState(null);
+
+    // Encrypted backup
+    const [backupPassphrase, setBackupPassphrase] = useState('');
+    const [backupMessage, setBackupMessage] = useState(null);
+    const [isBackingUp, setIsBackingUp] = useState(false);
+    const backupFileInput = useRef(null);
+
     // Load memory statistics
     useEffect(() => {
         if (memoryEnabled) {
@@ -47,6 +77,55 @@ export default function MemorySettings() {
         }
     }, [memoryEnabled, clearSuccess]);
 
+    // Load the document's scope and the memories that can be promoted
+    const refreshScope = async () => {
+        const currentScope = await resolveMemoryScope();
+        setScope(currentScope);
+        setMatters(getMatters());
+        setScopedMemories(getScopedMemories(currentScope)
+            .filter(memory => memory.scope && memory.scope.type !== MEMORY_SCOPES.GLOBAL)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)));
+        setUnassignedMemories(getUnassignedMemories());
+    };
+
+    useEffect(() => {
+        if (memoryEnabled) {
+            refreshScope();
+        }
+    }, [memoryEnabled, clearSuccess]);
+
+    // Handle matter selection for this document
+    const handleMatterChange = async (_, option) => {
+        try {
+            await setDocumentMatter(option.key === 'none' ? null : option.key);
+            await refreshScope();
+        } catch (error) {
+            setScopeError(`Could not change the matter: ${error.message}`);
+        }
+    };
+
+    // Handle new matter creation; the document joins the new matter
+    const handleCreateMatter = async () => {
+        try {
+            const matter = createMatter(newMatterName);
+            await setDocumentMatter(matter.id);
+            setNewMatterName('');
+            await refreshScope();
+        } catch (error) {
+            setScopeError(error.message);
+        }
+    };
+
+    // Handle promoting a memory to a wider scope
+    const handlePromoteMemory = async (id, scopeType) => {
+        try {
+            promoteMemory(id, scopeType);
+            await refreshScope();
+        } catch (error) {
+            setScopeError(error.message);
+        }
+    };
+
     // Handle memory toggle
     const handleToggleMemory = (_, checked) => {
         setMemoryEnabled(checked);
@@ -81,6 +160,53 @@ export default function MemorySettings() {
         }
     };
 
+    // Handle backup export; the file downloads with today's date in its name
+    const handleExportBackup = async () => {
+        setIsBackingUp(true);
+        try {
+            const contents = await createBackup(backupPassphrase);
+            const url = URL.createObjectURL(new Blob([contents], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `word-gpt-plus-backup-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+
+            setBackupMessage({ type: MessageBarType.success, text: 'Backup saved. Keep the passphrase; the backup cannot be opened without it.' });
+        } catch (error) {
+            setBackupMessage({ type: MessageBarType.error, text: error.message });
+        } finally {
+            setIsBackingUp(false);
+        }
+    };
+
+    // Handle backup import from the chosen file
+    const handleImportBackup = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) {
+            return;
+        }
+
+        setIsBackingUp(true);
+        try {
+            const summary = await restoreBackup(await file.text(), backupPassphrase);
+            setBackupMessage({
+                type: MessageBarType.success,
+                text: `Restored ${summary.memories.added} memories` +
+                    `${summary.memories.merged > 0 ? ` (${summary.memories.merged} already here)` : ''}, ` +
+                    `${summary.matters} matters and ${summary.settings} settings groups` +
+                    `${summary.learningState ? ', and the learned writing preferences' : ''}.`
+            });
+            setMemoryStats(getMemoryStatistics());
+            await refreshScope();
+        } catch (error) {
+            setBackupMessage({ type: MessageBarType.error, text: error.message });
+        } finally {
+            setIsBackingUp(false);
+        }
+    };
+
     // Clear memories confirmation dialog
     const clearDialog = (
         <Dialog
@@ -140,6 +266,12 @@ export default function MemorySettings() {
                         <Text variant="small" style={{ fontStyle: 'italic' }}>
                             Higher values use more storage but allow more context to be remembered.
                         </Text>
+                        {memoryStats && memoryStats.count > memoryLimit && (
+                            <MessageBar messageBarType={MessageBarType.warning}>
+                                {memoryStats.count - memoryLimit} of your {memoryStats.count} memories will be removed,
+                                starting with the oldest and least used, when the next memory is saved.
+                            </MessageBar>
+                        )}
                     </Stack>
                 )}
 
@@ -170,8 +302,16 @@ export default function MemorySettings() {
                             <Spinner size={SpinnerSize.small} label="Loading memory statistics..." />
                         ) : memoryStats ? (
                             <Stack tokens={{ childrenGap: 5 }} className="memory-stats">
-                                <Text>Total memories: {memoryStats.count}</Text>
+                                <Text>Total memories: {memoryStats.count} of {memoryStats.limit}</Text>
+                                <Text>Storage used: {(memoryStats.sizeInBytes / 1024).toFixed(1)} KB</Text>
                                 <Text>Total interactions: {memoryStats.systemStats.totalInteractions}</Text>
+                                {memoryStats.migration && memoryStats.migration.imported > 0 && (
+                                    <Text variant="small" style={{ fontStyle: 'italic' }}>
+                                        {memoryStats.migration.imported} memories from the previous memory store were
+                                        merged in on {new Date(memoryStats.migration.migratedAt).toLocaleDateString()}
+                                        {memoryStats.migration.merged > 0 && ` (${memoryStats.migration.merged} duplicates combined)`}.
+                                    </Text>
+                                )}
                                 {memoryStats.count > 0 && (
                                     <>
                                         <Text>
@@ -200,6 +340,155 @@ export default function MemorySettings() {
                     </Stack>
                 )}
 
+                {/* Memory scope */}
+                {memoryEnabled && scope && (
+                    <Stack tokens={{ childrenGap: 10 }} style={{ marginTop: 10 }}>
+                        <Text variant="mediumPlus">Memory Scope</Text>
+                        <Text variant="small" style={{ fontStyle: 'italic' }}>
+                            New memories stay with this document. Prompts use memories from this document,
+                            its matter, and global memories.
+                        </Text>
+
+                        {!scope.documentId && (
+                            <MessageBar messageBarType={MessageBarType.warning}>
+                                This document could not be identified, so new memories are not being saved.
+                            </MessageBar>
+                        )}
+
+                        <Dropdown
+                            label="Matter for this document"
+                            selectedKey={scope.matterId || 'none'}
+                            options={[
+                                { key: 'none', text: 'No matter' },
+                                ...matters.map(matter => ({ key: matter.id, text: matter.name }))
+                            ]}
+                            onChange={handleMatterChange}
+                        />
+
+                        <Stack horizontal verticalAlign="end" tokens={{ childrenGap: 5 }}>
+                            <TextField
+                                label="New matter"
+                                placeholder="e.g. Acme v. Globex"
+                                value={newMatterName}
+                                onChange={(_, value) => setNewMatterName(value || '')}
+                            />
+                            <DefaultButton
+                                text="Create"
+                                onClick={handleCreateMatter}
+                                disabled={!newMatterName.trim()}
+                            />
+                        </Stack>
+
+                        {scopeError && (
+                            <MessageBar messageBarType={MessageBarType.error} onDismiss={() => setScopeError(null)}>
+                                {scopeError}
+                            </MessageBar>
+                        )}
+
+                        <Text>Memories for this document and matter</Text>
+                        {scopedMemories.length === 0 ? (
+                            <Text variant="small">No document or matter memories yet.</Text>
+                        ) : scopedMemories.slice(0, 10).map(memory => (
+                            <Stack key={memory.id} horizontal verticalAlign="center" tokens={{ childrenGap: 5 }}>
+                                <Text variant="small" title={memory.content} style={{ flex: 1 }}>
+                                    [{memory.scope.type === MEMORY_SCOPES.MATTER ? 'Matter' : 'Document'}]{' '}
+                                    {memory.content.length > 60 ? `${memory.content.substring(0, 60)}...` : memory.content}
+                                </Text>
+                                {memory.scope.type === MEMORY_SCOPES.DOCUMENT && scope.matterId && (
+                                    <DefaultButton
+                                        text="Share with matter"
+                                        onClick={() => handlePromoteMemory(memory.id, MEMORY_SCOPES.MATTER)}
+                                    />
+                                )}
+                                <DefaultButton
+                                    text="Make global"
+                                    onClick={() => handlePromoteMemory(memory.id, MEMORY_SCOPES.GLOBAL)}
+                                />
+                            </Stack>
+                        ))}
+
+                        {unassignedMemories.length > 0 && (
+                            <>
+                                <Text>Memories without a scope</Text>
+                                <Text variant="small" style={{ fontStyle: 'italic' }}>
+                                    These were saved before memories were kept per document. Prompts don't use them
+                                    until you choose where they belong.
+                                </Text>
+                                {unassignedMemories.slice(0, 10).map(memory => (
+                                    <Stack key={memory.id} horizontal verticalAlign="center" tokens={{ childrenGap: 5 }}>
+                                        <Text variant="small" title={memory.content} style={{ flex: 1 }}>
+                                            {memory.content.length > 60 ? `${memory.content.substring(0, 60)}...` : memory.content}
+                                        </Text>
+                                        {scope.documentId && (
+                                            <DefaultButton
+                                                text="This document"
+                                                onClick={() => handlePromoteMemory(memory.id, MEMORY_SCOPES.DOCUMENT)}
+                                            />
+                                        )}
+                                        {scope.matterId && (
+                                            <DefaultButton
+                                                text="This matter"
+                                                onClick={() => handlePromoteMemory(memory.id, MEMORY_SCOPES.MATTER)}
+                                            />
+                                        )}
+                                        <DefaultButton
+                                            text="Make global"
+                                            onClick={() => handlePromoteMemory(memory.id, MEMORY_SCOPES.GLOBAL)}
+                                        />
+                                    </Stack>
+                                ))}
+                            </>
+                        )}
+                    </Stack>
+                )}
+
+                {/* Encrypted backup */}
+                {memoryEnabled && (
+                    <Stack tokens={{ childrenGap: 10 }} style={{ marginTop: 10 }}>
+                        <Text variant="mediumPlus">Backup</Text>
+                        <Text variant="small" style={{ fontStyle: 'italic' }}>
+                            Save memories, matters, learned preferences and settings to a file encrypted with a
+                            passphrase, then import it on another computer. API keys are not included.
+                        </Text>
+
+                        <TextField
+                            label="Backup passphrase"
+                            type="password"
+                            canRevealPassword
+                            value={backupPassphrase}
+                            onChange={(_, value) => setBackupPassphrase(value || '')}
+                        />
+
+                        <Stack horizontal tokens={{ childrenGap: 5 }}>
+                            <DefaultButton
+                                text="Export Backup"
+                                onClick={handleExportBackup}
+                                disabled={isBackingUp || !backupPassphrase}
+                            />
+                            <DefaultButton
+                                text="Import Backup"
+                                onClick={() => backupFileInput.current.click()}
+                                disabled={isBackingUp || !backupPassphrase}
+                            />
+                            <input
+                                ref={backupFileInput}
+                                type="file"
+                                accept=".json,application/json"
+                                style={{ display: 'none' }}
+                                onChange={handleImportBackup}
+                            />
+                        </Stack>
+
+                        {isBackingUp && <Spinner size={SpinnerSize.small} />}
+
+                        {backupMessage && (
+                            <MessageBar messageBarType={backupMessage.type} onDismiss={() => setBackupMessage(null)}>
+                                {backupMessage.text}
+                            </MessageBar>
+                        )}
+                    </Stack>
+                )}
+
                 {/* Clear all memories button */}
                 {memoryEnabled && (
                     <DefaultButton
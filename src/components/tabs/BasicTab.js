@@ -20,7 +20,8 @@ import { useWordDocument } from '../../hooks/useWordDocument';
 import { useSettings } from '../../hooks/useSettings';
 import { createCompletion } from '../../services/api/textGeneration';
 import ModelSelector from '../common/ModelSelector';
-import { addMemory } from '../../services/memory/memorySystem';
+import { addScopedMemory } from '../../services/memory/memoryScope';
+import { streamTextIntoSelection } from '../../services/office/wordDocumentService';
 
 const SAMPLE_PROMPTS = [
     "Improve this text by making it more concise and clear.",
@@ -49,6 +50,7 @@ export default function BasicTab() {
 
     const textAreaRef = useRef(null);
     const abortController = useRef(null);
+    const insertStream = useRef(null);
 
     // When component mounts, refresh selected text and set it as prompt
     useEffect(() => {
@@ -77,6 +79,51 @@ export default function BasicTab() {
         setTemperature(value);
     };
 
+    // Generate a completion for the prompt, passing text to onChunk as it arrives
+    const runCompletion = async (onChunk, signal) => {
+        // If using context, include document context in prompt
+        const contextualPrompt = useContext && documentContext ?
+            `The following is text from the user's document:
+        
+${documentContext.before || ''}
+${documentContext.selection || ''}
+${documentContext.after || ''}
+
+Based on this context, ${prompt}` :
+            prompt;
+
+        let generated = '';
+        const emit = (chunk) => {
+            generated += chunk;
+            setResult((prev) => prev + chunk);
+            onChunk(chunk);
+        };
+
+        // Call API for completion
+        const completion = await createCompletion(contextualPrompt, {
+            model: selectedModel,
+            temperature,
+            signal,
+            stream: true,
+            onStream: emit
+        });
+
+        // If not streaming, pass on the full result
+        if (!completion.streaming) {
+            emit(completion.content);
+        }
+
+        // Store memory if enabled
+        if (settings.memory?.enabled !== false) {
+            addScopedMemory({
+                type: 'generation',
+                content: prompt,
+                context: generated,
+                tags: ['basic', selectedModel]
+            });
+        }
+    };
+
     // Handle generate click
     const handleGenerateClick = useCallback(async () => {
         if (!prompt.trim()) {
@@ -92,42 +139,7 @@ export default function BasicTab() {
         abortController.current = new AbortController();
 
         try {
-            // If using context, include document context in prompt
-            const contextualPrompt = useContext && documentContext ?
-                `The following is text from the user's document:
-        
-${documentContext.before || ''}
-${documentContext.selection || ''}
-${documentContext.after || ''}
-
-Based on this context, ${prompt}` :
-                prompt;
-
-            // Call API for completion
-            const completion = await createCompletion(contextualPrompt, {
-                model: selectedModel,
-                temperature,
-                signal: abortController.current.signal,
-                stream: true,
-                onStream: (chunk) => {
-                    setResult((prev) => prev + chunk);
-                }
-            });
-
-            // If not streaming, set full result
-            if (!completion.streaming) {
-                setResult(completion.content);
-            }
-
-            // Store memory if enabled
-            if (settings.memory?.enabled !== false) {
-                addMemory({
-                    type: 'generation',
-                    content: prompt,
-                    context: result,
-                    tags: ['basic', selectedModel]
-                });
-            }
+            await runCompletion(() => {}, abortController.current.signal);
         } catch (err) {
             // Handle errors, but ignore AbortError which is triggered by user
             if (err.name !== 'AbortError') {
@@ -140,6 +152,31 @@ Based on this context, ${prompt}` :
         }
     }, [prompt, selectedModel, temperature, useContext, documentContext, settings.memory?.enabled, abortController]);
 
+    // Handle generate into document click: text is written at the selection as it arrives
+    const handleGenerateIntoDocumentClick = useCallback(async () => {
+        if (!prompt.trim()) {
+            setError('Please enter a prompt');
+            return;
+        }
+
+        setIsGenerating(true);
+        setError(null);
+        setResult('');
+
+        insertStream.current = streamTextIntoSelection((onToken, signal) => runCompletion(onToken, signal));
+
+        try {
+            // Cancelling keeps the text written so far
+            await insertStream.current.done;
+        } catch (err) {
+            setError(`Failed to insert text: ${err.message || 'generation failed'}`);
+            console.error('Insert error:', err);
+        } finally {
+            setIsGenerating(false);
+            insertStream.current = null;
+        }
+    }, [prompt, selectedModel, temperature, useContext, documentContext, settings.memory?.enabled]);
+
     // Handle insert click
     const handleInsertClick = useCallback(async () => {
         if (!result) {
@@ -160,6 +197,9 @@ Based on this context, ${prompt}` :
             abortController.current.abort();
             setIsGenerating(false);
         }
+        if (insertStream.current) {
+            insertStream.current.cancel();
+        }
     }, []);
 
     // Handle sample prompt selection
@@ -242,6 +282,11 @@ Based on this context, ${prompt}` :
                     onClick={handleGenerateClick}
                     disabled={isGenerating || !prompt.trim()}
                 />
+                <DefaultButton
+                    text="Generate into Document"
+                    onClick={handleGenerateIntoDocumentClick}
+                    disabled={isGenerating || !prompt.trim()}
+                />
                 {isGenerating && (
                     <DefaultButton
                         text="Cancel"
@@ -95,6 +95,7 @@ export default function SettingsTab() {
     const [preferredModel, setPreferredModel] = useState(getSetting('models.preferredTextModel', 'gpt-4'));
     const [memoryEnabled, setMemoryEnabled] = useState(getSetting('memory.enabled', true));
     const [contextualAwareness, setContextualAwareness] = useState(getSetting('features.contextualAwareness', true));
+    const [trackAiChanges, setTrackAiChanges] = useState(getSetting('features.trackAiChanges', false));
     const [deepseekNonCommercial, setDeepseekNonCommercial] = useState(getSetting('usage.deepseekNonCommercial', true));
     const [message, setMessage] = useState(null);
 
@@ -191,6 +192,11 @@ export default function SettingsTab() {
         updateSetting('features.contextualAwareness', checked);
     };
 
+    const handleTrackAiChangesChange = (_, checked) => {
+        setTrackAiChanges(checked);
+        updateSetting('features.trackAiChanges', checked);
+    };
+
     const handleDeepSeekCommercialChange = (_, checked) => {
         setDeepseekNonCommercial(checked);
         updateSetting('usage.deepseekNonCommercial', checked);
@@ -315,6 +321,14 @@ export default function SettingsTab() {
                             onText="On (AI is aware of surrounding text)"
                             offText="Off (AI only sees selected text)"
                         />
+
+                        <Toggle
+                            label="Track AI changes"
+                            checked={trackAiChanges}
+                            onChange={handleTrackAiChangesChange}
+                            onText="On (AI edits appear as tracked changes tagged by automation)"
+                            offText="Off (AI edits are applied directly)"
+                        />
                     </Stack>
                 </PivotItem>
 
@@ -12,12 +12,16 @@ import {
     Label,
     Pivot,
     PivotItem,
-    Icon
+    Icon,
+    Toggle
 } from '@fluentui/react';
 
 import { useWordDocument } from '../../hooks/useWordDocument';
 import { useSettings } from '../../hooks/useSettings';
 import { createCompletion } from '../../services/api/textGeneration';
+import { summarizeDocument, getModelContextWindow } from '../../services/api/summarization';
+import { getDocumentParagraphs, streamTextIntoSelection } from '../../services/office/wordDocumentService';
+import { estimateTokenCount } from '../../utils/tokenization';
 import ModelSelector from '../common/ModelSelector';
 
 // Structured prompt templates
@@ -174,8 +178,11 @@ export default function StructuredTab() {
     const [result, setResult] = useState('');
     const [error, setError] = useState(null);
     const [currentSelectedText, setCurrentSelectedText] = useState('');
+    const [wholeDocument, setWholeDocument] = useState(false);
+    const [progress, setProgress] = useState(null);
 
     const abortController = useRef(null);
+    const insertStream = useRef(null);
 
     // Update field values when template changes
     React.useEffect(() => {
@@ -213,24 +220,96 @@ export default function StructuredTab() {
         }));
     };
 
+    // Fill the template's field placeholders with the current values
+    const fillFields = (template) => {
+        return Object.keys(fieldValues).reduce(
+            (prompt, fieldId) => prompt.replace(`{{${fieldId}}}`, () => fieldValues[fieldId]),
+            template
+        );
+    };
+
     // Generate final prompt from template
     const generatePrompt = () => {
-        let prompt = selectedTemplate.promptTemplate;
+        // A replacer function keeps "$&" and similar in the selection literal
+        return fillFields(selectedTemplate.promptTemplate).replace('{{text}}', () => currentSelectedText);
+    };
+
+    // The template's instructions without the text, for summarizing in sections
+    const generateInstructions = () => {
+        return fillFields(selectedTemplate.promptTemplate.replace('{{text}}', '')).trim();
+    };
+
+    // Describe a summarization progress event for the progress indicator
+    const describeProgress = (event) => {
+        if (event.phase === 'map') {
+            const title = event.title ? `: ${event.title}` : '';
+            return `Summarizing section ${event.section} of ${event.total}${title}`;
+        }
+        if (event.phase === 'reduce') {
+            return `Combining summaries (pass ${event.level}, part ${event.section} of ${event.total})`;
+        }
+        return 'Writing final summary...';
+    };
 
-        // Replace field placeholders with values
-        Object.keys(fieldValues).forEach(fieldId => {
-            prompt = prompt.replace(`{{${fieldId}}}`, fieldValues[fieldId]);
+    // Summarize the whole document or an over-long selection chunk by chunk
+    const runHierarchicalSummary = async (input, signal) => {
+        const instructions = generateInstructions();
+
+        const summary = await summarizeDocument(input, {
+            model,
+            instructions,
+            signal,
+            onProgress: (event) => {
+                const percentComplete = event.phase === 'final' ? 1 : event.section / (event.total + 1);
+                setProgress({ label: describeProgress(event), percentComplete });
+            }
         });
 
-        // Replace text placeholder with selected text
-        prompt = prompt.replace('{{text}}', currentSelectedText);
+        return summary.content;
+    };
+
+    // Whether the summary covers the whole document rather than the selection
+    const summarizesWholeDocument = () => selectedTemplate.id === 'summarize' && wholeDocument;
 
-        return prompt;
+    // Run the selected template, passing text to onChunk as it arrives
+    const runTemplate = async (onChunk, signal) => {
+        const emit = (chunk) => {
+            setResult((prev) => prev + chunk);
+            onChunk(chunk);
+        };
+
+        if (summarizesWholeDocument()) {
+            emit(await runHierarchicalSummary(await getDocumentParagraphs(), signal));
+            return;
+        }
+
+        // A selection larger than the model's context is summarized in sections
+        if (selectedTemplate.id === 'summarize' &&
+            estimateTokenCount(currentSelectedText, model) > getModelContextWindow(model) / 2) {
+            emit(await runHierarchicalSummary(currentSelectedText, signal));
+            return;
+        }
+
+        const finalPrompt = generatePrompt();
+
+        // Call API for completion with system prompt from template
+        const completion = await createCompletion(finalPrompt, {
+            model: model,
+            systemPrompt: selectedTemplate.systemPrompt,
+            signal,
+            stream: true,
+            onStream: emit
+        });
+
+        // If not streaming, pass on the full result
+        if (!completion.streaming) {
+            emit(completion.content);
+        }
     };
 
     // Handle generate click
     const handleGenerateClick = useCallback(async () => {
-        if (!currentSelectedText) {
+        if (!currentSelectedText && !summarizesWholeDocument()) {
             setError('Please select text in your document first.');
             return;
         }
@@ -238,29 +317,13 @@ export default function StructuredTab() {
         setIsGenerating(true);
         setError(null);
         setResult('');
+        setProgress(null);
 
         // Create abort controller for cancellation
         abortController.current = new AbortController();
 
         try {
-            const finalPrompt = generatePrompt();
-
-            // Call API for completion with system prompt from template
-            const completion = await createCompletion(finalPrompt, {
-                model: model,
-                systemPrompt: selectedTemplate.systemPrompt,
-                signal: abortController.current.signal,
-                stream: true,
-                onStream: (chunk) => {
-                    setResult((prev) => prev + chunk);
-                }
-            });
-
-            // If not streaming, set full result
-            if (!completion.streaming) {
-                setResult(completion.content);
-            }
-
+            await runTemplate(() => {}, abortController.current.signal);
         } catch (err) {
             // Handle errors, but ignore AbortError which is triggered by user
             if (err.name !== 'AbortError') {
@@ -269,9 +332,37 @@ export default function StructuredTab() {
             }
         } finally {
             setIsGenerating(false);
+            setProgress(null);
             abortController.current = null;
         }
-    }, [currentSelectedText, fieldValues, model, selectedTemplate]);
+    }, [currentSelectedText, fieldValues, model, selectedTemplate, wholeDocument]);
+
+    // Handle generate into document click: text is written at the selection as it arrives
+    const handleGenerateIntoDocumentClick = useCallback(async () => {
+        if (!currentSelectedText && !summarizesWholeDocument()) {
+            setError('Please select text in your document first.');
+            return;
+        }
+
+        setIsGenerating(true);
+        setError(null);
+        setResult('');
+        setProgress(null);
+
+        insertStream.current = streamTextIntoSelection((onToken, signal) => runTemplate(onToken, signal));
+
+        try {
+            // Cancelling keeps the text written so far
+            await insertStream.current.done;
+        } catch (err) {
+            setError(`Failed to insert text: ${err.message || 'generation failed'}`);
+            console.error('Insert error:', err);
+        } finally {
+            setIsGenerating(false);
+            setProgress(null);
+            insertStream.current = null;
+        }
+    }, [currentSelectedText, fieldValues, model, selectedTemplate, wholeDocument]);
 
     // Handle insert click
     const handleInsertClick = useCallback(async () => {
@@ -292,6 +383,9 @@ export default function StructuredTab() {
             abortController.current.abort();
             setIsGenerating(false);
         }
+        if (insertStream.current) {
+            insertStream.current.cancel();
+        }
     }, []);
 
     // Render field based on type
@@ -353,6 +447,15 @@ export default function StructuredTab() {
             {/* Dynamic fields */}
             <Stack tokens={{ childrenGap: 10 }}>
                 {selectedTemplate.fields.map(field => renderField(field))}
+                {selectedTemplate.id === 'summarize' && (
+                    <Toggle
+                        label="Summarize entire document"
+                        checked={wholeDocument}
+                        onChange={(_, checked) => setWholeDocument(!!checked)}
+                        onText="Whole document"
+                        offText="Selection only"
+                    />
+                )}
             </Stack>
 
             {/* Selected text info */}
@@ -386,7 +489,12 @@ export default function StructuredTab() {
                 <PrimaryButton
                     text="Generate"
                     onClick={handleGenerateClick}
-                    disabled={isGenerating || !currentSelectedText}
+                    disabled={isGenerating || (!currentSelectedText && !summarizesWholeDocument())}
+                />
+                <DefaultButton
+                    text="Generate into Document"
+                    onClick={handleGenerateIntoDocumentClick}
+                    disabled={isGenerating || (!currentSelectedText && !summarizesWholeDocument())}
                 />
                 {isGenerating && (
                     <DefaultButton
@@ -398,7 +506,10 @@ export default function StructuredTab() {
 
             {/* Loading indicator */}
             {isGenerating && (
-                <ProgressIndicator label="Generating response..." />
+                <ProgressIndicator
+                    label={progress ? progress.label : 'Generating response...'}
+                    percentComplete={progress ? progress.percentComplete : undefined}
+                />
             )}
 
             {/* Result display */}
@@ -85,7 +85,16 @@ const config = {
         logging: {
             level: process.env.NODE_ENV === 'production' ? 'error' : 'debug',
             consoleOutput: true,
-            remoteLogging: false
+            remoteLogging: false,
+            remote: {
+                endpoint: null, // Self-hosted URL that receives error reports
+                headers: {},
+                batchSize: 10,
+                maxBatchBytes: 60000, // Stays under the 64 KB fetch allows for keepalive requests
+                maxSendAttempts: 5,
+                flushInterval: 30000, // 30 seconds
+                maxBufferedReports: 200
+            }
         }
     }
 };
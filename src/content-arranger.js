@@ -21,6 +21,23 @@ class ContentArranger {
             semantic: this.detectTopicsSemantically.bind(this),
             heading: this.detectTopicsByHeadings.bind(this)
         };
+
+        // Semantic topic detection settings
+        this.semanticConfig = {
+            minParagraphs: 4,
+            maxTopics: 8,
+            maxIterations: 20,
+            maxInputChars: 2000,
+            embeddingBatchSize: 50
+        };
+
+        // Document snapshots taken before reorganizing are kept in IndexedDB,
+        // per saved document; undoStack holds them for unsaved documents and
+        // when IndexedDB is unavailable
+        this.undoDbName = 'wordGptPlusArrangerUndo';
+        this.undoDb = null;
+        this.undoStack = [];
+        this.maxUndo = 5;
     }
 
     /**
@@ -346,30 +363,618 @@ class ContentArranger {
     }
 
     /**
-     * Detect topics semantically
+     * Detect topics semantically by clustering paragraph embeddings
      * @param {Object} options - Detection options
-     * @returns {Promise<Array>} Detected topics
+     * @param {number} [options.topicCount] - Number of topics (estimated from the paragraph count if omitted)
+     * @param {string} [options.embeddingSource] - 'api' (ApiClient.createEmbedding) or 'local' (Ollama)
+     * @param {string} [options.embeddingModel] - Embedding model name
+     * @param {boolean} [options.generateHeadings=true] - Ask the chat model for section headings
+     * @returns {Promise<Array>} Topics of the form { text, type, paragraphIndices, paragraphTexts }
      */
     async detectTopicsSemantically(options = {}) {
-        // This would use an AI-based semantic analysis
-        // Placeholder implementation
-        console.log('Semantic topic detection would use AI API');
-        return [];
+        const paragraphs = await Word.run(async context => {
+            const items = context.document.body.paragraphs;
+            items.load('items/text,items/style,items/tableNestingLevel');
+
+            await context.sync();
+
+            return items.items.map((paragraph, index) => ({
+                index,
+                text: paragraph.text.trim(),
+                isHeading: !!(paragraph.style && paragraph.style.includes('Heading')),
+                inTable: paragraph.tableNestingLevel > 0
+            }));
+        });
+
+        // Existing headings are replaced; tables and pictures move with the text around them
+        const candidates = paragraphs.filter(p => p.text && !p.isHeading && !p.inTable);
+
+        if (candidates.length < this.semanticConfig.minParagraphs) {
+            console.log('Not enough paragraphs for semantic topic detection');
+            return [];
+        }
+
+        const embeddings = await this.getParagraphEmbeddings(candidates.map(p => p.text), options);
+        const topicCount = options.topicCount ||
+            Math.min(this.semanticConfig.maxTopics, Math.max(2, Math.round(Math.sqrt(candidates.length / 2))));
+
+        const assignments = this.clusterEmbeddings(embeddings, topicCount);
+
+        // Order topics by where they first appear; keep paragraph order within a topic
+        const clusters = new Map();
+        assignments.forEach((cluster, i) => {
+            if (!clusters.has(cluster)) {
+                clusters.set(cluster, []);
+            }
+            clusters.get(cluster).push(candidates[i]);
+        });
+
+        const groups = [...clusters.values()];
+        const headings = await this.generateTopicHeadings(groups, options);
+
+        return groups.map((group, i) => ({
+            text: headings[i],
+            type: 'semantic',
+            paragraphIndices: group.map(p => p.index),
+            paragraphTexts: group.map(p => p.text)
+        }));
+    }
+
+    /**
+     * Get embeddings for paragraph texts
+     * @param {Array<string>} texts - Paragraph texts
+     * @param {Object} options - Detection options
+     * @returns {Promise<Array<Array<number>>>} One vector per text
+     */
+    async getParagraphEmbeddings(texts, options = {}) {
+        const inputs = texts.map(text => text.substring(0, this.semanticConfig.maxInputChars));
+        const client = typeof window !== 'undefined' ? window.apiClient : null;
+        const source = options.embeddingSource ||
+            (client && client.isProviderConfigured(client.apiConfig.activeProvider) ? 'api' : 'local');
+
+        if (source === 'api') {
+            if (!client) {
+                throw new Error('ApiClient is not available for embeddings');
+            }
+
+            const vectors = [];
+            for (let i = 0; i < inputs.length; i += this.semanticConfig.embeddingBatchSize) {
+                const batch = inputs.slice(i, i + this.semanticConfig.embeddingBatchSize);
+                const response = await client.createEmbedding(batch, {
+                    model: options.embeddingModel,
+                    priority: 'interactive',
+                    source: 'content-arranger'
+                });
+                vectors.push(...response.data
+                    .sort((a, b) => a.index - b.index)
+                    .map(item => item.embedding));
+            }
+            return vectors;
+        }
+
+        // Local embedding model through Ollama, published by utils/localModels.js
+        const localModels = this.getService('localModels');
+        if (!localModels) {
+            throw new Error('Local models are not available for embeddings');
+        }
+
+        const vectors = [];
+        for (const input of inputs) {
+            vectors.push(await localModels.embedWithLocalModel(input, { model: options.embeddingModel }));
+        }
+        return vectors;
+    }
+
+    /**
+     * Get a service published through the script bridge
+     * @param {string} name - Service name
+     * @returns {Object|null} Service, or null when it hasn't been published
+     */
+    getService(name) {
+        const services = typeof window !== 'undefined' ? window.wordGptPlusServices : null;
+        return (services && services[name]) || null;
+    }
+
+    /**
+     * Cluster embeddings with k-means on cosine similarity
+     * @param {Array<Array<number>>} vectors - Embedding vectors
+     * @param {number} k - Number of clusters
+     * @returns {Array<number>} Cluster index for each vector
+     */
+    clusterEmbeddings(vectors, k) {
+        const normalized = vectors.map(vector => {
+            const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+            return vector.map(value => value / length);
+        });
+        const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+        const clusterCount = Math.min(k, normalized.length);
+
+        // Deterministic farthest-point initialisation, starting from the first paragraph
+        const centroids = [normalized[0]];
+        while (centroids.length < clusterCount) {
+            let farthest = 0;
+            let lowestSimilarity = Infinity;
+            normalized.forEach((vector, i) => {
+                const similarity = Math.max(...centroids.map(centroid => dot(vector, centroid)));
+                if (similarity < lowestSimilarity) {
+                    lowestSimilarity = similarity;
+                    farthest = i;
+                }
+            });
+            centroids.push(normalized[farthest]);
+        }
+
+        let assignments = [];
+        for (let iteration = 0; iteration < this.semanticConfig.maxIterations; iteration++) {
+            const next = normalized.map(vector => {
+                let best = 0;
+                centroids.forEach((centroid, c) => {
+                    if (dot(vector, centroid) > dot(vector, centroids[best])) {
+                        best = c;
+                    }
+                });
+                return best;
+            });
+
+            if (next.every((cluster, i) => cluster === assignments[i])) {
+                break;
+            }
+            assignments = next;
+
+            centroids.forEach((centroid, c) => {
+                const members = normalized.filter((_, i) => assignments[i] === c);
+                if (members.length === 0) {
+                    return;
+                }
+                const sum = members.reduce((acc, vector) => acc.map((value, i) => value + vector[i]));
+                const length = Math.sqrt(sum.reduce((total, value) => total + value * value, 0)) || 1;
+                centroids[c] = sum.map(value => value / length);
+            });
+        }
+
+        return assignments;
+    }
+
+    /**
+     * Generate a heading for each group of paragraphs
+     * @param {Array<Array<Object>>} groups - Paragraph groups
+     * @param {Object} options - Detection options
+     * @returns {Promise<Array<string>>} Headings in group order
+     */
+    async generateTopicHeadings(groups, options = {}) {
+        const fallback = groups.map(group => this.keywordHeading(group.map(p => p.text).join(' ')));
+        const client = typeof window !== 'undefined' ? window.apiClient : null;
+
+        if (options.generateHeadings === false || !client ||
+            !client.isProviderConfigured(client.apiConfig.activeProvider)) {
+            return fallback;
+        }
+
+        const sections = groups.map((group, i) =>
+            `Section ${i + 1}:\n${group.map(p => p.text.substring(0, 300)).join('\n')}`
+        ).join('\n\n');
+
+        try {
+            const response = await client.createChatCompletion([
+                {
+                    role: 'system',
+                    content: 'You write short document section headings. Reply with a JSON array of strings only.'
+                },
+                {
+                    role: 'user',
+                    content: `Write a heading of at most six words for each of these ${groups.length} sections:\n\n${sections}`
+                }
+            ], { temperature: 0.2, priority: 'interactive', source: 'content-arranger' });
+
+            const content = response.choices[0].message.content;
+            const headings = JSON.parse(content.substring(content.indexOf('['), content.lastIndexOf(']') + 1));
+
+            return fallback.map((heading, i) =>
+                typeof headings[i] === 'string' && headings[i].trim() ? headings[i].trim() : heading
+            );
+        } catch (error) {
+            console.warn('Could not generate topic headings, using keywords:', error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Build a heading from the most frequent words in a text
+     * @param {string} text - Section text
+     * @returns {string} Heading
+     */
+    keywordHeading(text) {
+        const wordFreq = {};
+        text.toLowerCase().split(/\W+/).filter(w => w.length > 4).forEach(word => {
+            wordFreq[word] = (wordFreq[word] || 0) + 1;
+        });
+
+        const keywords = Object.entries(wordFreq)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 3)
+            .map(([word]) => word.charAt(0).toUpperCase() + word.slice(1));
+
+        return keywords.length > 0 ? keywords.join(', ') : 'Section';
+    }
+
+    /**
+     * Describe the section order a reorganization would produce
+     * @param {Array} topics - Topics from detectTopicsSemantically
+     * @returns {Object} { sections: [{ heading, paragraphs }], movedParagraphs }
+     */
+    previewTopicReorganization(topics) {
+        const newOrder = topics.flatMap(topic => topic.paragraphIndices);
+        const originalOrder = [...newOrder].sort((a, b) => a - b);
+
+        const sections = topics.map(topic => ({
+            heading: topic.text,
+            paragraphs: topic.paragraphIndices.map((index, i) => {
+                const text = topic.paragraphTexts[i];
+                return { index, excerpt: text.length > 80 ? `${text.substring(0, 80)}...` : text };
+            })
+        }));
+
+        return {
+            sections,
+            movedParagraphs: newOrder.filter((index, position) => index !== originalOrder[position]).length
+        };
+    }
+
+    /**
+     * Show a reorganization preview and wait for the user's decision
+     * @param {Object} preview - Result of previewTopicReorganization
+     * @returns {Promise<boolean>} Whether the user chose to apply it
+     */
+    showReorganizationPreview(preview) {
+        const escape = text => text.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+        if (typeof UIComponents === 'undefined') {
+            const summary = preview.sections
+                .map(section => `${section.heading} (${section.paragraphs.length} paragraphs)`)
+                .join('\n');
+            return Promise.resolve(window.confirm(`Reorganize the document into these sections?\n\n${summary}`));
+        }
+
+        const content = preview.sections.map(section => `
+            <h3>${escape(section.heading)}</h3>
+            <ul>${section.paragraphs.map(p => `<li>${escape(p.excerpt)}</li>`).join('')}</ul>
+        `).join('') + `<p>${preview.movedParagraphs} paragraphs will move. You can undo this afterwards.</p>`;
+
+        const modal = new UIComponents().createModal(
+            'Reorganize by topic',
+            content,
+            '<button class="wgp-btn wgp-btn-secondary" data-action="cancel">Cancel</button>' +
+            '<button class="wgp-btn wgp-btn-primary" data-action="apply">Apply</button>'
+        );
+
+        return new Promise(resolve => {
+            const close = apply => {
+                modal.remove();
+                resolve(apply);
+            };
+            modal.querySelector('[data-action="apply"]').addEventListener('click', () => close(true));
+            modal.querySelector('[data-action="cancel"]').addEventListener('click', () => close(false));
+            modal.querySelector('.wgp-modal-close').addEventListener('click', () => close(false));
+        });
     }
 
     /**
      * Apply topic reorganization to the document
-     * @param {Array} topics - Detected topics
+     * @param {Array} topics - Topics from detectTopicsSemantically
      * @param {Object} options - Reorganization options
+     * @param {boolean} [options.skipPreview] - Apply without asking for confirmation
      * @returns {Promise<boolean>} Success status
      */
     async applyTopicReorganization(topics, options = {}) {
-        // This would reorganize the document based on detected topics
-        // Complex implementation would be required in a real system
-        console.log('Topic reorganization would be applied here');
+        if (!topics.every(topic => Array.isArray(topic.paragraphIndices))) {
+            console.log('Only semantic topics can be used to reorder the document');
+            return false;
+        }
+
+        if (!options.skipPreview) {
+            const confirmed = await this.showReorganizationPreview(this.previewTopicReorganization(topics));
+            if (!confirmed) {
+                return false;
+            }
+        }
+
+        const previousOoxml = await Word.run(async context => {
+            const body = context.document.body;
+            const paragraphs = body.paragraphs;
+            const snapshot = body.getOoxml();
+            paragraphs.load('items/text,items/style,items/tableNestingLevel');
+
+            await context.sync();
+
+            // Make sure the document still matches what was detected
+            topics.forEach(topic => topic.paragraphIndices.forEach((index, i) => {
+                const paragraph = paragraphs.items[index];
+                if (!paragraph || paragraph.text.trim() !== topic.paragraphTexts[i]) {
+                    throw new Error('The document changed since topics were detected. Run topic detection again.');
+                }
+            }));
+
+            const attachments = this.collectAttachments(paragraphs.items, topics);
+            const attachedTo = index => attachments.get(index) || { before: [], after: [] };
+
+            // Copy each paragraph, and the tables and pictures that travel with
+            // it, with their formatting before anything moves
+            const copies = topics.map(topic => topic.paragraphIndices.map(index => ({
+                before: attachedTo(index).before.map(item => item.range.getOoxml()),
+                paragraph: paragraphs.items[index].getRange().getOoxml(),
+                after: attachedTo(index).after.map(item => item.range.getOoxml())
+            })));
+
+            await context.sync();
+
+            topics.forEach((topic, t) => {
+                body.insertParagraph(topic.text, Word.InsertLocation.end).styleBuiltIn = Word.Style.heading2;
+                copies[t].forEach(copy => {
+                    [...copy.before, copy.paragraph, ...copy.after]
+                        .forEach(ooxml => body.insertOoxml(ooxml.value, Word.InsertLocation.end));
+                });
+            });
+
+            // Remove exactly what was copied, and the headings the new ones replace
+            paragraphs.items.forEach(paragraph => {
+                if (this.isHeadingParagraph(paragraph)) {
+                    paragraph.delete();
+                }
+            });
+            topics.forEach(topic => topic.paragraphIndices.forEach(index => {
+                const { before, after } = attachedTo(index);
+                [...before, ...after].forEach(item => item.remove());
+                paragraphs.items[index].delete();
+            }));
+
+            await context.sync();
+            return snapshot.value;
+        });
+
+        const persisted = await this.saveUndoSnapshot({ label: 'Reorganize by topic', ooxml: previousOoxml });
+        this.showUndoNotice('The document was reorganized by topic.', persisted);
+
+        return true;
+    }
+
+    /**
+     * Check whether a paragraph is a heading outside a table
+     * @param {Object} paragraph - Word paragraph with style and tableNestingLevel loaded
+     * @returns {boolean} Whether it is a top-level heading
+     */
+    isHeadingParagraph(paragraph) {
+        return paragraph.tableNestingLevel === 0 && !!(paragraph.style && paragraph.style.includes('Heading'));
+    }
+
+    /**
+     * Find the tables and empty-text paragraphs (which may hold pictures or
+     * charts) that should move with a reordered paragraph.
+     * Anything between a moved paragraph and the next heading follows that
+     * paragraph; anything between a heading and the first moved paragraph
+     * after it goes in front of that paragraph. Content before the first
+     * heading and moved paragraph stays where it is.
+     * @param {Array<Object>} items - Word paragraphs with text, style and tableNestingLevel loaded
+     * @param {Array} topics - Topics from detectTopicsSemantically
+     * @returns {Map<number, Object>} Paragraph index to { before, after } lists of
+     *   { range, remove } where remove deletes the original
+     */
+    collectAttachments(items, topics) {
+        const moved = new Set(topics.flatMap(topic => topic.paragraphIndices));
+        const attachments = new Map();
+        let owner = null;
+        let pending = null;
+
+        const attach = (item) => {
+            if (owner !== null) {
+                attachments.get(owner).after.push(item);
+            } else if (pending) {
+                pending.push(item);
+            }
+        };
+
+        items.forEach((paragraph, index) => {
+            if (moved.has(index)) {
+                owner = index;
+                attachments.set(index, { before: pending || [], after: [] });
+                pending = null;
+                return;
+            }
+
+            if (this.isHeadingParagraph(paragraph)) {
+                owner = null;
+                pending = [];
+                return;
+            }
+
+            if (paragraph.tableNestingLevel > 0) {
+                // One entry per table, taken from its first paragraph
+                if (index === 0 || items[index - 1].tableNestingLevel === 0) {
+                    const table = paragraph.parentTable;
+                    attach({ range: table.getRange(), remove: () => table.delete() });
+                }
+                return;
+            }
+
+            if (!paragraph.text.trim()) {
+                attach({ range: paragraph.getRange(), remove: () => paragraph.delete() });
+            }
+        });
+
+        return attachments;
+    }
+
+    /**
+     * Offer to undo an arrangement that was just applied
+     * @param {string} message - What was changed
+     * @param {boolean} persisted - Whether the undo snapshot survives reopening Word
+     */
+    showUndoNotice(message, persisted) {
+        if (typeof UIComponents === 'undefined') {
+            return;
+        }
+
+        const later = persisted ? 'even after reopening Word' : 'until Word is closed';
+        const modal = new UIComponents().createModal(
+            'Arrangement applied',
+            `<p>${message} You can undo it now, or later from the arranger, ${later}.</p>`,
+            '<button class="wgp-btn wgp-btn-secondary" data-action="undo">Undo</button>' +
+            '<button class="wgp-btn wgp-btn-primary" data-action="close">Keep</button>'
+        );
+
+        const close = () => modal.remove();
+        modal.querySelector('[data-action="close"]').addEventListener('click', close);
+        modal.querySelector('.wgp-modal-close').addEventListener('click', close);
+        modal.querySelector('[data-action="undo"]').addEventListener('click', () => {
+            close();
+            this.undoLastArrangement().catch(error => console.error('Error undoing arrangement:', error));
+        });
+    }
+
+    /**
+     * Key undo snapshots by document so they survive reopening it
+     * Unsaved documents have no URL to tell them apart, so they get no key.
+     * @returns {string|null} Document key, or null for an unsaved document
+     */
+    getDocumentKey() {
+        const url = typeof Office !== 'undefined' && Office.context && Office.context.document
+            ? Office.context.document.url
+            : null;
+        return url || null;
+    }
+
+    /**
+     * Open the undo snapshot store
+     * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+     */
+    openUndoStore() {
+        const storage = this.getService('indexedDb');
+        if (!storage) {
+            return Promise.resolve(null);
+        }
+
+        if (!this.undoDb) {
+            this.undoDb = storage.openDatabase(this.undoDbName, 1, (db) => {
+                db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true })
+                    .createIndex('documentKey', 'documentKey');
+            }).catch(error => {
+                console.warn('Undo history will not survive a reload:', error);
+                return null;
+            });
+        }
+
+        return this.undoDb;
+    }
+
+    /**
+     * Get the undo snapshots for the current document, oldest first
+     * @param {IDBDatabase} db - Open undo store
+     * @returns {Promise<Array<Object>>} Snapshots; none for an unsaved document
+     */
+    async readUndoSnapshots(db) {
+        const documentKey = this.getDocumentKey();
+        if (!documentKey) {
+            return [];
+        }
+
+        const snapshots = await this.getService('indexedDb').runTransaction(db, 'snapshots', 'readonly',
+            store => store.index('documentKey').getAll(documentKey));
+        return snapshots.sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Run a write on the undo store and wait for it to commit
+     * @param {IDBDatabase} db - Open undo store
+     * @param {function(IDBObjectStore): void} work - Writes to the store
+     * @returns {Promise<void>}
+     */
+    async writeUndoSnapshots(db, work) {
+        await this.getService('indexedDb').runTransaction(db, 'snapshots', 'readwrite', store => {
+            work(store);
+        });
+    }
+
+    /**
+     * Save the document as it was before an arrangement, keeping the newest few per document
+     * Snapshots of an unsaved document are kept in memory only: another
+     * unsaved document would have the same key and could restore them.
+     * @param {Object} entry - { label, ooxml }
+     * @returns {Promise<boolean>} Whether the snapshot survives reopening Word
+     */
+    async saveUndoSnapshot(entry) {
+        const documentKey = this.getDocumentKey();
+        const snapshot = { ...entry, documentKey, timestamp: Date.now() };
+        const db = documentKey ? await this.openUndoStore() : null;
+
+        if (!db) {
+            this.undoStack.push(snapshot);
+            this.undoStack.splice(0, Math.max(0, this.undoStack.length - this.maxUndo));
+            return false;
+        }
+
+        try {
+            await this.writeUndoSnapshots(db, store => store.add(snapshot));
+            const stale = (await this.readUndoSnapshots(db)).slice(0, -this.maxUndo);
+            if (stale.length > 0) {
+                await this.writeUndoSnapshots(db, store => stale.forEach(item => store.delete(item.id)));
+            }
+            return true;
+        } catch (error) {
+            // Still allow undo in this session
+            console.warn('Could not store undo snapshot:', error);
+            this.undoStack.push(snapshot);
+            return false;
+        }
+    }
+
+    /**
+     * Check whether an arrangement can be undone
+     * @returns {Promise<boolean>} Whether undo is available
+     */
+    async canUndo() {
+        if (this.undoStack.length > 0) {
+            return true;
+        }
+
+        const db = await this.openUndoStore();
+        return !!db && (await this.readUndoSnapshots(db)).length > 0;
+    }
+
+    /**
+     * Restore the document as it was before the last arrangement
+     * @returns {Promise<boolean>} Success status
+     */
+    async undoLastArrangement() {
+        const db = await this.openUndoStore();
+        const stored = db ? await this.readUndoSnapshots(db) : [];
+        const latestStored = stored[stored.length - 1];
+        const latestSession = this.undoStack[this.undoStack.length - 1];
+
+        const entry = latestSession && (!latestStored || latestSession.timestamp >= latestStored.timestamp)
+            ? this.undoStack.pop()
+            : latestStored;
+
+        if (!entry) {
+            console.log('Nothing to undo');
+            return false;
+        }
+
+        await Word.run(async context => {
+            context.document.body.insertOoxml(entry.ooxml, Word.InsertLocation.replace);
+            await context.sync();
+        });
+
+        if (entry === latestStored) {
+            await this.writeUndoSnapshots(db, store => store.delete(entry.id));
+        }
+
         return true;
     }
 }
 
 // Create global instance
 const contentArranger = new ContentArranger();
+
+// SystemIntegration and the test page look components up on window by name
+if (typeof window !== 'undefined') {
+    window.contentArranger = contentArranger;
+}
@@ -536,3 +536,5 @@ class EvolutionEngine {
 
 // Create global instance
 const evolutionEngine = new EvolutionEngine();
+
+export default evolutionEngine;
@@ -5,6 +5,7 @@
 
 import errorHandler from './utils/error-handler';
 import logger from './utils/logger';
+import { getSetting } from './services/settings/settingsManager';
 
 // Create logger instance
 const enhancedApiLogger = logger.createContextLogger('EnhancedAPI');
@@ -53,13 +54,15 @@ class EnhancedApiProvider {
 
     /**
      * Initialize API clients with environment variables
+     * Keys entered in settings take precedence; see _getApiKey.
      */
     _initializeClients() {
-        // Initialize API keys from environment
+        // Initialize API keys from environment; the task pane bundle has no process.env
+        const env = typeof process !== 'undefined' && process.env ? process.env : {};
         this.apiKeys = {
-            groq: process.env.GROQ_API_KEY,
-            deepseek: process.env.DEEPSEEK_API_KEY,
-            openai: process.env.OPENAI_API_KEY,
+            groq: env.GROQ_API_KEY,
+            deepseek: env.DEEPSEEK_API_KEY,
+            openai: env.OPENAI_API_KEY,
             // Add other API keys as needed
         };
     }
@@ -81,6 +84,16 @@ class EnhancedApiProvider {
         return models;
     }
 
+    /**
+     * Get the API key for a provider
+     * Read on each request, so keys entered in settings apply without a reload.
+     * @param {string} providerId - Provider ID
+     * @returns {string|undefined} API key
+     */
+    _getApiKey(providerId) {
+        return getSetting(`apiKeys.${providerId}`) || this.apiKeys[providerId];
+    }
+
     /**
      * Check if a provider is properly configured
      */
@@ -88,7 +101,7 @@ class EnhancedApiProvider {
         const provider = this.providers[providerId];
         if (!provider) return false;
         if (!provider.requiresAuth) return true;
-        return !!this.apiKeys[providerId];
+        return !!this._getApiKey(providerId);
     }
 
     /**
@@ -122,14 +135,18 @@ class EnhancedApiProvider {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.apiKeys[providerId]}`
+                    'Authorization': `Bearer ${this._getApiKey(providerId)}`
                 },
-                body: JSON.stringify(requestData)
+                body: JSON.stringify(requestData),
+                signal: options.signal
             });
 
             if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error?.message || 'API request failed');
+                const errorData = await response.json().catch(() => ({}));
+                const error = new Error(errorData.error?.message || 'API request failed');
+                error.status = response.status;
+                error.provider = providerId;
+                throw error;
             }
 
             const result = await response.json();
@@ -137,7 +154,8 @@ class EnhancedApiProvider {
 
         } catch (error) {
             enhancedApiLogger.error('Error in generateText', { error: error.message });
-            throw errorHandler.handleApiError(error);
+            errorHandler.handleError(error, errorHandler.categories.API, { provider: providerId, model });
+            throw error;
         }
     }
 
@@ -100,12 +100,16 @@ class FreeApiProvider {
             const response = await fetch(endpoint + (provider === 'gemini' ? `?key=${options.apiKey}` : ''), {
                 method: 'POST',
                 headers,
-                body: JSON.stringify(requestData)
+                body: JSON.stringify(requestData),
+                signal: options.signal
             });
             
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.error?.message || `API error: ${response.status}`);
+                const error = new Error(errorData.error?.message || `API error: ${response.status}`);
+                error.status = response.status;
+                error.provider = provider;
+                throw error;
             }
             
             const data = await response.json();
@@ -27,8 +27,21 @@ class ImageProcessor {
             grid: { rows: 2, columns: 2, spacing: 5 },
             column: { direction: 'vertical', spacing: 10 },
             row: { direction: 'horizontal', spacing: 10 },
+            gallery: { columns: 3, spacing: 5, captions: true },
             scattered: { randomized: true, overlap: false }
         };
+
+        // Vision requests made at once when captioning an arrangement
+        this.captionConcurrency = 2;
+
+        // JPEG re-encoding used by compressImage
+        this.compressionSettings = {
+            quality: 0.7,      // JPEG quality between 0 and 1
+            maxDimension: 1600 // Longest edge in pixels after compression
+        };
+
+        // Usable page width in points for table layouts (Letter with 1in margins)
+        this.layoutWidth = 468;
     }
 
     /**
@@ -140,24 +153,37 @@ class ImageProcessor {
      * @param {Object} context - Word context
      * @param {Object} image - Word inline picture
      * @param {Object} options - Crop options
+     * @param {Object} options.crop - Fractions (0-1) to trim from { left, top, right, bottom }
      */
     async cropImage(context, image, options) {
-        // Note: Office JS doesn't directly support cropping
-        // This would be implemented using alternative approaches
-        console.log('Crop operation requested - not directly supported in Office JS API');
+        const crop = { left: 0, top: 0, right: 0, bottom: 0, ...options.crop };
+
+        if (crop.left + crop.right >= 1 || crop.top + crop.bottom >= 1) {
+            throw new Error('Crop would remove the whole image');
+        }
+
+        await this.replacePicturePixels(context, image, {
+            crop,
+            // Keep the remaining part at the scale it was displayed at
+            displayScale: { width: 1 - crop.left - crop.right, height: 1 - crop.top - crop.bottom }
+        });
     }
 
     /**
-     * Compress an image
+     * Compress an image by re-encoding it as JPEG, downscaling oversized pictures
      * @param {Object} context - Word context
      * @param {Object} image - Word inline picture
      * @param {Object} options - Compression options
+     * @param {number} [options.quality] - JPEG quality between 0 and 1
+     * @param {number} [options.maxDimension] - Longest edge in pixels
      */
     async compressImage(context, image, options) {
-        // Apply compression settings
-        // Note: Direct compression not fully supported in Office JS
-        // This would typically adjust image quality settings
-        console.log('Compression requested - limited support in Office JS API');
+        await this.replacePicturePixels(context, image, {
+            type: 'image/jpeg',
+            quality: options.quality ?? this.compressionSettings.quality,
+            maxDimension: options.maxDimension || this.compressionSettings.maxDimension,
+            onlyIfSmaller: true
+        });
     }
 
     /**
@@ -173,19 +199,36 @@ class ImageProcessor {
     }
 
     /**
-     * Arrange multiple images
+     * Arrange multiple images in a borderless table
      * @param {Object} context - Word context
      * @param {Object} image - Word inline picture (first image)
      * @param {Object} options - Arrangement options
+     * @param {string} [options.template='grid'] - grid, row, column or gallery
+     * @param {number} [options.columns] - Column count (overrides the template)
+     * @param {boolean} [options.captions] - Add a caption under each image (on for gallery)
+     * @param {boolean} [options.visionCaptions=false] - Send the images to a vision model for
+     *   captions; without this, captions come from alt text and nothing leaves the document
+     * @param {string} [options.apiKey] - Vision API key used to caption images
      */
     async arrangeImages(context, image, options) {
         // Get all images in document
         const images = context.document.body.inlinePictures;
-        images.load("items");
+        images.load('items/width,items/height,items/altTextTitle,items/altTextDescription');
 
         await context.sync();
 
-        if (images.items.length <= 1) {
+        // Pictures already in a table, such as an earlier arrangement, stay where they are
+        const paragraphs = images.items.map(picture => {
+            const paragraph = picture.paragraph;
+            paragraph.load('text,tableNestingLevel');
+            return paragraph;
+        });
+
+        await context.sync();
+
+        const pictures = images.items.filter((picture, i) => paragraphs[i].tableNestingLevel === 0);
+
+        if (pictures.length <= 1) {
             console.log('Not enough images to arrange');
             return;
         }
@@ -194,35 +237,369 @@ class ImageProcessor {
         const template = options.template || 'grid';
         const arrangementOptions = this.arrangementTemplates[template] || this.arrangementTemplates.grid;
 
-        // For grid arrangement
-        if (template === 'grid') {
-            // In a real implementation, this would create a table and insert images
-            console.log(`Arranging ${images.items.length} images in grid layout`);
+        if (arrangementOptions.randomized) {
+            throw new Error(`Arrangement template '${template}' cannot be built as a table`);
         }
+
+        const count = pictures.length;
+        const columns = Math.max(1, Math.min(count, options.columns ||
+            arrangementOptions.columns || (arrangementOptions.direction === 'horizontal' ? count : 1)));
+        const rows = Math.ceil(count / columns);
+        const spacing = arrangementOptions.spacing || 0;
+        const withCaptions = options.captions ?? !!arrangementOptions.captions;
+
+        // Read every picture before the originals are removed
+        const sources = pictures.map(picture => ({
+            picture,
+            base64: picture.getBase64ImageSrc(),
+            paragraph: picture.paragraph,
+            siblings: picture.paragraph.inlinePictures
+        }));
+        sources.forEach(source => {
+            source.paragraph.load('text');
+            source.siblings.load('items');
+        });
+
+        await context.sync();
+
+        const captions = withCaptions ? await this.captionImages(sources, options) : [];
+
+        const table = sources[0].paragraph.insertTable(
+            rows,
+            columns,
+            Word.InsertLocation.after,
+            Array.from({ length: rows }, () => new Array(columns).fill(''))
+        );
+
+        ['Top', 'Bottom', 'Left', 'Right', 'InsideHorizontal', 'InsideVertical'].forEach(location => {
+            table.getBorder(location).type = 'None';
+        });
+        ['Top', 'Bottom', 'Left', 'Right'].forEach(location => table.setCellPadding(location, spacing));
+        table.horizontalAlignment = 'Centered';
+
+        const cellWidth = this.layoutWidth / columns - spacing * 2;
+
+        sources.forEach((source, i) => {
+            const cell = table.getCell(Math.floor(i / columns), i % columns);
+            cell.horizontalAlignment = 'Centered';
+
+            const scale = Math.min(1, cellWidth / source.picture.width);
+            const picture = cell.body.paragraphs.getFirst()
+                .insertInlinePictureFromBase64(source.base64.value, Word.InsertLocation.start);
+            picture.width = source.picture.width * scale;
+            picture.height = source.picture.height * scale;
+            picture.altTextTitle = source.picture.altTextTitle;
+            picture.altTextDescription = source.picture.altTextDescription;
+
+            if (withCaptions) {
+                const caption = cell.body.insertParagraph(captions[i], Word.InsertLocation.end);
+                caption.styleBuiltIn = Word.Style.caption;
+                caption.alignment = 'Centered';
+            }
+        });
+
+        // Remove the originals, along with paragraphs that only held this picture
+        sources.forEach(source => {
+            if (!source.paragraph.text.trim() && source.siblings.items.length === 1) {
+                source.paragraph.delete();
+            } else {
+                source.picture.delete();
+            }
+        });
+
+        await context.sync();
     }
 
-    // Filter implementations - these would be expanded in a real system
+    /**
+     * Caption every image, a few vision requests at a time
+     * @param {Array<Object>} sources - { picture, base64 } for each image
+     * @param {Object} options - Arrangement options
+     * @returns {Promise<Array<string>>} Captions in the same order
+     */
+    async captionImages(sources, options) {
+        const captions = new Array(sources.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < sources.length) {
+                const index = next++;
+                captions[index] = await this.captionImage(sources[index], index, options);
+            }
+        };
+
+        const workers = Math.min(sources.length, Math.max(1, options.captionConcurrency || this.captionConcurrency));
+        await Promise.all(Array.from({ length: workers }, worker));
+        return captions;
+    }
+
+    /**
+     * Caption an image from a vision model analysis, falling back to its alt text
+     * @param {Object} source - { picture, base64 } for the image
+     * @param {number} index - Position of the image in the arrangement
+     * @param {Object} options - Arrangement options; images are only sent when visionCaptions is set
+     * @returns {Promise<string>} Caption text
+     */
+    async captionImage(source, index, options) {
+        const fallback = source.picture.altTextTitle || source.picture.altTextDescription || `Figure ${index + 1}`;
+
+        if (!options.visionCaptions) {
+            return fallback;
+        }
+
+        const services = typeof window !== 'undefined' ? window.wordGptPlusServices : null;
+        const tools = services ? services.imageTools : null;
+        const apiKey = options.apiKey ||
+            (typeof window !== 'undefined' && window.apiClient ? window.apiClient.apiConfig.keys.openai : null);
+
+        if (!tools || !apiKey) {
+            console.warn('Vision captions need the image tools and an API key; using alt text');
+            return fallback;
+        }
+
+        try {
+            const base64 = source.base64.value;
+            const result = await tools.analyzeImage(this.base64ToBlob(base64, this.detectImageType(base64)), apiKey, {
+                model: options.captionModel,
+                prompt: 'Describe this image in one short sentence suitable for a figure caption.',
+                maxTokens: 200
+            });
+            return tools.generateImageCaption(result.analysis, options.captionLength || 100);
+        } catch (error) {
+            console.warn(`Could not caption image ${index + 1}, using alt text:`, error);
+            return fallback;
+        }
+    }
+
+    // Filter implementations operate on RGBA pixel data in place
 
     async applyGrayscale(context, image, options) {
-        // In a real implementation, this would manipulate the image
-        console.log('Grayscale filter applied');
+        await this.replacePicturePixels(context, image, {
+            transform: data => {
+                for (let i = 0; i < data.length; i += 4) {
+                    const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+                    data[i] = data[i + 1] = data[i + 2] = luma;
+                }
+            }
+        });
     }
 
     async applySepia(context, image, options) {
-        // In a real implementation, this would manipulate the image
-        console.log('Sepia filter applied');
+        await this.replacePicturePixels(context, image, {
+            transform: data => {
+                for (let i = 0; i < data.length; i += 4) {
+                    const r = data[i];
+                    const g = data[i + 1];
+                    const b = data[i + 2];
+                    data[i] = 0.393 * r + 0.769 * g + 0.189 * b;
+                    data[i + 1] = 0.349 * r + 0.686 * g + 0.168 * b;
+                    data[i + 2] = 0.272 * r + 0.534 * g + 0.131 * b;
+                }
+            }
+        });
     }
 
+    /**
+     * @param {Object} options - Filter options
+     * @param {number} [options.amount=20] - Brightness change from -100 to 100
+     */
     async adjustBrightness(context, image, options) {
-        // In a real implementation, this would manipulate the image
-        console.log('Brightness adjustment applied');
+        const offset = 255 * this.clampAmount(options.amount ?? 20) / 100;
+
+        await this.replacePicturePixels(context, image, {
+            transform: data => {
+                for (let i = 0; i < data.length; i += 4) {
+                    data[i] += offset;
+                    data[i + 1] += offset;
+                    data[i + 2] += offset;
+                }
+            }
+        });
     }
 
+    /**
+     * @param {Object} options - Filter options
+     * @param {number} [options.amount=20] - Contrast change from -100 to 100
+     */
     async adjustContrast(context, image, options) {
-        // In a real implementation, this would manipulate the image
-        console.log('Contrast adjustment applied');
+        // Past 100 the denominator goes negative and the image inverts
+        const contrast = 2.55 * this.clampAmount(options.amount ?? 20);
+        const factor = (259 * (contrast + 255)) / (255 * (259 - contrast));
+
+        await this.replacePicturePixels(context, image, {
+            transform: data => {
+                for (let i = 0; i < data.length; i += 4) {
+                    data[i] = factor * (data[i] - 128) + 128;
+                    data[i + 1] = factor * (data[i + 1] - 128) + 128;
+                    data[i + 2] = factor * (data[i + 2] - 128) + 128;
+                }
+            }
+        });
+    }
+
+    /**
+     * Limit a filter amount to -100..100
+     * @param {number} amount - Requested amount
+     * @returns {number} Clamped amount
+     */
+    clampAmount(amount) {
+        return Math.max(-100, Math.min(100, Number(amount) || 0));
+    }
+
+    /**
+     * Read an inline picture, redraw it through an OffscreenCanvas and put
+     * the result back in its place with the same display size and alt text.
+     * Pixel values written by transforms are clamped by Uint8ClampedArray.
+     * @param {Object} context - Word context
+     * @param {Object} image - Word inline picture
+     * @param {Object} options - Processing options
+     * @param {function(Uint8ClampedArray): void} [options.transform] - Edits RGBA data in place
+     * @param {Object} [options.crop] - Fractions to trim from { left, top, right, bottom }
+     * @param {Object} [options.displayScale] - Multipliers for the displayed { width, height }
+     * @param {string} [options.type] - Output MIME type (defaults to the source type)
+     * @param {number} [options.quality] - Encoder quality for JPEG output
+     * @param {number} [options.maxDimension] - Longest edge in pixels
+     * @param {boolean} [options.onlyIfSmaller] - Leave the picture alone unless the output is smaller
+     * @returns {Promise<boolean>} Whether the picture was replaced; vector pictures are left alone
+     */
+    async replacePicturePixels(context, image, options = {}) {
+        if (typeof OffscreenCanvas === 'undefined') {
+            throw new Error('Image processing requires OffscreenCanvas support');
+        }
+
+        const source = image.getBase64ImageSrc();
+        image.load('width,height,altTextTitle,altTextDescription,hyperlink');
+        await context.sync();
+
+        const sourceType = this.detectImageType(source.value);
+
+        // Rasterizing would lose the vector data, and browsers can't decode EMF/WMF at all
+        if (this.isVectorImage(sourceType)) {
+            console.warn(`Skipping ${sourceType} picture; only bitmap images can be processed`);
+            return false;
+        }
+
+        const bitmap = await createImageBitmap(this.base64ToBlob(source.value, sourceType));
+
+        const crop = { left: 0, top: 0, right: 0, bottom: 0, ...options.crop };
+        const sx = Math.round(bitmap.width * crop.left);
+        const sy = Math.round(bitmap.height * crop.top);
+        const sWidth = Math.max(1, Math.round(bitmap.width * (1 - crop.left - crop.right)));
+        const sHeight = Math.max(1, Math.round(bitmap.height * (1 - crop.top - crop.bottom)));
+
+        const scale = options.maxDimension ? Math.min(1, options.maxDimension / Math.max(sWidth, sHeight)) : 1;
+        const width = Math.max(1, Math.round(sWidth * scale));
+        const height = Math.max(1, Math.round(sHeight * scale));
+
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        const type = options.type || sourceType;
+
+        // JPEG has no alpha channel; flatten transparency onto white instead of black
+        if (type === 'image/jpeg') {
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, width, height);
+        }
+
+        ctx.drawImage(bitmap, sx, sy, sWidth, sHeight, 0, 0, width, height);
+        bitmap.close();
+
+        if (options.transform) {
+            const imageData = ctx.getImageData(0, 0, width, height);
+            options.transform(imageData.data);
+            ctx.putImageData(imageData, 0, 0);
+        }
+
+        const blob = await canvas.convertToBlob({ type, quality: options.quality });
+        const base64 = await this.blobToBase64(blob);
+
+        if (options.onlyIfSmaller && base64.length >= source.value.length) {
+            console.log('Compression would not reduce image size; picture left unchanged');
+            return false;
+        }
+
+        const displayScale = options.displayScale || { width: 1, height: 1 };
+        const replacement = image.insertInlinePictureFromBase64(base64, Word.InsertLocation.replace);
+        replacement.width = image.width * displayScale.width;
+        replacement.height = image.height * displayScale.height;
+        replacement.altTextTitle = image.altTextTitle;
+        replacement.altTextDescription = image.altTextDescription;
+        if (image.hyperlink) {
+            replacement.hyperlink = image.hyperlink;
+        }
+
+        await context.sync();
+        return true;
+    }
+
+    /**
+     * Work out an image's MIME type from its signature
+     * @param {string} base64 - Base64 image data
+     * @returns {string} MIME type
+     */
+    detectImageType(base64) {
+        if (base64.startsWith('/9j/')) return 'image/jpeg';
+        if (base64.startsWith('R0lGOD')) return 'image/gif';
+        if (base64.startsWith('Qk')) return 'image/bmp';
+
+        // The vector formats Word embeds are told apart by their header bytes
+        const header = atob(base64.substring(0, 64));
+        const byteAt = i => header.charCodeAt(i);
+
+        if (byteAt(0) === 0x01 && byteAt(1) === 0 && header.substring(40, 44) === ' EMF') return 'image/emf';
+        if (header.startsWith('\xD7\xCD\xC6\x9A') ||
+            ((byteAt(0) === 1 || byteAt(0) === 2) && byteAt(1) === 0 && byteAt(2) === 9 && byteAt(3) === 0)) {
+            return 'image/wmf';
+        }
+
+        // The only XML image format Word embeds is SVG
+        if (/^(\xEF\xBB\xBF)?\s*<(\?xml|svg|!--|!DOCTYPE)/i.test(header)) return 'image/svg+xml';
+
+        return 'image/png';
+    }
+
+    /**
+     * Check whether a MIME type is a vector format the canvas can't process
+     * @param {string} type - MIME type from detectImageType
+     * @returns {boolean} Whether it is EMF, WMF or SVG
+     */
+    isVectorImage(type) {
+        return ['image/emf', 'image/wmf', 'image/svg+xml'].includes(type);
+    }
+
+    /**
+     * Decode base64 image data into a Blob
+     * @param {string} base64 - Base64 image data
+     * @param {string} type - MIME type
+     * @returns {Blob} Image blob
+     */
+    base64ToBlob(base64, type) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type });
+    }
+
+    /**
+     * Encode a Blob as base64 without the data URL prefix
+     * @param {Blob} blob - Image blob
+     * @returns {Promise<string>} Base64 image data
+     */
+    blobToBase64(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onloadend = () => resolve(reader.result.split(',')[1]);
+            reader.onerror = () => reject(new Error('Failed to read processed image'));
+            reader.readAsDataURL(blob);
+        });
     }
 }
 
 // Create global instance
 const imageProcessor = new ImageProcessor();
+
+// SystemIntegration and the test page look components up on window by name
+if (typeof window !== 'undefined') {
+    window.imageProcessor = imageProcessor;
+}
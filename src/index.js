@@ -5,6 +5,11 @@
 
 // Import core dependencies
 import './polyfills.js';
+// Publishes the securityProtocol service the API client encrypts stored keys with
+import './security/security-protocol.js';
+// Publish the indexedDb and localModels services the content arranger uses
+import './utils/indexedDb.js';
+import './utils/localModels.js';
 import './simple-taskpane.js';
 
 // Log initialization
@@ -4,12 +4,13 @@
  */
 
 import simpleApiClient from './simple-api-client.js';
+import providerFailover from './provider-failover.js';
 
 class ModelManager {
     constructor() {
         // Configuration
         this.config = {
-            defaultModel: localStorage.getItem('wordGptPlusDefaultModel') || 'llama2',
+            defaultModel: localStorage.getItem('wordGptPlusDefaultModel') || null, // null: each provider's own default
             defaultSystemPrompt: 'You are a helpful AI assistant for Microsoft Word.',
             temperaturePresets: {
                 creative: 0.9,
@@ -83,7 +84,7 @@ class ModelManager {
             let response;
 
             // If running in demo mode with no API configured, use simulation
-            if (options.demoMode || !simpleApiClient.hasValidConfig()) {
+            if (options.demoMode || (!simpleApiClient.hasValidConfig() && !this._getQueuedApiClient())) {
                 response = await this._simulateResponse(prompt, params);
             } else {
                 // Make actual API request
@@ -196,7 +197,9 @@ class ModelManager {
             maxTokens: options.maxTokens || 1024,
             systemPrompt: options.systemPrompt || this.config.defaultSystemPrompt,
             detailed: options.detailed || false,
-            format: options.format || 'text'
+            format: options.format || 'text',
+            priority: options.priority || 'interactive',
+            source: options.source
         };
 
         // If temperature is a named preset, resolve it
@@ -209,12 +212,43 @@ class ModelManager {
 
     /**
      * Make API request to generate text
+     * Requests go through the provider failover chain, which starts with the
+     * provider configured in ApiClient so requests share its priority queue;
+     * interactive work then overtakes batch and scheduled jobs.
      * @private
      */
     async _makeApiRequest(prompt, params) {
-        // In a real implementation, this would dynamically choose between different
-        // API providers like OpenAI, Azure OpenAI, Anthropic, etc.
-        return await simpleApiClient.generateText(prompt, params);
+        try {
+            const result = await providerFailover.generateText(prompt, {
+                model: params.model,
+                systemPrompt: params.systemPrompt,
+                temperature: params.temperature,
+                maxTokens: params.maxTokens,
+                format: params.format,
+                detailed: params.detailed,
+                priority: params.priority,
+                source: params.source
+            });
+            return result.text;
+        } catch (error) {
+            // Nothing in the chain is configured; the local client is all there is
+            if (error.code === 'NO_PROVIDER_AVAILABLE') {
+                return await simpleApiClient.generateText(prompt, params);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get the shared ApiClient if it is loaded and has a configured provider
+     * @private
+     */
+    _getQueuedApiClient() {
+        const apiClient = typeof window !== 'undefined' ? window.apiClient : null;
+        if (apiClient && apiClient.isProviderConfigured(apiClient.apiConfig.activeProvider)) {
+            return apiClient;
+        }
+        return null;
     }
 
     /**
@@ -0,0 +1,375 @@
+/**
+ * Word GPT Plus - Provider Failover
+ * Runs a generation request through an ordered chain of providers, moving on
+ * when one is rate limited, failing on the server side or timing out
+ */
+
+import freeApiProvider from './free-api-provider';
+import enhancedApiProvider from './enhanced-api-provider';
+import { isRetryableStatus } from './api/retry-policy';
+import logger from './utils/logger';
+import { exposeService } from './utils/scriptBridge';
+
+// Create logger instance
+const failoverLogger = logger.createContextLogger('Failover');
+
+const CHAIN_STORAGE_KEY = 'wordGptPlusFailoverChain';
+const HISTORY_STORAGE_KEY = 'wordGptPlusProviderFallbacks';
+
+// Provider name meaning "whichever provider is active in ApiClient"
+const ACTIVE_PROVIDER = 'active';
+
+/**
+ * Whether a failure is worth sending to the next provider
+ * Rate limits, server errors, timeouts and network errors are; anything else,
+ * such as a bad request, would fail the same way everywhere.
+ * @param {Error} error - Provider error
+ * @returns {boolean} Whether to try the next provider
+ */
+function shouldFailOver(error) {
+    if (error.status) {
+        return isRetryableStatus(error.status);
+    }
+    // fetch rejects with a TypeError when the network or server can't be reached
+    return error.name === 'TimeoutError' || error.name === 'TypeError';
+}
+
+class ProviderFailover {
+    constructor() {
+        // Default chain: the provider configured in ApiClient, hosted fast
+        // model, hosted fallback, then local
+        this.defaultChain = [
+            { layer: 'apiClient', provider: ACTIVE_PROVIDER },
+            { layer: 'enhanced', provider: 'groq', model: 'mixtral-8x7b-32768' },
+            { layer: 'enhanced', provider: 'deepseek', model: 'deepseek-llm-67b-chat' },
+            { layer: 'free', provider: 'ollama' }
+        ];
+
+        // Adapters translate a chain entry into a call on one of the provider layers
+        this.layers = {
+            apiClient: (entry, prompt, options) => {
+                const client = this._getApiClient(options);
+                const provider = entry.provider === ACTIVE_PROVIDER ? undefined : entry.provider;
+                return client.generateText(prompt, { ...options, provider, model: entry.model || options.model });
+            },
+            enhanced: async (entry, prompt, options) => {
+                const result = await enhancedApiProvider.generateText(entry.provider, entry.model, prompt, options);
+                return result.text;
+            },
+            free: (entry, prompt, options) => {
+                return freeApiProvider.generateText(entry.provider, prompt, { ...options, model: entry.model });
+            }
+        };
+
+        // Checks that a chain entry can be tried at all; entries that can't,
+        // such as providers without an API key, are skipped rather than failed
+        this.availability = {
+            apiClient: (entry, options) => {
+                const client = this._getApiClient(options);
+                if (!client) {
+                    return false;
+                }
+                const provider = entry.provider === ACTIVE_PROVIDER ? client.apiConfig.activeProvider : entry.provider;
+                return client.isProviderConfigured(provider);
+            },
+            enhanced: (entry) => {
+                const info = enhancedApiProvider.getAvailableModels()[entry.provider];
+                return !!(info && info.isConfigured);
+            },
+            free: (entry, options) => {
+                const provider = freeApiProvider.providers[entry.provider];
+                return !!provider && (!provider.requiresAuth || !!options.apiKey);
+            }
+        };
+
+        this.timeout = 30000; // Per-provider timeout in ms
+        this.maxHistory = 100;
+        this.chain = this.loadChain();
+        this.history = this.loadHistory();
+    }
+
+    /**
+     * Load the configured failover chain from storage
+     * @returns {Array<Object>} Chain entries
+     */
+    loadChain() {
+        try {
+            const saved = localStorage.getItem(CHAIN_STORAGE_KEY);
+            if (saved) {
+                const chain = JSON.parse(saved);
+                if (Array.isArray(chain) && chain.length > 0) {
+                    return chain;
+                }
+            }
+        } catch (error) {
+            failoverLogger.warn('Could not load failover chain, using default', { error: error.message });
+        }
+
+        return [...this.defaultChain];
+    }
+
+    /**
+     * Set the ordered failover chain
+     * @param {Array<Object>} chain - Entries of the form { layer, provider, model }
+     */
+    setChain(chain) {
+        if (!Array.isArray(chain) || chain.length === 0) {
+            throw new Error('Failover chain must contain at least one provider');
+        }
+
+        chain.forEach(entry => {
+            if (!this.layers[entry.layer]) {
+                throw new Error(`Unknown provider layer: ${entry.layer}`);
+            }
+            if (!entry.provider) {
+                throw new Error('Each failover entry needs a provider');
+            }
+        });
+
+        this.chain = chain.map(entry => ({ ...entry }));
+        localStorage.setItem(CHAIN_STORAGE_KEY, JSON.stringify(this.chain));
+    }
+
+    /**
+     * Get the current failover chain
+     * @returns {Array<Object>} Chain entries
+     */
+    getChain() {
+        return this.chain.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Register an additional provider layer
+     * @param {string} name - Layer name used in chain entries
+     * @param {Function} adapter - (entry, prompt, options) => Promise<string>; options.signal aborts the call
+     * @param {Function} [isAvailable] - (entry, options) => boolean; entries that aren't available are skipped
+     */
+    registerLayer(name, adapter, isAvailable = null) {
+        if (typeof adapter !== 'function') {
+            throw new Error('Layer adapter must be a function');
+        }
+        this.layers[name] = adapter;
+        if (isAvailable) {
+            this.availability[name] = isAvailable;
+        } else {
+            delete this.availability[name];
+        }
+    }
+
+    /**
+     * Generate text, falling through the chain until a provider answers
+     * Providers that aren't configured are skipped; if none is, the error has
+     * code 'NO_PROVIDER_AVAILABLE'.
+     * @param {string} prompt - User prompt
+     * @param {Object} options - Generation options passed to each provider
+     * @param {Array<Object>} [options.chain] - Chain to use instead of the configured one
+     * @param {number} [options.timeout] - Per-provider timeout in ms
+     * @param {AbortSignal} [options.signal] - Cancels the whole request
+     * @returns {Promise<Object>} { text, provider, layer, model, fallback, attempts, skipped }
+     */
+    async generateText(prompt, options = {}) {
+        const { chain = this.chain, timeout = this.timeout, ...providerOptions } = options;
+        const attempts = [];
+        const skipped = [];
+
+        for (const entry of chain) {
+            const adapter = this.layers[entry.layer];
+            if (!adapter) {
+                failoverLogger.warn(`Skipping unknown provider layer: ${entry.layer}`);
+                continue;
+            }
+
+            const isAvailable = this.availability[entry.layer];
+            if (isAvailable && !isAvailable(entry, providerOptions)) {
+                skipped.push(this._describe(entry));
+                continue;
+            }
+
+            const startTime = Date.now();
+
+            try {
+                const text = await this._attempt(adapter, entry, prompt, providerOptions, timeout);
+
+                attempts.push({ ...this._describe(entry), success: true, durationMs: Date.now() - startTime });
+
+                const result = {
+                    text,
+                    provider: entry.provider,
+                    layer: entry.layer,
+                    model: entry.model || null,
+                    fallback: attempts.length > 1,
+                    attempts,
+                    skipped
+                };
+
+                this._recordOutcome(result);
+                return result;
+            } catch (error) {
+                attempts.push({
+                    ...this._describe(entry),
+                    success: false,
+                    status: error.status || null,
+                    error: error.message,
+                    durationMs: Date.now() - startTime
+                });
+
+                if (!shouldFailOver(error)) {
+                    // A bad request will fail the same way everywhere
+                    this._recordOutcome({ provider: null, layer: null, fallback: attempts.length > 1, attempts });
+                    throw error;
+                }
+
+                failoverLogger.warn(`Provider ${entry.provider} failed, trying next in chain`, {
+                    status: error.status,
+                    error: error.message
+                });
+            }
+        }
+
+        if (attempts.length === 0) {
+            const error = new Error('No provider in the failover chain is configured');
+            error.code = 'NO_PROVIDER_AVAILABLE';
+            error.skipped = skipped;
+            throw error;
+        }
+
+        this._recordOutcome({ provider: null, layer: null, fallback: attempts.length > 1, attempts });
+
+        const error = new Error(`All providers in the failover chain failed (${attempts.map(a => a.provider).join(' → ')})`);
+        error.attempts = attempts;
+        error.skipped = skipped;
+        throw error;
+    }
+
+    /**
+     * Get recorded outcomes, newest last
+     * @returns {Array<Object>} Outcome history
+     */
+    getHistory() {
+        return [...this.history];
+    }
+
+    /**
+     * Summarize which providers answered and how often a fallback was needed
+     * @returns {Object} { total, fallbacks, failures, answeredBy }
+     */
+    getFallbackStats() {
+        const answeredBy = {};
+        let fallbacks = 0;
+        let failures = 0;
+
+        this.history.forEach(entry => {
+            if (!entry.provider) {
+                failures++;
+                return;
+            }
+            answeredBy[entry.provider] = (answeredBy[entry.provider] || 0) + 1;
+            if (entry.fallback) {
+                fallbacks++;
+            }
+        });
+
+        return { total: this.history.length, fallbacks, failures, answeredBy };
+    }
+
+    /**
+     * Load outcome history from storage
+     * @returns {Array<Object>} Outcome history
+     * @private
+     */
+    loadHistory() {
+        try {
+            const saved = localStorage.getItem(HISTORY_STORAGE_KEY);
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Record which provider answered a request
+     * @param {Object} result - Generation outcome
+     * @private
+     */
+    _recordOutcome(result) {
+        this.history.push({
+            timestamp: new Date().toISOString(),
+            provider: result.provider,
+            layer: result.layer,
+            fallback: result.fallback,
+            attempts: result.attempts.map(({ provider, layer, success, status }) => ({ provider, layer, success, status }))
+        });
+
+        if (this.history.length > this.maxHistory) {
+            this.history = this.history.slice(-this.maxHistory);
+        }
+
+        try {
+            localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(this.history));
+        } catch (error) {
+            failoverLogger.warn('Could not persist failover history', { error: error.message });
+        }
+    }
+
+    /**
+     * Call one provider, aborting its request if it does not answer in time
+     * or the caller cancels
+     * @private
+     */
+    async _attempt(adapter, entry, prompt, options, timeout) {
+        const controller = new AbortController();
+        const callerSignal = options.signal;
+        const onCallerAbort = () => controller.abort(callerSignal.reason);
+
+        if (callerSignal) {
+            if (callerSignal.aborted) {
+                onCallerAbort();
+            } else {
+                callerSignal.addEventListener('abort', onCallerAbort);
+            }
+        }
+
+        let timer;
+        const timeoutPromise = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Provider ${entry.provider} timed out after ${timeout}ms`);
+                error.name = 'TimeoutError';
+                controller.abort(error);
+                reject(error);
+            }, timeout);
+        });
+
+        try {
+            return await Promise.race([
+                adapter(entry, prompt, { ...options, signal: controller.signal }),
+                timeoutPromise
+            ]);
+        } finally {
+            clearTimeout(timer);
+            if (callerSignal) {
+                callerSignal.removeEventListener('abort', onCallerAbort);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _getApiClient(options) {
+        return options.apiClient || (typeof window !== 'undefined' ? window.apiClient : null) || null;
+    }
+
+    /**
+     * @private
+     */
+    _describe(entry) {
+        return { provider: entry.provider, layer: entry.layer, model: entry.model || null };
+    }
+}
+
+// Create and export singleton instance
+const providerFailover = new ProviderFailover();
+
+exposeService('providerFailover', providerFailover);
+
+export default providerFailover;
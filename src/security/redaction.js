@@ -0,0 +1,23 @@
+/**
+ * Word GPT Plus - Redaction
+ * Masks secrets and personal data in logs and error reports. Kept apart from
+ * the security protocol so that importing it does not set up the keyring.
+ */
+
+/**
+ * Redact a sensitive string (keep first/last characters)
+ * @param {string} text - Text to redact
+ * @returns {string} Redacted text
+ */
+export function redactSensitiveString(text) {
+    if (!text || text.length <= 6) {
+        return '******';
+    }
+
+    const firstChars = text.substring(0, 2);
+    const lastChars = text.substring(text.length - 2);
+    const redactedLength = text.length - 4;
+    const redacted = '*'.repeat(redactedLength);
+
+    return `${firstChars}${redacted}${lastChars}`;
+}
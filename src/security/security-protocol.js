@@ -1,8 +1,116 @@
 /**
  * Word GPT Plus - Security Protocol
  * Implements enterprise-grade security measures for data protection
+ *
+ * Stored secrets are encrypted with AES-GCM. The keys are random and
+ * non-extractable, kept in an IndexedDB keyring: the add-in can encrypt and
+ * decrypt with them, but no script can read the key material out. Every
+ * ciphertext starts with a header naming its format version and key, so keys
+ * can be rotated and the format changed without losing data.
  */
 
+import { redactSensitiveString } from './redaction.js';
+import { openDatabase, runTransaction } from '../utils/indexedDb.js';
+import { exposeService } from '../utils/scriptBridge.js';
+
+// Ciphertext is "wgp:<format version>:<key ID>:<base64 IV + AES-GCM output>";
+// version 1 was the unversioned XOR format
+const CIPHERTEXT_PREFIX = 'wgp';
+const CIPHERTEXT_VERSION = 2;
+const CIPHERTEXT_PATTERN = /^wgp:(\d+):([A-Za-z0-9]+):([A-Za-z0-9+/]+={0,2})$/;
+
+const KEYRING_DB_NAME = 'wordGptPlusKeyring';
+const KEYRING_DB_VERSION = 1;
+const KEYRING_STORE = 'keyring';
+const KEYRING_RECORD_ID = 'local';
+const IV_LENGTH = 12;
+
+// Earlier versions kept PBKDF2 secrets for each key in localStorage; they are
+// turned into non-extractable keys and removed on the first load
+const LEGACY_KEYRING_STORAGE_KEY = 'wordGptPlusKeyring';
+
+// The XOR format's local key was this prefix plus a timestamp, regenerated on every load
+const LEGACY_LOCAL_KEY_PREFIX = 'local_key_placeholder_';
+
+// Stored configs whose values are encrypted with the local key
+const ENCRYPTED_CONFIGS = [
+    { storageKey: 'wordGptPlusApiConfig', field: 'keys' }
+];
+
+/**
+ * Encode bytes as base64
+ * @private
+ */
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * @private
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/**
+ * @private
+ */
+function randomBytes(length) {
+    return window.crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Split a ciphertext into its header fields
+ * @param {string} value - Stored value
+ * @returns {Object|null} { header, version, keyId, payload }, or null when the value has no header
+ * @private
+ */
+function parseCiphertext(value) {
+    const match = typeof value === 'string' ? value.match(CIPHERTEXT_PATTERN) : null;
+    if (!match) {
+        return null;
+    }
+
+    return {
+        header: `${CIPHERTEXT_PREFIX}:${match[1]}:${match[2]}`,
+        version: Number(match[1]),
+        keyId: match[2],
+        payload: match[3]
+    };
+}
+
+/**
+ * Whether a value looks like the XOR format's output for a JSON string
+ * Only the key's fixed prefix is known, so check that it turns the leading
+ * bytes back into a quote followed by printable text.
+ * @private
+ */
+function isLegacyXorValue(value) {
+    let decoded;
+    try {
+        decoded = atob(value);
+    } catch (error) {
+        return false;
+    }
+
+    const known = Math.min(decoded.length, LEGACY_LOCAL_KEY_PREFIX.length);
+    if (known < 2 || (decoded.charCodeAt(0) ^ LEGACY_LOCAL_KEY_PREFIX.charCodeAt(0)) !== 34) {
+        return false;
+    }
+
+    for (let i = 1; i < known; i++) {
+        const charCode = decoded.charCodeAt(i) ^ LEGACY_LOCAL_KEY_PREFIX.charCodeAt(i);
+        if (charCode < 32 || charCode > 126) {
+            return false;
+        }
+    }
+    return true;
+}
+
 class SecurityProtocol {
     constructor() {
         // Security configuration
@@ -10,15 +118,36 @@ class SecurityProtocol {
             encryptionEnabled: true,
             dataMinimizationEnabled: true,
             contentScanningEnabled: true,
-            securityLevel: 'enterprise' // 'basic', 'enhanced', 'enterprise'
+            securityLevel: 'enterprise', // 'basic', 'enhanced', 'enterprise'
+            keyRotationDays: 90 // Rotate the local key this often; 0 to rotate only on request
         };
 
-        // Encryption keys
+        // IDs of the keys used for new ciphertext
         this.encryptionKeys = {
             local: null,
             session: null
         };
 
+        // Local keys { activeKeyId, keys: { [id]: { key: CryptoKey, createdAt } } }
+        this.keyring = null;
+        this.keyringDbPromise = null;
+
+        // Whether the local key loaded; secrets encrypted with it are never
+        // written in the clear when it didn't
+        this.keysAvailable = false;
+
+        // AES-GCM keys by key ID; the session key lives only here
+        this.cryptoKeys = new Map();
+
+        // Stored configs re-encrypted on migration and key rotation
+        this.encryptedConfigs = [...ENCRYPTED_CONFIGS];
+
+        // Outcome of migrating values stored in older formats { migrated, unrecoverable }
+        this.migrationReport = null;
+
+        // Settles once keys are loaded and stored values are up to date
+        this.ready = Promise.resolve();
+
         // Security metrics
         this.securityMetrics = {
             scanResults: [],
@@ -39,9 +168,9 @@ class SecurityProtocol {
         // Load security configuration
         this.loadSecurityConfig();
 
-        // Generate encryption keys if enabled
+        // Load encryption keys if enabled
         if (this.config.encryptionEnabled) {
-            this.generateEncryptionKeys();
+            this.ready = this.prepareEncryptionKeys();
         }
 
         // Set up content scanner if enabled
@@ -79,28 +208,169 @@ class SecurityProtocol {
     }
 
     /**
-     * Generate encryption keys
+     * Load the local key, create a session key and bring stored values up to date
+     * Values in older formats are re-encrypted on the first load after an
+     * upgrade, and the local key is rotated once it is keyRotationDays old.
+     * @returns {Promise<void>}
      */
-    generateEncryptionKeys() {
+    async prepareEncryptionKeys() {
         try {
-            // Generate a session key (this is a simplified implementation)
-            // In a real system, we would use the Web Crypto API
-            const sessionKeyChars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-            let sessionKey = '';
-            for (let i = 0; i < 32; i++) {
-                sessionKey += sessionKeyChars.charAt(Math.floor(Math.random() * sessionKeyChars.length));
+            if (!window.crypto || !window.crypto.subtle) {
+                throw new Error('Web Crypto API is not available');
+            }
+
+            await this.loadKeyring();
+            if (!this.keyring.activeKeyId) {
+                this.keyring.activeKeyId = await this.addKeyringEntry();
+                await this.saveKeyring();
             }
-            this.encryptionKeys.session = sessionKey;
+            this.encryptionKeys.local = this.keyring.activeKeyId;
 
-            // Local key would be derived from user's password or device information
-            // Here we're using a placeholder
-            this.encryptionKeys.local = 'local_key_placeholder_' + Date.now();
+            const sessionKeyId = `s${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`;
+            this.cryptoKeys.set(sessionKeyId, this.generateKey());
+            this.encryptionKeys.session = sessionKeyId;
+            this.keysAvailable = true;
 
-            console.log('Encryption keys generated successfully');
+            this.migrationReport = await this.migrateLegacyData();
+
+            if (this.isRotationDue()) {
+                await this.rotateLocalKey();
+            }
+
+            console.log('Encryption keys ready');
+        } catch (error) {
+            console.error('Error preparing encryption keys:', error);
+        }
+    }
+
+    /**
+     * Open the keyring database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    openKeyringDatabase() {
+        if (!this.keyringDbPromise) {
+            this.keyringDbPromise = openDatabase(KEYRING_DB_NAME, KEYRING_DB_VERSION, (db) => {
+                if (!db.objectStoreNames.contains(KEYRING_STORE)) {
+                    db.createObjectStore(KEYRING_STORE, { keyPath: 'id' });
+                }
+            }).catch(error => {
+                this.keyringDbPromise = null;
+                throw error;
+            });
+        }
+        return this.keyringDbPromise;
+    }
+
+    /**
+     * Load the keyring, moving keys from the older localStorage keyring into it
+     * @returns {Promise<void>}
+     */
+    async loadKeyring() {
+        const db = await this.openKeyringDatabase();
+        const record = await runTransaction(db, KEYRING_STORE, 'readonly', store => store.get(KEYRING_RECORD_ID));
+
+        this.keyring = record && record.keys
+            ? { activeKeyId: record.activeKeyId, keys: record.keys }
+            : { activeKeyId: null, keys: {} };
+
+        await this.importLegacyKeyring();
+
+        Object.entries(this.keyring.keys).forEach(([keyId, entry]) => {
+            this.cryptoKeys.set(keyId, Promise.resolve(entry.key));
+        });
+    }
+
+    /**
+     * Replace the PBKDF2 secrets of the older keyring with the keys derived from them
+     * Key IDs are kept, so values encrypted under them still decrypt. The
+     * secrets are removed from localStorage once the keys are saved.
+     * @returns {Promise<void>}
+     */
+    async importLegacyKeyring() {
+        let legacy = null;
+        try {
+            legacy = JSON.parse(localStorage.getItem(LEGACY_KEYRING_STORAGE_KEY));
         } catch (error) {
-            console.error('Error generating encryption keys:', error);
-            this.config.encryptionEnabled = false;
+            console.error('Error loading the previous keyring:', error);
         }
+
+        if (legacy && legacy.keys) {
+            for (const [keyId, entry] of Object.entries(legacy.keys)) {
+                if (!this.keyring.keys[keyId] && entry.secret && entry.salt) {
+                    this.keyring.keys[keyId] = {
+                        key: await this.deriveKey(fromBase64(entry.secret), fromBase64(entry.salt), entry.iterations),
+                        createdAt: entry.createdAt
+                    };
+                }
+            }
+            if (!this.keyring.activeKeyId && this.keyring.keys[legacy.activeKeyId]) {
+                this.keyring.activeKeyId = legacy.activeKeyId;
+            }
+            await this.saveKeyring();
+        }
+
+        localStorage.removeItem(LEGACY_KEYRING_STORAGE_KEY);
+    }
+
+    /**
+     * Save the keyring
+     * @returns {Promise<void>}
+     */
+    async saveKeyring() {
+        const db = await this.openKeyringDatabase();
+        await runTransaction(db, KEYRING_STORE, 'readwrite', store => store.put({ id: KEYRING_RECORD_ID, ...this.keyring }));
+    }
+
+    /**
+     * Add a new random key to the keyring without making it active
+     * @returns {Promise<string>} Key ID
+     */
+    async addKeyringEntry() {
+        const keyId = `k${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`;
+        const key = await this.generateKey();
+
+        this.keyring.keys[keyId] = { key, createdAt: new Date().toISOString() };
+        this.cryptoKeys.set(keyId, Promise.resolve(key));
+        return keyId;
+    }
+
+    /**
+     * Create a random AES-GCM key
+     * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+     */
+    generateKey() {
+        return window.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * Derive an AES-GCM key with PBKDF2
+     * @param {Uint8Array} secret - Key material
+     * @param {Uint8Array} salt - Salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+     */
+    async deriveKey(secret, salt, iterations) {
+        const material = await window.crypto.subtle.importKey('raw', secret, 'PBKDF2', false, ['deriveKey']);
+
+        return window.crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Get the AES-GCM key for a key ID
+     * @param {string} keyId - Key ID from a ciphertext header
+     * @returns {Promise<CryptoKey>} Key
+     */
+    getCryptoKey(keyId) {
+        if (!this.cryptoKeys.has(keyId)) {
+            return Promise.reject(new Error(`Encryption key not available: ${keyId}`));
+        }
+        return this.cryptoKeys.get(keyId);
     }
 
     /**
@@ -116,92 +386,276 @@ class SecurityProtocol {
      * Encrypt sensitive data
      * @param {any} data - Data to encrypt
      * @param {string} keyType - Type of key to use ('session' or 'local')
-     * @returns {string} Encrypted data
+     * @returns {Promise<string>} Ciphertext with a versioned header, or JSON for session data when encryption is off
+     * @throws {Error} When local data can't be encrypted
      */
-    encrypt(data, keyType = 'session') {
-        if (!this.config.encryptionEnabled) {
+    async encrypt(data, keyType = 'session') {
+        await this.ready;
+
+        if (!this.config.encryptionEnabled || !this.keysAvailable) {
+            if (keyType === 'local') {
+                throw new Error('Encryption key not available: local');
+            }
             return JSON.stringify(data);
         }
 
+        const keyId = this.encryptionKeys[keyType];
+        if (!keyId) {
+            throw new Error(`Encryption key not available: ${keyType}`);
+        }
+
+        return this.encryptWithKey(data, keyId);
+    }
+
+    /**
+     * Decrypt sensitive data
+     * The key is the one named in the ciphertext header; values stored in an
+     * older format are read as they were written.
+     * @param {string} encryptedData - Encrypted data
+     * @param {string} keyType - Type of key the data was encrypted with ('session' or 'local')
+     * @returns {Promise<any>} Decrypted data, or null when it can't be decrypted
+     */
+    async decrypt(encryptedData, keyType = 'session') {
         try {
-            const key = this.encryptionKeys[keyType];
-            if (!key) {
-                throw new Error(`Encryption key not available: ${keyType}`);
+            const ciphertext = parseCiphertext(encryptedData);
+            if (!ciphertext) {
+                return this.readLegacyValue(encryptedData);
             }
 
-            // Simple encryption for demonstration
-            // In a real implementation, we would use the Web Crypto API
-            const dataString = JSON.stringify(data);
-            const encryptedData = this.simpleEncrypt(dataString, key);
-
-            this.securityMetrics.encryptionOperations++;
-            return encryptedData;
+            await this.ready;
+            return await this.decryptCiphertext(ciphertext);
         } catch (error) {
-            console.error('Encryption error:', error);
-            return JSON.stringify(data); // Fallback to unencrypted
+            console.error(`Decryption error (${keyType} key):`, error);
+            return null;
         }
     }
 
     /**
-     * Decrypt sensitive data
-     * @param {string} encryptedData - Encrypted data
-     * @param {string} keyType - Type of key to use ('session' or 'local')
-     * @returns {any} Decrypted data
+     * Encrypt data with a specific key
+     * The header is authenticated along with the data, so it can't be altered.
+     * @param {any} data - Data to encrypt
+     * @param {string} keyId - Key ID
+     * @returns {Promise<string>} Ciphertext with header
      */
-    decrypt(encryptedData, keyType = 'session') {
-        if (!this.config.encryptionEnabled) {
-            return JSON.parse(encryptedData);
+    async encryptWithKey(data, keyId) {
+        const header = `${CIPHERTEXT_PREFIX}:${CIPHERTEXT_VERSION}:${keyId}`;
+        const iv = randomBytes(IV_LENGTH);
+        const key = await this.getCryptoKey(keyId);
+
+        const encrypted = await window.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(header) },
+            key,
+            new TextEncoder().encode(JSON.stringify(data))
+        );
+
+        const payload = new Uint8Array(IV_LENGTH + encrypted.byteLength);
+        payload.set(iv);
+        payload.set(new Uint8Array(encrypted), IV_LENGTH);
+
+        this.securityMetrics.encryptionOperations++;
+        return `${header}:${toBase64(payload)}`;
+    }
+
+    /**
+     * Decrypt a parsed ciphertext
+     * @param {Object} ciphertext - Result of parsing the stored value
+     * @returns {Promise<any>} Decrypted data
+     */
+    async decryptCiphertext(ciphertext) {
+        if (ciphertext.version > CIPHERTEXT_VERSION) {
+            throw new Error(`Data was encrypted by a newer version (format ${ciphertext.version})`);
         }
 
+        const key = await this.getCryptoKey(ciphertext.keyId);
+        const payload = fromBase64(ciphertext.payload);
+
+        const decrypted = await window.crypto.subtle.decrypt(
+            {
+                name: 'AES-GCM',
+                iv: payload.subarray(0, IV_LENGTH),
+                additionalData: new TextEncoder().encode(ciphertext.header)
+            },
+            key,
+            payload.subarray(IV_LENGTH)
+        );
+
+        this.securityMetrics.encryptionOperations++;
+        return JSON.parse(new TextDecoder().decode(decrypted));
+    }
+
+    /**
+     * Read a value stored before ciphertext had a header
+     * Older versions wrote JSON when encryption was off or failed, the bare
+     * value when the security protocol wasn't loaded, and otherwise XOR output
+     * under a key that was never saved, which can't be recovered.
+     * @param {string} value - Stored value
+     * @returns {any} Value
+     */
+    readLegacyValue(value) {
         try {
-            const key = this.encryptionKeys[keyType];
-            if (!key) {
-                throw new Error(`Encryption key not available: ${keyType}`);
+            return JSON.parse(value);
+        } catch (error) {
+            // Not JSON
+        }
+
+        if (isLegacyXorValue(value)) {
+            throw new Error('Value was encrypted by an older version with a key that no longer exists');
+        }
+        return value;
+    }
+
+    /**
+     * Register a stored config whose values are encrypted with the local key
+     * Registered configs are migrated from older formats and re-encrypted on key rotation.
+     * @param {string} storageKey - localStorage key holding the JSON config
+     * @param {string} field - Config field holding an object of encrypted values
+     */
+    registerEncryptedConfig(storageKey, field) {
+        if (!this.encryptedConfigs.some(config => config.storageKey === storageKey && config.field === field)) {
+            this.encryptedConfigs.push({ storageKey, field });
+        }
+    }
+
+    /**
+     * Rewrite every value in the registered configs
+     * All values are transformed before any config is written, so a failure leaves storage untouched.
+     * @param {Function} transform - async (value, name, config) => new value, or undefined to remove it
+     * @returns {Promise<number>} Number of values rewritten
+     */
+    async rewriteEncryptedConfigs(transform) {
+        const updates = [];
+        let rewritten = 0;
+
+        for (const config of this.encryptedConfigs) {
+            const saved = localStorage.getItem(config.storageKey);
+            const parsed = saved ? JSON.parse(saved) : null;
+            const values = parsed && parsed[config.field];
+            if (!values || typeof values !== 'object') {
+                continue;
             }
 
-            // Simple decryption for demonstration
-            const decryptedString = this.simpleDecrypt(encryptedData, key);
-            this.securityMetrics.encryptionOperations++;
-            return JSON.parse(decryptedString);
-        } catch (error) {
-            console.error('Decryption error:', error);
-            return null;
+            const updated = {};
+            for (const [name, value] of Object.entries(values)) {
+                const next = await transform(value, name, config);
+                if (next !== value) {
+                    rewritten++;
+                }
+                if (next !== undefined) {
+                    updated[name] = next;
+                }
+            }
+            updates.push({ config, parsed: { ...parsed, [config.field]: updated } });
+        }
+
+        updates.forEach(({ config, parsed }) => {
+            localStorage.setItem(config.storageKey, JSON.stringify(parsed));
+        });
+        return rewritten;
+    }
+
+    /**
+     * Re-encrypt values stored in older formats with the local key
+     * Values that can't be read are removed so they aren't sent as credentials.
+     * @returns {Promise<Object>} { migrated, unrecoverable: ['storageKey.field.name'] }
+     */
+    async migrateLegacyData() {
+        const report = { migrated: 0, unrecoverable: [] };
+
+        await this.rewriteEncryptedConfigs(async (value, name, config) => {
+            if (parseCiphertext(value)) {
+                return value;
+            }
+
+            try {
+                const data = this.readLegacyValue(value);
+                report.migrated++;
+                return await this.encryptWithKey(data, this.encryptionKeys.local);
+            } catch (error) {
+                report.unrecoverable.push(`${config.storageKey}.${config.field}.${name}`);
+                return undefined;
+            }
+        });
+
+        if (report.unrecoverable.length > 0) {
+            console.warn(`Removed ${report.unrecoverable.length} stored secrets that could not be decrypted; please enter them again:`,
+                report.unrecoverable);
         }
+        if (report.migrated > 0) {
+            console.log(`Re-encrypted ${report.migrated} stored secrets with AES-GCM`);
+        }
+        return report;
     }
 
     /**
-     * Simple encrypt function (for demonstration only)
-     * @param {string} text - Text to encrypt
-     * @param {string} key - Encryption key
-     * @returns {string} Encrypted text (base64)
+     * Whether the local key is older than keyRotationDays
+     * @returns {boolean} True when the key should be rotated
      */
-    simpleEncrypt(text, key) {
-        // This is a very simple XOR encryption for demonstration
-        // DO NOT use this in production - use Web Crypto API instead
-        let result = '';
-        for (let i = 0; i < text.length; i++) {
-            const charCode = text.charCodeAt(i) ^ key.charCodeAt(i % key.length);
-            result += String.fromCharCode(charCode);
+    isRotationDue() {
+        const days = this.config.keyRotationDays;
+        const entry = this.keyring && this.keyring.keys[this.keyring.activeKeyId];
+        if (!days || !entry) {
+            return false;
         }
-        return btoa(result); // Convert to base64
+
+        return Date.now() - new Date(entry.createdAt).getTime() > days * 24 * 60 * 60 * 1000;
     }
 
     /**
-     * Simple decrypt function (for demonstration only)
-     * @param {string} encryptedText - Encrypted text (base64)
-     * @param {string} key - Encryption key
-     * @returns {string} Decrypted text
+     * Replace the local key and re-encrypt every registered config with it
+     * Encryption waits until the rotation has finished.
+     * @returns {Promise<Object>} { keyId, reencrypted }
      */
-    simpleDecrypt(encryptedText, key) {
-        // This is a very simple XOR decryption for demonstration
-        // DO NOT use this in production - use Web Crypto API instead
-        const text = atob(encryptedText); // Convert from base64
-        let result = '';
-        for (let i = 0; i < text.length; i++) {
-            const charCode = text.charCodeAt(i) ^ key.charCodeAt(i % key.length);
-            result += String.fromCharCode(charCode);
+    rotateKeys() {
+        const rotation = this.ready.then(() => {
+            if (!this.config.encryptionEnabled) {
+                throw new Error('Encryption is disabled');
+            }
+            if (!this.keysAvailable) {
+                throw new Error('Encryption key not available: local');
+            }
+            return this.rotateLocalKey();
+        });
+
+        this.ready = rotation.catch(() => {});
+        return rotation;
+    }
+
+    /**
+     * Rotate the local key
+     * The new key is saved before any value is re-encrypted with it, and the
+     * old keys are only removed once every value has been rewritten.
+     * @returns {Promise<Object>} { keyId, reencrypted }
+     */
+    async rotateLocalKey() {
+        const keyId = await this.addKeyringEntry();
+        await this.saveKeyring();
+
+        let reencrypted;
+        try {
+            reencrypted = await this.rewriteEncryptedConfigs(async (value) => {
+                const ciphertext = parseCiphertext(value);
+                const data = ciphertext ? await this.decryptCiphertext(ciphertext) : this.readLegacyValue(value);
+                return this.encryptWithKey(data, keyId);
+            });
+        } catch (error) {
+            delete this.keyring.keys[keyId];
+            this.cryptoKeys.delete(keyId);
+            await this.saveKeyring();
+            throw new Error(`Key rotation failed: ${error.message}`);
         }
-        return result;
+
+        Object.keys(this.keyring.keys)
+            .filter(id => id !== keyId)
+            .forEach(id => {
+                delete this.keyring.keys[id];
+                this.cryptoKeys.delete(id);
+            });
+        this.keyring.activeKeyId = keyId;
+        await this.saveKeyring();
+        this.encryptionKeys.local = keyId;
+
+        console.log(`Encryption key rotated; re-encrypted ${reencrypted} stored secrets`);
+        return { keyId, reencrypted };
     }
 
     /**
@@ -315,16 +769,7 @@ class SecurityProtocol {
      * @returns {string} Redacted text
      */
     redactSensitiveString(text) {
-        if (!text || text.length <= 6) {
-            return '******';
-        }
-
-        const firstChars = text.substring(0, 2);
-        const lastChars = text.substring(text.length - 2);
-        const redactedLength = text.length - 4;
-        const redacted = '*'.repeat(redactedLength);
-
-        return `${firstChars}${redacted}${lastChars}`;
+        return redactSensitiveString(text);
     }
 
     /**
@@ -364,9 +809,9 @@ class SecurityProtocol {
             ...newConfig
         };
 
-        // Regenerate keys if encryption was just enabled
+        // Load keys if encryption was just enabled
         if (newConfig.encryptionEnabled && !this.encryptionKeys.session) {
-            this.generateEncryptionKeys();
+            this.ready = this.prepareEncryptionKeys();
         }
 
         // Initialize content scanner if just enabled
@@ -397,6 +842,7 @@ class SecurityProtocol {
             ...this.securityMetrics,
             securityLevel: this.config.securityLevel,
             encryptionEnabled: this.config.encryptionEnabled,
+            keysAvailable: this.keysAvailable,
             dataMinimizationEnabled: this.config.dataMinimizationEnabled,
             contentScanningEnabled: this.config.contentScanningEnabled,
             securityViolationCount: this.securityMetrics.securityViolations.length
@@ -422,3 +868,7 @@ class SecurityProtocol {
 
 // Create global instance
 const securityProtocol = new SecurityProtocol();
+
+exposeService('securityProtocol', securityProtocol);
+
+export default securityProtocol;
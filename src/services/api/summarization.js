@@ -0,0 +1,208 @@
+/**
+ * Hierarchical Summarization
+ *
+ * Summarizes documents that do not fit in a model's context window by
+ * splitting them into chunks, summarizing each chunk (map) and then
+ * summarizing the summaries (reduce) until a single summary remains.
+ */
+
+import { createCompletion } from './textGeneration';
+import { getSetting } from '../settings/settingsManager';
+import { generateWithLocalModel, LOCAL_MODELS } from '../../utils/localModels';
+import { chunkParagraphs, estimateTokenCount, loadEncoding, splitIntoChunks } from '../../utils/tokenization';
+
+/**
+ * Context window sizes in tokens, matched by model name prefix
+ */
+const MODEL_CONTEXT_WINDOWS = [
+    ['gpt-4o', 128000],
+    ['gpt-4-turbo', 128000],
+    ['gpt-4-32k', 32768],
+    ['gpt-4', 8192],
+    ['gpt-3.5-turbo', 16385],
+    ['deepseek-', 32768],
+    ['mixtral', 32768],
+    ['llama3', 8192],
+    ['mistral', 8192],
+    ['phi3', 4096]
+];
+
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+const SUMMARY_SYSTEM_PROMPT = 'You are a summarization expert. Create clear, accurate, and concise summaries of text.';
+
+/**
+ * Get the context window for a model
+ * @param {string} model - Model name
+ * @returns {number} Context window in tokens
+ */
+export function getModelContextWindow(model = '') {
+    const match = MODEL_CONTEXT_WINDOWS.find(([prefix]) => model.startsWith(prefix));
+    return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Check whether a model is served by the local Ollama instance
+ * @param {string} model - Model name
+ * @returns {boolean} Whether the model is local
+ */
+export function isLocalModel(model = '') {
+    return Object.values(LOCAL_MODELS).includes(model);
+}
+
+/**
+ * Work out how many input tokens a single summarization prompt may carry
+ * @param {string} model - Model name
+ * @param {number} maxTokens - Tokens reserved for the model's answer
+ * @returns {number} Input token budget
+ */
+function getInputBudget(model, maxTokens) {
+    // Leave room for the answer and the instructions wrapped around the text
+    return Math.max(512, getModelContextWindow(model) - maxTokens - 256);
+}
+
+/**
+ * Summarize a document of any length
+ * @param {string|Array<Object>} input - Plain text, or paragraph descriptors
+ *   ({ text, isHeading, isListItem, inTable }) as returned by getDocumentParagraphs
+ * @param {Object} options - Summarization options
+ * @param {string} [options.model] - Model to use; local models go through Ollama
+ * @param {boolean} [options.useLocalModel] - Force generation through the local model
+ * @param {string} [options.instructions] - Instructions for the final summary
+ * @param {number} [options.chunkTokens] - Maximum tokens per chunk (defaults to the model's input budget)
+ * @param {number} [options.maxTokens] - Tokens reserved for each generated summary
+ * @param {function(Object): void} [options.onProgress] - Receives { phase, level, section, total, title }
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @returns {Promise<Object>} { content, sections, levels, chunked }
+ */
+export async function summarizeDocument(input, options = {}) {
+    const model = options.model || getSetting('models.preferredTextModel', 'gpt-4');
+    const maxTokens = options.maxTokens || 1024;
+    const instructions = options.instructions || 'Summarize the following text, focusing on the main points.';
+    const budget = options.chunkTokens || getInputBudget(model, maxTokens);
+    const onProgress = options.onProgress || (() => {});
+
+    const generate = (prompt) => generateSummary(prompt, { ...options, model, maxTokens });
+
+    await loadEncoding(model);
+    const chunks = typeof input === 'string'
+        ? splitIntoChunks(input, budget, model, { withMappings: true })
+        : chunkParagraphs(input, { maxTokens: budget, provider: model });
+
+    if (chunks.length === 0) {
+        return { content: '', sections: 0, levels: 0, chunked: false };
+    }
+
+    // Small enough to summarize in one pass
+    if (chunks.length === 1) {
+        throwIfAborted(options.signal);
+        onProgress({ phase: 'final', level: 0, section: 1, total: 1 });
+        const content = await generate(`${instructions}\n\n${chunks[0].text}`);
+        return { content, sections: 1, levels: 0, chunked: false };
+    }
+
+    // Map: summarize every chunk on its own
+    const titles = typeof input === 'string' ? [] : chunks.map(chunk => findSectionTitle(input, chunk));
+    let summaries = [];
+
+    for (let i = 0; i < chunks.length; i++) {
+        throwIfAborted(options.signal);
+        onProgress({ phase: 'map', level: 0, section: i + 1, total: chunks.length, title: titles[i] || null });
+
+        summaries.push(await generate(
+            `This is section ${i + 1} of ${chunks.length} of a longer document. ` +
+            `Summarize it, keeping names, figures, dates and conclusions:\n\n${chunks[i].text}`
+        ));
+    }
+
+    // Reduce: combine summaries until they fit in a single prompt
+    let level = 1;
+    while (estimateTokenCount(summaries.join('\n\n'), model) > budget) {
+        const groups = splitIntoChunks(summaries.join('\n\n'), budget, model);
+
+        // Stop if a pass can no longer shrink the text
+        if (groups.length >= summaries.length) {
+            summaries = [summaries.join('\n\n')];
+            break;
+        }
+
+        const reduced = [];
+        for (let i = 0; i < groups.length; i++) {
+            throwIfAborted(options.signal);
+            onProgress({ phase: 'reduce', level, section: i + 1, total: groups.length });
+
+            reduced.push(await generate(
+                `Combine the following section summaries into a single summary, ` +
+                `keeping names, figures, dates and conclusions:\n\n${groups[i]}`
+            ));
+        }
+
+        summaries = reduced;
+        level++;
+    }
+
+    throwIfAborted(options.signal);
+    onProgress({ phase: 'final', level, section: 1, total: 1 });
+
+    const content = await generate(
+        `${instructions}\n\nThe text below is a set of summaries of consecutive sections of one document:\n\n${summaries.join('\n\n')}`
+    );
+
+    return { content, sections: chunks.length, levels: level, chunked: true };
+}
+
+/**
+ * Send one summarization prompt to the selected backend
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - Summarization options
+ * @returns {Promise<string>} Generated summary
+ * @private
+ */
+async function generateSummary(prompt, options) {
+    if (options.useLocalModel || isLocalModel(options.model)) {
+        return generateWithLocalModel(`${SUMMARY_SYSTEM_PROMPT}\n\n${prompt}`, {
+            model: options.model,
+            temperature: 0.3,
+            maxTokens: options.maxTokens
+        });
+    }
+
+    const completion = await createCompletion(prompt, {
+        model: options.model,
+        systemPrompt: SUMMARY_SYSTEM_PROMPT,
+        temperature: 0.3,
+        maxTokens: options.maxTokens,
+        signal: options.signal,
+        useMemory: false
+    });
+
+    return completion.content;
+}
+
+/**
+ * Find the heading a chunk belongs to
+ * @param {Array<Object>} paragraphs - All paragraph descriptors
+ * @param {Object} chunk - Chunk from chunkParagraphs
+ * @returns {string|null} Heading text
+ * @private
+ */
+function findSectionTitle(paragraphs, chunk) {
+    const firstIndex = chunk.paragraphIndices[0];
+    for (let i = firstIndex; i >= 0; i--) {
+        if (paragraphs[i].isHeading && paragraphs[i].text.trim()) {
+            return paragraphs[i].text.trim();
+        }
+    }
+    return null;
+}
+
+/**
+ * @private
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        const error = new Error('Summarization cancelled');
+        error.name = 'AbortError';
+        throw error;
+    }
+}
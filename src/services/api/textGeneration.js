@@ -1,8 +1,8 @@
 import { openai } from './openaiService';
 import { deepseek } from './deepseekService';
 import { getSetting } from '../settings/settingsManager';
-import { addMemory } from '../memory/memorySystem';
 import { getRelevantMemories } from '../memory/memoryRetrieval';
+import { resolveMemoryScope, addScopedMemory } from '../memory/memoryScope';
 
 /**
  * Generate text completion based on current settings
@@ -27,11 +27,13 @@ export async function createCompletion(prompt, options = {}) {
         service = openai;
     }
 
-    // Add memory context if enabled
+    // Add memory context if enabled; callers sending intermediate prompts opt out
+    const useMemory = options.useMemory !== false && getSetting('memory.enabled', true);
     let fullPrompt = prompt;
-    if (getSetting('memory.enabled', true)) {
+    if (useMemory) {
         const memoryCount = getSetting('memory.promptIncludeCount', 3);
         if (memoryCount > 0) {
+            await resolveMemoryScope();
             const memories = await getRelevantMemories(prompt, memoryCount);
 
             if (memories && memories.length > 0) {
@@ -45,7 +47,7 @@ export async function createCompletion(prompt, options = {}) {
     const messages = [
         {
             role: 'system',
-            content: 'You are an AI assistant for Microsoft Word. Be helpful, concise, and accurate.'
+            content: options.systemPrompt || 'You are an AI assistant for Microsoft Word. Be helpful, concise, and accurate.'
         },
         {
             role: 'user',
@@ -77,8 +79,8 @@ export async function createCompletion(prompt, options = {}) {
         const content = response.choices[0]?.message?.content || '';
 
         // Store in memory if enabled
-        if (getSetting('memory.enabled', true) && content) {
-            addMemory({
+        if (useMemory && content) {
+            addScopedMemory({
                 type: 'completion',
                 content: prompt,
                 response: content,
@@ -0,0 +1,186 @@
+/**
+ * Memory backup for Word-GPT-Plus
+ * Writes memories, matters, the evolution engine's learning state and
+ * settings to a single file encrypted with a passphrase, and restores them,
+ * so the assistant's learned context can move to another machine. API keys
+ * are never included.
+ *
+ * The file is JSON: the encryption parameters in the clear and the payload
+ * as AES-GCM ciphertext, with the key derived from the passphrase by PBKDF2.
+ */
+
+import evolutionEngine from '../../core/evolution-engine';
+import { exportSettings, importSettings } from '../settings/settingsManager';
+import { getAllMemories, importMemories } from './memorySystem';
+import { getMatters, importMatters } from './memoryScope';
+
+export const BACKUP_FORMAT = 'word-gpt-plus-backup';
+export const BACKUP_VERSION = 1;
+
+const LEARNING_STATE_KEY = 'wordGptPlusEvolution';
+const PBKDF2_ITERATIONS = 310000;
+
+// Iteration counts accepted from a backup file: weaker ones aren't worth
+// trusting, and larger ones would hang the add-in while deriving the key
+const MIN_PBKDF2_ITERATIONS = 100000;
+const MAX_PBKDF2_ITERATIONS = 5000000;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Encode bytes as base64 without spreading large arrays onto the stack
+ * @private
+ */
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * @private
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @private
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await window.crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return window.crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Create an encrypted backup of memories, learning state and settings
+ * @param {string} passphrase - Passphrase needed to restore the backup
+ * @returns {Promise<string>} Backup file contents
+ */
+export async function createBackup(passphrase) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    // Make sure the stored learning state is current
+    evolutionEngine.saveLearningState();
+    const learningState = localStorage.getItem(LEARNING_STATE_KEY);
+
+    const payload = {
+        memories: getAllMemories(),
+        matters: getMatters(),
+        learningState: learningState ? JSON.parse(learningState) : null,
+        settings: exportSettings()
+    };
+
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+    const encrypted = await window.crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(JSON.stringify(payload))
+    );
+
+    return JSON.stringify({
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        encryption: {
+            algorithm: 'AES-GCM',
+            kdf: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: PBKDF2_ITERATIONS,
+            salt: toBase64(salt),
+            iv: toBase64(iv)
+        },
+        data: toBase64(new Uint8Array(encrypted))
+    }, null, 2);
+}
+
+/**
+ * Read and decrypt a backup file
+ * @param {string} text - Backup file contents
+ * @param {string} passphrase - Passphrase the backup was created with
+ * @returns {Promise<Object>} { memories, matters, learningState, settings }
+ */
+export async function readBackup(text, passphrase) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new Error('This is not a Word GPT Plus backup file');
+    }
+
+    if (!file || file.format !== BACKUP_FORMAT || !file.encryption || !file.data) {
+        throw new Error('This is not a Word GPT Plus backup file');
+    }
+    if (file.version > BACKUP_VERSION) {
+        throw new Error(`This backup was made by a newer version of Word GPT Plus (backup version ${file.version})`);
+    }
+
+    const { salt, iv, iterations } = file.encryption;
+    if (!Number.isInteger(iterations) || iterations < MIN_PBKDF2_ITERATIONS || iterations > MAX_PBKDF2_ITERATIONS) {
+        throw new Error('The backup file is damaged: unsupported key derivation settings');
+    }
+
+    const key = await deriveKey(passphrase, fromBase64(salt), iterations);
+
+    let decrypted;
+    try {
+        decrypted = await window.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(iv) },
+            key,
+            fromBase64(file.data)
+        );
+    } catch (error) {
+        throw new Error('Wrong passphrase, or the backup file is damaged');
+    }
+
+    return JSON.parse(new TextDecoder().decode(decrypted));
+}
+
+/**
+ * Restore a backup
+ * Memories and matters are merged with those already here unless `replace`
+ * is set; the learning state and settings in the backup replace the current ones.
+ * @param {string} text - Backup file contents
+ * @param {string} passphrase - Passphrase the backup was created with
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.replace=false] - Discard existing memories first
+ * @returns {Promise<Object>} Summary { memories: { added, merged }, matters, learningState, settings }
+ */
+export async function restoreBackup(text, passphrase, options = {}) {
+    const backup = await readBackup(text, passphrase);
+
+    const summary = {
+        memories: importMemories(backup.memories || [], { replace: options.replace }),
+        matters: importMatters(backup.matters),
+        learningState: false,
+        settings: importSettings(backup.settings)
+    };
+
+    if (backup.learningState) {
+        localStorage.setItem(LEARNING_STATE_KEY, JSON.stringify(backup.learningState));
+        evolutionEngine.loadLearningState();
+        summary.learningState = true;
+    }
+
+    return summary;
+}
@@ -0,0 +1,185 @@
+/**
+ * Memory store migration for Word-GPT-Plus
+ * Earlier versions kept memories in two places: the memory system's list under
+ * `word_gpt_plus_memories` and a separate versioned store under
+ * `word_gpt_plus_memory`. This merges the second into the first once, so
+ * every memory lives in the one store.
+ */
+
+export const MEMORY_STORAGE_KEY = 'word_gpt_plus_memories';
+export const MEMORY_STATS_KEY = 'word_gpt_plus_memory_stats';
+export const LEGACY_MEMORY_STORE_KEY = 'word_gpt_plus_memory';
+export const MEMORY_MIGRATION_KEY = 'word_gpt_plus_memory_migration';
+
+// Version of the unified store written by this migrator
+export const MEMORY_STORE_VERSION = 2;
+
+// Importance runs from 1 to this; the older store's weight ran from 0 to 1
+export const MAX_IMPORTANCE = 5;
+
+/**
+ * Convert a timestamp in milliseconds or ISO form to ISO
+ * @private
+ */
+function toIsoString(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Map the older store's 0-1 weight onto the 1-5 importance scale
+ * @private
+ */
+function weightToImportance(weight) {
+    if (typeof weight !== 'number' || isNaN(weight)) {
+        return 1;
+    }
+    return 1 + Math.min(1, Math.max(0, weight)) * (MAX_IMPORTANCE - 1);
+}
+
+/**
+ * Bring a memory from either store into the unified shape
+ * The older store's `weight` is rescaled to `importance`.
+ * @param {Object} memory - Memory as stored
+ * @returns {Object} Unified memory
+ */
+export function normalizeMemory(memory) {
+    const tags = Array.isArray(memory.tags) ? memory.tags : (memory.tags ? [memory.tags] : []);
+
+    return {
+        id: memory.id,
+        timestamp: toIsoString(memory.timestamp ?? memory.createdAt) || new Date().toISOString(),
+        type: memory.type || 'general',
+        content: typeof memory.content === 'string' ? memory.content : '',
+        context: typeof memory.context === 'string' ? memory.context : '',
+        tags: [...new Set(tags)],
+        metadata: memory.metadata || {},
+        // Memories from before scopes existed stay hidden until the user assigns one
+        scope: memory.scope || { type: 'unassigned', id: null },
+        importance: typeof memory.importance === 'number' ? memory.importance : weightToImportance(memory.weight),
+        accessCount: memory.accessCount || 0,
+        lastAccessed: toIsoString(memory.lastAccessed)
+    };
+}
+
+/**
+ * Key that identifies the same memory across stores
+ * @private
+ */
+function duplicateKey(memory) {
+    const normalize = text => text.trim().replace(/\s+/g, ' ').toLowerCase();
+    return `${normalize(memory.content)}\n${normalize(memory.context)}`;
+}
+
+/**
+ * Fold a duplicate into the memory already kept
+ * Tags are combined, and the higher importance, earliest creation and latest
+ * access kept. Access counts of two different memories are added up; copies
+ * of the same memory (same ID, e.g. from a backup) keep the higher count.
+ * @private
+ */
+function mergeDuplicate(kept, duplicate) {
+    kept.tags = [...new Set([...kept.tags, ...duplicate.tags])];
+    kept.accessCount = kept.id === duplicate.id
+        ? Math.max(kept.accessCount, duplicate.accessCount)
+        : kept.accessCount + duplicate.accessCount;
+    kept.importance = Math.max(kept.importance, duplicate.importance);
+    kept.metadata = { ...duplicate.metadata, ...kept.metadata };
+
+    if (duplicate.timestamp < kept.timestamp) {
+        kept.timestamp = duplicate.timestamp;
+    }
+    if (duplicate.lastAccessed && (!kept.lastAccessed || duplicate.lastAccessed > kept.lastAccessed)) {
+        kept.lastAccessed = duplicate.lastAccessed;
+    }
+}
+
+/**
+ * Merge memory lists, dropping duplicates by ID or by content and context
+ * @param {Array<Object>} memories - Unified memories, in order of preference
+ * @returns {Object} { memories, merged } where merged counts the duplicates folded in
+ */
+export function mergeMemories(memories) {
+    const byId = new Map();
+    const byContent = new Map();
+    let merged = 0;
+
+    memories.forEach(memory => {
+        const existing = byId.get(memory.id) || byContent.get(duplicateKey(memory));
+        if (existing) {
+            mergeDuplicate(existing, memory);
+            merged++;
+            return;
+        }
+
+        const kept = { ...memory, tags: [...memory.tags] };
+        byId.set(kept.id, kept);
+        byContent.set(duplicateKey(kept), kept);
+    });
+
+    return { memories: [...byId.values()], merged };
+}
+
+/**
+ * Read a JSON value from storage
+ * @private
+ */
+function readJson(storage, key, fallback) {
+    try {
+        const value = storage.getItem(key);
+        return value ? JSON.parse(value) : fallback;
+    } catch (error) {
+        console.warn(`Ignoring unreadable memory data in ${key}:`, error);
+        return fallback;
+    }
+}
+
+/**
+ * Merge the older memory store into the unified one, once
+ * The older store is removed only after the merged list has been saved.
+ * @param {Storage} [storage=localStorage] - Storage holding both stores
+ * @returns {Object} Migration record { version, migratedAt, imported, merged }
+ */
+export function migrateMemoryStores(storage = localStorage) {
+    const previous = readJson(storage, MEMORY_MIGRATION_KEY, null);
+    if (previous && previous.version >= MEMORY_STORE_VERSION) {
+        return previous;
+    }
+
+    const current = readJson(storage, MEMORY_STORAGE_KEY, []);
+    const legacy = readJson(storage, LEGACY_MEMORY_STORE_KEY, null);
+    const legacyMemories = (legacy && Array.isArray(legacy.memories) ? legacy.memories : [])
+        .filter(memory => memory && memory.id && typeof memory.content === 'string');
+
+    const { memories, merged } = mergeMemories([
+        ...(Array.isArray(current) ? current : []),
+        ...legacyMemories
+    ].map(normalizeMemory));
+
+    const record = {
+        version: MEMORY_STORE_VERSION,
+        migratedAt: new Date().toISOString(),
+        imported: legacyMemories.length,
+        merged
+    };
+
+    storage.setItem(MEMORY_STORAGE_KEY, JSON.stringify(memories));
+
+    if (legacy && legacy.metadata) {
+        const stats = readJson(storage, MEMORY_STATS_KEY, {
+            totalInteractions: 0,
+            lastAccessed: null,
+            createdAt: new Date().toISOString()
+        });
+        stats.totalInteractions = (stats.totalInteractions || 0) + (legacy.metadata.totalInteractions || 0);
+        storage.setItem(MEMORY_STATS_KEY, JSON.stringify(stats));
+    }
+
+    storage.setItem(MEMORY_MIGRATION_KEY, JSON.stringify(record));
+    storage.removeItem(LEGACY_MEMORY_STORE_KEY);
+
+    return record;
+}
@@ -0,0 +1,360 @@
+/**
+ * Memory retrieval for Word-GPT-Plus
+ * Finds the memories in the current scope most relevant to a prompt by
+ * embedding similarity, weighted by recency and importance. Each memory is
+ * embedded once, when it is added, and its vector is kept in IndexedDB under
+ * the memory's ID.
+ */
+
+import { openai } from '../api/openaiService';
+import { embedWithLocalModel, LOCAL_MODELS } from '../../utils/localModels';
+import { getSetting } from '../settings/settingsManager';
+import { openDatabase, runTransaction } from '../../utils/indexedDb';
+import { getScopedMemories, findMemories, recordMemoryAccess } from './memorySystem';
+
+const DB_NAME = 'wordGptPlusMemoryVectors';
+const DB_VERSION = 1;
+const STORE_NAME = 'vectors';
+
+// Longest text sent to the embedding model
+const MAX_EMBEDDING_CHARS = 8000;
+
+// Memories embedded per background pass over memories without a vector
+const BACKFILL_BATCH_SIZE = 20;
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity from -1 to 1 (0 when the lengths differ)
+ */
+export function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) {
+        return 0;
+    }
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Memory retrieval manager
+ */
+class MemoryRetrievalManager {
+    constructor() {
+        this.dbPromise = null;
+
+        // Vector records by memory ID, loaded from IndexedDB on first use
+        this.vectors = null;
+        this.loadPromise = null;
+        this.persistent = true;
+
+        // Embeddings in progress by memory ID
+        this.pending = new Map();
+        this.backfilling = false;
+
+        this.config = {
+            weights: {
+                similarity: 0.75,
+                recency: 0.15,
+                importance: 0.1
+            },
+            recencyHalfLifeDays: 30,
+            maxImportance: 5,
+            minSimilarity: 0.2
+        };
+    }
+
+    /**
+     * Open the vector database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                }
+            }).catch(error => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Load every stored vector
+     * Without IndexedDB, vectors are kept for this session only.
+     * @returns {Promise<Map<string, Object>>} Vector records by memory ID
+     */
+    loadVectors() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.open()
+                .then(db => runTransaction(db, STORE_NAME, 'readonly', store => store.getAll()))
+                .catch(error => {
+                    console.warn('Memory vectors will not persist:', error.message);
+                    this.persistent = false;
+                    return [];
+                })
+                .then(records => {
+                    this.vectors = new Map(records.map(record => [record.id, record]));
+                    return this.vectors;
+                });
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Embed text with the configured source
+     * 'auto' uses the OpenAI embeddings API when a key is set and falls back
+     * to the local Ollama model.
+     * @param {string} text - Text to embed
+     * @returns {Promise<Object>} { vector, model }
+     */
+    async embed(text) {
+        const input = text.substring(0, MAX_EMBEDDING_CHARS);
+        const source = getSetting('memory.embeddingSource', 'auto');
+        const model = getSetting('memory.embeddingModel', null);
+
+        if (source === 'api' || (source === 'auto' && openai.apiKey)) {
+            try {
+                const response = await openai.createEmbedding(input, model ? { model } : {});
+                return {
+                    vector: response.data[0].embedding,
+                    model: response.model || model || 'openai'
+                };
+            } catch (error) {
+                if (source === 'api') {
+                    throw error;
+                }
+                console.warn('Remote embedding failed, using the local model:', error.message);
+            }
+        }
+
+        const localModel = (source === 'local' && model) || LOCAL_MODELS.NOMIC_EMBED;
+        return {
+            vector: await embedWithLocalModel(input, { model: localModel }),
+            model: `ollama:${localModel}`
+        };
+    }
+
+    /**
+     * Embed a memory and store its vector
+     * @param {Object} memory - Memory with id, content and context
+     * @returns {Promise<Object|null>} Vector record, or null when there is nothing to embed
+     */
+    indexMemory(memory) {
+        const text = [memory.content, memory.context].filter(Boolean).join('\n').trim();
+        if (!text) {
+            return Promise.resolve(null);
+        }
+
+        if (this.pending.has(memory.id)) {
+            return this.pending.get(memory.id);
+        }
+
+        const job = this.embed(text)
+            .then(async ({ vector, model }) => {
+                const record = {
+                    id: memory.id,
+                    vector,
+                    model,
+                    indexedAt: new Date().toISOString()
+                };
+                await this.saveVector(record);
+                return record;
+            })
+            .finally(() => this.pending.delete(memory.id));
+
+        this.pending.set(memory.id, job);
+        return job;
+    }
+
+    /**
+     * Store a vector record
+     * @param {Object} record - { id, vector, model, indexedAt }
+     */
+    async saveVector(record) {
+        const vectors = await this.loadVectors();
+        vectors.set(record.id, record);
+
+        if (this.persistent) {
+            const db = await this.open();
+            await runTransaction(db, STORE_NAME, 'readwrite', store => store.put(record));
+        }
+    }
+
+    /**
+     * Remove the vector for a memory
+     * @param {string} id - Memory ID
+     */
+    async removeVector(id) {
+        const vectors = await this.loadVectors();
+        vectors.delete(id);
+
+        if (this.persistent) {
+            const db = await this.open();
+            await runTransaction(db, STORE_NAME, 'readwrite', store => store.delete(id));
+        }
+    }
+
+    /**
+     * Remove every stored vector
+     */
+    async clearVectors() {
+        const vectors = await this.loadVectors();
+        vectors.clear();
+
+        if (this.persistent) {
+            const db = await this.open();
+            await runTransaction(db, STORE_NAME, 'readwrite', store => store.clear());
+        }
+    }
+
+    /**
+     * Find the memories most relevant to a query
+     * Falls back to keyword search when the query can't be embedded.
+     * @param {string} query - Prompt or search text
+     * @param {number} [limit=3] - Maximum memories to return
+     * @param {Object} [options] - Options
+     * @param {Object} [options.weights] - Override the similarity, recency and importance weights
+     * @param {number} [options.minSimilarity] - Ignore memories less similar than this
+     * @param {Object} [options.scopeContext] - { documentId, matterId } to search instead of the current scope
+     * @returns {Promise<Array<Object>>} Memories with similarity and score, best first
+     */
+    async getRelevantMemories(query, limit = 3, options = {}) {
+        const memories = getScopedMemories(options.scopeContext);
+        if (!query || memories.length === 0 || limit <= 0) {
+            return [];
+        }
+
+        // Let memories added moments ago finish embedding
+        await Promise.allSettled([...this.pending.values()]);
+
+        let queryEmbedding;
+        try {
+            queryEmbedding = await this.embed(query);
+        } catch (error) {
+            console.warn('Could not embed query, using keyword search:', error.message);
+            return findMemories({ content: query, sortBy: 'relevance', limit, scopeContext: options.scopeContext });
+        }
+
+        const vectors = await this.loadVectors();
+        const weights = { ...this.config.weights, ...options.weights };
+        const minSimilarity = options.minSimilarity ?? this.config.minSimilarity;
+        const unindexed = [];
+
+        const ranked = memories.map(memory => {
+            const record = vectors.get(memory.id);
+            if (!record || record.model !== queryEmbedding.model) {
+                unindexed.push(memory);
+                return null;
+            }
+
+            const similarity = cosineSimilarity(queryEmbedding.vector, record.vector);
+            if (similarity < minSimilarity) {
+                return null;
+            }
+
+            return {
+                memory,
+                similarity,
+                score: weights.similarity * similarity +
+                    weights.recency * this.getRecencyScore(memory) +
+                    weights.importance * Math.min(1, (memory.importance || 0) / this.config.maxImportance)
+            };
+        }).filter(Boolean);
+
+        ranked.sort((a, b) => b.score - a.score);
+        const results = ranked.slice(0, limit);
+
+        if (unindexed.length > 0) {
+            this.backfill(unindexed);
+        }
+
+        recordMemoryAccess(results.map(result => result.memory.id));
+
+        return results.map(({ memory, similarity, score }) => ({ ...memory, similarity, score }));
+    }
+
+    /**
+     * Recency score that halves every recencyHalfLifeDays
+     * @param {Object} memory - Memory with a timestamp
+     * @returns {number} Score from 0 to 1
+     */
+    getRecencyScore(memory) {
+        const ageDays = Math.max(0, Date.now() - new Date(memory.timestamp).getTime()) / (1000 * 60 * 60 * 24);
+        return Math.pow(0.5, ageDays / this.config.recencyHalfLifeDays);
+    }
+
+    /**
+     * Embed memories that have no vector, or one from a different model, in the background
+     * @param {Array<Object>} memories - Memories to embed
+     * @private
+     */
+    async backfill(memories) {
+        if (this.backfilling) {
+            return;
+        }
+
+        this.backfilling = true;
+        try {
+            for (const memory of memories.slice(0, BACKFILL_BATCH_SIZE)) {
+                await this.indexMemory(memory);
+            }
+        } catch (error) {
+            console.warn('Could not embed older memories:', error.message);
+        } finally {
+            this.backfilling = false;
+        }
+    }
+}
+
+// Create a singleton instance
+const memoryRetrievalInstance = new MemoryRetrievalManager();
+
+/**
+ * Find the memories most relevant to a query
+ * @param {string} query - Prompt or search text
+ * @param {number} [limit=3] - Maximum memories to return
+ * @param {Object} [options] - Retrieval options
+ * @returns {Promise<Array<Object>>} Memories, best first
+ */
+export function getRelevantMemories(query, limit, options) {
+    return memoryRetrievalInstance.getRelevantMemories(query, limit, options);
+}
+
+/**
+ * Embed a memory and store its vector
+ * @param {Object} memory - Memory to index
+ * @returns {Promise<Object|null>} Vector record
+ */
+export function indexMemory(memory) {
+    return memoryRetrievalInstance.indexMemory(memory);
+}
+
+/**
+ * Remove the vector for a memory
+ * @param {string} id - Memory ID
+ * @returns {Promise<void>}
+ */
+export function removeMemoryVector(id) {
+    return memoryRetrievalInstance.removeVector(id);
+}
+
+/**
+ * Remove every memory vector
+ * @returns {Promise<void>}
+ */
+export function clearMemoryVectors() {
+    return memoryRetrievalInstance.clearVectors();
+}
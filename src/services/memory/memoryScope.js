@@ -0,0 +1,201 @@
+/**
+ * Memory scopes for Word-GPT-Plus
+ * Works out which document and matter the open Word document belongs to, so
+ * the memory system only offers memories from this document, its matter and
+ * the global pool. Documents are identified by a custom document property,
+ * falling back to the document URL when properties can't be written. The URL
+ * the ID was issued at is saved with it: Save As and copying the file copy
+ * the property too, and a copy must not share the original's memories.
+ */
+
+import { addMemory, setCurrentScope, MEMORY_SCOPES } from './memorySystem';
+
+const DOCUMENT_ID_PROPERTY = 'WordGptPlusDocumentId';
+const DOCUMENT_URL_PROPERTY = 'WordGptPlusDocumentUrl';
+const MATTER_PROPERTY = 'WordGptPlusMatter';
+const MATTERS_STORAGE_KEY = 'word_gpt_plus_matters';
+
+let scopePromise = null;
+
+/**
+ * Resolve the current document's scope and make it the memory system's default
+ * The result is cached for the session; the task pane belongs to one document.
+ * @returns {Promise<Object>} Scope context { documentId, matterId }
+ */
+export function resolveMemoryScope() {
+    if (!scopePromise) {
+        scopePromise = readDocumentScope()
+            .catch(error => {
+                console.warn('Could not identify the document for memory scoping:', error);
+                scopePromise = null;
+                return { documentId: null, matterId: null };
+            })
+            .then(scope => {
+                setCurrentScope(scope);
+                return scope;
+            });
+    }
+    return scopePromise;
+}
+
+/**
+ * Save a memory once the document's scope is known
+ * Memories without an explicit global scope are refused when the document
+ * can't be identified, rather than being shared with every document.
+ * @param {Object} memory - Memory to add, as for addMemory
+ * @returns {Promise<string|null>} Memory ID, or null if it was not saved
+ */
+export async function addScopedMemory(memory) {
+    const scope = await resolveMemoryScope();
+    const scopeType = typeof memory.scope === 'string' ? memory.scope : memory.scope && memory.scope.type;
+
+    if (!scope.documentId && scopeType !== MEMORY_SCOPES.GLOBAL) {
+        console.warn('Not saving memory: the document could not be identified');
+        return null;
+    }
+
+    try {
+        return addMemory(memory);
+    } catch (error) {
+        console.warn('Not saving memory:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Read, or create, the document's ID and matter
+ * An ID saved at another URL belongs to the document this one was copied
+ * from, so the copy gets an ID of its own.
+ * @returns {Promise<Object>} Scope context { documentId, matterId }
+ * @private
+ */
+async function readDocumentScope() {
+    const url = typeof Office !== 'undefined' && Office.context && Office.context.document
+        ? Office.context.document.url || ''
+        : '';
+
+    return Word.run(async (context) => {
+        const properties = context.document.properties.customProperties;
+        const idProperty = properties.getItemOrNullObject(DOCUMENT_ID_PROPERTY);
+        const urlProperty = properties.getItemOrNullObject(DOCUMENT_URL_PROPERTY);
+        const matterProperty = properties.getItemOrNullObject(MATTER_PROPERTY);
+        idProperty.load('value');
+        urlProperty.load('value');
+        matterProperty.load('value');
+
+        await context.sync();
+
+        const matterId = matterProperty.isNullObject ? null : String(matterProperty.value);
+        const savedUrl = urlProperty.isNullObject ? '' : String(urlProperty.value);
+
+        if (!idProperty.isNullObject && (!savedUrl || savedUrl === url)) {
+            const documentId = String(idProperty.value);
+
+            // IDs issued before an unsaved document was saved, or by older versions, take the current URL
+            if (url && !savedUrl) {
+                try {
+                    properties.add(DOCUMENT_URL_PROPERTY, url);
+                    await context.sync();
+                } catch (error) {
+                    console.warn('Could not record where the document is saved:', error);
+                }
+            }
+            return { documentId, matterId };
+        }
+
+        const documentId = `doc_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 8)}`;
+        try {
+            properties.add(DOCUMENT_ID_PROPERTY, documentId);
+            if (url) {
+                properties.add(DOCUMENT_URL_PROPERTY, url);
+            }
+            await context.sync();
+            return { documentId, matterId };
+        } catch (error) {
+            // Read-only documents keep their memories under the URL instead
+            if (!url) {
+                throw error;
+            }
+            return { documentId: `url:${url}`, matterId };
+        }
+    });
+}
+
+/**
+ * Get the user's matters
+ * @returns {Array<Object>} Matters { id, name }
+ */
+export function getMatters() {
+    try {
+        return JSON.parse(localStorage.getItem(MATTERS_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.error('Error loading matters:', error);
+        return [];
+    }
+}
+
+/**
+ * Create a matter
+ * @param {string} name - Matter or project name, e.g. "Acme v. Globex"
+ * @returns {Object} New matter { id, name }
+ */
+export function createMatter(name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+        throw new Error('Matter name is required');
+    }
+
+    const matters = getMatters();
+    if (matters.some(matter => matter.name.toLowerCase() === trimmed.toLowerCase())) {
+        throw new Error(`A matter named "${trimmed}" already exists`);
+    }
+
+    const matter = { id: `matter_${Date.now().toString(36)}`, name: trimmed };
+    localStorage.setItem(MATTERS_STORAGE_KEY, JSON.stringify([...matters, matter]));
+    return matter;
+}
+
+/**
+ * Add matters from a backup, keeping existing matters with the same ID
+ * @param {Array<Object>} matters - Matters { id, name }
+ * @returns {number} Number of matters added
+ */
+export function importMatters(matters) {
+    const existing = getMatters();
+    const known = new Set(existing.map(matter => matter.id));
+    const added = (matters || []).filter(matter => matter && matter.id && matter.name && !known.has(matter.id));
+
+    localStorage.setItem(MATTERS_STORAGE_KEY, JSON.stringify([...existing, ...added]));
+    return added.length;
+}
+
+/**
+ * Assign the current document to a matter
+ * The matter is saved in the document, so it follows the file.
+ * @param {string|null} matterId - Matter ID, or null to remove the document from its matter
+ * @returns {Promise<Object>} Updated scope context
+ */
+export async function setDocumentMatter(matterId) {
+    const scope = await resolveMemoryScope();
+
+    await Word.run(async (context) => {
+        const properties = context.document.properties.customProperties;
+        if (matterId) {
+            properties.add(MATTER_PROPERTY, matterId);
+            await context.sync();
+            return;
+        }
+
+        const existing = properties.getItemOrNullObject(MATTER_PROPERTY);
+        await context.sync();
+        if (!existing.isNullObject) {
+            existing.delete();
+            await context.sync();
+        }
+    });
+
+    const updated = { ...scope, matterId: matterId || null };
+    scopePromise = Promise.resolve(updated);
+    setCurrentScope(updated);
+    return updated;
+}
@@ -1,16 +1,50 @@
 /**
  * Memory system for Word-GPT-Plus
- * Provides a way to store and retrieve memories for contextual awareness
+ * Provides a way to store and retrieve memories for contextual awareness.
+ * This is the only memory store; data from the older standalone store is
+ * merged in by memoryMigration on first use.
+ *
+ * Each memory has a scope: a single document, a matter (a client or project
+ * spanning several documents) or global. Lookups default to the current scope
+ * context, set by memoryScope, and see only that document's memories, its
+ * matter's memories and global ones. Memories saved before scopes existed are
+ * unassigned: no lookup sees them until the user gives them a scope.
  */
 
 import { v4 as uuidv4 } from 'uuid';
+import { getSetting } from '../settings/settingsManager';
+import { indexMemory, removeMemoryVector, clearMemoryVectors } from './memoryRetrieval';
+import {
+    MEMORY_STORAGE_KEY,
+    MEMORY_STATS_KEY,
+    MAX_IMPORTANCE,
+    migrateMemoryStores,
+    normalizeMemory,
+    mergeMemories
+} from './memoryMigration';
+
+// Default memory limit, overridden by the memory.maxItems setting
+const DEFAULT_MEMORY_LIMIT = 1000;
 
-// Storage key for memories
-const MEMORY_STORAGE_KEY = 'word_gpt_plus_memories';
-const MEMORY_STATS_KEY = 'word_gpt_plus_memory_stats';
+// Longer content is truncated when stored
+const MAX_CONTENT_LENGTH = 100000;
 
-// Default memory limit
-const DEFAULT_MEMORY_LIMIT = 1000;
+// Memories lose 2% of their recency score per day
+const MEMORY_DECAY_FACTOR = 0.98;
+
+// Memory scope types, narrowest first
+export const MEMORY_SCOPES = {
+    DOCUMENT: 'document',
+    MATTER: 'matter',
+    GLOBAL: 'global',
+    UNASSIGNED: 'unassigned'
+};
+
+const SCOPE_BREADTH = [MEMORY_SCOPES.DOCUMENT, MEMORY_SCOPES.MATTER, MEMORY_SCOPES.GLOBAL];
+
+const GLOBAL_SCOPE = { type: MEMORY_SCOPES.GLOBAL, id: null };
+
+const UNASSIGNED_SCOPE = { type: MEMORY_SCOPES.UNASSIGNED, id: null };
 
 /**
  * Memory system manager
@@ -24,7 +58,10 @@ class MemorySystemManager {
             lastAccessed: null,
             createdAt: new Date().toISOString()
         };
-        this.memoryLimit = DEFAULT_MEMORY_LIMIT;
+        this.migration = null;
+
+        // Document and matter of the open document, used as the default scope
+        this.currentScope = { documentId: null, matterId: null };
     }
 
     /**
@@ -33,6 +70,12 @@ class MemorySystemManager {
     initialize() {
         if (this.initialized) return;
 
+        try {
+            this.migration = migrateMemoryStores();
+        } catch (e) {
+            console.error('Error migrating memory stores:', e);
+        }
+
         try {
             // Load memories from storage
             const storedMemories = localStorage.getItem(MEMORY_STORAGE_KEY);
@@ -92,21 +135,20 @@ class MemorySystemManager {
             this.initialize();
         }
 
-        // Enforce memory limit
-        if (this.memories.length >= this.memoryLimit) {
-            // Remove oldest memory
-            this.memories.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-            this.memories.shift();
+        let content = memory.content || '';
+        if (content.length > MAX_CONTENT_LENGTH) {
+            content = content.substring(0, MAX_CONTENT_LENGTH) + '... [truncated]';
         }
 
         const newMemory = {
             id: uuidv4(),
             timestamp: new Date().toISOString(),
             type: memory.type || 'general',
-            content: memory.content || '',
+            content,
             context: memory.context || '',
             tags: memory.tags || [],
             metadata: memory.metadata || {},
+            scope: this.resolveScope(memory.scope),
             importance: memory.importance || 1,
             accessCount: 0,
             lastAccessed: null
@@ -114,6 +156,11 @@ class MemorySystemManager {
 
         this.memories.push(newMemory);
 
+        // Enforce memory limit
+        if (this.memories.length > this.getMemoryLimit()) {
+            this.pruneMemories(this.getMemoryLimit());
+        }
+
         // Update stats
         this.stats.totalInteractions++;
         this.stats.lastAccessed = new Date().toISOString();
@@ -121,9 +168,193 @@ class MemorySystemManager {
         this.saveMemories();
         this.saveStats();
 
+        // Embed in the background; the memory is still found by keyword meanwhile
+        indexMemory(newMemory).catch(error => {
+            console.warn('Could not embed memory:', error.message);
+        });
+
         return newMemory.id;
     }
 
+    /**
+     * Set the document and matter that lookups are scoped to
+     * @param {Object} scopeContext - { documentId, matterId }
+     */
+    setCurrentScope(scopeContext) {
+        this.currentScope = {
+            documentId: scopeContext.documentId || null,
+            matterId: scopeContext.matterId || null
+        };
+    }
+
+    /**
+     * Work out the scope for a new memory
+     * Without a scope the memory belongs to the current document. Global
+     * memories must be asked for, so an unidentified document is an error
+     * rather than a reason to share the memory everywhere.
+     * @param {Object|string} [scope] - { type, id }, or just a type to use the current document or matter
+     * @returns {Object} Scope { type, id }
+     */
+    resolveScope(scope = MEMORY_SCOPES.DOCUMENT) {
+        const type = typeof scope === 'string' ? scope : scope.type;
+        if (type === MEMORY_SCOPES.GLOBAL) {
+            return { ...GLOBAL_SCOPE };
+        }
+
+        const id = (typeof scope === 'object' && scope.id) ||
+            (type === MEMORY_SCOPES.DOCUMENT ? this.currentScope.documentId : null) ||
+            (type === MEMORY_SCOPES.MATTER ? this.currentScope.matterId : null);
+
+        if (!SCOPE_BREADTH.includes(type)) {
+            throw new Error(`Unknown memory scope: ${type}`);
+        }
+        if (!id) {
+            throw new Error(type === MEMORY_SCOPES.MATTER
+                ? 'Assign this document to a matter before saving matter memories'
+                : 'The current document could not be identified');
+        }
+
+        return { type, id };
+    }
+
+    /**
+     * Check whether a memory is visible in a scope context
+     * @param {Object} memory - Memory
+     * @param {Object} [scopeContext] - { documentId, matterId }; defaults to the current scope
+     * @returns {boolean} Whether the memory belongs to the document, its matter or the global pool
+     */
+    isInScope(memory, scopeContext = this.currentScope) {
+        const scope = memory.scope || UNASSIGNED_SCOPE;
+
+        switch (scope.type) {
+            case MEMORY_SCOPES.DOCUMENT:
+                return scope.id === scopeContext.documentId;
+            case MEMORY_SCOPES.MATTER:
+                return scope.id === scopeContext.matterId;
+            case MEMORY_SCOPES.GLOBAL:
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Get the memories visible in a scope context, without counting an access
+     * @param {Object} [scopeContext] - { documentId, matterId }; defaults to the current scope
+     * @returns {Array} Memories
+     */
+    getScopedMemories(scopeContext = this.currentScope) {
+        return this.getAllMemories().filter(memory => this.isInScope(memory, scopeContext));
+    }
+
+    /**
+     * Get the memories waiting for the user to give them a scope
+     * @returns {Array} Memories
+     */
+    getUnassignedMemories() {
+        return this.getAllMemories().filter(memory => (memory.scope || UNASSIGNED_SCOPE).type === MEMORY_SCOPES.UNASSIGNED);
+    }
+
+    /**
+     * Move a memory to a wider scope: document to matter, or either to global
+     * Unassigned memories can be given any scope.
+     * @param {string} id - Memory ID
+     * @param {string} scopeType - MEMORY_SCOPES.MATTER or MEMORY_SCOPES.GLOBAL, or DOCUMENT for unassigned memories
+     * @returns {Object} Updated memory
+     */
+    promoteMemory(id, scopeType) {
+        if (!this.initialized) {
+            this.initialize();
+        }
+
+        const memory = this.memories.find(m => m.id === id);
+        if (!memory) {
+            throw new Error(`Memory not found: ${id}`);
+        }
+
+        const current = (memory.scope || UNASSIGNED_SCOPE).type;
+        if (SCOPE_BREADTH.indexOf(scopeType) <= SCOPE_BREADTH.indexOf(current)) {
+            throw new Error(`Memory is already ${current === MEMORY_SCOPES.GLOBAL ? 'global' : `scoped to a ${current}`}`);
+        }
+
+        memory.scope = this.resolveScope(scopeType);
+        this.saveMemories();
+
+        return { ...memory };
+    }
+
+    /**
+     * Get the maximum number of memories kept
+     * @returns {number} Memory limit
+     */
+    getMemoryLimit() {
+        return getSetting('memory.maxItems', DEFAULT_MEMORY_LIMIT);
+    }
+
+    /**
+     * Remove the least valuable memories until at most `limit` remain
+     * @param {number} limit - Memories to keep
+     * @returns {number} Number of memories removed
+     */
+    pruneMemories(limit) {
+        if (this.memories.length <= limit) {
+            return 0;
+        }
+
+        const ranked = [...this.memories].sort((a, b) => this.calculateMemoryScore(b) - this.calculateMemoryScore(a));
+        const kept = new Set(ranked.slice(0, limit).map(memory => memory.id));
+
+        const removed = this.memories.filter(memory => !kept.has(memory.id));
+        this.memories = this.memories.filter(memory => kept.has(memory.id));
+        removed.forEach(memory => this.dropVector(memory.id));
+
+        return removed.length;
+    }
+
+    /**
+     * Calculate how valuable a memory is to keep
+     * Combines recency, access count and importance, independent of any query.
+     * @param {Object} memory - Memory to score
+     * @returns {number} Score from 0 to 1
+     */
+    calculateMemoryScore(memory) {
+        const daysOld = (Date.now() - new Date(memory.timestamp).getTime()) / (1000 * 60 * 60 * 24);
+        const recencyScore = Math.max(0, 1 - (daysOld * (1 - MEMORY_DECAY_FACTOR)));
+        const accessScore = Math.min(1, memory.accessCount / 10); // Max out at 10 accesses
+        const importanceScore = Math.min(1, memory.importance / MAX_IMPORTANCE);
+
+        return (recencyScore * 0.4) + (accessScore * 0.3) + (importanceScore * 0.3);
+    }
+
+    /**
+     * Get a memory by ID
+     * @param {string} id - Memory ID
+     * @returns {Object|null} Memory
+     */
+    getMemory(id) {
+        if (!this.initialized) {
+            this.initialize();
+        }
+
+        const memory = this.memories.find(m => m.id === id);
+        if (!memory) {
+            return null;
+        }
+
+        this.recordAccess([id]);
+        return { ...memory };
+    }
+
+    /**
+     * Remove a memory's vector in the background
+     * @param {string} id - Memory ID
+     */
+    dropVector(id) {
+        removeMemoryVector(id).catch(error => {
+            console.warn('Could not remove memory vector:', error.message);
+        });
+    }
+
     /**
      * Remove a memory by ID
      * @param {string} id - Memory ID
@@ -139,6 +370,7 @@ class MemorySystemManager {
 
         if (this.memories.length !== initialLength) {
             this.saveMemories();
+            this.dropVector(id);
             return true;
         }
 
@@ -148,6 +380,8 @@ class MemorySystemManager {
     /**
      * Find memories by search criteria
      * @param {Object} criteria - Search criteria
+     * @param {Object} [criteria.scopeContext] - { documentId, matterId } to search instead of the current scope
+     * @param {boolean} [criteria.allScopes=false] - Search every scope
      * @returns {Array} Matching memories
      */
     findMemories(criteria = {}) {
@@ -157,6 +391,11 @@ class MemorySystemManager {
 
         let results = [...this.memories];
 
+        // Keep to the current document, its matter and global memories
+        if (!criteria.allScopes) {
+            results = results.filter(memory => this.isInScope(memory, criteria.scopeContext || this.currentScope));
+        }
+
         // Filter by type if specified
         if (criteria.type) {
             results = results.filter(memory => memory.type === criteria.type);
@@ -222,6 +461,73 @@ class MemorySystemManager {
         return results;
     }
 
+    /**
+     * Get every memory, without counting it as an access
+     * @returns {Array} Memories
+     */
+    getAllMemories() {
+        if (!this.initialized) {
+            this.initialize();
+        }
+
+        return [...this.memories];
+    }
+
+    /**
+     * Add memories from a backup or another machine
+     * Duplicates of existing memories are combined as in the store migration.
+     * @param {Array<Object>} memories - Memories to add
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.replace=false] - Discard existing memories first
+     * @returns {Object} { added, merged } counts
+     */
+    importMemories(memories, options = {}) {
+        if (!this.initialized) {
+            this.initialize();
+        }
+
+        const incoming = memories.filter(memory => memory && memory.id).map(normalizeMemory);
+        const existing = options.replace ? [] : this.memories;
+        const result = mergeMemories([...existing, ...incoming]);
+
+        if (options.replace) {
+            clearMemoryVectors().catch(error => {
+                console.warn('Could not clear memory vectors:', error.message);
+            });
+        }
+
+        this.memories = result.memories;
+        this.pruneMemories(this.getMemoryLimit());
+        this.saveMemories();
+
+        // New memories get vectors the next time retrieval runs
+        return {
+            added: result.memories.length - existing.length,
+            merged: incoming.length - (result.memories.length - existing.length)
+        };
+    }
+
+    /**
+     * Count memories as accessed
+     * @param {Array<string>} ids - Memory IDs
+     */
+    recordAccess(ids) {
+        const now = new Date().toISOString();
+        let changed = false;
+
+        this.memories.forEach(memory => {
+            if (ids.includes(memory.id)) {
+                memory.accessCount++;
+                memory.lastAccessed = now;
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.saveMemories();
+        }
+    }
+
     /**
      * Calculate relevance score for memory to query
      * @param {Object} memory - Memory to score
@@ -307,6 +613,10 @@ class MemorySystemManager {
 
         this.saveMemories();
         this.saveStats();
+
+        clearMemoryVectors().catch(error => {
+            console.warn('Could not clear memory vectors:', error.message);
+        });
     }
 
     /**
@@ -321,6 +631,7 @@ class MemorySystemManager {
         // Calculate memory statistics
         const memoryTypes = {};
         const tagCounts = {};
+        const scopeCounts = { document: 0, matter: 0, global: 0, unassigned: 0 };
         const timeStats = {
             oldest: null,
             newest: null,
@@ -343,6 +654,7 @@ class MemorySystemManager {
         this.memories.forEach(memory => {
             // Count by type
             memoryTypes[memory.type] = (memoryTypes[memory.type] || 0) + 1;
+            scopeCounts[(memory.scope || UNASSIGNED_SCOPE).type]++;
 
             // Count by tags
             memory.tags.forEach(tag => {
@@ -352,10 +664,14 @@ class MemorySystemManager {
 
         return {
             count: this.memories.length,
+            limit: this.getMemoryLimit(),
+            sizeInBytes: JSON.stringify(this.memories).length,
             types: memoryTypes,
             tags: tagCounts,
+            scopes: scopeCounts,
             timeStats,
-            systemStats: this.stats
+            systemStats: this.stats,
+            migration: this.migration
         };
     }
 }
@@ -383,6 +699,24 @@ export function addMemory(memory) {
     return memorySystemInstance.addMemory(memory);
 }
 
+/**
+ * Get a memory by ID
+ * @param {string} id - Memory ID
+ * @returns {Object|null} Memory
+ */
+export function getMemory(id) {
+    return memorySystemInstance.getMemory(id);
+}
+
+/**
+ * Remove a memory
+ * @param {string} id - Memory ID
+ * @returns {boolean} Whether a memory was removed
+ */
+export function removeMemory(id) {
+    return memorySystemInstance.removeMemory(id);
+}
+
 /**
  * Find memories by criteria
  * @param {Object} criteria - Search criteria
@@ -392,6 +726,67 @@ export function findMemories(criteria) {
     return memorySystemInstance.findMemories(criteria);
 }
 
+/**
+ * Get every memory
+ * @returns {Array} Memories
+ */
+export function getAllMemories() {
+    return memorySystemInstance.getAllMemories();
+}
+
+/**
+ * Get the memories visible in a scope context
+ * @param {Object} [scopeContext] - { documentId, matterId }; defaults to the current scope
+ * @returns {Array} Memories
+ */
+export function getScopedMemories(scopeContext) {
+    return memorySystemInstance.getScopedMemories(scopeContext);
+}
+
+/**
+ * Get the memories that have no scope yet
+ * @returns {Array} Memories
+ */
+export function getUnassignedMemories() {
+    return memorySystemInstance.getUnassignedMemories();
+}
+
+/**
+ * Set the document and matter that lookups are scoped to
+ * @param {Object} scopeContext - { documentId, matterId }
+ */
+export function setCurrentScope(scopeContext) {
+    memorySystemInstance.setCurrentScope(scopeContext);
+}
+
+/**
+ * Move a memory to a wider scope
+ * @param {string} id - Memory ID
+ * @param {string} scopeType - MEMORY_SCOPES.MATTER or MEMORY_SCOPES.GLOBAL
+ * @returns {Object} Updated memory
+ */
+export function promoteMemory(id, scopeType) {
+    return memorySystemInstance.promoteMemory(id, scopeType);
+}
+
+/**
+ * Add memories from a backup
+ * @param {Array<Object>} memories - Memories to add
+ * @param {Object} [options] - { replace }
+ * @returns {Object} { added, merged } counts
+ */
+export function importMemories(memories, options) {
+    return memorySystemInstance.importMemories(memories, options);
+}
+
+/**
+ * Count memories as accessed
+ * @param {Array<string>} ids - Memory IDs
+ */
+export function recordMemoryAccess(ids) {
+    memorySystemInstance.recordAccess(ids);
+}
+
 /**
  * Generate enhanced prompt with memories
  * @param {string} basePrompt - Base system prompt
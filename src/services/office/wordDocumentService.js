@@ -65,13 +65,41 @@ export async function getContextAroundSelection(paragraphsBefore = 2, paragraphs
     });
 }
 
+/**
+ * Get every paragraph in the document body with the structure needed to
+ * chunk it along heading, list and table boundaries
+ * @returns {Promise<Array<Object>>} Paragraph descriptors { text, isHeading, isListItem, inTable }
+ */
+export async function getDocumentParagraphs() {
+    return Word.run(async (context) => {
+        const paragraphs = context.document.body.paragraphs;
+        paragraphs.load('items/text,items/style,items/isListItem,items/tableNestingLevel');
+        await context.sync();
+
+        return paragraphs.items.map(paragraph => ({
+            text: paragraph.text,
+            isHeading: !!(paragraph.style && paragraph.style.includes('Heading')),
+            isListItem: !!paragraph.isListItem,
+            inTable: paragraph.tableNestingLevel > 0
+        }));
+    });
+}
+
 /**
  * Insert text at the current selection
  * @param {string} text - The text to insert
- * @param {boolean} replaceSelection - Whether to replace the selection or insert at cursor
+ * @param {boolean} replaceSelection - Whether to replace the selection or append after it
  * @returns {Promise<boolean>} Success status
  */
 export async function insertText(text, replaceSelection = true) {
+    if (!replaceSelection) {
+        return Word.run(async (context) => {
+            context.document.getSelection().insertText(text, Word.InsertLocation.end);
+            await context.sync();
+            return true;
+        });
+    }
+
     return new Promise((resolve, reject) => {
         try {
             Office.context.document.setSelectedDataAsync(
@@ -91,6 +119,123 @@ export async function insertText(text, replaceSelection = true) {
     });
 }
 
+/**
+ * Write one streamed batch into the document
+ * The first batch replaces the selection; each later batch goes directly
+ * after the previous one, which is kept as a tracked range, so the order of
+ * the text doesn't depend on where Word leaves the selection.
+ * @param {string} text - Text to write
+ * @param {Word.Range|null} previous - Range written by the previous batch
+ * @returns {Promise<Word.Range>} Tracked range holding the new text
+ * @private
+ */
+function writeStreamBatch(text, previous) {
+    const write = async (context) => {
+        const range = previous
+            ? previous.insertText(text, Word.InsertLocation.after)
+            : context.document.getSelection().insertText(text, Word.InsertLocation.replace);
+        range.track();
+        if (previous) {
+            previous.untrack();
+        }
+        await context.sync();
+        return range;
+    };
+
+    return previous ? Word.run(previous, write) : Word.run(write);
+}
+
+/**
+ * Release the tracked range left by the last streamed batch
+ * @private
+ */
+function releaseStreamRange(range) {
+    return Word.run(range, async (context) => {
+        range.untrack();
+        await context.sync();
+    }).catch(() => {
+        // Nothing to release if the document has gone away
+    });
+}
+
+/**
+ * Stream generated text into the current selection as it arrives.
+ * Tokens are buffered and written in batches so Word is not asked to sync
+ * for every fragment; the first batch replaces the selection and later ones
+ * are appended after it. If a write fails, generation is stopped and
+ * `done` rejects with the write error.
+ * @param {function(function(string), AbortSignal): Promise} startStream - Starts generation,
+ *   receiving a token callback and an abort signal
+ * @param {Object} options - Streaming options
+ * @param {number} options.flushInterval - Minimum milliseconds between document writes
+ * @returns {{done: Promise<string>, cancel: function(): void}} Promise for the written text and a cancel function
+ */
+export function streamTextIntoSelection(startStream, options = {}) {
+    const flushInterval = options.flushInterval ?? 150;
+    const controller = new AbortController();
+    let pending = '';
+    let written = '';
+    let lastRange = null;
+    let writeChain = Promise.resolve();
+    let flushTimer = null;
+
+    // Every write is chained on writeChain; once one fails the rest are skipped
+    const flush = () => {
+        flushTimer = null;
+        if (!pending) {
+            return writeChain;
+        }
+
+        const chunk = pending;
+        pending = '';
+
+        writeChain = writeChain
+            .then(() => writeStreamBatch(chunk, lastRange))
+            .then((range) => {
+                lastRange = range;
+                written += chunk;
+            });
+        writeChain.catch(() => controller.abort());
+        return writeChain;
+    };
+
+    const onToken = (token) => {
+        pending += token;
+        if (!flushTimer) {
+            flushTimer = setTimeout(flush, flushInterval);
+        }
+    };
+
+    const done = (async () => {
+        let streamError = null;
+        try {
+            await startStream(onToken, controller.signal);
+        } catch (error) {
+            // Cancellation is not an error; keep whatever has been written
+            if (!controller.signal.aborted) {
+                streamError = error;
+            }
+        }
+
+        clearTimeout(flushTimer);
+        const writeError = await flush().then(() => null, error => error);
+        if (lastRange) {
+            await releaseStreamRange(lastRange);
+        }
+
+        // Report the generation error first; a write error is what stopped generation otherwise
+        if (streamError || writeError) {
+            throw streamError || writeError;
+        }
+        return written;
+    })();
+
+    return {
+        done,
+        cancel: () => controller.abort()
+    };
+}
+
 /**
  * Insert HTML at the current selection
  * @param {string} html - The HTML to insert
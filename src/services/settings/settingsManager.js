@@ -31,12 +31,16 @@ const DEFAULT_SETTINGS = {
     },
     memory: {
         enabled: true,
-        promptIncludeCount: 3
+        maxItems: 1000,
+        promptIncludeCount: 3,
+        embeddingSource: 'auto', // 'auto', 'api' or 'local'
+        embeddingModel: null // Provider default when null
     },
     features: {
         contextualAwareness: true,
         errorDetection: true,
-        autoPromptEnhancement: true
+        autoPromptEnhancement: true,
+        trackAiChanges: false
     },
     system: {
         lastUpdateCheck: null,
@@ -273,4 +277,39 @@ export function updateSetting(path, value) {
         console.error(`Error updating setting at path "${path}":`, error);
         return false;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Get every stored setting except API keys, e.g. for a backup
+ * @returns {Object} Settings by top-level key
+ */
+export function exportSettings() {
+    const storage = getStorage();
+    const settings = {};
+
+    Object.keys(storage)
+        .filter(key => key.startsWith('word-gpt-plus.'))
+        .map(key => key.substring('word-gpt-plus.'.length))
+        .filter(key => !key.startsWith(SECURE_PREFIX) && key !== 'encryption-key' && key !== 'apiKeys')
+        .forEach(key => {
+            try {
+                settings[key] = JSON.parse(storage.getItem(`word-gpt-plus.${key}`));
+            } catch (error) {
+                console.warn(`Skipping unreadable setting "${key}":`, error);
+            }
+        });
+
+    return settings;
+}
+
+/**
+ * Restore settings from exportSettings; API keys are never overwritten
+ * @param {Object} settings - Settings by top-level key
+ * @returns {number} Number of top-level settings restored
+ */
+export function importSettings(settings) {
+    return Object.entries(settings || {})
+        .filter(([key]) => key !== 'apiKeys' && !key.startsWith(SECURE_PREFIX) && key !== 'encryption-key')
+        .filter(([key, value]) => updateSetting(key, value))
+        .length;
+}
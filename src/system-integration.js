@@ -22,6 +22,7 @@ class SystemIntegration {
             initialized: false,
             activeMode: 'standard', // 'standard', 'multiverse', 'optimization'
             currentWorkflow: null,
+            lastOutputSource: null, // Component that produced the latest generated text
             ready: false
         };
 
@@ -81,9 +82,11 @@ class SystemIntegration {
      * Load component references
      */
     loadComponentReferences() {
-        // Try to load each component from global scope
+        // Try to load each component from global scope, or from the services
+        // ES modules publish through the script bridge
+        const services = window.wordGptPlusServices || {};
         Object.keys(this.components).forEach(key => {
-            const globalRef = window[key];
+            const globalRef = window[key] || services[key];
             if (globalRef) {
                 this.components[key] = globalRef;
                 console.log(`Component loaded: ${key}`);
@@ -328,6 +331,7 @@ class SystemIntegration {
 
             // Generate content variations
             const result = await this.components.multiverseWriting.generateVariants(prompt, styles);
+            this.status.lastOutputSource = 'multiverse-writing';
 
             return result;
         } catch (error) {
@@ -356,6 +360,7 @@ class SystemIntegration {
 
             // Perfect the text
             const result = await this.components.recursiveOptimizer.optimize(text, options);
+            this.status.lastOutputSource = 'recursive-optimizer';
 
             return result;
         } catch (error) {
@@ -370,9 +375,30 @@ class SystemIntegration {
     /**
      * Insert text into the current document
      * @param {string} text - Text to insert
+     * @param {Object} options - Insert options
+     * @param {string} [options.automationId] - Tag for tracked AI changes (defaults to the last output source)
      * @returns {Promise<boolean>} Success indicator
      */
-    async insertTextIntoDocument(text) {
+    async insertTextIntoDocument(text, options = {}) {
+        const services = typeof window !== 'undefined' ? window.wordGptPlusServices : null;
+        const changeTracking = services ? services.changeTracking : null;
+
+        // Tracked insertions go through Word directly so the inserted range can be tagged
+        if (changeTracking && changeTracking.isAiChangeTrackingEnabled()) {
+            const automationId = options.automationId || this.status.lastOutputSource || 'system-integration';
+
+            try {
+                return await changeTracking.runTrackedAiEdit(automationId, async (context, tag) => {
+                    tag(context.document.getSelection().insertText(text, 'Replace'));
+                    await context.sync();
+                    return true;
+                });
+            } catch (error) {
+                console.error('Error inserting tracked text into document:', error);
+                throw error;
+            }
+        }
+
         if (!this.components.documentManager) {
             throw new Error('Document manager component not available');
         }
@@ -0,0 +1,173 @@
+/**
+ * Change tracking for AI edits
+ *
+ * When enabled, AI edits are made with Word's change tracking switched on
+ * and each edited range carries a comment naming the automation that made
+ * it, so reviewers can accept or reject changes per automation.
+ */
+
+import { getSetting } from '../services/settings/settingsManager';
+import { exposeService } from './scriptBridge';
+
+/**
+ * Prefix of the comment that tags an AI edit
+ */
+export const AI_CHANGE_TAG_PREFIX = 'AI edit:';
+
+/**
+ * Check whether AI edits should be tracked
+ * @returns {boolean} Whether tracking is enabled
+ */
+export function isAiChangeTrackingEnabled() {
+    return getSetting('features.trackAiChanges', false) === true;
+}
+
+/**
+ * Check whether this Word supports a WordApi requirement set.
+ * Tracking mode and comments need 1.4; reading tracked changes needs 1.6.
+ * @param {string} version - Requirement set version, e.g. '1.4'
+ * @returns {boolean} Whether it is supported
+ */
+export function isWordApiSupported(version) {
+    return typeof Office !== 'undefined' && !!Office.context && !!Office.context.requirements &&
+        Office.context.requirements.isSetSupported('WordApi', version);
+}
+
+/**
+ * Tag an edited range with the automation that changed it
+ * @param {Word.Range} range - Edited range
+ * @param {string} automationId - Automation identifier
+ * @returns {Word.Comment} The tagging comment
+ */
+export function tagAiChange(range, automationId) {
+    return range.insertComment(`${AI_CHANGE_TAG_PREFIX} ${automationId}`);
+}
+
+/**
+ * Run an edit inside an existing Word context with change tracking on.
+ * The edit receives a tag function to call with every range it changes;
+ * when tracking is disabled the tag function does nothing.
+ * @param {Word.RequestContext} context - Word context
+ * @param {string} automationId - Automation identifier
+ * @param {function(function(Word.Range): void): Promise<*>} edit - Performs the edit
+ * @returns {Promise<*>} Result of the edit
+ */
+export async function withAiChangeTracking(context, automationId, edit) {
+    if (!isAiChangeTrackingEnabled()) {
+        return edit(() => {});
+    }
+
+    if (!isWordApiSupported('1.4')) {
+        console.warn('Tracking AI changes needs WordApi 1.4; making the edit untracked');
+        return edit(() => {});
+    }
+
+    const document = context.document;
+    document.load('changeTrackingMode');
+    await context.sync();
+
+    const previousMode = document.changeTrackingMode;
+    document.changeTrackingMode = Word.ChangeTrackingMode.trackAll;
+
+    try {
+        return await edit(range => tagAiChange(range, automationId));
+    } finally {
+        // Queued after the edit, so everything above is still tracked
+        document.changeTrackingMode = previousMode;
+        await context.sync();
+    }
+}
+
+/**
+ * Run an edit in its own Word context with change tracking on
+ * @param {string} automationId - Automation identifier
+ * @param {function(Word.RequestContext, function(Word.Range): void): Promise<*>} edit - Performs the edit
+ * @returns {Promise<*>} Result of the edit
+ */
+export async function runTrackedAiEdit(automationId, edit) {
+    return Word.run(context => withAiChangeTracking(context, automationId, tag => edit(context, tag)));
+}
+
+/**
+ * Count tagged AI edits in the document by automation
+ * @returns {Promise<Object>} Map of automation id to number of tagged ranges
+ */
+export async function getAiChangeSummary() {
+    if (!isWordApiSupported('1.4')) {
+        throw new Error('Reading AI change tags needs WordApi 1.4 (Word 2016 or later)');
+    }
+
+    return Word.run(async context => {
+        const comments = context.document.body.getComments();
+        comments.load('items/content');
+        await context.sync();
+
+        const summary = {};
+        comments.items.forEach(comment => {
+            const automationId = parseAutomationId(comment.content);
+            if (automationId) {
+                summary[automationId] = (summary[automationId] || 0) + 1;
+            }
+        });
+
+        return summary;
+    });
+}
+
+/**
+ * Accept or reject every tracked change made by one automation
+ * @param {string} automationId - Automation identifier
+ * @param {string} action - 'accept' or 'reject'
+ * @returns {Promise<number>} Number of tagged ranges reviewed
+ */
+export async function reviewAiChanges(automationId, action) {
+    if (action !== 'accept' && action !== 'reject') {
+        throw new Error(`Unknown review action: ${action}`);
+    }
+
+    if (!isWordApiSupported('1.6')) {
+        throw new Error('Reviewing AI changes needs WordApi 1.6; accept or reject them from the Review tab instead');
+    }
+
+    return Word.run(async context => {
+        const comments = context.document.body.getComments();
+        comments.load('items/content');
+        await context.sync();
+
+        const tagged = comments.items.filter(comment => parseAutomationId(comment.content) === automationId);
+
+        tagged.forEach(comment => {
+            const changes = comment.getRange().getTrackedChanges();
+            if (action === 'accept') {
+                changes.acceptAll();
+            } else {
+                changes.rejectAll();
+            }
+            comment.delete();
+        });
+
+        await context.sync();
+        return tagged.length;
+    });
+}
+
+/**
+ * Read the automation id from a tagging comment
+ * @param {string} content - Comment text
+ * @returns {string|null} Automation id
+ * @private
+ */
+function parseAutomationId(content) {
+    if (!content || !content.startsWith(AI_CHANGE_TAG_PREFIX)) {
+        return null;
+    }
+    return content.substring(AI_CHANGE_TAG_PREFIX.length).trim() || null;
+}
+
+exposeService('changeTracking', {
+    isAiChangeTrackingEnabled,
+    withAiChangeTracking,
+    runTrackedAiEdit,
+    getAiChangeSummary,
+    reviewAiChanges
+});
@@ -3,6 +3,24 @@
  * Centralized error handling and logging
  */
 
+import config from '../config';
+import { redactSensitiveString } from '../security/redaction';
+import { HttpErrorTransport } from './error-transports';
+
+// Metadata fields whose values are always redacted in remote reports
+const SENSITIVE_FIELD_PATTERN = /pass(word)?|secret|token|api[-_]?key|auth|cookie|session|content|text|prompt|document|selection/i;
+
+// Personal data and credentials that can turn up in messages and stack traces
+const PII_PATTERNS = [
+    /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, // Email addresses
+    /\b(?:sk|pk|rk|gsk)[-_][A-Za-z0-9_-]{16,}/g, // Provider API keys
+    /\bBearer\s+[A-Za-z0-9._~+/-]+=*/gi, // Bearer tokens
+    /\b(?:\d[ -]?){13,16}\b/g, // Credit card-like numbers
+    /(?:\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g // Phone numbers
+];
+
+const MAX_REPORTED_STRING_LENGTH = 2000;
+
 class ErrorHandler {
     constructor() {
         // Error categories
@@ -26,9 +44,24 @@ class ErrorHandler {
         // Register default handlers
         this._registerDefaultHandlers();
 
+        // Remote reporting: scrubbed reports wait here (and in localStorage
+        // while offline) until the transport delivers them in batches
+        this.remoteReporting = this._loadRemoteReportingConfig();
+        this.transport = this._createHttpTransport();
+        this.reportQueue = this.remoteReporting.enabled ? this._loadReportBuffer() : [];
+        this.flushTimer = null;
+        this.flushPromise = null;
+        this.failedSendAttempts = 0;
+
         // Initialize error event listeners
         window.addEventListener('error', this.handleGlobalError.bind(this));
         window.addEventListener('unhandledrejection', this.handleUnhandledRejection.bind(this));
+        window.addEventListener('online', () => this.flushErrorReports());
+        window.addEventListener('pagehide', () => this._flushOnUnload());
+
+        if (this.reportQueue.length > 0) {
+            this._scheduleFlush();
+        }
     }
 
     /**
@@ -68,6 +101,7 @@ class ErrorHandler {
 
         // Store error info
         this._storeError(error, category, metadata);
+        this._sendErrorToRemoteService(error, category, metadata);
 
         // Process handlers for this category
         let handled = false;
@@ -229,40 +263,318 @@ class ErrorHandler {
         }
 
         console.groupEnd();
+    }
+
+    /**
+     * Configure remote error reporting
+     * Settings are saved locally, so IT can point a deployment at its own
+     * endpoint once. Turning reporting off drops any reports still waiting.
+     * @param {Object} options - Settings to change
+     * @param {boolean} [options.enabled] - Whether errors are reported
+     * @param {string} [options.endpoint] - URL that receives the reports
+     * @param {Object} [options.headers] - Extra request headers, e.g. an auth token
+     * @param {number} [options.batchSize] - Reports sent per request
+     * @param {number} [options.maxBatchBytes] - Largest request body; batches are cut short to fit
+     * @param {number} [options.maxSendAttempts] - Failed attempts after which a batch is dropped
+     * @param {number} [options.flushInterval] - Milliseconds to wait before sending a partial batch
+     * @param {number} [options.maxBufferedReports] - Reports kept while offline; the oldest are dropped first
+     * @returns {Object} Updated settings
+     */
+    configureRemoteReporting(options = {}) {
+        this.remoteReporting = { ...this.remoteReporting, ...options };
+
+        try {
+            localStorage.setItem('wordGptPlusErrorReporting', JSON.stringify(this.remoteReporting));
+        } catch (error) {
+            console.warn('Could not save error reporting settings:', error);
+        }
+
+        if ('endpoint' in options || 'headers' in options) {
+            this.transport = this._createHttpTransport();
+        }
 
-        // Send error to remote logging service in production
-        if (process.env.NODE_ENV === 'production') {
-            this._sendErrorToRemoteService(error, category, metadata);
+        if (!this.remoteReporting.enabled) {
+            this.reportQueue = [];
+            this._saveReportBuffer();
+        }
+
+        return { ...this.remoteReporting };
+    }
+
+    /**
+     * Replace the transport that delivers error reports
+     * @param {Object|null} transport - Object with a send(reports) method returning a promise
+     */
+    setTransport(transport) {
+        if (transport && typeof transport.send !== 'function') {
+            throw new Error('Error transport must have a send(reports) method');
+        }
+
+        this.transport = transport;
+        if (this.reportQueue.length > 0) {
+            this._scheduleFlush();
+        }
+    }
+
+    /**
+     * Send waiting error reports now
+     * Does nothing while offline; reports stay buffered until the browser is
+     * back online.
+     * @returns {Promise<number>} Number of reports delivered
+     */
+    flushErrorReports() {
+        if (!this.flushPromise) {
+            this.flushPromise = this._flushReportQueue().finally(() => {
+                this.flushPromise = null;
+            });
         }
+        return this.flushPromise;
     }
 
     /**
-     * Send error to remote logging service
+     * Get the number of error reports waiting to be sent
+     * @returns {number} Pending reports
+     */
+    getPendingReportCount() {
+        return this.reportQueue.length;
+    }
+
+    /**
+     * Queue a scrubbed report of an error for the remote service
      * @param {Error} error - Error object
      * @param {string} category - Error category
      * @param {Object} metadata - Error metadata
      * @private
      */
     _sendErrorToRemoteService(error, category, metadata) {
-        // This would be implemented to send errors to a remote service
-        // like Application Insights, LogRocket, Sentry, etc.
-
-        // Example implementation (commented out):
-        /*
-        if (window.applicationInsights) {
-          try {
-            window.applicationInsights.trackException({
-              exception: error,
-              properties: {
+        if (!this.remoteReporting.enabled) {
+            return;
+        }
+
+        try {
+            const report = this._scrubReport({
+                id: `err_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+                name: error.name,
+                message: error.message,
+                stack: error.stack,
                 category,
-                ...metadata
-              }
+                metadata,
+                timestamp: metadata.timestamp,
+                appVersion: config.app.version,
+                userAgent: navigator.userAgent
             });
-          } catch (e) {
-            console.error('Failed to send error to remote service', e);
-          }
+
+            this.reportQueue.push(report);
+            if (this.reportQueue.length > this.remoteReporting.maxBufferedReports) {
+                this.reportQueue = this.reportQueue.slice(-this.remoteReporting.maxBufferedReports);
+            }
+            this._saveReportBuffer();
+
+            if (this.reportQueue.length >= this.remoteReporting.batchSize) {
+                this.flushErrorReports();
+            } else {
+                this._scheduleFlush();
+            }
+        } catch (reportError) {
+            // Never route reporting failures back through handleError
+            console.warn('Could not queue error report:', reportError);
+        }
+    }
+
+    /**
+     * Deliver queued reports in batches until the queue is empty or sending fails
+     * @returns {Promise<number>} Number of reports delivered
+     * @private
+     */
+    async _flushReportQueue() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        let delivered = 0;
+        while (this.transport && this.reportQueue.length > 0 && navigator.onLine !== false) {
+            const batch = this._nextBatch();
+
+            try {
+                await this.transport.send(batch);
+                delivered += batch.length;
+                this.failedSendAttempts = 0;
+            } catch (error) {
+                this.failedSendAttempts++;
+                if (error.retryable !== false && this.failedSendAttempts < this.remoteReporting.maxSendAttempts) {
+                    console.warn('Could not send error reports, will retry:', error.message);
+                    this._scheduleFlush();
+                    break;
+                }
+                console.warn(`Dropping ${batch.length} error reports that could not be sent:`, error.message);
+                this.failedSendAttempts = 0;
+            }
+
+            const sentIds = new Set(batch.map(report => report.id));
+            this.reportQueue = this.reportQueue.filter(report => !sentIds.has(report.id));
+            this._saveReportBuffer();
+        }
+
+        return delivered;
+    }
+
+    /**
+     * Take the next batch from the front of the queue
+     * Holds at most batchSize reports and maxBatchBytes of JSON, but always at
+     * least one report so an oversized one is tried (and dropped) in turn.
+     * @returns {Array<Object>} Reports to send
+     * @private
+     */
+    _nextBatch() {
+        const { batchSize, maxBatchBytes } = this.remoteReporting;
+        const batch = [];
+        let bytes = 0;
+
+        for (const report of this.reportQueue.slice(0, batchSize)) {
+            bytes += new Blob([JSON.stringify(report)]).size;
+            if (batch.length > 0 && bytes > maxBatchBytes) {
+                break;
+            }
+            batch.push(report);
+        }
+        return batch;
+    }
+
+    /**
+     * Send one batch as the page unloads
+     * The request is marked keepalive so it outlives the page; the reports stay
+     * buffered in case it doesn't arrive, and their IDs let the endpoint skip
+     * ones it has already seen.
+     * @private
+     */
+    _flushOnUnload() {
+        if (!this.transport || this.reportQueue.length === 0 || navigator.onLine === false) {
+            return;
+        }
+
+        this.transport.send(this._nextBatch(), { keepalive: true }).catch(() => {});
+    }
+
+    /**
+     * Send a partial batch after the flush interval
+     * @private
+     */
+    _scheduleFlush() {
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flushErrorReports();
+            }, this.remoteReporting.flushInterval);
+        }
+    }
+
+    /**
+     * Remove personal data and credentials from a report
+     * Sensitive metadata fields are redacted whole; other strings have emails,
+     * keys, card and phone numbers and user names in file paths redacted.
+     * @param {*} value - Report or part of one
+     * @param {string} [field] - Name of the field holding the value
+     * @param {number} [depth=0] - Nesting depth
+     * @returns {*} Scrubbed copy
+     * @private
+     */
+    _scrubReport(value, field = '', depth = 0) {
+        if (value === null || value === undefined || typeof value === 'boolean' || typeof value === 'number') {
+            return value;
+        }
+
+        if (field && SENSITIVE_FIELD_PATTERN.test(field)) {
+            const text = typeof value === 'string' ? value : JSON.stringify(value) || '';
+            return redactSensitiveString(text.slice(0, MAX_REPORTED_STRING_LENGTH));
+        }
+
+        if (typeof value === 'string') {
+            return this._scrubText(value.slice(0, MAX_REPORTED_STRING_LENGTH));
+        }
+
+        if (depth >= 5 || typeof value !== 'object') {
+            return '[omitted]';
+        }
+
+        if (Array.isArray(value)) {
+            return value.slice(0, 50).map(item => this._scrubReport(item, '', depth + 1));
+        }
+
+        const scrubbed = {};
+        Object.entries(value).forEach(([name, fieldValue]) => {
+            scrubbed[name] = this._scrubReport(fieldValue, name, depth + 1);
+        });
+        return scrubbed;
+    }
+
+    /**
+     * @private
+     */
+    _scrubText(text) {
+        let scrubbed = PII_PATTERNS.reduce(
+            (result, pattern) => result.replace(pattern, match => redactSensitiveString(match)),
+            text
+        );
+
+        // Credentials in query strings and user names in file paths
+        scrubbed = scrubbed.replace(
+            /([?&](?:key|api_key|apikey|token|access_token|password)=)([^&#\s]+)/gi,
+            (match, name, secret) => name + redactSensitiveString(secret)
+        );
+        return scrubbed.replace(
+            /([\\/](?:Users|home)[\\/])([^\\/\s]+)/g,
+            (match, prefix, userName) => prefix + redactSensitiveString(userName)
+        );
+    }
+
+    /**
+     * Load remote reporting settings over the defaults in config
+     * @private
+     */
+    _loadRemoteReportingConfig() {
+        const logging = config.system.logging;
+        const defaults = { enabled: logging.remoteLogging, ...logging.remote };
+
+        try {
+            const saved = localStorage.getItem('wordGptPlusErrorReporting');
+            return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
+        } catch (error) {
+            console.warn('Could not load error reporting settings:', error);
+            return defaults;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _createHttpTransport() {
+        const { endpoint, headers } = this.remoteReporting;
+        return endpoint ? new HttpErrorTransport({ endpoint, headers }) : null;
+    }
+
+    /**
+     * @private
+     */
+    _loadReportBuffer() {
+        try {
+            return JSON.parse(localStorage.getItem('wordGptPlusErrorReportBuffer')) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * @private
+     */
+    _saveReportBuffer() {
+        try {
+            if (this.reportQueue.length > 0) {
+                localStorage.setItem('wordGptPlusErrorReportBuffer', JSON.stringify(this.reportQueue));
+            } else {
+                localStorage.removeItem('wordGptPlusErrorReportBuffer');
+            }
+        } catch (error) {
+            console.warn('Could not buffer error reports:', error);
         }
-        */
     }
 
     /**
@@ -0,0 +1,76 @@
+/**
+ * Word GPT Plus - Error Report Transports
+ * Deliver batches of scrubbed error reports from the ErrorHandler. A transport
+ * is any object with a `send(reports)` method that resolves once the batch is
+ * delivered and rejects otherwise; setting `retryable = false` on the rejection
+ * tells the ErrorHandler to drop the batch instead of keeping it for later.
+ */
+
+// Browsers reject keepalive requests whose body is larger than this
+const KEEPALIVE_BODY_LIMIT = 64 * 1024;
+
+/**
+ * Posts error reports as JSON to a self-hosted HTTP endpoint.
+ *
+ * The request body is `{ source, sentAt, reports: [...] }`. Any 2xx response
+ * counts as delivered; 408, 429 and 5xx responses and network failures are
+ * retried later, other responses drop the batch. Requests sent while the
+ * page unloads use `keepalive` when the body is small enough for it.
+ */
+export class HttpErrorTransport {
+    /**
+     * @param {Object} options - Transport options
+     * @param {string} options.endpoint - URL that receives the reports
+     * @param {Object} [options.headers={}] - Extra request headers, e.g. an auth token
+     * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+     */
+    constructor({ endpoint, headers = {}, timeout = 10000 } = {}) {
+        if (!endpoint) {
+            throw new Error('Error reporting endpoint is required');
+        }
+
+        this.name = 'http';
+        this.endpoint = endpoint;
+        this.headers = headers;
+        this.timeout = timeout;
+    }
+
+    /**
+     * Send a batch of reports
+     * @param {Array<Object>} reports - Scrubbed error reports
+     * @param {Object} [options] - Send options
+     * @param {boolean} [options.keepalive=false] - Let the request outlive the page
+     * @returns {Promise<void>}
+     */
+    async send(reports, { keepalive = false } = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        const body = JSON.stringify({
+            source: 'word-gpt-plus',
+            sentAt: new Date().toISOString(),
+            reports
+        });
+
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.headers
+                },
+                body,
+                signal: controller.signal,
+                keepalive: keepalive && new Blob([body]).size <= KEEPALIVE_BODY_LIMIT
+            });
+
+            if (!response.ok) {
+                const error = new Error(`Error reporting endpoint returned ${response.status}`);
+                error.status = response.status;
+                error.retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+                throw error;
+            }
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
@@ -4,6 +4,7 @@
 
 import { safelyLimitTextSize } from './protections';
 import { analyzeImageWithDeepseek, DEEPSEEK_MODELS, formatDeepseekAnalysisForDocument } from './deepseekVL';
+import { exposeService } from './scriptBridge';
 
 /**
  * Available image analysis models
@@ -439,3 +440,8 @@ ${analysis}
 `;
     }
 }
+
+exposeService('imageTools', {
+    analyzeImage,
+    generateImageCaption
+});
@@ -0,0 +1,67 @@
+/**
+ * Promise wrappers around IndexedDB
+ */
+
+import { exposeService } from './scriptBridge';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open a database, creating or upgrading its object stores as needed
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {function(IDBDatabase, number, IDBTransaction): void} upgrade - Called with the old version on upgrade
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export function openDatabase(name, version, upgrade) {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not available in this environment'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+
+        request.onupgradeneeded = (event) => {
+            upgrade(request.result, event.oldVersion, request.transaction);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error(`Database ${name} is open in another window`));
+    });
+}
+
+/**
+ * Run work inside a transaction and wait for it to commit
+ * @param {IDBDatabase} db - Open database
+ * @param {string|Array<string>} storeNames - Object stores to use
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function(...IDBObjectStore): *} work - Receives the object stores; may return a request or value
+ * @returns {Promise<*>} Result of the returned request, or the returned value
+ */
+export function runTransaction(db, storeNames, mode, work) {
+    return new Promise((resolve, reject) => {
+        const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+        const transaction = db.transaction(names, mode);
+        const result = work(...names.map(storeName => transaction.objectStore(storeName)));
+
+        transaction.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+exposeService('indexedDb', {
+    promisifyRequest,
+    openDatabase,
+    runTransaction
+});
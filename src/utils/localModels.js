@@ -2,6 +2,8 @@
  * Utilities for connecting to local LLM models via Ollama
  */
 
+import { exposeService } from './scriptBridge';
+
 /**
  * Base URL for Ollama API
  */
@@ -15,7 +17,8 @@ export const LOCAL_MODELS = {
   LLAMA3_70B: 'llama3:70b',
   MISTRAL: 'mistral',
   PHI3: 'phi3',
-  NOUS: 'nous'
+  NOUS: 'nous',
+  NOMIC_EMBED: 'nomic-embed-text'
 };
 
 /**
@@ -107,6 +110,35 @@ export async function generateWithLocalModel(prompt, options = {}) {
   }
 }
 
+/**
+ * Create an embedding vector with a local Ollama model
+ * @param {string} text - Text to embed
+ * @param {Object} options - Embedding options
+ * @returns {Promise<Array<number>>} Embedding vector
+ */
+export async function embedWithLocalModel(text, options = {}) {
+  const model = options.model || LOCAL_MODELS.NOMIC_EMBED;
+
+  const response = await fetch(`${OLLAMA_BASE_URL}/embeddings`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model,
+      prompt: text
+    })
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Ollama embedding failed: ${error}`);
+  }
+
+  const data = await response.json();
+  return data.embedding;
+}
+
 /**
  * Stream text generation from local model
  * @param {string} prompt - The prompt to send
@@ -182,3 +214,8 @@ export async function streamGenerateWithLocalModel(prompt, onChunk, options = {}
     throw error;
   }
 }
+
+exposeService('localModels', {
+  isOllamaAvailable,
+  embedWithLocalModel
+});
@@ -0,0 +1,58 @@
+/**
+ * Bridge from ES modules to classic scripts
+ *
+ * Some parts of the add-in (api-client.js, image-processor.js,
+ * content-arranger.js, system-integration.js, the analytics dashboard) are
+ * loaded with plain script tags and can't import modules. Modules publish
+ * the services those scripts need here, and the scripts read them from the
+ * one shared registry, window.wordGptPlusServices, instead of each module
+ * adding its own global.
+ */
+
+/**
+ * Name of the registry on window
+ */
+export const SERVICES_GLOBAL = 'wordGptPlusServices';
+
+/**
+ * Event dispatched on window when a service is published; detail is { name }
+ */
+export const SERVICE_EVENT = 'wordGptPlus:serviceExposed';
+
+/**
+ * @private
+ */
+function getRegistry() {
+    if (typeof window === 'undefined') {
+        return null;
+    }
+    if (!window[SERVICES_GLOBAL]) {
+        window[SERVICES_GLOBAL] = {};
+    }
+    return window[SERVICES_GLOBAL];
+}
+
+/**
+ * Publish a service for classic scripts
+ * @param {string} name - Service name, e.g. 'tokenizer'
+ * @param {Object} service - Service object
+ */
+export function exposeService(name, service) {
+    const registry = getRegistry();
+    if (!registry) {
+        return;
+    }
+
+    registry[name] = service;
+    window.dispatchEvent(new CustomEvent(SERVICE_EVENT, { detail: { name } }));
+}
+
+/**
+ * Get a published service
+ * @param {string} name - Service name
+ * @returns {Object|null} Service, or null when it hasn't been published
+ */
+export function getService(name) {
+    const registry = getRegistry();
+    return (registry && registry[name]) || null;
+}
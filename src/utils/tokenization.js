@@ -1,116 +1,458 @@
 /**
- * Simple tokenization utilities
+ * Tokenization utilities backed by bundled BPE vocabularies
  */
 
-// Approximate token counts by provider/model
-const TOKEN_RATIOS = {
-    openai: 4, // ~4 chars per token for GPT models
-    gemini: 4.5,
-    claude: 4,
-    deepseek: 3.8,
-    llama: 3.5
+import { exposeService } from './scriptBridge';
+
+// Each vocabulary is several megabytes, so it is split into its own chunk and
+// only loaded once a model that uses it is counted. The chunks ship with the
+// add-in; nothing is downloaded from a third party.
+const ENCODING_LOADERS = {
+    cl100k_base: () => import(/* webpackChunkName: "tokenizer-cl100k" */ 'gpt-tokenizer/encoding/cl100k_base'),
+    o200k_base: () => import(/* webpackChunkName: "tokenizer-o200k" */ 'gpt-tokenizer/encoding/o200k_base')
 };
 
+// Loaded encodings and loads in progress, by encoding name
+const encodings = {};
+const pendingLoads = {};
+
+// Models that use the newer o200k vocabulary
+const O200K_MODEL_PATTERN = /^(gpt-4o|gpt-4\.1|gpt-5|o1|o3|o4|chatgpt-4o)/i;
+
+// Treat special-token strings in documents as plain text instead of throwing
+const ENCODE_OPTIONS = { disallowedSpecial: new Set() };
+
+/**
+ * Pick the encoding for a provider or model name.
+ * Non-OpenAI providers have no public vocabulary here; cl100k is still a far
+ * closer estimate for them than a character ratio, especially for code and
+ * non-English text.
+ * @param {string} providerOrModel - Provider name (e.g. 'openai') or model id (e.g. 'gpt-4o')
+ * @returns {string} Encoding name
+ */
+export function getEncodingName(providerOrModel = 'openai') {
+    return O200K_MODEL_PATTERN.test(providerOrModel || '') ? 'o200k_base' : 'cl100k_base';
+}
+
+/**
+ * Load the vocabulary for a provider or model.
+ * Await this before chunking or truncating so the counts are exact; until it
+ * resolves the synchronous helpers fall back to a conservative estimate.
+ * @param {string} providerOrModel - Provider name or model id
+ * @returns {Promise<Object>} The encoding
+ */
+export function loadEncoding(providerOrModel = 'openai') {
+    const name = getEncodingName(providerOrModel);
+
+    if (encodings[name]) {
+        return Promise.resolve(encodings[name]);
+    }
+
+    if (!pendingLoads[name]) {
+        pendingLoads[name] = ENCODING_LOADERS[name]()
+            .then(encoding => {
+                encodings[name] = encoding;
+                return encoding;
+            })
+            .finally(() => {
+                delete pendingLoads[name];
+            });
+    }
+
+    return pendingLoads[name];
+}
+
+/**
+ * Check whether the vocabulary for a provider or model has been loaded
+ * @param {string} providerOrModel - Provider name or model id
+ * @returns {boolean} Whether counts for it are exact
+ */
+export function isEncodingLoaded(providerOrModel = 'openai') {
+    return !!encodings[getEncodingName(providerOrModel)];
+}
+
+/**
+ * Get a loaded encoding, starting the load when it isn't there yet
+ * @private
+ */
+function getLoadedEncoding(provider) {
+    const encoding = encodings[getEncodingName(provider)];
+    if (!encoding) {
+        loadEncoding(provider).catch(error => console.warn('Error loading tokenizer vocabulary:', error));
+    }
+    return encoding || null;
+}
+
+/**
+ * Estimated tokens for one character when no vocabulary is loaded.
+ * Errs high: about four ASCII characters per token, but one per character for
+ * other scripts, where a character ratio undercounts badly.
+ * @private
+ */
+function fallbackCharacterTokens(character) {
+    return character.charCodeAt(0) < 128 ? 0.25 : 1;
+}
+
+/**
+ * Encode text into token ids
+ * @param {string} text - Text to encode
+ * @param {string} provider - Provider or model name
+ * @returns {Array<number>} Token ids
+ * @throws {Error} If the vocabulary has not been loaded (see loadEncoding)
+ */
+export function encodeTokens(text, provider = 'openai') {
+    if (!text) return [];
+
+    const encoding = getLoadedEncoding(provider);
+    if (!encoding) {
+        throw new Error(`Tokenizer vocabulary ${getEncodingName(provider)} is not loaded`);
+    }
+    return encoding.encode(text, ENCODE_OPTIONS);
+}
+
 /**
- * Estimate token count for a given text using character approximation
- * @param {string} text - Text to estimate tokens for
- * @param {string} provider - Provider name for more accurate estimation
- * @returns {number} Estimated token count
+ * Decode token ids back into text
+ * @param {Array<number>} tokens - Token ids
+ * @param {string} provider - Provider or model name
+ * @returns {string} Decoded text
+ * @throws {Error} If the vocabulary has not been loaded (see loadEncoding)
+ */
+export function decodeTokens(tokens, provider = 'openai') {
+    if (!tokens || tokens.length === 0) return '';
+
+    const encoding = getLoadedEncoding(provider);
+    if (!encoding) {
+        throw new Error(`Tokenizer vocabulary ${getEncodingName(provider)} is not loaded`);
+    }
+    return encoding.decode(tokens);
+}
+
+/**
+ * Count tokens for a given text
+ * @param {string} text - Text to count tokens for
+ * @param {string} provider - Provider or model name
+ * @returns {number} Token count, estimated until the vocabulary is loaded
  */
 export function estimateTokenCount(text, provider = 'openai') {
     if (!text) return 0;
 
-    const ratio = TOKEN_RATIOS[provider.toLowerCase()] || 4;
-    return Math.ceil(text.length / ratio);
+    if (!getLoadedEncoding(provider)) {
+        let tokens = 0;
+        for (const character of text) {
+            tokens += fallbackCharacterTokens(character);
+        }
+        return Math.ceil(tokens);
+    }
+
+    return encodeTokens(text, provider).length;
+}
+
+/**
+ * Count tokens for a list of chat messages, including per-message overhead
+ * @param {Array<Object>} messages - Chat messages with role and content
+ * @param {string} provider - Provider or model name
+ * @returns {number} Token count
+ */
+export function estimateMessagesTokenCount(messages, provider = 'openai') {
+    if (!Array.isArray(messages)) return 0;
+
+    // Each message is wrapped in ~3 formatting tokens, and replies are primed with 3 more
+    return messages.reduce((total, message) => {
+        const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content || '');
+        return total + 3 + estimateTokenCount(content, provider) + estimateTokenCount(message.role, provider);
+    }, 3);
 }
 
 /**
  * Truncate text to fit within a token limit
  * @param {string} text - Text to truncate
  * @param {number} maxTokens - Maximum token count
- * @param {string} provider - Provider name for more accurate estimation
+ * @param {string} provider - Provider or model name
  * @returns {string} Truncated text
  */
 export function truncateToTokenLimit(text, maxTokens, provider = 'openai') {
     if (!text) return '';
 
-    const estimatedTokens = estimateTokenCount(text, provider);
-    if (estimatedTokens <= maxTokens) return text;
+    if (!getLoadedEncoding(provider)) {
+        if (estimateTokenCount(text, provider) <= maxTokens) return text;
+
+        // Cut by the same estimate, reserving one token for the ellipsis
+        let tokens = 0;
+        let end = 0;
+        for (const character of text) {
+            tokens += fallbackCharacterTokens(character);
+            if (tokens > Math.max(0, maxTokens - 1)) break;
+            end += character.length;
+        }
+        return text.slice(0, end) + '...';
+    }
 
-    const ratio = TOKEN_RATIOS[provider.toLowerCase()] || 4;
-    const approximateCharLimit = maxTokens * ratio;
+    const tokens = encodeTokens(text, provider);
+    if (tokens.length <= maxTokens) return text;
 
-    // Leave a margin to account for estimation inaccuracy
-    const safeCharLimit = Math.floor(approximateCharLimit * 0.9);
+    // Reserve one token for the ellipsis
+    const truncated = decodeTokens(tokens.slice(0, Math.max(0, maxTokens - 1)), provider);
 
-    return text.slice(0, safeCharLimit) + '...';
+    // A cut through a multi-byte character decodes to a replacement character
+    return truncated.replace(/�+$/, '') + '...';
 }
 
 /**
- * Split text into chunks that fit within token limits
+ * Split text into chunks that fit within token limits.
+ * Paragraphs are separated by blank lines; markdown headings, list runs and
+ * pipe tables are kept intact where they fit (see chunkParagraphs).
  * @param {string} text - Text to split
  * @param {number} maxTokensPerChunk - Maximum tokens per chunk
- * @param {string} provider - Provider name
- * @returns {Array<string>} Array of text chunks
+ * @param {string} provider - Provider or model name
+ * @param {Object} [options] - Chunking options
+ * @param {number} [options.overlapTokens=0] - Context carried over from the previous chunk
+ * @param {boolean} [options.withMappings=false] - Return chunk objects with paragraph indices instead of strings
+ * @returns {Array<string>|Array<Object>} Text chunks, or chunk objects from chunkParagraphs
  */
-export function splitIntoChunks(text, maxTokensPerChunk = 2000, provider = 'openai') {
-    const paragraphs = text.split(/\n\s*\n/);
+export function splitIntoChunks(text, maxTokensPerChunk = 2000, provider = 'openai', options = {}) {
+    const paragraphs = text.split(/\n\s*\n/).map(paragraphText => describeTextParagraph(paragraphText));
+
+    const chunks = chunkParagraphs(paragraphs, {
+        maxTokens: maxTokensPerChunk,
+        overlapTokens: options.overlapTokens || 0,
+        provider
+    });
+
+    return options.withMappings ? chunks : chunks.map(chunk => chunk.text);
+}
+
+/**
+ * Group document paragraphs into chunks without cutting through structure.
+ *
+ * Tables and lists are kept whole when they fit, chunks never end on a
+ * heading, and a new chunk starts at a heading once the current one is
+ * reasonably full. Only a paragraph that is too large on its own is split,
+ * at sentence boundaries, and its pieces are flagged as partial.
+ *
+ * @param {Array<Object>} paragraphs - Paragraph descriptors in document order
+ * @param {string} paragraphs[].text - Paragraph text
+ * @param {boolean} [paragraphs[].isHeading] - Paragraph is a heading
+ * @param {boolean} [paragraphs[].inTable] - Paragraph is inside a table
+ * @param {boolean} [paragraphs[].isListItem] - Paragraph is a list item
+ * @param {Object} [options] - Chunking options
+ * @param {number} [options.maxTokens=2000] - Maximum tokens per chunk, overlap included
+ * @param {number} [options.overlapTokens=0] - Trailing context repeated from the previous chunk
+ * @param {number} [options.minTokensBeforeHeading] - Fill level after which a heading starts a new chunk
+ * @param {string} [options.provider='openai'] - Provider or model name for token counting
+ * @returns {Array<Object>} Chunks of the form
+ *   { text, paragraphIndices, overlapIndices, tokenCount, partial, truncated }
+ *   where paragraphIndices are the paragraphs this chunk owns (write results
+ *   back to these), overlapIndices are context-only paragraphs, and truncated
+ *   marks a piece whose single sentence was too long and had to be cut
+ */
+export function chunkParagraphs(paragraphs, options = {}) {
+    const provider = options.provider || 'openai';
+    const maxTokens = options.maxTokens || 2000;
+    const overlapTokens = Math.min(options.overlapTokens || 0, Math.floor(maxTokens / 2));
+    const budget = maxTokens - overlapTokens;
+    const minTokensBeforeHeading = options.minTokensBeforeHeading ?? Math.floor(budget / 4);
+    const separatorTokens = estimateTokenCount('\n\n', provider);
+
+    const items = paragraphs.map((paragraph, index) => ({
+        ...paragraph,
+        index,
+        tokens: estimateTokenCount(paragraph.text, provider)
+    }));
+
+    const blocks = groupStructuralBlocks(items);
     const chunks = [];
-    let currentChunk = '';
+    let current = [];
+    let currentTokens = 0;
 
-    for (const paragraph of paragraphs) {
-        const paragraphTokens = estimateTokenCount(paragraph, provider);
-        const currentChunkTokens = estimateTokenCount(currentChunk, provider);
+    const flush = () => {
+        // Never leave a heading dangling at the end of a chunk
+        const carried = [];
+        while (current.length > 0 && current[current.length - 1].isHeading) {
+            carried.unshift(current.pop());
+        }
+
+        if (current.length > 0) {
+            chunks.push({ items: current, partial: false });
+        }
+
+        current = carried;
+        currentTokens = carried.reduce((sum, item) => sum + item.tokens + separatorTokens, 0);
+    };
 
-        if (paragraphTokens > maxTokensPerChunk) {
-            // If a single paragraph is too large, we need to split it
-            if (currentChunk) {
-                chunks.push(currentChunk);
-                currentChunk = '';
+    const blockTokens = block => block.reduce((sum, item) => sum + item.tokens + separatorTokens, 0);
+
+    for (const block of blocks) {
+        const tokens = blockTokens(block);
+        const startsWithHeading = block[0].isHeading;
+
+        if (startsWithHeading && currentTokens >= minTokensBeforeHeading && current.some(item => !item.isHeading)) {
+            flush();
+        }
+
+        if (currentTokens + tokens <= budget) {
+            current.push(...block);
+            currentTokens += tokens;
+            continue;
+        }
+
+        flush();
+
+        if (currentTokens + tokens <= budget) {
+            current.push(...block);
+            currentTokens += tokens;
+            continue;
+        }
+
+        // The block does not fit in an empty chunk: fall back to paragraph boundaries
+        for (const item of block) {
+            if (item.tokens + separatorTokens > budget) {
+                flush();
+                const pieces = splitOversizedParagraph(item.text, budget, provider);
+                pieces.forEach(piece => {
+                    chunks.push({
+                        items: [...current, { ...item, text: piece.text, tokens: estimateTokenCount(piece.text, provider) }],
+                        partial: true,
+                        truncated: piece.truncated
+                    });
+                    current = [];
+                    currentTokens = 0;
+                });
+                continue;
             }
 
-            // Split the paragraph into sentences
-            const sentences = paragraph.match(/[^.!?]+[.!?]+/g) || [paragraph];
-            let sentenceChunk = '';
-
-            for (const sentence of sentences) {
-                const sentenceTokens = estimateTokenCount(sentence, provider);
-                const sentenceChunkTokens = estimateTokenCount(sentenceChunk, provider);
-
-                if (sentenceTokens > maxTokensPerChunk) {
-                    // This is a very long sentence, we'll have to truncate it
-                    if (sentenceChunk) {
-                        chunks.push(sentenceChunk);
-                        sentenceChunk = '';
-                    }
-
-                    // Add truncated version of the sentence
-                    chunks.push(truncateToTokenLimit(sentence, maxTokensPerChunk, provider));
-                } else if (sentenceChunkTokens + sentenceTokens <= maxTokensPerChunk) {
-                    sentenceChunk += sentence;
-                } else {
-                    chunks.push(sentenceChunk);
-                    sentenceChunk = sentence;
-                }
+            if (currentTokens + item.tokens + separatorTokens > budget) {
+                flush();
             }
+            current.push(item);
+            currentTokens += item.tokens + separatorTokens;
+        }
+    }
+
+    if (current.length > 0) {
+        chunks.push({ items: current, partial: false });
+    }
+
+    return chunks.map((chunk, chunkIndex) => {
+        const overlap = chunkIndex > 0 && overlapTokens > 0
+            ? collectOverlap(chunks[chunkIndex - 1].items, chunk.items[0].index, overlapTokens, separatorTokens)
+            : [];
+        const all = [...overlap, ...chunk.items];
+        const text = all.map(item => item.text).join('\n\n');
+
+        return {
+            text,
+            paragraphIndices: [...new Set(chunk.items.map(item => item.index))],
+            overlapIndices: overlap.map(item => item.index),
+            tokenCount: all.reduce((sum, item) => sum + item.tokens, 0) + separatorTokens * Math.max(0, all.length - 1),
+            partial: chunk.partial,
+            truncated: !!chunk.truncated
+        };
+    });
+}
 
-            if (sentenceChunk) {
-                chunks.push(sentenceChunk);
+/**
+ * Describe a plain-text paragraph for chunkParagraphs using markdown-style cues
+ * @param {string} text - Paragraph text
+ * @returns {Object} Paragraph descriptor
+ * @private
+ */
+function describeTextParagraph(text) {
+    const lines = text.split('\n').filter(line => line.trim());
+    return {
+        text,
+        isHeading: /^#{1,6}\s/.test(text.trim()),
+        isListItem: lines.length > 0 && lines.every(line => /^\s*(?:[-*•]|\d+[.)])\s/.test(line)),
+        inTable: lines.length > 0 && lines.every(line => /^\s*\|/.test(line))
+    };
+}
+
+/**
+ * Group consecutive table paragraphs and list items into atomic blocks
+ * @param {Array<Object>} items - Paragraph items
+ * @returns {Array<Array<Object>>} Blocks of items
+ * @private
+ */
+function groupStructuralBlocks(items) {
+    const blocks = [];
+
+    items.forEach(item => {
+        const previousBlock = blocks[blocks.length - 1];
+        const previous = previousBlock && previousBlock[previousBlock.length - 1];
+
+        const continuesTable = previous && item.inTable && previous.inTable;
+        const continuesList = previous && item.isListItem && previous.isListItem;
+
+        if (continuesTable || continuesList) {
+            previousBlock.push(item);
+        } else {
+            blocks.push([item]);
+        }
+    });
+
+    return blocks;
+}
+
+/**
+ * Split a single paragraph that exceeds the budget at sentence boundaries
+ * @returns {Array<Object>} Pieces of the form { text, truncated }
+ * @private
+ */
+function splitOversizedParagraph(text, budget, provider) {
+    const sentences = text.match(/[^.!?]+[.!?]+\s*|[^.!?]+$/g) || [text];
+    const pieces = [];
+    let piece = '';
+    let pieceTokens = 0;
+
+    for (const sentence of sentences) {
+        const sentenceTokens = estimateTokenCount(sentence, provider);
+
+        if (sentenceTokens > budget) {
+            // This is a very long sentence, we'll have to truncate it
+            if (piece) {
+                pieces.push({ text: piece, truncated: false });
+                piece = '';
+                pieceTokens = 0;
             }
-        } else if (currentChunkTokens + paragraphTokens <= maxTokensPerChunk) {
-            // Add paragraph to current chunk
-            currentChunk += (currentChunk ? '\n\n' : '') + paragraph;
+            pieces.push({ text: truncateToTokenLimit(sentence, budget, provider), truncated: true });
+        } else if (pieceTokens + sentenceTokens <= budget) {
+            piece += sentence;
+            pieceTokens += sentenceTokens;
         } else {
-            // Start a new chunk
-            chunks.push(currentChunk);
-            currentChunk = paragraph;
+            pieces.push({ text: piece, truncated: false });
+            piece = sentence;
+            pieceTokens = sentenceTokens;
         }
     }
 
-    // Add the last chunk if it's not empty
-    if (currentChunk) {
-        chunks.push(currentChunk);
+    if (piece) {
+        pieces.push({ text: piece, truncated: false });
     }
 
-    return chunks;
+    return pieces;
 }
+
+/**
+ * Take whole trailing paragraphs from the previous chunk as overlap context
+ * @private
+ */
+function collectOverlap(previousItems, firstIndex, overlapTokens, separatorTokens) {
+    const overlap = [];
+    let tokens = 0;
+
+    for (let i = previousItems.length - 1; i >= 0; i--) {
+        const item = previousItems[i];
+        // Pieces of a split paragraph share its index; never repeat the paragraph being continued
+        if (item.index === firstIndex) continue;
+        if (tokens + item.tokens + separatorTokens > overlapTokens) break;
+        overlap.unshift(item);
+        tokens += item.tokens + separatorTokens;
+    }
+
+    return overlap;
+}
+
+exposeService('tokenizer', {
+    loadEncoding,
+    estimateTokenCount,
+    estimateMessagesTokenCount
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for how ApiClient stores API keys before and after encryption is available
+ */
+
+const { exposeService } = require('../../src/utils/scriptBridge');
+
+// A stand-in that marks values instead of encrypting them
+const security = {
+    ready: Promise.resolve(),
+    keysAvailable: true,
+    encrypt: jest.fn(async value => `wgp:2:k1:${value}`),
+    decrypt: jest.fn(async value => value.replace('wgp:2:k1:', ''))
+};
+
+describe('ApiClient API keys', () => {
+    let apiClient;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        localStorage.setItem('wordGptPlusApiConfig', JSON.stringify({
+            activeProvider: 'openai',
+            keys: { openai: 'wgp:2:k1:sk-stored' },
+            customEndpoints: {}
+        }));
+
+        require('../../src/api-client.js');
+        apiClient = window.apiClient;
+        await apiClient.configLoaded;
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('does not use or rewrite stored keys until the security protocol is published', async () => {
+        expect(apiClient.apiConfig.keys.openai).toBeUndefined();
+        expect(() => apiClient.setApiKey('openai', 'sk-new')).toThrow('until encryption is available');
+
+        apiClient.apiConfig.activeProvider = 'localServer';
+        await apiClient.saveApiConfig();
+
+        const saved = JSON.parse(localStorage.getItem('wordGptPlusApiConfig'));
+        expect(saved.activeProvider).toBe('localServer');
+        expect(saved.keys).toEqual({ openai: 'wgp:2:k1:sk-stored' });
+    });
+
+    test('loads and encrypts keys once the security protocol is published', async () => {
+        exposeService('securityProtocol', security);
+        await apiClient.configLoaded;
+
+        expect(apiClient.apiConfig.keys.openai).toBe('sk-stored');
+
+        apiClient.setApiKey('azure', 'az-new');
+        await apiClient.configSaved;
+
+        expect(JSON.parse(localStorage.getItem('wordGptPlusApiConfig')).keys).toEqual({
+            openai: 'wgp:2:k1:sk-stored',
+            azure: 'wgp:2:k1:az-new'
+        });
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for chained automation runs
+ */
+
+jest.mock('../../src/automation/document-analyzer', () => ({
+    __esModule: true,
+    default: { analyzeReadability: jest.fn(), analyzeTone: jest.fn() }
+}));
+
+jest.mock('../../src/automation/content-generator', () => ({
+    __esModule: true,
+    default: { generateOutline: jest.fn(), expandBulletPoints: jest.fn() }
+}));
+
+jest.mock('../../src/automation/citation-manager', () => ({
+    __esModule: true,
+    default: { formatCitations: jest.fn(), generateBibliography: jest.fn(), refreshCitations: jest.fn() }
+}));
+
+jest.mock('../../src/automation/batch-processor', () => ({
+    __esModule: true,
+    default: { formatHeadings: jest.fn(), fixGrammar: jest.fn() }
+}));
+
+jest.mock('../../src/automation/automation-ui', () => ({
+    createAutomationUI: jest.fn()
+}));
+
+global.Word = { run: callback => callback({}) };
+
+const automationManager = require('../../src/automation/automation-manager').default;
+
+describe('automation chains', () => {
+    beforeEach(() => {
+        automationManager.config.retryDelayMs = 0;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('passes parameters between steps and retries failed steps', async () => {
+        const analyze = jest.fn().mockResolvedValue({ scores: { grade: 12 } });
+        const rewrite = jest.fn()
+            .mockRejectedValueOnce(new Error('Rate limited'))
+            .mockResolvedValue({ changed: 3 });
+
+        automationManager.registerAutomation('test-analyze', { name: 'Analyze', handler: analyze });
+        automationManager.registerAutomation('test-rewrite', { name: 'Rewrite', handler: rewrite });
+        automationManager.registerChain('test-chain', {
+            name: 'Test Chain',
+            steps: [
+                { id: 'analyze', automationId: 'test-analyze', paramsFrom: { target: 'params.target' } },
+                { id: 'rewrite', automationId: 'test-rewrite', params: { tone: 'plain' }, paramsFrom: { grade: 'analyze.scores.grade' } }
+            ]
+        });
+
+        const progress = [];
+        const result = await automationManager.runChain('test-chain', { target: 'document' }, {
+            onProgress: run => progress.push(run.steps.map(step => step.status).join(','))
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.results.rewrite).toEqual({ changed: 3 });
+        expect(analyze).toHaveBeenCalledWith({}, { target: 'document', automationId: 'test-analyze' });
+        expect(rewrite).toHaveBeenLastCalledWith({}, { tone: 'plain', grade: 12, automationId: 'test-rewrite' });
+        expect(result.steps[1].attempts).toBe(2);
+        expect(progress).toContain('completed,retrying');
+        expect(progress[progress.length - 1]).toBe('completed,completed');
+
+        expect(() => automationManager.registerChain('bad-chain', {
+            name: 'Bad',
+            steps: [{ automationId: 'test-analyze', paramsFrom: { grade: 'rewrite.grade' } }]
+        })).toThrow('which is not an earlier step');
+    });
+
+    test('queues runs beyond maxConcurrentWorkflows', async () => {
+        let release;
+        const slow = jest.fn(() => new Promise(resolve => { release = resolve; }));
+
+        automationManager.config.maxConcurrentWorkflows = 1;
+        automationManager.registerAutomation('test-slow', { name: 'Slow', handler: slow });
+        automationManager.registerChain('slow-chain', { name: 'Slow', steps: [{ automationId: 'test-slow' }] });
+
+        const statuses = [];
+        const first = automationManager.runChain('slow-chain');
+        const second = automationManager.runChain('slow-chain', {}, { onProgress: run => statuses.push(run.status) });
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(slow).toHaveBeenCalledTimes(1);
+        expect(statuses).toEqual(['queued']);
+
+        release('first');
+        await first;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(slow).toHaveBeenCalledTimes(2);
+
+        release('second');
+        expect((await second).results['test-slow']).toBe('second');
+    });
+
+    test('saves custom chains built from the real automations', () => {
+        localStorage.clear();
+        const id = automationManager.createCustomChain({
+            name: 'Tidy',
+            steps: [{ automationId: 'smartify-quotes' }, { id: 'headings', automationId: 'batch-format-headings' }]
+        });
+
+        const saved = JSON.parse(localStorage.getItem('wordGptPlusAutomationChains'));
+        expect(saved[id].steps.map(step => step.id)).toEqual(['smartify-quotes', 'headings']);
+        expect(automationManager.chains['academic-cleanup']).toBeDefined();
+    });
+});
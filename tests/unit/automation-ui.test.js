@@ -0,0 +1,126 @@
+/**
+ * Tests for the automation panel's workflow and chain sections
+ */
+
+const { createAutomationUI } = require('../../src/automation/automation-ui');
+
+const HOSTILE_NAME = '<img src="x" onerror="window.injected = true">';
+
+const automationManager = {
+    getAutomationsByCategory: () => ({}),
+    chains: {},
+    automations: {},
+    createCustomChain: jest.fn()
+};
+
+function renderPanel() {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    return { container, ui: createAutomationUI(automationManager, container) };
+}
+
+describe('automation UI workflows', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        document.body.innerHTML = '';
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('loads the workflow manager and offers import and export', () => {
+        expect(window.workflowManager).toBeDefined();
+
+        const { container } = renderPanel();
+
+        expect(container.querySelector('#wgp-import-workflows')).not.toBeNull();
+        expect(container.querySelector('#wgp-export-workflows')).not.toBeNull();
+    });
+
+    test('shows imported workflow names as text', () => {
+        window.workflowManager.createWorkflowTemplate({
+            id: 'shared"><b>id',
+            name: HOSTILE_NAME,
+            steps: [{ id: 'tone', name: 'Tone', handler: 'analyzeTone' }]
+        });
+
+        const { ui } = renderPanel();
+        ui.showExportWorkflowsModal();
+
+        const modal = document.querySelector('.wgp-modal');
+        expect(modal.querySelector('img')).toBeNull();
+        expect(modal.querySelector('b')).toBeNull();
+        expect(modal.textContent).toContain(HOSTILE_NAME);
+        expect([...modal.querySelectorAll('input[name="workflow"]')].map(input => input.value)).toContain('shared"><b>id');
+    });
+
+    test('shows unfinished workflow names as text', () => {
+        window.workflowManager.activeWorkflows.hostile = {
+            id: 'hostile',
+            name: HOSTILE_NAME,
+            status: 'interrupted',
+            steps: [{ id: 'rewrite', name: 'Rewrite', requiredInput: ['documentText'] }],
+            stepStates: { rewrite: { status: 'pending', runs: 0 } },
+            data: {},
+            omittedData: ['documentText']
+        };
+
+        try {
+            const { container } = renderPanel();
+            const item = container.querySelector('[data-workflow-id="hostile"]');
+
+            expect(item.querySelector('img')).toBeNull();
+            expect(item.textContent).toContain(HOSTILE_NAME);
+            expect(item.textContent).toContain('documentText was too large to save');
+            expect([...item.querySelectorAll('button')].map(button => button.dataset.action)).toEqual(['discard']);
+        } finally {
+            delete window.workflowManager.activeWorkflows.hostile;
+        }
+    });
+
+    test('builds a chain from the automations picked in order', () => {
+        automationManager.automations = {
+            analyze: { name: 'Analyze Readability' },
+            grammar: { name: HOSTILE_NAME }
+        };
+        automationManager.createCustomChain.mockImplementation(chain => {
+            automationManager.chains.custom = { ...chain, id: 'custom' };
+            return 'custom';
+        });
+
+        try {
+            const { container, ui } = renderPanel();
+            expect(container.querySelector('#wgp-create-chain')).not.toBeNull();
+
+            ui.showCreateChainModal();
+            const modal = document.querySelector('.wgp-modal');
+            expect(modal.querySelector('img')).toBeNull();
+
+            modal.querySelector('#chain-name').value = HOSTILE_NAME;
+            modal.querySelector('#wgp-chain-add-step').click();
+            const selects = modal.querySelectorAll('[data-step-automation]');
+            selects[0].value = 'grammar';
+            selects[1].value = 'grammar';
+            modal.querySelector('#wgp-modal-create').click();
+
+            expect(automationManager.createCustomChain).toHaveBeenCalledWith({
+                name: HOSTILE_NAME,
+                description: '',
+                steps: [
+                    { id: 'step-1', automationId: 'grammar' },
+                    { id: 'step-2', automationId: 'grammar' }
+                ]
+            });
+
+            const item = container.querySelector('[data-chain-id="custom"]');
+            expect(item.closest('.wgp-section').querySelector('.wgp-section-header').textContent).toBe('Automation Chains');
+            expect(item.querySelector('img')).toBeNull();
+            expect(item.textContent).toContain(HOSTILE_NAME);
+        } finally {
+            automationManager.automations = {};
+            automationManager.chains = {};
+        }
+    });
+});
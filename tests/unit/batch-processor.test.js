@@ -0,0 +1,135 @@
+/**
+ * Tests for grammar fixing in the batch processor
+ * (run under node: the tokenizer needs TextDecoder, which jsdom lacks)
+ *
+ * @jest-environment node
+ */
+
+jest.mock('../../src/model-manager.js', () => ({
+    __esModule: true,
+    default: jest.fn().mockImplementation(() => ({ generateText: jest.fn() }))
+}));
+
+const batchProcessor = require('../../src/automation/batch-processor').default;
+
+// Paragraphs whose text only changes once a load is synced, as in Word
+function mockDocument(texts) {
+    const pendingLoads = new Set();
+    const inserts = [];
+
+    const items = texts.map(initial => {
+        const paragraph = {
+            text: initial,
+            style: 'Normal',
+            isListItem: false,
+            tableNestingLevel: 0,
+            current: initial,
+            load: () => pendingLoads.add(paragraph),
+            // One result per occurrence; replacing them in order edits the first one left
+            search: (problem) => ({
+                load: () => {},
+                items: paragraph.current.split(problem).slice(1).map(() => ({
+                    insertText: (text) => {
+                        inserts.push(text);
+                        paragraph.current = paragraph.current.replace(problem, text);
+                        return {};
+                    }
+                }))
+            })
+        };
+        return paragraph;
+    });
+
+    const context = {
+        document: { body: { paragraphs: { items, load: () => {} } } },
+        sync: async () => {
+            pendingLoads.forEach(paragraph => { paragraph.text = paragraph.current; });
+            pendingLoads.clear();
+        }
+    };
+
+    return { context, items, inserts };
+}
+
+describe('BatchProcessor._processLargeDocument', () => {
+    beforeEach(() => {
+        batchProcessor.config.pauseBetweenChunks = 0;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('fixes a paragraph split across several chunks once', async () => {
+        const long = Array.from({ length: 30 }, (_, i) => `In order to test sentence ${i}, we write some words.`).join(' ');
+        const { context, items, inserts } = mockDocument([long]);
+
+        const result = await batchProcessor._processLargeDocument(context, { chunkTokens: 100, chunkOverlapTokens: 0, aiGrammarCheck: false });
+
+        expect(result.stats.chunksProcessed).toBeGreaterThan(1);
+        expect(result.stats.wordinessFixed).toBe(30);
+        expect(inserts).toEqual(new Array(30).fill('to'));
+        expect(items[0].text).toBe(long.replace(/In order to/g, 'to'));
+    });
+
+    test('replaces only the matched words', async () => {
+        const { context, inserts } = mockDocument(['The end result is in order to be checked.']);
+        const tag = jest.fn(range => range);
+
+        await batchProcessor._processLargeDocument(context, { chunkTokens: 100, chunkOverlapTokens: 0, aiGrammarCheck: false }, tag);
+
+        expect(inserts).toEqual(['to', 'result']);
+        expect(tag).toHaveBeenCalledTimes(2);
+    });
+
+    test('applies AI suggestions against the text left by earlier edits', async () => {
+        const { context, items } = mockDocument(['We met in order to plan the end result.']);
+        jest.spyOn(batchProcessor, '_getAIGrammarSuggestions').mockResolvedValue([
+            { problem: 'We met to plan', suggestion: 'We met to schedule' }
+        ]);
+
+        const result = await batchProcessor._processLargeDocument(context, { chunkTokens: 100, chunkOverlapTokens: 0 });
+
+        expect(result.stats.aiSuggestionsApplied).toBe(1);
+        expect(items[0].text).toBe('We met to schedule the result.');
+    });
+
+    test('reports paragraphs cut to fit a chunk', async () => {
+        const runOn = 'word '.repeat(300).trim();
+        const { context } = mockDocument(['Short opening paragraph.', runOn]);
+
+        const result = await batchProcessor._processLargeDocument(context, { chunkTokens: 100, chunkOverlapTokens: 0, aiGrammarCheck: false });
+
+        expect(result.stats.truncatedParagraphs).toEqual([1]);
+        expect(console.warn).toHaveBeenCalled();
+    });
+});
+
+describe('BatchProcessor.fixGrammar', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('applies AI suggestions to a document small enough to check at once', async () => {
+        const { context, items } = mockDocument(['We met in order to plan the end result.', 'It went well.']);
+        context.document.body.load = () => {};
+        context.document.body.text = items.map(item => item.text).join('\n');
+        const getSuggestions = jest.spyOn(batchProcessor, '_getAIGrammarSuggestions').mockResolvedValue([
+            { problem: 'It went well', suggestion: 'It went very well' },
+            { problem: 'not in the document', suggestion: 'ignored' }
+        ]);
+
+        const result = await batchProcessor.fixGrammar(context);
+
+        expect(getSuggestions).toHaveBeenCalledWith('We met to plan the result.\nIt went well.');
+        expect(result.stats).toMatchObject({ wordinessFixed: 1, aiSuggestionsFound: 2, aiSuggestionsApplied: 1 });
+        expect(items.map(item => item.text)).toEqual(['We met to plan the result.', 'It went very well.']);
+        expect(console.log).not.toHaveBeenCalled();
+    });
+});
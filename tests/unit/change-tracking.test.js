@@ -0,0 +1,97 @@
+/**
+ * Tests for AI change tracking
+ */
+
+jest.mock('../../src/services/settings/settingsManager', () => ({
+    getSetting: jest.fn()
+}));
+
+const { getSetting } = require('../../src/services/settings/settingsManager');
+const { withAiChangeTracking } = require('../../src/utils/changeTracking');
+
+function createContext() {
+    const modes = [];
+    const document = {
+        changeTrackingMode: 'Off',
+        load: jest.fn()
+    };
+
+    return {
+        modes,
+        document: new Proxy(document, {
+            set(target, key, value) {
+                if (key === 'changeTrackingMode') {
+                    modes.push(value);
+                }
+                target[key] = value;
+                return true;
+            }
+        }),
+        sync: jest.fn().mockResolvedValue()
+    };
+}
+
+describe('withAiChangeTracking', () => {
+    beforeEach(() => {
+        global.Word = { ChangeTrackingMode: { trackAll: 'TrackAll' } };
+        global.Office = { context: { requirements: { isSetSupported: () => true } } };
+    });
+
+    afterEach(() => {
+        delete global.Office;
+        jest.restoreAllMocks();
+    });
+
+    test('runs the edit untracked when the setting is off', async () => {
+        getSetting.mockReturnValue(false);
+        const context = createContext();
+        const range = { insertComment: jest.fn() };
+
+        const result = await withAiChangeTracking(context, 'batch-fix-grammar', async tag => {
+            tag(range);
+            return 'done';
+        });
+
+        expect(result).toBe('done');
+        expect(context.modes).toEqual([]);
+        expect(range.insertComment).not.toHaveBeenCalled();
+    });
+
+    test('tracks and tags edits, then restores the previous mode', async () => {
+        getSetting.mockReturnValue(true);
+        const context = createContext();
+        const range = { insertComment: jest.fn() };
+
+        await withAiChangeTracking(context, 'smartify-quotes', async tag => {
+            expect(context.document.changeTrackingMode).toBe('TrackAll');
+            tag(range);
+        });
+
+        expect(range.insertComment).toHaveBeenCalledWith('AI edit: smartify-quotes');
+        expect(context.modes).toEqual(['TrackAll', 'Off']);
+    });
+
+    test('restores the previous mode when the edit fails', async () => {
+        getSetting.mockReturnValue(true);
+        const context = createContext();
+
+        await expect(withAiChangeTracking(context, 'batch-fix-grammar', async () => {
+            throw new Error('edit failed');
+        })).rejects.toThrow('edit failed');
+
+        expect(context.document.changeTrackingMode).toBe('Off');
+    });
+
+    test('makes the edit untracked where Word lacks WordApi 1.4', async () => {
+        getSetting.mockReturnValue(true);
+        global.Office.context.requirements.isSetSupported = (name, version) => version !== '1.4';
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const context = createContext();
+        const range = { insertComment: jest.fn() };
+
+        await withAiChangeTracking(context, 'smartify-quotes', async tag => tag(range));
+
+        expect(context.modes).toEqual([]);
+        expect(range.insertComment).not.toHaveBeenCalled();
+    });
+});
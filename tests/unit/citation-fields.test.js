@@ -0,0 +1,86 @@
+/**
+ * Tests for live citation fields
+ */
+
+jest.mock('../../src/automation/reference-library', () => ({
+    __esModule: true,
+    default: { getReferences: jest.fn() }
+}));
+
+jest.mock('../../src/automation/citation-styles', () => ({
+    __esModule: true,
+    default: { getStyle: jest.fn() }
+}));
+
+const { CslStyle } = require('../../src/automation/csl-engine');
+const referenceLibrary = require('../../src/automation/reference-library').default;
+const citationStyles = require('../../src/automation/citation-styles').default;
+const citationManager = require('../../src/automation/citation-manager').default;
+
+const NUMERIC_STYLE = `<?xml version="1.0" encoding="utf-8"?>
+<style xmlns="http://purl.org/net/xbiblio/csl" class="in-text" version="1.0">
+  <info><title>Numeric test</title><id>numeric-test</id><category citation-format="numeric"/></info>
+  <citation collapse="citation-number">
+    <sort><key variable="citation-number"/></sort>
+    <layout prefix="[" suffix="]" delimiter=", "><text variable="citation-number"/></layout>
+  </citation>
+  <bibliography>
+    <layout>
+      <text variable="citation-number" prefix="[" suffix="] "/>
+      <text variable="title"/>
+    </layout>
+  </bibliography>
+</style>`;
+
+const REFERENCES = {
+    smith2020: { id: 'smith2020', type: 'article-journal', title: 'Testing the thing' },
+    lee2018: { id: 'lee2018', type: 'chapter', title: 'Chapter title' }
+};
+
+function createControl(tag) {
+    return { tag, insertText: jest.fn(), insertHtml: jest.fn() };
+}
+
+function createContext(controls) {
+    return {
+        document: { contentControls: { load: jest.fn(), items: controls } },
+        sync: jest.fn().mockResolvedValue()
+    };
+}
+
+describe('refreshCitations', () => {
+    beforeEach(() => {
+        citationStyles.getStyle.mockResolvedValue(new CslStyle(NUMERIC_STYLE));
+        referenceLibrary.getReferences.mockImplementation(async ids => ids.map(id => REFERENCES[id] || null));
+    });
+
+    test('renumbers citation fields in document order and rebuilds the bibliography', async () => {
+        // lee2018 now appears first, e.g. after its paragraph was moved up
+        const first = createControl('wgp-citation:lee2018');
+        const second = createControl('wgp-citation:smith2020#p.%205;lee2018');
+        const bibliography = createControl('wgp-bibliography:numeric-test');
+        const context = createContext([first, second, bibliography]);
+
+        const result = await citationManager.refreshCitations(context);
+
+        expect(citationStyles.getStyle).toHaveBeenCalledWith('numeric-test');
+        expect(first.insertText).toHaveBeenCalledWith('[1]', 'Replace');
+        expect(second.insertText).toHaveBeenCalledWith('[1, 2]', 'Replace');
+
+        const html = bibliography.insertHtml.mock.calls[0][0];
+        expect(html.indexOf('[1] Chapter title')).toBeLessThan(html.indexOf('[2] Testing the thing'));
+        expect(result).toMatchObject({ citationsUpdated: 2, bibliographyUpdated: true, unresolved: [] });
+    });
+
+    test('leaves fields citing missing references untouched', async () => {
+        const known = createControl('wgp-citation:smith2020');
+        const deleted = createControl('wgp-citation:gone1999');
+        const context = createContext([deleted, known]);
+
+        const result = await citationManager.refreshCitations(context);
+
+        expect(deleted.insertText).not.toHaveBeenCalled();
+        expect(known.insertText).toHaveBeenCalledWith('[1]', 'Replace');
+        expect(result.unresolved).toEqual([{ text: 'gone1999', missing: ['No reference with key "gone1999"'] }]);
+    });
+});
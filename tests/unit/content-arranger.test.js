@@ -0,0 +1,183 @@
+/**
+ * Tests for reorganizing a document by topic
+ */
+
+require('../../src/content-arranger.js');
+
+const contentArranger = window.contentArranger;
+
+// A document body that logs what is inserted and deleted
+function mockDocument(paragraphs) {
+    const log = [];
+    const deleted = [];
+
+    const table = {
+        getRange: () => ({ getOoxml: () => ({ value: 'table' }) }),
+        delete: () => deleted.push('table')
+    };
+
+    const items = paragraphs.map(([text, style = 'Normal', tableNestingLevel = 0], index) => ({
+        text,
+        style,
+        tableNestingLevel,
+        parentTable: table,
+        getRange: () => ({ getOoxml: () => ({ value: text || `picture ${index}` }) }),
+        delete: () => deleted.push(index)
+    }));
+
+    const body = {
+        paragraphs: { items, load: () => {} },
+        getOoxml: () => ({ value: 'original document' }),
+        insertParagraph: (text) => {
+            log.push(`# ${text}`);
+            return {};
+        },
+        insertOoxml: (ooxml, location) => log.push(location === 'Replace' ? `replace: ${ooxml}` : ooxml)
+    };
+
+    const context = { document: { body }, sync: () => Promise.resolve() };
+
+    global.Word = {
+        InsertLocation: { end: 'End', replace: 'Replace' },
+        Style: { heading2: 'Heading2' },
+        run: (batch) => batch(context)
+    };
+
+    return { log, deleted };
+}
+
+describe('ContentArranger topic reorganization', () => {
+    beforeEach(() => {
+        contentArranger.undoStack = [];
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete global.Word;
+    });
+
+    test('moves tables and pictures with their section and deletes only what was copied', async () => {
+        const { log, deleted } = mockDocument([
+            ['', 'Normal'],
+            ['Old heading 1', 'Heading 1'],
+            ['A1'],
+            [''],
+            ['cell 1', 'Normal', 1],
+            ['cell 2', 'Normal', 1],
+            ['B1'],
+            ['Old heading 2', 'Heading 1'],
+            [''],
+            ['B2']
+        ]);
+
+        const applied = await contentArranger.applyTopicReorganization([
+            { text: 'Topic B', paragraphIndices: [6, 9], paragraphTexts: ['B1', 'B2'] },
+            { text: 'Topic A', paragraphIndices: [2], paragraphTexts: ['A1'] }
+        ], { skipPreview: true });
+
+        expect(applied).toBe(true);
+        expect(log).toEqual([
+            '# Topic B', 'B1', 'picture 8', 'B2',
+            '# Topic A', 'A1', 'picture 3', 'table'
+        ]);
+        // The picture before the first heading stays put
+        expect(deleted.sort()).toEqual([1, 2, 3, 6, 7, 8, 9, 'table'].sort());
+    });
+
+    test('refuses to apply topics from a document that has since changed', async () => {
+        const { log } = mockDocument([['A1'], ['B1 edited']]);
+
+        await expect(contentArranger.applyTopicReorganization([
+            { text: 'Topic', paragraphIndices: [0, 1], paragraphTexts: ['A1', 'B1'] }
+        ], { skipPreview: true })).rejects.toThrow('The document changed');
+        expect(log).toEqual([]);
+    });
+
+    test('undoes the last reorganization', async () => {
+        const { log } = mockDocument([['A1'], ['B1']]);
+
+        await contentArranger.applyTopicReorganization([
+            { text: 'Topic', paragraphIndices: [1, 0], paragraphTexts: ['B1', 'A1'] }
+        ], { skipPreview: true });
+
+        expect(await contentArranger.canUndo()).toBe(true);
+        expect(await contentArranger.undoLastArrangement()).toBe(true);
+        expect(log[log.length - 1]).toBe('replace: original document');
+
+        expect(await contentArranger.canUndo()).toBe(false);
+        expect(await contentArranger.undoLastArrangement()).toBe(false);
+    });
+
+    describe('undo history', () => {
+        // The undo store, kept in a list; transactions run synchronously
+        let stored;
+        let openDatabase;
+
+        beforeEach(() => {
+            stored = [];
+            let nextId = 1;
+            const store = {
+                add: snapshot => stored.push({ ...snapshot, id: nextId++ }),
+                delete: id => { stored = stored.filter(item => item.id !== id); },
+                index: () => ({ getAll: key => stored.filter(item => item.documentKey === key) })
+            };
+            openDatabase = jest.fn(() => Promise.resolve({}));
+            window.wordGptPlusServices = {
+                indexedDb: { openDatabase, runTransaction: (db, name, mode, work) => Promise.resolve(work(store)) }
+            };
+            contentArranger.undoDb = null;
+        });
+
+        afterEach(() => {
+            delete window.wordGptPlusServices;
+            delete global.Office;
+        });
+
+        const reorganize = () => contentArranger.applyTopicReorganization([
+            { text: 'Topic', paragraphIndices: [1, 0], paragraphTexts: ['B1', 'A1'] }
+        ], { skipPreview: true });
+
+        test('keeps snapshots of a saved document across reloads', async () => {
+            mockDocument([['A1'], ['B1']]);
+            global.Office = { context: { document: { url: 'https://example.com/report.docx' } } };
+
+            await reorganize();
+
+            expect(stored).toHaveLength(1);
+            expect(stored[0].documentKey).toBe('https://example.com/report.docx');
+            expect(contentArranger.undoStack).toEqual([]);
+            expect(await contentArranger.undoLastArrangement()).toBe(true);
+            expect(stored).toEqual([]);
+        });
+
+        test('keeps snapshots of an unsaved document in memory only', async () => {
+            stored.push({ id: 99, documentKey: 'untitled', ooxml: 'another document', timestamp: 1 });
+            const { log } = mockDocument([['A1'], ['B1']]);
+            global.Office = { context: { document: { url: '' } } };
+
+            await reorganize();
+
+            expect(openDatabase).not.toHaveBeenCalled();
+            expect(stored).toHaveLength(1);
+            expect(contentArranger.undoStack).toHaveLength(1);
+
+            expect(await contentArranger.undoLastArrangement()).toBe(true);
+            expect(log[log.length - 1]).toBe('replace: original document');
+            expect(await contentArranger.canUndo()).toBe(false);
+        });
+    });
+
+    test('embeds paragraphs with the local model service', async () => {
+        const embedWithLocalModel = jest.fn(async text => [text.length]);
+        window.wordGptPlusServices = { localModels: { embedWithLocalModel } };
+
+        try {
+            await expect(contentArranger.getParagraphEmbeddings(['one', 'three'], { embeddingSource: 'local' }))
+                .resolves.toEqual([[3], [5]]);
+            expect(embedWithLocalModel).toHaveBeenCalledWith('one', { model: undefined });
+        } finally {
+            delete window.wordGptPlusServices;
+        }
+    });
+});
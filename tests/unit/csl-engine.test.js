@@ -0,0 +1,172 @@
+/**
+ * Tests for the CSL engine
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CslStyle, parseLocator } = require('../../src/automation/csl-engine');
+
+const STYLES_DIR = path.join(__dirname, '../../src/automation/styles');
+
+const ARTICLE = {
+    id: 'smith2020',
+    type: 'article-journal',
+    author: [{ family: 'Smith', given: 'John' }, { family: 'Doe', given: 'Jane Q.' }],
+    title: 'Testing the thing',
+    'container-title': 'Journal of Tests',
+    volume: '1',
+    issue: '2',
+    page: '1-12',
+    DOI: '10.1/abc',
+    issued: { 'date-parts': [[2020]] }
+};
+
+const CHAPTER = {
+    id: 'lee2018',
+    type: 'chapter',
+    author: [{ family: 'Lee', given: 'Ann' }, { family: 'Kim', given: 'Bo' }, { family: 'Park', given: 'Cy' }],
+    editor: [{ family: 'Ward', given: 'Emma' }],
+    title: 'Chapter title',
+    'container-title': 'Big book',
+    publisher: 'Press',
+    page: '5-9',
+    issued: { 'date-parts': [[2018]] }
+};
+
+const EDITED_BOOK = {
+    id: 'ward2015',
+    type: 'book',
+    editor: [{ family: 'Ward', given: 'Emma' }, { family: 'Stone', given: 'Tom' }],
+    title: 'Collected essays',
+    publisher: 'Press',
+    issued: { 'date-parts': [[2015]] }
+};
+
+const NUMERIC_STYLE = `<?xml version="1.0" encoding="utf-8"?>
+<style xmlns="http://purl.org/net/xbiblio/csl" class="in-text" version="1.0">
+  <info><title>Numeric test</title><id>numeric-test</id><category citation-format="numeric"/></info>
+  <citation collapse="citation-number">
+    <sort><key variable="citation-number"/></sort>
+    <layout prefix="[" suffix="]" delimiter=", "><text variable="citation-number"/></layout>
+  </citation>
+  <bibliography>
+    <layout>
+      <text variable="citation-number" prefix="[" suffix="] "/>
+      <text variable="title"/>
+    </layout>
+  </bibliography>
+</style>`;
+
+function loadStyle(file) {
+    return new CslStyle(fs.readFileSync(path.join(STYLES_DIR, file), 'utf8'));
+}
+
+describe('CslStyle', () => {
+    test('renders the bundled APA style', () => {
+        const apa = loadStyle('apa.csl');
+
+        const citation = apa.formatCitation([
+            { item: ARTICLE, locator: '5', label: 'page' },
+            { item: CHAPTER }
+        ]);
+        expect(citation.text).toBe('(Lee et al., 2018; Smith & Doe, 2020, p. 5)');
+
+        const [chapter, article] = apa.formatBibliography([ARTICLE, CHAPTER]).entries;
+        expect(article.text).toBe('Smith, J., & Doe, J. Q. (2020). Testing the thing. Journal of Tests, 1(2), 1–12. https://doi.org/10.1/abc');
+        expect(article.html).toContain('<i>Journal of Tests</i>');
+        expect(chapter.text).toBe('Lee, A., Kim, B., & Park, C. (2018). Chapter title. In E. Ward (Ed.), Big book (pp. 5–9). Press.');
+    });
+
+    test('substitutes editors for missing authors without repeating them', () => {
+        const chicago = loadStyle('chicago-author-date.csl');
+
+        const [entry] = chicago.formatBibliography([EDITED_BOOK]).entries;
+        expect(entry.text).toBe('Ward, Emma, and Tom Stone, eds. 2015. Collected essays. Press.');
+        expect(chicago.formatCitation([{ item: EDITED_BOOK }]).text).toBe('(Ward and Stone 2015)');
+    });
+
+    test('numbers and collapses citations in numeric styles', () => {
+        const style = new CslStyle(NUMERIC_STYLE);
+        const citationNumbers = { smith2020: 1, lee2018: 2, ward2015: 3 };
+
+        expect(style.isNumeric).toBe(true);
+        expect(style.formatCitation(
+            [{ item: EDITED_BOOK }, { item: ARTICLE }, { item: CHAPTER }],
+            { citationNumbers }
+        ).text).toBe('[1–3]');
+
+        const entries = style.formatBibliography([EDITED_BOOK, CHAPTER, ARTICLE], { citationNumbers }).entries;
+        expect(entries.map(entry => entry.text)).toEqual([
+            '[1] Testing the thing',
+            '[2] Chapter title',
+            '[3] Collected essays'
+        ]);
+    });
+
+    test('adds year suffixes to works by the same authors in the same year', () => {
+        const apa = loadStyle('apa.csl');
+        const later = { ...ARTICLE, id: 'smith2020b', title: 'Another test' };
+        const undated = [
+            { ...EDITED_BOOK, id: 'undated1', issued: undefined },
+            { ...EDITED_BOOK, id: 'undated2', title: 'More essays', issued: undefined }
+        ];
+
+        const yearSuffixes = apa.assignYearSuffixes([ARTICLE, later, CHAPTER, ...undated]);
+        // Letters follow bibliography order, which sorts by title
+        expect(yearSuffixes).toEqual({ smith2020b: 'a', smith2020: 'b', undated1: 'a', undated2: 'b' });
+
+        const citation = apa.formatCitation([{ item: ARTICLE }, { item: later }, { item: undated[0] }], { yearSuffixes });
+        expect(citation.text).toBe('(Smith & Doe, 2020a; Smith & Doe, 2020b; Ward & Stone, n.d.-a)');
+
+        const entries = apa.formatBibliography([ARTICLE, later]).entries.map(entry => entry.text);
+        expect(entries[0]).toMatch(/^Smith, J., & Doe, J. Q. \(2020a\). Another test/);
+        expect(entries[1]).toMatch(/\(2020b\). Testing the thing/);
+
+        expect(apa.formatCitation([{ item: ARTICLE }]).text).toBe('(Smith & Doe, 2020)');
+    });
+
+    test('puts the year suffix after the year when the style does not place it', () => {
+        const style = new CslStyle(`<?xml version="1.0" encoding="utf-8"?>
+<style xmlns="http://purl.org/net/xbiblio/csl" class="in-text" version="1.0">
+  <info><title>Suffix test</title><id>suffix-test</id></info>
+  <citation disambiguate-add-year-suffix="true">
+    <layout prefix="(" suffix=")" delimiter="; ">
+      <group delimiter=" ">
+        <names variable="author"><name form="short"/></names>
+        <date variable="issued"><date-part name="year"/></date>
+      </group>
+    </layout>
+  </citation>
+</style>`);
+        const other = { ...ARTICLE, id: 'other' };
+
+        const yearSuffixes = style.assignYearSuffixes([ARTICLE, other, CHAPTER]);
+        expect(yearSuffixes).toEqual({ smith2020: 'a', other: 'b' });
+        expect(style.formatCitation([{ item: other }], { yearSuffixes }).text).toBe('(Smith, Doe 2020b)');
+    });
+
+    test('leaves years alone in styles without disambiguate-add-year-suffix', () => {
+        const style = new CslStyle(NUMERIC_STYLE);
+        expect(style.assignYearSuffixes([ARTICLE, { ...ARTICLE, id: 'other' }])).toEqual({});
+    });
+
+    test('bundled styles carry the CSL license and a link to their template', () => {
+        ['apa.csl', 'chicago-author-date.csl', 'harvard-cite-them-right.csl', 'modern-language-association.csl'].forEach(file => {
+            const xml = fs.readFileSync(path.join(STYLES_DIR, file), 'utf8');
+            expect(xml).toContain('<rights license="http://creativecommons.org/licenses/by-sa/3.0/">');
+            expect(xml).toMatch(/<link href="http:\/\/www\.zotero\.org\/styles\/[\w-]+" rel="template"\/>/);
+        });
+    });
+
+    test('rejects documents that are not CSL styles', () => {
+        expect(() => new CslStyle('<html></html>')).toThrow('Invalid CSL style');
+    });
+});
+
+describe('parseLocator', () => {
+    test('splits labels from locators', () => {
+        expect(parseLocator('pp. 10-12')).toEqual({ label: 'page', locator: '10-12' });
+        expect(parseLocator('chap. 3')).toEqual({ label: 'chapter', locator: '3' });
+        expect(parseLocator('45')).toEqual({ label: 'page', locator: '45' });
+    });
+});
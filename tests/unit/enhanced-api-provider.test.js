@@ -0,0 +1,37 @@
+/**
+ * Tests for where the enhanced providers get their API keys
+ */
+
+const { updateSetting } = require('../../src/services/settings/settingsManager');
+const enhancedApiProvider = require('../../src/enhanced-api-provider').default;
+
+describe('EnhancedApiProvider API keys', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    test('uses the Groq and DeepSeek keys entered in settings', async () => {
+        expect(enhancedApiProvider.getAvailableModels().groq.isConfigured).toBe(false);
+
+        updateSetting('apiKeys.groq', 'gsk-from-settings');
+        updateSetting('apiKeys.deepseek', 'ds-from-settings');
+
+        const models = enhancedApiProvider.getAvailableModels();
+        expect(models.groq.isConfigured).toBe(true);
+        expect(models.deepseek.isConfigured).toBe(true);
+
+        global.fetch = jest.fn(() => Promise.resolve({
+            ok: true,
+            status: 200,
+            json: () => Promise.resolve({ choices: [{ message: { content: 'hi' } }] })
+        }));
+
+        await expect(enhancedApiProvider.generateText('groq', 'mixtral-8x7b-32768', 'Hello'))
+            .resolves.toMatchObject({ text: 'hi' });
+        expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer gsk-from-settings');
+    });
+});
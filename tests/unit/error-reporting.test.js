@@ -0,0 +1,152 @@
+/**
+ * Tests for remote error reporting in the ErrorHandler
+ */
+
+const errorHandler = require('../../src/utils/error-handler').default;
+const { HttpErrorTransport } = require('../../src/utils/error-transports');
+
+function setOnline(online) {
+    Object.defineProperty(window.navigator, 'onLine', { value: online, configurable: true });
+}
+
+describe('ErrorHandler remote reporting', () => {
+    let transport;
+
+    beforeEach(() => {
+        localStorage.clear();
+        setOnline(true);
+        jest.spyOn(console, 'group').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'info').mockImplementation(() => {});
+        jest.spyOn(console, 'groupEnd').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        transport = { send: jest.fn().mockResolvedValue() };
+        errorHandler.configureRemoteReporting({ enabled: true, batchSize: 2, flushInterval: 60000, maxBatchBytes: 60000, maxSendAttempts: 5 });
+        errorHandler.setTransport(transport);
+    });
+
+    afterEach(() => {
+        errorHandler.configureRemoteReporting({ enabled: false });
+        jest.restoreAllMocks();
+    });
+
+    test('sends scrubbed reports in batches', async () => {
+        errorHandler.handleError('Login failed for jane.doe@example.com with key sk-abcdefghijklmnop1234',
+            errorHandler.categories.API, { apiKey: 'sk-secret-value-123', prompt: 'Confidential memo', status: 401 });
+        expect(transport.send).not.toHaveBeenCalled();
+
+        errorHandler.handleError(new Error('Render failed'), errorHandler.categories.UI);
+        await errorHandler.flushErrorReports();
+
+        expect(transport.send).toHaveBeenCalledTimes(1);
+        const [first, second] = transport.send.mock.calls[0][0];
+        expect(first.message).not.toMatch(/jane\.doe|abcdefghijklmnop/);
+        expect(first.message).toContain(`ja${'*'.repeat(16)}om`);
+        expect(first.metadata.apiKey).toBe(`sk${'*'.repeat(15)}23`);
+        expect(first.metadata.prompt).toBe(`Co${'*'.repeat(13)}mo`);
+        expect(first.metadata.status).toBe(401);
+        expect(first.category).toBe('api_error');
+        expect(second.message).toBe('Render failed');
+        expect(errorHandler.getPendingReportCount()).toBe(0);
+    });
+
+    test('buffers reports while offline and sends them once back online', async () => {
+        setOnline(false);
+        errorHandler.handleError('Offline failure', errorHandler.categories.NETWORK);
+        errorHandler.handleError('Another offline failure', errorHandler.categories.NETWORK);
+        await errorHandler.flushErrorReports();
+
+        expect(transport.send).not.toHaveBeenCalled();
+        expect(JSON.parse(localStorage.getItem('wordGptPlusErrorReportBuffer'))).toHaveLength(2);
+
+        transport.send.mockRejectedValueOnce(new Error('Failed to fetch'));
+        setOnline(true);
+        window.dispatchEvent(new Event('online'));
+        await errorHandler.flushErrorReports();
+        expect(errorHandler.getPendingReportCount()).toBe(2);
+
+        await errorHandler.flushErrorReports();
+        expect(transport.send).toHaveBeenCalledTimes(2);
+        expect(localStorage.getItem('wordGptPlusErrorReportBuffer')).toBeNull();
+    });
+
+    test('HttpErrorTransport posts to the endpoint and marks client errors as final', async () => {
+        const httpTransport = new HttpErrorTransport({ endpoint: 'https://errors.example.internal/reports', headers: { 'X-Api-Token': 't' } });
+        global.fetch = jest.fn()
+            .mockResolvedValueOnce({ ok: true, status: 202 })
+            .mockResolvedValueOnce({ ok: false, status: 400 });
+
+        await httpTransport.send([{ id: 'err_1' }]);
+        const [url, request] = global.fetch.mock.calls[0];
+        expect(url).toBe('https://errors.example.internal/reports');
+        expect(request.headers['X-Api-Token']).toBe('t');
+        expect(JSON.parse(request.body).reports).toEqual([{ id: 'err_1' }]);
+
+        await expect(httpTransport.send([{ id: 'err_2' }])).rejects.toMatchObject({ status: 400, retryable: false });
+        expect(request.keepalive).toBe(false);
+        delete global.fetch;
+    });
+
+    test('HttpErrorTransport uses keepalive only for unload-sized bodies', async () => {
+        const httpTransport = new HttpErrorTransport({ endpoint: 'https://errors.example.internal/reports' });
+        global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 202 });
+
+        await httpTransport.send([{ id: 'err_1' }], { keepalive: true });
+        await httpTransport.send([{ id: 'err_2', message: 'x'.repeat(70 * 1024) }], { keepalive: true });
+
+        expect(global.fetch.mock.calls.map(([, request]) => request.keepalive)).toEqual([true, false]);
+        delete global.fetch;
+    });
+
+    test('keeps batches under maxBatchBytes and sends one with keepalive on unload', async () => {
+        errorHandler.configureRemoteReporting({ batchSize: 10, maxBatchBytes: 3000 });
+        setOnline(false);
+        errorHandler.handleError('a'.repeat(1500), errorHandler.categories.UI);
+        errorHandler.handleError('b'.repeat(1500), errorHandler.categories.UI);
+        errorHandler.handleError('c'.repeat(1500), errorHandler.categories.UI);
+        setOnline(true);
+
+        window.dispatchEvent(new Event('pagehide'));
+        expect(transport.send).toHaveBeenCalledTimes(1);
+        expect(transport.send.mock.calls[0][0]).toHaveLength(1);
+        expect(transport.send.mock.calls[0][1]).toEqual({ keepalive: true });
+
+        transport.send.mockClear();
+        await errorHandler.flushErrorReports();
+        expect(transport.send.mock.calls.map(([batch]) => batch.length)).toEqual([1, 1, 1]);
+        expect(errorHandler.getPendingReportCount()).toBe(0);
+    });
+
+    test('drops a batch that keeps failing after maxSendAttempts', async () => {
+        errorHandler.configureRemoteReporting({ maxSendAttempts: 2 });
+        transport.send.mockRejectedValueOnce(new TypeError('Failed to fetch')).mockRejectedValueOnce(new TypeError('Failed to fetch'));
+        errorHandler.handleError('Poison', errorHandler.categories.UI);
+        errorHandler.handleError('Next', errorHandler.categories.UI);
+
+        await errorHandler.flushErrorReports();
+        expect(errorHandler.getPendingReportCount()).toBe(2);
+
+        await errorHandler.flushErrorReports();
+        expect(errorHandler.getPendingReportCount()).toBe(0);
+
+        errorHandler.handleError('Later', errorHandler.categories.UI);
+        errorHandler.handleError('Later again', errorHandler.categories.UI);
+        await errorHandler.flushErrorReports();
+        expect(transport.send).toHaveBeenLastCalledWith([
+            expect.objectContaining({ message: 'Later' }),
+            expect.objectContaining({ message: 'Later again' })
+        ]);
+    });
+
+    test('does not load the security protocol', () => {
+        const loadSecurityProtocol = jest.fn(() => ({ __esModule: true, default: {} }));
+
+        jest.isolateModules(() => {
+            jest.doMock('../../src/security/security-protocol', loadSecurityProtocol);
+            require('../../src/utils/error-handler');
+        });
+
+        expect(loadSecurityProtocol).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for the format converter's smart punctuation
+ */
+
+jest.mock('../../src/services/settings/settingsManager', () => ({
+    getSetting: jest.fn(() => true)
+}));
+
+const formatConverter = require('../../src/automation/format-converter').default;
+
+// A selection whose search results log what replaced them and which ranges were tagged
+function mockSelection(text) {
+    const replaced = [];
+    const tagged = [];
+
+    const selection = {
+        text,
+        load: jest.fn(),
+        insertComment: () => tagged.push('whole selection'),
+        search: (search) => {
+            const count = text.toLowerCase().split(search.toLowerCase()).length - 1;
+            return {
+                load: jest.fn(),
+                items: Array.from({ length: count }, () => ({
+                    insertText: (replacement) => {
+                        replaced.push(replacement);
+                        return { insertComment: content => tagged.push(`${replacement} ${content}`) };
+                    }
+                }))
+            };
+        }
+    };
+
+    const context = {
+        document: {
+            getSelection: () => selection,
+            load: jest.fn(),
+            changeTrackingMode: 'Off'
+        },
+        sync: () => Promise.resolve()
+    };
+
+    return { context, replaced, tagged };
+}
+
+describe('FormatConverter.smartifyQuotes', () => {
+    beforeEach(() => {
+        global.Word = { ChangeTrackingMode: { trackAll: 'TrackAll' } };
+        global.Office = { context: { requirements: { isSetSupported: () => true } } };
+    });
+
+    afterEach(() => {
+        delete global.Word;
+        delete global.Office;
+    });
+
+    test('curls quotes by position and tags only the replaced characters', async () => {
+        const { context, replaced, tagged } = mockSelection(`She said "it's fine" -- (c) 2024...`);
+
+        await formatConverter.smartifyQuotes(context, { automationId: 'smartify-quotes' });
+
+        expect(replaced).toEqual(['“', '”', '’', '–', '©', '…']);
+        expect(tagged).toHaveLength(replaced.length);
+        expect(tagged).not.toContain('whole selection');
+        expect(tagged[0]).toBe('“ AI edit: smartify-quotes');
+    });
+
+    test('opens a quote after a bracket or dash', () => {
+        const replace = formatConverter.quoteReplacer(`'a' ('b') —'c'`, "'");
+        expect([0, 1, 2, 3, 4, 5].map(i => replace(i, 6))).toEqual(['‘', '’', '‘', '’', '‘', '’']);
+    });
+});
@@ -0,0 +1,190 @@
+/**
+ * Tests for processing picture pixels
+ */
+
+require('../../src/image-processor.js');
+
+const imageProcessor = window.imageProcessor;
+
+const toBase64 = bytes => Buffer.from(bytes).toString('base64');
+
+// An EMF header: record type 1, then the " EMF" signature at byte 40
+function emfHeader() {
+    const bytes = new Uint8Array(88);
+    bytes[0] = 1;
+    bytes.set([0x20, 0x45, 0x4D, 0x46], 40);
+    return toBase64(bytes);
+}
+
+describe('ImageProcessor pixel filters', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete global.OffscreenCanvas;
+        delete global.createImageBitmap;
+    });
+
+    test('recognizes the vector formats Word embeds', () => {
+        expect(imageProcessor.detectImageType(emfHeader())).toBe('image/emf');
+        expect(imageProcessor.detectImageType(toBase64([0xD7, 0xCD, 0xC6, 0x9A, 0, 0, 0, 0]))).toBe('image/wmf');
+        expect(imageProcessor.detectImageType(toBase64([1, 0, 9, 0, 0, 3, 0, 0]))).toBe('image/wmf');
+        expect(imageProcessor.detectImageType(toBase64(Buffer.from('<?xml version="1.0"?><svg></svg>')))).toBe('image/svg+xml');
+        expect(imageProcessor.detectImageType(toBase64([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))).toBe('image/png');
+        expect(imageProcessor.detectImageType('/9j/4AAQSkZJRg==')).toBe('image/jpeg');
+    });
+
+    test('leaves vector pictures alone instead of rasterizing them', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        global.OffscreenCanvas = jest.fn();
+        global.createImageBitmap = jest.fn();
+
+        const image = {
+            getBase64ImageSrc: () => ({ value: emfHeader() }),
+            load: jest.fn(),
+            insertInlinePictureFromBase64: jest.fn()
+        };
+
+        const replaced = await imageProcessor.replacePicturePixels({ sync: () => Promise.resolve() }, image, {
+            transform: () => {}
+        });
+
+        expect(replaced).toBe(false);
+        expect(global.createImageBitmap).not.toHaveBeenCalled();
+        expect(image.insertInlinePictureFromBase64).not.toHaveBeenCalled();
+    });
+
+    test('clamps the contrast amount so the image is never inverted', async () => {
+        let transform;
+        jest.spyOn(imageProcessor, 'replacePicturePixels').mockImplementation(async (context, image, options) => {
+            transform = options.transform;
+        });
+
+        await imageProcessor.adjustContrast({}, {}, { amount: 300 });
+
+        const data = new Uint8ClampedArray([100, 128, 150, 255]);
+        transform(data);
+        expect(data[0]).toBeLessThan(100);
+        expect(data[1]).toBe(128);
+        expect(data[2]).toBeGreaterThan(150);
+
+        await imageProcessor.adjustContrast({}, {}, { amount: -300 });
+
+        const flat = new Uint8ClampedArray([0, 128, 255, 255]);
+        transform(flat);
+        expect([flat[0], flat[1], flat[2]]).toEqual([128, 128, 128]);
+    });
+});
+
+describe('ImageProcessor.arrangeImages', () => {
+    // Inline pictures, each in its own paragraph, and the table built from them
+    function mockDocument(pictureSpecs) {
+        const inserted = [];
+        const captions = [];
+
+        const table = {
+            getBorder: () => ({}),
+            setCellPadding: jest.fn(),
+            getCell: () => ({
+                body: {
+                    paragraphs: {
+                        getFirst: () => ({
+                            insertInlinePictureFromBase64: (base64) => {
+                                inserted.push(base64);
+                                return {};
+                            }
+                        })
+                    },
+                    insertParagraph: (text) => {
+                        captions.push(text);
+                        return {};
+                    }
+                }
+            })
+        };
+
+        const items = pictureSpecs.map(({ title, inTable = false }) => {
+            const picture = {
+                width: 200,
+                height: 100,
+                altTextTitle: title,
+                altTextDescription: '',
+                getBase64ImageSrc: () => ({ value: `/9j/${btoa(title)}` }),
+                delete: jest.fn()
+            };
+            picture.paragraph = {
+                text: '',
+                tableNestingLevel: inTable ? 1 : 0,
+                load: jest.fn(),
+                inlinePictures: { items: [picture], load: jest.fn() },
+                insertTable: jest.fn(() => table),
+                delete: jest.fn()
+            };
+            return picture;
+        });
+
+        const context = {
+            document: { body: { inlinePictures: { items, load: jest.fn() } } },
+            sync: () => Promise.resolve()
+        };
+
+        global.Word = {
+            InsertLocation: { after: 'After', start: 'Start', end: 'End' },
+            Style: { caption: 'Caption' }
+        };
+
+        return { context, items, inserted, captions };
+    }
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete global.Word;
+        delete window.wordGptPlusServices;
+    });
+
+    test('leaves pictures that are already in a table where they are', async () => {
+        const { context, items, inserted } = mockDocument([
+            { title: 'a' }, { title: 'arranged', inTable: true }, { title: 'b' }
+        ]);
+
+        await imageProcessor.arrangeImages(context, null, { template: 'row' });
+
+        expect(items[0].paragraph.insertTable).toHaveBeenCalledWith(1, 2, 'After', expect.any(Array));
+        expect(inserted).toEqual([`/9j/${btoa('a')}`, `/9j/${btoa('b')}`]);
+        expect(items[1].paragraph.delete).not.toHaveBeenCalled();
+        expect(items[1].delete).not.toHaveBeenCalled();
+    });
+
+    test('captions from alt text unless vision captions are requested', async () => {
+        const analyzeImage = jest.fn();
+        window.wordGptPlusServices = { imageTools: { analyzeImage, generateImageCaption: jest.fn() } };
+        const { context, captions } = mockDocument([{ title: 'Chart' }, { title: 'Map' }]);
+
+        await imageProcessor.arrangeImages(context, null, { template: 'gallery', apiKey: 'sk-test' });
+
+        expect(analyzeImage).not.toHaveBeenCalled();
+        expect(captions).toEqual(['Chart', 'Map']);
+    });
+
+    test('limits how many images are sent to the vision model at once', async () => {
+        let active = 0;
+        let peak = 0;
+        window.wordGptPlusServices = {
+            imageTools: {
+                analyzeImage: jest.fn(async () => {
+                    active++;
+                    peak = Math.max(peak, active);
+                    await new Promise(resolve => setTimeout(resolve, 5));
+                    active--;
+                    return { analysis: 'A picture' };
+                }),
+                generateImageCaption: analysis => analysis
+            }
+        };
+        const { context, captions } = mockDocument(['a', 'b', 'c', 'd', 'e'].map(title => ({ title })));
+
+        await imageProcessor.arrangeImages(context, null, { template: 'gallery', visionCaptions: true, apiKey: 'sk-test' });
+
+        expect(window.wordGptPlusServices.imageTools.analyzeImage).toHaveBeenCalledTimes(5);
+        expect(peak).toBe(imageProcessor.captionConcurrency);
+        expect(captions).toEqual(new Array(5).fill('A picture'));
+    });
+});
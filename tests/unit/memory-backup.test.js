@@ -0,0 +1,75 @@
+/**
+ * Tests for encrypted memory backups
+ */
+
+jest.mock('../../src/services/memory/memorySystem', () => ({
+    getAllMemories: jest.fn(),
+    importMemories: jest.fn(() => ({ added: 1, merged: 0 }))
+}));
+
+jest.mock('../../src/services/memory/memoryScope', () => ({
+    getMatters: jest.fn(() => [{ id: 'matter_1', name: 'Acme' }]),
+    importMatters: jest.fn(() => 1)
+}));
+
+jest.mock('../../src/core/evolution-engine', () => ({
+    __esModule: true,
+    default: { saveLearningState: jest.fn(), loadLearningState: jest.fn() }
+}));
+
+const memorySystem = require('../../src/services/memory/memorySystem');
+const memoryScope = require('../../src/services/memory/memoryScope');
+const evolutionEngine = require('../../src/core/evolution-engine').default;
+const { updateSetting, getSetting } = require('../../src/services/settings/settingsManager');
+const { createBackup, restoreBackup } = require('../../src/services/memory/memoryBackup');
+
+// jsdom has no WebCrypto or TextEncoder; use Node's implementations
+Object.defineProperty(window, 'crypto', { value: require('crypto').webcrypto, configurable: true });
+Object.assign(global, { TextEncoder: require('util').TextEncoder, TextDecoder: require('util').TextDecoder });
+
+describe('memory backup', () => {
+    const memory = { id: 'm1', content: 'Client prefers short sentences', tags: ['style'], accessCount: 4 };
+
+    beforeEach(() => {
+        localStorage.clear();
+        memorySystem.getAllMemories.mockReturnValue([memory]);
+    });
+
+    test('round-trips memories, learning state and settings without API keys', async () => {
+        localStorage.setItem('wordGptPlusEvolution', JSON.stringify({ adaptationState: { generation: 3 } }));
+        updateSetting('generation', { temperature: 0.2 });
+        updateSetting('apiKeys.openai', 'sk-should-not-leave');
+
+        const file = await createBackup('correct horse battery');
+        expect(evolutionEngine.saveLearningState).toHaveBeenCalled();
+        expect(file).not.toContain('Client prefers');
+        expect(JSON.parse(file).encryption).toMatchObject({ algorithm: 'AES-GCM', kdf: 'PBKDF2' });
+
+        await expect(restoreBackup(file, 'wrong passphrase')).rejects.toThrow('Wrong passphrase');
+
+        localStorage.clear();
+        const summary = await restoreBackup(file, 'correct horse battery');
+
+        expect(summary).toEqual({ memories: { added: 1, merged: 0 }, matters: 1, learningState: true, settings: 1 });
+        expect(memorySystem.importMemories).toHaveBeenCalledWith([memory], { replace: undefined });
+        expect(memoryScope.importMatters).toHaveBeenCalledWith([{ id: 'matter_1', name: 'Acme' }]);
+        expect(JSON.parse(localStorage.getItem('wordGptPlusEvolution'))).toEqual({ adaptationState: { generation: 3 } });
+        expect(evolutionEngine.loadLearningState).toHaveBeenCalled();
+        expect(getSetting('generation.temperature')).toBe(0.2);
+        expect(getSetting('apiKeys.openai')).toBe('');
+    });
+
+    test('rejects short passphrases and files that are not backups', async () => {
+        await expect(createBackup('short')).rejects.toThrow('at least 8 characters');
+        await expect(restoreBackup('{"memories": []}', 'correct horse battery')).rejects.toThrow('not a Word GPT Plus backup');
+    });
+
+    test('rejects iteration counts outside the accepted range', async () => {
+        const file = JSON.parse(await createBackup('correct horse battery'));
+
+        for (const iterations of [1000, 1e12, 310000.5, '310000']) {
+            const tampered = JSON.stringify({ ...file, encryption: { ...file.encryption, iterations } });
+            await expect(restoreBackup(tampered, 'correct horse battery')).rejects.toThrow('unsupported key derivation settings');
+        }
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for merging the older memory store into the unified one
+ */
+
+const {
+    migrateMemoryStores,
+    mergeMemories,
+    normalizeMemory,
+    MEMORY_STORAGE_KEY,
+    MEMORY_STATS_KEY,
+    LEGACY_MEMORY_STORE_KEY
+} = require('../../src/services/memory/memoryMigration');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('migrateMemoryStores', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('merges both stores once, combining duplicates', () => {
+        const now = Date.now();
+        localStorage.setItem(MEMORY_STORAGE_KEY, JSON.stringify([{
+            id: 'a1',
+            timestamp: new Date(now - DAY).toISOString(),
+            type: 'completion',
+            content: 'Use British spelling',
+            context: '',
+            tags: ['style'],
+            metadata: {},
+            importance: 1,
+            accessCount: 2,
+            lastAccessed: null
+        }]));
+        localStorage.setItem(MEMORY_STATS_KEY, JSON.stringify({ totalInteractions: 4 }));
+        localStorage.setItem(LEGACY_MEMORY_STORE_KEY, JSON.stringify({
+            version: 1,
+            memories: [
+                { id: 'x', type: 'interaction', content: '  use british   spelling', tags: ['preference'], createdAt: now - 3 * DAY, lastAccessed: now, accessCount: 3, weight: 0.5 },
+                { id: 'y', type: 'context', content: 'Client is Acme Ltd', tags: 'client', createdAt: now - 2 * DAY, lastAccessed: now - DAY, accessCount: 1, weight: 1 }
+            ],
+            metadata: { totalInteractions: 6 }
+        }));
+
+        const record = migrateMemoryStores();
+        expect(record).toMatchObject({ version: 2, imported: 2, merged: 1 });
+
+        const memories = JSON.parse(localStorage.getItem(MEMORY_STORAGE_KEY));
+        expect(memories).toHaveLength(2);
+        expect(memories[0]).toMatchObject({
+            id: 'a1',
+            tags: ['style', 'preference'],
+            accessCount: 5,
+            importance: 3,
+            timestamp: new Date(now - 3 * DAY).toISOString(),
+            lastAccessed: new Date(now).toISOString()
+        });
+        expect(memories[1]).toMatchObject({ id: 'y', type: 'context', tags: ['client'], importance: 5, context: '' });
+
+        expect(JSON.parse(localStorage.getItem(MEMORY_STATS_KEY)).totalInteractions).toBe(10);
+        expect(localStorage.getItem(LEGACY_MEMORY_STORE_KEY)).toBeNull();
+
+        // A second run changes nothing
+        localStorage.setItem(LEGACY_MEMORY_STORE_KEY, JSON.stringify({ memories: [{ id: 'z', content: 'late' }] }));
+        expect(migrateMemoryStores()).toEqual(record);
+        expect(JSON.parse(localStorage.getItem(MEMORY_STORAGE_KEY))).toHaveLength(2);
+    });
+});
+
+describe('normalizeMemory', () => {
+    test('rescales the older 0-1 weight to the 1-5 importance scale', () => {
+        const importance = memory => normalizeMemory({ id: 'm', content: 'text', ...memory }).importance;
+
+        expect(importance({ weight: 0 })).toBe(1);
+        expect(importance({ weight: 0.25 })).toBe(2);
+        expect(importance({ weight: 1 })).toBe(5);
+        expect(importance({ weight: 3 })).toBe(5);
+        expect(importance({})).toBe(1);
+        expect(importance({ importance: 4, weight: 0 })).toBe(4);
+    });
+});
+
+describe('mergeMemories', () => {
+    test('keeps the higher access count for copies of the same memory', () => {
+        const memory = (id, content, accessCount) => normalizeMemory({ id, content, accessCount });
+
+        const restored = mergeMemories([memory('a', 'Use British spelling', 4), memory('a', 'Use British spelling', 3)]);
+        expect(restored.memories[0].accessCount).toBe(4);
+
+        const duplicates = mergeMemories([memory('a', 'Use British spelling', 4), memory('b', 'use british spelling', 3)]);
+        expect(duplicates.memories[0].accessCount).toBe(7);
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for embedding-based memory retrieval
+ */
+
+jest.mock('../../src/services/api/openaiService', () => ({
+    openai: { apiKey: 'test-key', createEmbedding: jest.fn() }
+}));
+
+jest.mock('../../src/services/memory/memorySystem', () => ({
+    getScopedMemories: jest.fn(),
+    findMemories: jest.fn(),
+    recordMemoryAccess: jest.fn()
+}));
+
+const { openai } = require('../../src/services/api/openaiService');
+const memorySystem = require('../../src/services/memory/memorySystem');
+const { getRelevantMemories, indexMemory } = require('../../src/services/memory/memoryRetrieval');
+
+// Toy embedding: one dimension per topic word
+const TOPICS = ['contract', 'invoice', 'holiday'];
+function embedding(text) {
+    return TOPICS.map(topic => (text.toLowerCase().includes(topic) ? 1 : 0.05));
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+function memory(id, content, daysOld, importance = 1) {
+    return {
+        id,
+        content,
+        context: '',
+        importance,
+        timestamp: new Date(Date.now() - daysOld * DAY).toISOString()
+    };
+}
+
+describe('memory retrieval', () => {
+    const memories = [
+        memory('old-contract', 'Contract renewal terms for Acme', 120),
+        memory('new-contract', 'Contract clause on termination', 1),
+        memory('invoice', 'Invoice numbering scheme', 1, 5),
+        memory('holiday', 'Holiday schedule for the office', 2)
+    ];
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        openai.createEmbedding.mockImplementation(async input => ({
+            model: 'text-embedding-3-small',
+            data: [{ index: 0, embedding: embedding(input) }]
+        }));
+        memorySystem.getScopedMemories.mockReturnValue(memories);
+
+        await Promise.all(memories.map(indexMemory));
+    });
+
+    test('ranks by similarity, then recency and importance', async () => {
+        const results = await getRelevantMemories('Draft a contract amendment', 2);
+
+        expect(results.map(result => result.id)).toEqual(['new-contract', 'old-contract']);
+        expect(results[0].similarity).toBeCloseTo(results[1].similarity);
+        expect(results[0].score).toBeGreaterThan(results[1].score);
+        expect(memorySystem.recordMemoryAccess).toHaveBeenCalledWith(['new-contract', 'old-contract']);
+    });
+
+    test('falls back to keyword search when the query cannot be embedded', async () => {
+        openai.createEmbedding.mockRejectedValueOnce(new Error('offline'));
+        const fetchSpy = jest.fn().mockRejectedValue(new Error('Ollama not running'));
+        global.fetch = fetchSpy;
+        memorySystem.findMemories.mockReturnValue([memories[2]]);
+
+        const results = await getRelevantMemories('invoice', 3);
+
+        expect(fetchSpy).toHaveBeenCalledWith(expect.stringContaining('/embeddings'), expect.any(Object));
+        expect(memorySystem.findMemories).toHaveBeenCalledWith({ content: 'invoice', sortBy: 'relevance', limit: 3, scopeContext: undefined });
+        expect(results).toEqual([memories[2]]);
+        delete global.fetch;
+    });
+});
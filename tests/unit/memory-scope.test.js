@@ -0,0 +1,135 @@
+/**
+ * Tests for resolving the memory scope of the open document
+ */
+
+jest.mock('../../src/services/memory/memorySystem', () => ({
+    addMemory: jest.fn(() => 'memory-id'),
+    setCurrentScope: jest.fn(),
+    MEMORY_SCOPES: { DOCUMENT: 'document', MATTER: 'matter', GLOBAL: 'global', UNASSIGNED: 'unassigned' }
+}));
+
+const { setCurrentScope } = require('../../src/services/memory/memorySystem');
+const {
+    resolveMemoryScope,
+    createMatter,
+    getMatters,
+    setDocumentMatter
+} = require('../../src/services/memory/memoryScope');
+
+// Word document custom properties backed by a plain object
+function mockWord(initial) {
+    const values = { ...initial };
+    const item = name => ({
+        get isNullObject() { return !(name in values); },
+        get value() { return values[name]; },
+        load: jest.fn(),
+        delete: () => { delete values[name]; }
+    });
+    const customProperties = {
+        getItemOrNullObject: item,
+        add: jest.fn((name, value) => { values[name] = value; })
+    };
+
+    global.Word = {
+        run: callback => callback({
+            document: { properties: { customProperties } },
+            sync: () => Promise.resolve()
+        })
+    };
+    return { values, customProperties };
+}
+
+describe('memory scope', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('identifies the document and moves it between matters', async () => {
+        const { values, customProperties } = mockWord({});
+
+        const scope = await resolveMemoryScope();
+        expect(scope.documentId).toMatch(/^doc_/);
+        expect(values.WordGptPlusDocumentId).toBe(scope.documentId);
+        expect(setCurrentScope).toHaveBeenCalledWith({ documentId: scope.documentId, matterId: null });
+
+        // Cached for the session
+        await resolveMemoryScope();
+        expect(customProperties.add).toHaveBeenCalledTimes(1);
+
+        const matter = createMatter('Acme v. Globex');
+        expect(() => createMatter(' acme v. globex ')).toThrow('already exists');
+        expect(getMatters()).toEqual([matter]);
+
+        await setDocumentMatter(matter.id);
+        expect(values.WordGptPlusMatter).toBe(matter.id);
+        expect(await resolveMemoryScope()).toEqual({ documentId: scope.documentId, matterId: matter.id });
+
+        await setDocumentMatter(null);
+        expect(values.WordGptPlusMatter).toBeUndefined();
+        expect(setCurrentScope).toHaveBeenLastCalledWith({ documentId: scope.documentId, matterId: null });
+
+        delete global.Word;
+    });
+
+    test('resolves the scope before saving and refuses when the document is unknown', async () => {
+        // A fresh module, so no scope is cached from the test above
+        let memorySystem;
+        let addScopedMemory;
+        jest.isolateModules(() => {
+            memorySystem = require('../../src/services/memory/memorySystem');
+            ({ addScopedMemory } = require('../../src/services/memory/memoryScope'));
+        });
+        const { addMemory } = memorySystem;
+
+        global.Word = { run: () => Promise.reject(new Error('Word is busy')) };
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        try {
+            await expect(addScopedMemory({ content: 'Client prefers short answers' })).resolves.toBeNull();
+            expect(addMemory).not.toHaveBeenCalled();
+
+            await expect(addScopedMemory({ content: 'Use British spelling', scope: 'global' })).resolves.toBe('memory-id');
+            expect(addMemory).toHaveBeenCalledTimes(1);
+
+            // The failed lookup is not cached, so the next save tries again
+            mockWord({ WordGptPlusDocumentId: 'doc_known' });
+            await expect(addScopedMemory({ content: 'Client prefers short answers' })).resolves.toBe('memory-id');
+            expect(memorySystem.setCurrentScope).toHaveBeenLastCalledWith({ documentId: 'doc_known', matterId: null });
+        } finally {
+            console.warn.mockRestore();
+            delete global.Word;
+        }
+    });
+
+    test('gives a copied document its own ID', async () => {
+        const load = () => {
+            let resolve;
+            jest.isolateModules(() => {
+                ({ resolveMemoryScope: resolve } = require('../../src/services/memory/memoryScope'));
+            });
+            return resolve();
+        };
+
+        try {
+            global.Office = { context: { document: { url: 'C:\\Matters\\brief.docx' } } };
+            const { values } = mockWord({ WordGptPlusDocumentId: 'doc_original', WordGptPlusMatter: 'matter_1' });
+
+            // An ID from before URLs were recorded is kept and takes the current URL
+            expect(await load()).toEqual({ documentId: 'doc_original', matterId: 'matter_1' });
+            expect(values.WordGptPlusDocumentUrl).toBe('C:\\Matters\\brief.docx');
+            expect(await load()).toEqual({ documentId: 'doc_original', matterId: 'matter_1' });
+
+            // Save As copies the properties to a file at another URL
+            global.Office.context.document.url = 'C:\\Matters\\brief (copy).docx';
+            const copy = await load();
+            expect(copy.documentId).toMatch(/^doc_/);
+            expect(copy.documentId).not.toBe('doc_original');
+            expect(copy.matterId).toBe('matter_1');
+            expect(values.WordGptPlusDocumentId).toBe(copy.documentId);
+            expect(values.WordGptPlusDocumentUrl).toBe('C:\\Matters\\brief (copy).docx');
+        } finally {
+            delete global.Office;
+            delete global.Word;
+        }
+    });
+});
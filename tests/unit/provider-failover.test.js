@@ -0,0 +1,181 @@
+/**
+ * Tests for the provider failover chain
+ */
+
+jest.mock('../../src/free-api-provider', () => ({
+    __esModule: true,
+    default: {
+        generateText: jest.fn(),
+        providers: { ollama: { requiresAuth: false }, groq: { requiresAuth: true } }
+    }
+}));
+
+jest.mock('../../src/enhanced-api-provider', () => ({
+    __esModule: true,
+    default: {
+        generateText: jest.fn(),
+        getAvailableModels: jest.fn()
+    }
+}));
+
+const freeApiProvider = require('../../src/free-api-provider').default;
+const enhancedApiProvider = require('../../src/enhanced-api-provider').default;
+const providerFailover = require('../../src/provider-failover').default;
+
+require('../../src/api-client.js');
+const realApiClient = window.apiClient;
+
+function httpError(status) {
+    const error = new Error(`API error: ${status}`);
+    error.status = status;
+    return error;
+}
+
+describe('ProviderFailover', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        providerFailover.history = [];
+        providerFailover.chain = [...providerFailover.defaultChain];
+        freeApiProvider.generateText.mockReset();
+        enhancedApiProvider.generateText.mockReset();
+        enhancedApiProvider.getAvailableModels.mockReturnValue({
+            groq: { isConfigured: true },
+            deepseek: { isConfigured: true }
+        });
+        delete window.apiClient;
+    });
+
+    test('answers from the first provider when it succeeds', async () => {
+        enhancedApiProvider.generateText.mockResolvedValueOnce({ text: 'from groq' });
+
+        const result = await providerFailover.generateText('Hello');
+
+        expect(result.text).toBe('from groq');
+        expect(result.provider).toBe('groq');
+        expect(result.fallback).toBe(false);
+        expect(freeApiProvider.generateText).not.toHaveBeenCalled();
+    });
+
+    test('falls through on 429 and 5xx to the local provider', async () => {
+        enhancedApiProvider.generateText
+            .mockRejectedValueOnce(httpError(429))
+            .mockRejectedValueOnce(httpError(503));
+        freeApiProvider.generateText.mockResolvedValueOnce('from ollama');
+
+        const result = await providerFailover.generateText('Hello');
+
+        expect(result.provider).toBe('ollama');
+        expect(result.fallback).toBe(true);
+        expect(result.attempts.map(a => a.provider)).toEqual(['groq', 'deepseek', 'ollama']);
+
+        const stats = providerFailover.getFallbackStats();
+        expect(stats.fallbacks).toBe(1);
+        expect(stats.answeredBy).toEqual({ ollama: 1 });
+        expect(JSON.parse(localStorage.getItem('wordGptPlusProviderFallbacks'))).toHaveLength(1);
+    });
+
+    test('moves on when a provider times out and aborts its request', async () => {
+        let firstSignal;
+        enhancedApiProvider.generateText
+            .mockImplementationOnce((provider, model, prompt, options) => {
+                firstSignal = options.signal;
+                return new Promise(() => { });
+            })
+            .mockResolvedValueOnce({ text: 'from deepseek' });
+
+        const result = await providerFailover.generateText('Hello', { timeout: 10 });
+
+        expect(result.provider).toBe('deepseek');
+        expect(result.attempts[0].error).toMatch(/timed out/);
+        expect(firstSignal.aborted).toBe(true);
+    });
+
+    test('starts with the provider configured in ApiClient', async () => {
+        window.apiClient = {
+            apiConfig: { activeProvider: 'openai' },
+            isProviderConfigured: jest.fn(provider => provider === 'openai'),
+            generateText: jest.fn().mockResolvedValue('from openai')
+        };
+
+        const result = await providerFailover.generateText('Hello', { model: 'gpt-4', priority: 'batch' });
+
+        expect(result).toMatchObject({ text: 'from openai', layer: 'apiClient', fallback: false });
+        expect(window.apiClient.generateText).toHaveBeenCalledWith('Hello', expect.objectContaining({
+            provider: undefined,
+            model: 'gpt-4',
+            priority: 'batch'
+        }));
+        expect(enhancedApiProvider.generateText).not.toHaveBeenCalled();
+    });
+
+    test('skips providers that are not configured', async () => {
+        enhancedApiProvider.getAvailableModels.mockReturnValue({ groq: { isConfigured: false }, deepseek: { isConfigured: true } });
+        enhancedApiProvider.generateText.mockResolvedValueOnce({ text: 'from deepseek' });
+
+        const result = await providerFailover.generateText('Hello');
+
+        expect(result.provider).toBe('deepseek');
+        expect(result.fallback).toBe(false);
+        expect(result.skipped.map(entry => entry.provider)).toEqual(['active', 'groq']);
+    });
+
+    test('reports when no provider is configured', async () => {
+        enhancedApiProvider.getAvailableModels.mockReturnValue({});
+
+        await expect(providerFailover.generateText('Hello', { chain: [{ layer: 'enhanced', provider: 'groq' }] }))
+            .rejects.toMatchObject({ code: 'NO_PROVIDER_AVAILABLE' });
+    });
+
+    test('does not fail over on errors without a status that are not network failures', async () => {
+        enhancedApiProvider.generateText.mockRejectedValueOnce(new Error('Invalid model'));
+
+        await expect(providerFailover.generateText('Hello')).rejects.toThrow('Invalid model');
+        expect(enhancedApiProvider.generateText).toHaveBeenCalledTimes(1);
+
+        enhancedApiProvider.generateText
+            .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+            .mockResolvedValueOnce({ text: 'from deepseek' });
+        await expect(providerFailover.generateText('Hello')).resolves.toMatchObject({ provider: 'deepseek' });
+    });
+
+    test('does not fail over on client errors', async () => {
+        enhancedApiProvider.generateText.mockRejectedValueOnce(httpError(400));
+
+        await expect(providerFailover.generateText('Hello')).rejects.toThrow('API error: 400');
+        expect(enhancedApiProvider.generateText).toHaveBeenCalledTimes(1);
+        expect(providerFailover.getFallbackStats().failures).toBe(1);
+    });
+
+    test('fails over when a real ApiClient runs out of retries on a rate limit', async () => {
+        window.apiClient = realApiClient;
+        realApiClient.requestQueue = [];
+        realApiClient.inFlightRequests = 0;
+        realApiClient.initializeRateLimitTracking();
+        realApiClient.apiConfig.keys.openai = 'sk-test';
+        realApiClient.retryConfig.maxRetries = 1;
+        realApiClient.retryConfig.initialDelay = 1;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        global.fetch = jest.fn(() => Promise.resolve({
+            ok: false,
+            status: 429,
+            json: () => Promise.resolve({ error: 'rate limited' })
+        }));
+        enhancedApiProvider.generateText.mockResolvedValueOnce({ text: 'from groq' });
+
+        try {
+            const result = await providerFailover.generateText('Hello');
+
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            expect(result).toMatchObject({ text: 'from groq', provider: 'groq', fallback: true });
+        } finally {
+            jest.restoreAllMocks();
+            delete global.fetch;
+        }
+    });
+
+    test('rejects chains with unknown layers', () => {
+        expect(() => providerFailover.setChain([{ layer: 'nope', provider: 'x' }])).toThrow(/Unknown provider layer/);
+    });
+});
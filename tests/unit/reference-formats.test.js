@@ -0,0 +1,79 @@
+/**
+ * Tests for BibTeX, RIS and CSL-JSON conversion
+ */
+
+const {
+    detectReferenceFormat,
+    parseBibTeX,
+    toBibTeX,
+    parseRIS,
+    toRIS,
+    parseCslJson,
+    generateCitationKey,
+    formatYearSuffix
+} = require('../../src/automation/reference-formats');
+
+const BIBTEX = `@string{acm = "ACM"}
+@article{smith2020,
+  author = {Smith, John and van der Berg, Anna},
+  title = {On {B}ibTeX Parsing},
+  journal = acm # " Journal",
+  year = 2020, month = mar,
+  volume = {12}, number = {3}, pages = {10--20},
+  doi = {10.1000/xyz}
+}
+@book{jones2019, author={Jones, Bob}, title="A Book", publisher={Pub}, year={2019}}`;
+
+describe('reference formats', () => {
+    test('parses BibTeX into CSL-JSON items', () => {
+        const [article, book] = parseBibTeX(BIBTEX);
+
+        expect(article).toMatchObject({
+            id: 'smith2020',
+            type: 'article-journal',
+            title: 'On BibTeX Parsing',
+            'container-title': 'ACM Journal',
+            volume: '12',
+            issue: '3',
+            page: '10-20',
+            DOI: '10.1000/xyz',
+            issued: { 'date-parts': [[2020, 3]] }
+        });
+        expect(article.author).toEqual([
+            { family: 'Smith', given: 'John' },
+            expect.objectContaining({ family: expect.stringContaining('Berg'), given: 'Anna' })
+        ]);
+        expect(book).toMatchObject({ id: 'jones2019', type: 'book', publisher: 'Pub' });
+    });
+
+    test('round-trips through BibTeX and RIS', () => {
+        const items = parseBibTeX(BIBTEX);
+
+        const fromBibTeX = parseBibTeX(toBibTeX(items));
+        const fromRIS = parseRIS(toRIS(items));
+
+        [fromBibTeX, fromRIS].forEach(result => {
+            expect(result.map(item => item.title)).toEqual(['On BibTeX Parsing', 'A Book']);
+            expect(result[0].page).toBe('10-20');
+            expect(result[0].author[0]).toEqual({ family: 'Smith', given: 'John' });
+        });
+    });
+
+    test('detects the format of pasted data', () => {
+        const items = parseBibTeX(BIBTEX);
+
+        expect(detectReferenceFormat(BIBTEX)).toBe('bibtex');
+        expect(detectReferenceFormat(toRIS(items))).toBe('ris');
+        expect(detectReferenceFormat(JSON.stringify(items))).toBe('csl-json');
+        expect(parseCslJson(JSON.stringify(items))).toHaveLength(2);
+    });
+
+    test('adds a year suffix when a generated key is taken', () => {
+        const item = { type: 'book', author: [{ family: 'Smith' }], issued: { 'date-parts': [[2020]] } };
+
+        expect(generateCitationKey(item)).toBe('smith2020');
+        expect(generateCitationKey(item, new Set(['smith2020']))).toBe('smith2020a');
+        expect(generateCitationKey(item, new Set(['smith2020', 'smith2020a']))).toBe('smith2020b');
+        expect([0, 25, 26, 27, 701, 702].map(formatYearSuffix)).toEqual(['a', 'z', 'aa', 'ab', 'zz', 'aaa']);
+    });
+});
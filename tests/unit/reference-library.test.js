@@ -0,0 +1,56 @@
+/**
+ * Tests for saving references to the library
+ */
+
+// An object store kept in a Map; transactions run synchronously
+const mockRecords = new Map();
+
+jest.mock('../../src/utils/indexedDb.js', () => ({
+    openDatabase: () => Promise.resolve({}),
+    runTransaction: (db, storeName, mode, work) => Promise.resolve(work({
+        getAllKeys: () => [...mockRecords.keys()],
+        put: record => mockRecords.set(record.id, record)
+    }))
+}));
+
+const referenceLibrary = require('../../src/automation/reference-library').default;
+
+const smith = (title, id) => ({
+    ...(id ? { id } : {}),
+    type: 'book',
+    title,
+    author: [{ family: 'Smith', given: 'Ann' }],
+    issued: { 'date-parts': [[2020]] }
+});
+
+describe('ReferenceLibrary.saveReferences', () => {
+    beforeEach(() => {
+        mockRecords.clear();
+    });
+
+    test('gives works by the same author and year their own keys', async () => {
+        await referenceLibrary.saveReferences([smith('First')]);
+        const { ids } = await referenceLibrary.saveReferences([smith('Second'), smith('Third')]);
+
+        expect(ids).toEqual(['smith2020a', 'smith2020b']);
+        expect([...mockRecords.values()].map(record => record.item.title)).toEqual(['First', 'Second', 'Third']);
+    });
+
+    test('replaces a reference only when the imported id matches', async () => {
+        await referenceLibrary.saveReferences([smith('Draft', 'smith2020')]);
+
+        await referenceLibrary.saveReferences([smith('Unrelated'), smith('Final', 'smith2020')]);
+
+        expect(mockRecords.get('smith2020').item.title).toBe('Final');
+        expect(mockRecords.get('smith2020a').item.title).toBe('Unrelated');
+    });
+
+    test('skips matching ids when overwriting is off', async () => {
+        await referenceLibrary.saveReferences([smith('Draft', 'smith2020')]);
+
+        const result = await referenceLibrary.saveReferences([smith('Final', 'smith2020')], { overwrite: false });
+
+        expect(result).toEqual({ added: 0, skipped: 1, ids: [] });
+        expect(mockRecords.get('smith2020').item.title).toBe('Draft');
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for ApiClient's priority request queue
+ */
+
+require('../../src/api-client.js');
+
+const apiClient = window.apiClient;
+
+function jsonResponse(status, body) {
+    return Promise.resolve({
+        ok: status < 400,
+        status,
+        json: () => Promise.resolve(body)
+    });
+}
+
+describe('ApiClient request queue', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        sessionStorage.clear();
+        apiClient.requestQueue = [];
+        apiClient.inFlightRequests = 0;
+        apiClient.initializeRateLimitTracking();
+        apiClient.retryConfig.initialDelay = 50;
+        apiClient.apiConfig.keys.openai = 'sk-test';
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete global.fetch;
+    });
+
+    test('an interactive request is not held up by a batch request backing off', async () => {
+        const sent = [];
+        global.fetch = jest.fn((url, init) => {
+            const { tag } = JSON.parse(init.body);
+            sent.push(tag);
+            if (tag === 'batch' && sent.filter(item => item === 'batch').length === 1) {
+                return jsonResponse(503, { error: 'busy' });
+            }
+            return jsonResponse(200, { tag });
+        });
+
+        // Keep the direct path out of the way so both go through the queue
+        apiClient.requestQueue.push({ provider: 'openai', inFlight: true, priority: 9, sequence: -1 });
+
+        const batch = apiClient.makeApiRequest('openai', '/chat', { tag: 'batch' }, 10, { priority: 'batch', persist: false });
+        await new Promise(resolve => setTimeout(resolve, 10));
+        const interactive = apiClient.makeApiRequest('openai', '/chat', { tag: 'interactive' }, 10);
+
+        await expect(interactive).resolves.toEqual({ tag: 'interactive' });
+        expect(sent).toEqual(['batch', 'interactive']);
+
+        await expect(batch).resolves.toEqual({ tag: 'batch' });
+        expect(sent).toEqual(['batch', 'interactive', 'batch']);
+    });
+
+    test('concurrent direct requests count against the rate limit before they return', async () => {
+        let release;
+        global.fetch = jest.fn(() => new Promise(resolve => { release = resolve; }));
+        apiClient.apiProviders.openai.rateLimits = { requestsPerMinute: 1, tokensPerMinute: 100000 };
+        apiClient.initializeRateLimitTracking();
+
+        const first = apiClient.makeApiRequest('openai', '/chat', { n: 1 }, 10);
+        apiClient.makeApiRequest('openai', '/chat', { n: 2 }, 10, { persist: false }).catch(() => {});
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(apiClient.getQueueStatus().total).toBe(1);
+
+        release({ ok: true, status: 200, json: () => Promise.resolve({}) });
+        await first;
+        apiClient.cancelQueuedRequests();
+    });
+
+    test('keeps persisted requests in session storage only', async () => {
+        global.fetch = jest.fn(() => new Promise(() => {}));
+        apiClient.apiProviders.openai.rateLimits = { requestsPerMinute: 0, tokensPerMinute: 100000 };
+        apiClient.initializeRateLimitTracking();
+        localStorage.setItem('wordGptPlusRequestQueue', '[{"params":{"prompt":"old document text"}}]');
+
+        const request = apiClient.makeApiRequest('openai', '/chat', { prompt: 'confidential' }, 10, { priority: 'batch' });
+        request.catch(() => {});
+
+        expect(JSON.parse(sessionStorage.getItem('wordGptPlusRequestQueue'))[0].params.prompt).toBe('confidential');
+
+        apiClient.restorePersistedQueue();
+        expect(localStorage.getItem('wordGptPlusRequestQueue')).toBeNull();
+
+        apiClient.cancelQueuedRequests();
+        expect(sessionStorage.getItem('wordGptPlusRequestQueue')).toBeNull();
+    });
+
+    test('sends restored requests only when a handler will receive the result', async () => {
+        global.fetch = jest.fn((url, init) => jsonResponse(200, { echo: JSON.parse(init.body).prompt }));
+        apiClient.apiProviders.openai.rateLimits = { requestsPerMinute: 100, tokensPerMinute: 100000 };
+        apiClient.initializeRateLimitTracking();
+
+        const handler = jest.fn();
+        apiClient.onRestoredRequest('batch-processor', handler);
+        const saved = source => ({
+            id: `q_${source}`, provider: 'openai', endpoint: '/chat', params: { prompt: source },
+            estimatedTokens: 10, priority: 3, source, enqueuedAt: Date.now()
+        });
+        sessionStorage.setItem('wordGptPlusRequestQueue', JSON.stringify([
+            saved('batch-processor'),
+            saved('scheduled-task:nightly')
+        ]));
+
+        apiClient.restorePersistedQueue();
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(handler).toHaveBeenCalledWith(expect.objectContaining({
+            id: 'q_batch-processor',
+            result: { echo: 'batch-processor' },
+            error: null
+        }));
+        expect(apiClient.getQueueStatus().total).toBe(0);
+        expect(sessionStorage.getItem('wordGptPlusRequestQueue')).toBeNull();
+        delete apiClient.restoredRequestHandlers['batch-processor'];
+    });
+});
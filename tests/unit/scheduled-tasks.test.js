@@ -0,0 +1,278 @@
+/**
+ * Tests for user tasks and their sandbox
+ */
+
+const vm = require('vm');
+
+require('../../automation/scheduled-tasks.js');
+
+const manager = window.scheduledTaskManager;
+
+// Runs the real worker source in its own realm, standing in for the iframe and worker
+function vmSandbox() {
+    const listeners = [];
+    const worker = {
+        fetch: () => Promise.resolve('network'),
+        importScripts: () => 'loaded',
+        postMessage: message => setTimeout(() => sandbox.onmessage && sandbox.onmessage(JSON.parse(JSON.stringify(message))), 0),
+        addEventListener: (type, listener) => listeners.push(listener)
+    };
+    worker.self = worker;
+    vm.createContext(worker);
+    vm.runInContext(manager.buildSandboxSource(), worker);
+
+    const sandbox = {
+        onmessage: null,
+        onerror: null,
+        destroyed: false,
+        post: message => setTimeout(() => listeners.forEach(listener => listener({ data: message })), 0),
+        destroy: () => { sandbox.destroyed = true; }
+    };
+    return sandbox;
+}
+
+function createTask(handlerCode, config = {}) {
+    return manager.createUserTask({ name: 'Test task', interval: 60000, handlerCode, ...config });
+}
+
+describe('ScheduledTaskManager user tasks', () => {
+    let sandboxes;
+
+    beforeEach(() => {
+        localStorage.clear();
+        sandboxes = [];
+        jest.spyOn(manager, 'createSandbox').mockImplementation(() => {
+            const sandbox = vmSandbox();
+            sandboxes.push(sandbox);
+            return sandbox;
+        });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete global.Word;
+    });
+
+    test('runs the handler and returns its result', async () => {
+        const taskId = createTask('async function (task) { return { id: task.taskId, sum: 1 + 2 }; }');
+
+        await expect(manager.runSandboxedTask(taskId)).resolves.toEqual({ id: taskId, sum: 3 });
+        expect(sandboxes[0].destroyed).toBe(true);
+    });
+
+    test('removes network and script-loading APIs before the handler runs', async () => {
+        const taskId = createTask('function () { return [typeof fetch, typeof importScripts]; }');
+
+        await expect(manager.runSandboxedTask(taskId)).resolves.toEqual(['undefined', 'undefined']);
+    });
+
+    test('compiles the handler apart from the sandbox bridge', async () => {
+        const escape = createTask('function () {}, post({ type: "done", result: "escaped" }), function () {}');
+        await expect(manager.runSandboxedTask(escape)).rejects.toThrow('post is not defined');
+
+        const broken = createTask('function (task) { return');
+        await expect(manager.runSandboxedTask(broken)).rejects.toThrow(/Task "Test task" failed: .*Unexpected/);
+
+        const notAFunction = createTask('42');
+        await expect(manager.runSandboxedTask(notAFunction)).rejects.toThrow('must evaluate to a function');
+    });
+
+    test('serves only the capabilities the task declared', async () => {
+        global.Word = {
+            run: batch => batch({
+                document: { body: { text: 'Document text', load: () => {} } },
+                sync: () => Promise.resolve()
+            })
+        };
+
+        const reader = createTask('async function (task) { return task.getDocumentText(); }', { permissions: ['document:read'] });
+        await expect(manager.runSandboxedTask(reader)).resolves.toBe('Document text');
+
+        const writer = createTask('async function (task) { return task.getDocumentText(); }', { permissions: ['report:write'] });
+        await expect(manager.runSandboxedTask(writer)).rejects.toThrow('does not have the "document:read" permission');
+    });
+
+    test('stops a task that runs past its time limit', async () => {
+        const taskId = createTask('function () { return new Promise(() => {}); }', { limits: { timeoutMs: 20 } });
+
+        await expect(manager.runSandboxedTask(taskId)).rejects.toThrow('exceeded its 20ms time limit');
+        expect(sandboxes[0].destroyed).toBe(true);
+    });
+
+    test('stops a task that sends more data than its memory limit', async () => {
+        const taskId = createTask(
+            'function (task) { const line = "x".repeat(1024 * 1024); for (let i = 0; i < 4; i++) task.log(line); return new Promise(() => {}); }',
+            { limits: { memoryMb: 1 } }
+        );
+
+        await expect(manager.runSandboxedTask(taskId)).rejects.toThrow('exceeded its 1MB memory limit');
+    });
+});
+
+describe('ScheduledTaskManager sandbox', () => {
+    test('the sandbox document allows no network access', () => {
+        const html = manager.buildSandboxDocument();
+        const policy = html.match(/content="([^"]+)"/)[1];
+
+        expect(policy).toContain("default-src 'none'");
+        expect(policy).toContain("connect-src 'none'");
+        expect(policy).not.toMatch(/https?:|\*|data:/);
+    });
+
+    test('runs the worker in an iframe without same-origin access', () => {
+        global.Worker = function () {};
+        try {
+            const sandbox = manager.createSandbox();
+            const iframe = document.querySelector('iframe');
+
+            expect(iframe.getAttribute('sandbox')).toBe('allow-scripts');
+            sandbox.destroy();
+            expect(document.querySelector('iframe')).toBeNull();
+        } finally {
+            delete global.Worker;
+        }
+    });
+
+    test('refuses to run without Web Worker support', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const taskId = createTask('function () {}');
+
+        await expect(manager.runSandboxedTask(taskId)).rejects.toThrow('require Web Worker support');
+        jest.restoreAllMocks();
+    });
+});
+
+describe('CronSchedule', () => {
+    const next = (cron, timeZone, after) => {
+        const time = manager.getCronSchedule({ cron, timeZone }).next(Date.parse(after));
+        return time === null ? null : new Date(time).toISOString();
+    };
+
+    test('parses lists, ranges, steps and names', () => {
+        const schedule = manager.getCronSchedule({ cron: '*/20 8-9,17 * jan-mar MON-FRI', timeZone: 'UTC' });
+
+        expect([...schedule.minutes]).toEqual([0, 20, 40]);
+        expect([...schedule.hours]).toEqual([8, 9, 17]);
+        expect([...schedule.months]).toEqual([1, 2, 3]);
+        expect([...schedule.weekdays]).toEqual([1, 2, 3, 4, 5]);
+        expect(manager.getCronSchedule({ cron: '@weekdays', timeZone: 'UTC' }).weekdays.has(6)).toBe(false);
+    });
+
+    test('rejects malformed expressions and unknown time zones', () => {
+        expect(() => manager.getCronSchedule({ cron: '61 * * * *' })).toThrow('Invalid value "61"');
+        expect(() => manager.getCronSchedule({ cron: '0 8 * *' })).toThrow('five fields');
+        expect(() => manager.getCronSchedule({ cron: '*/0 * * * *' })).toThrow('Invalid step');
+        expect(() => manager.getCronSchedule({ cron: '0 9-5 * * *' })).toThrow('Invalid range');
+        expect(() => manager.getCronSchedule({ cron: '0 8 * * *', timeZone: 'Mars/Olympus' })).toThrow('Unknown time zone');
+    });
+
+    test('finds the next weekday run in the schedule time zone', () => {
+        // Friday afternoon in New York, so the next run is Monday at 08:00 EDT
+        expect(next('0 8 * * MON-FRI', 'America/New_York', '2026-10-16T18:00:00Z')).toBe('2026-10-19T12:00:00.000Z');
+        expect(next('0 9 * * *', 'Asia/Kolkata', '2026-10-19T00:00:00Z')).toBe('2026-10-19T03:30:00.000Z');
+    });
+
+    test('skips times lost when clocks go forward and fires repeated times once', () => {
+        // 02:30 does not exist on 8 March 2026 in New York
+        expect(next('30 2 * * *', 'America/New_York', '2026-03-07T12:00:00Z')).toBe('2026-03-09T06:30:00.000Z');
+
+        // 01:30 happens twice on 1 November 2026; only the first one fires
+        expect(next('30 1 * * *', 'America/New_York', '2026-10-31T12:00:00Z')).toBe('2026-11-01T05:30:00.000Z');
+        expect(next('30 1 * * *', 'America/New_York', '2026-11-01T05:30:00Z')).toBe('2026-11-02T06:30:00.000Z');
+    });
+
+    test('waits for the next leap day', () => {
+        expect(next('0 0 29 2 *', 'UTC', '2026-01-01T00:00:00Z')).toBe('2028-02-29T00:00:00.000Z');
+    });
+
+    test('matches either day field when both are restricted', () => {
+        // The 13th of any month or any Friday; 1 November 2026 is a Sunday
+        expect(next('0 0 13 * 5', 'UTC', '2026-11-01T00:00:00Z')).toBe('2026-11-06T00:00:00.000Z');
+        expect(next('0 0 13 * 5', 'UTC', '2026-11-06T00:00:00Z')).toBe('2026-11-13T00:00:00.000Z');
+    });
+
+    test('returns null for dates that never come', () => {
+        expect(next('0 0 31 2 *', 'UTC', '2026-01-01T00:00:00Z')).toBeNull();
+    });
+});
+
+describe('ScheduledTaskManager scheduling', () => {
+    const HOUR = 60 * 60 * 1000;
+    let scheduler;
+    let now;
+
+    beforeEach(() => {
+        localStorage.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        now = Date.parse('2026-10-19T12:00:00Z');
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+        scheduler = new manager.constructor();
+        scheduler.tasks = {};
+        scheduler.runTask = jest.fn(() => new Promise(() => {}));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('countDueRuns follows the catch-up policy', () => {
+        const dueAt = now - 10 * HOUR;
+        const task = catchUp => ({ interval: HOUR, schedule: catchUp ? { catchUp } : undefined });
+
+        expect(scheduler.countDueRuns(task('skip'), now - 60 * 1000, now)).toBe(1);
+        expect(scheduler.countDueRuns(task('skip'), dueAt, now)).toBe(0);
+        expect(scheduler.countDueRuns(task(), dueAt, now)).toBe(1);
+        expect(scheduler.countDueRuns(task('all'), dueAt, now)).toBe(scheduler.maxCatchUpRuns);
+        expect(scheduler.countDueRuns(task('all'), now - 2.5 * HOUR, now)).toBe(3);
+
+        const cronTask = { schedule: { cron: '0 * * * *', timeZone: 'UTC', catchUp: 'all' } };
+        expect(scheduler.countDueRuns(cronTask, now - 2 * HOUR, now + 30 * 60 * 1000)).toBe(3);
+    });
+
+    test('checkDueTasks runs new interval tasks now and cron tasks at their next time', () => {
+        scheduler.tasks = {
+            interval: { name: 'Interval', enabled: true, interval: HOUR },
+            cron: { name: 'Cron', enabled: true, schedule: { cron: '0 13 * * *', timeZone: 'UTC' } },
+            disabled: { name: 'Disabled', enabled: false, interval: HOUR }
+        };
+
+        scheduler.checkDueTasks();
+
+        expect(scheduler.runTask.mock.calls).toEqual([['interval']]);
+        expect(scheduler.tasks.interval.nextRun).toBe('2026-10-19T13:00:00.000Z');
+        expect(scheduler.tasks.cron.nextRun).toBe('2026-10-19T13:00:00.000Z');
+        expect(scheduler.tasks.disabled.nextRun).toBeUndefined();
+    });
+
+    test('checkDueTasks starts due tasks by priority within maxConcurrent', () => {
+        const due = new Date(now - 60 * 1000).toISOString();
+        scheduler.maxConcurrent = 1;
+        scheduler.tasks = {
+            low: { name: 'Low', enabled: true, interval: HOUR, priority: 0, nextRun: due },
+            high: { name: 'High', enabled: true, interval: HOUR, priority: 3, nextRun: due }
+        };
+
+        scheduler.checkDueTasks();
+
+        expect(scheduler.runTask.mock.calls).toEqual([['high']]);
+        expect(scheduler.isTaskPending('low')).toBe(true);
+    });
+
+    test('checkDueTasks drops runs missed under the skip policy', () => {
+        scheduler.tasks = {
+            missed: {
+                name: 'Missed',
+                enabled: true,
+                schedule: { cron: '0 8 * * *', timeZone: 'UTC', catchUp: 'skip' },
+                nextRun: '2026-10-17T08:00:00.000Z'
+            }
+        };
+
+        scheduler.checkDueTasks();
+
+        expect(scheduler.runTask).not.toHaveBeenCalled();
+        expect(scheduler.tasks.missed.nextRun).toBe('2026-10-20T08:00:00.000Z');
+    });
+});
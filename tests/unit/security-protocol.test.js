@@ -0,0 +1,208 @@
+/**
+ * Tests for encrypting stored secrets, migrating the XOR format and rotating keys
+ */
+
+// jsdom has no WebCrypto or TextEncoder; use Node's implementations
+Object.defineProperty(window, 'crypto', { value: require('crypto').webcrypto, configurable: true });
+Object.assign(global, { TextEncoder: require('util').TextEncoder, TextDecoder: require('util').TextDecoder });
+
+// The keyring database, kept in a Map; transactions run synchronously
+const mockKeyring = new Map();
+const mockOpenDatabase = jest.fn(() => Promise.resolve({}));
+
+jest.mock('../../src/utils/indexedDb.js', () => ({
+    openDatabase: (...args) => mockOpenDatabase(...args),
+    runTransaction: (db, storeName, mode, work) => Promise.resolve(work({
+        get: id => mockKeyring.get(id),
+        put: record => mockKeyring.set(record.id, record)
+    }))
+}));
+
+// A fresh instance, as on page load
+function loadSecurityProtocol() {
+    let securityProtocol;
+    jest.isolateModules(() => {
+        securityProtocol = require('../../src/security/security-protocol').default;
+    });
+    return securityProtocol;
+}
+
+// What the XOR format stored for an API key
+function legacyXor(value) {
+    const key = 'local_key_placeholder_1700000000000';
+    const text = JSON.stringify(value);
+    let result = '';
+    for (let i = 0; i < text.length; i++) {
+        result += String.fromCharCode(text.charCodeAt(i) ^ key.charCodeAt(i % key.length));
+    }
+    return btoa(result);
+}
+
+function storedKeys() {
+    return JSON.parse(localStorage.getItem('wordGptPlusApiConfig')).keys;
+}
+
+// What the previous keyring stored in localStorage, and a value encrypted under it
+async function legacyKeyring(keyId, value) {
+    const { subtle } = window.crypto;
+    const secret = window.crypto.getRandomValues(new Uint8Array(32));
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const material = await subtle.importKey('raw', secret, 'PBKDF2', false, ['deriveKey']);
+    const key = await subtle.deriveKey({ name: 'PBKDF2', salt, iterations: 1000, hash: 'SHA-256' },
+        material, { name: 'AES-GCM', length: 256 }, false, ['encrypt']);
+
+    const header = `wgp:2:${keyId}`;
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const encrypted = new Uint8Array(await subtle.encrypt({ name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(header) },
+        key, new TextEncoder().encode(JSON.stringify(value))));
+
+    return {
+        keyring: {
+            activeKeyId: keyId,
+            keys: {
+                [keyId]: {
+                    secret: Buffer.from(secret).toString('base64'),
+                    salt: Buffer.from(salt).toString('base64'),
+                    iterations: 1000,
+                    createdAt: new Date().toISOString()
+                }
+            }
+        },
+        ciphertext: `${header}:${Buffer.concat([iv, encrypted]).toString('base64')}`
+    };
+}
+
+describe('security protocol encryption', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        mockKeyring.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('encrypts with AES-GCM behind a versioned header', async () => {
+        const securityProtocol = loadSecurityProtocol();
+        await securityProtocol.ready;
+
+        const first = await securityProtocol.encrypt('sk-secret', 'local');
+        const second = await securityProtocol.encrypt('sk-secret', 'local');
+        const keyId = mockKeyring.get('local').activeKeyId;
+
+        expect(first).toMatch(new RegExp(`^wgp:2:${keyId}:`));
+        expect(first).not.toContain('sk-secret');
+        expect(first).not.toBe(second);
+        expect(await securityProtocol.decrypt(first, 'local')).toBe('sk-secret');
+
+        // Ciphertext only opens with the key its header names
+        const session = await securityProtocol.encrypt({ token: 'abc' });
+        expect(await securityProtocol.decrypt(session)).toEqual({ token: 'abc' });
+        expect(await securityProtocol.decrypt(session.replace(/^wgp:2:\w+:/, `wgp:2:${keyId}:`))).toBeNull();
+
+        // The local key survives a reload, and can't be read out of the keyring
+        const reloaded = loadSecurityProtocol();
+        expect(await reloaded.decrypt(first, 'local')).toBe('sk-secret');
+        const storedKey = mockKeyring.get('local').keys[keyId].key;
+        expect(storedKey.extractable).toBe(false);
+        expect(localStorage.getItem('wordGptPlusKeyring')).toBeNull();
+    });
+
+    test('moves keys from the previous localStorage keyring and drops their secrets', async () => {
+        const { keyring, ciphertext } = await legacyKeyring('klegacy', 'sk-kept');
+        localStorage.setItem('wordGptPlusKeyring', JSON.stringify(keyring));
+        localStorage.setItem('wordGptPlusApiConfig', JSON.stringify({ keys: { openai: ciphertext } }));
+
+        const securityProtocol = loadSecurityProtocol();
+        await securityProtocol.ready;
+
+        expect(localStorage.getItem('wordGptPlusKeyring')).toBeNull();
+        expect(securityProtocol.encryptionKeys.local).toBe('klegacy');
+        expect(mockKeyring.get('local').keys.klegacy).not.toHaveProperty('secret');
+        expect(await securityProtocol.decrypt(storedKeys().openai, 'local')).toBe('sk-kept');
+        expect(await loadSecurityProtocol().decrypt(ciphertext, 'local')).toBe('sk-kept');
+    });
+
+    test('migrates values stored in older formats on first load', async () => {
+        localStorage.setItem('wordGptPlusApiConfig', JSON.stringify({
+            activeProvider: 'openai',
+            keys: {
+                openai: JSON.stringify('sk-from-json'),
+                groq: 'gsk_stored_bare',
+                azure: '0123456789abcdef0123456789abcdef',
+                anthropic: legacyXor('sk-ant-lost')
+            },
+            customEndpoints: {}
+        }));
+
+        const securityProtocol = loadSecurityProtocol();
+        await securityProtocol.ready;
+
+        expect(securityProtocol.migrationReport).toEqual({
+            migrated: 3,
+            unrecoverable: ['wordGptPlusApiConfig.keys.anthropic']
+        });
+
+        const keys = storedKeys();
+        expect(Object.keys(keys)).toEqual(['openai', 'groq', 'azure']);
+        Object.values(keys).forEach(value => expect(value).toMatch(/^wgp:2:/));
+        expect(await securityProtocol.decrypt(keys.openai, 'local')).toBe('sk-from-json');
+        expect(await securityProtocol.decrypt(keys.groq, 'local')).toBe('gsk_stored_bare');
+        expect(await securityProtocol.decrypt(keys.azure, 'local')).toBe('0123456789abcdef0123456789abcdef');
+    });
+
+    test('rotates the local key and re-encrypts stored configs', async () => {
+        const securityProtocol = loadSecurityProtocol();
+        await securityProtocol.ready;
+
+        const previousKeyId = securityProtocol.encryptionKeys.local;
+        localStorage.setItem('wordGptPlusApiConfig', JSON.stringify({
+            keys: { openai: await securityProtocol.encrypt('sk-rotate-me', 'local') }
+        }));
+
+        const { keyId, reencrypted } = await securityProtocol.rotateKeys();
+
+        expect(keyId).not.toBe(previousKeyId);
+        expect(reencrypted).toBe(1);
+        expect(storedKeys().openai).toMatch(new RegExp(`^wgp:2:${keyId}:`));
+        expect(Object.keys(mockKeyring.get('local').keys)).toEqual([keyId]);
+        expect(await loadSecurityProtocol().decrypt(storedKeys().openai, 'local')).toBe('sk-rotate-me');
+    });
+
+    test('never writes local secrets in the clear when the keyring can not be opened', async () => {
+        const securityProtocol = loadSecurityProtocol();
+        await securityProtocol.ready;
+        const ciphertext = await securityProtocol.encrypt('sk-kept', 'local');
+        localStorage.setItem('wordGptPlusApiConfig', JSON.stringify({
+            activeProvider: 'openai',
+            keys: { openai: ciphertext },
+            customEndpoints: {}
+        }));
+
+        mockOpenDatabase.mockImplementationOnce(() => Promise.reject(new Error('IndexedDB blocked')));
+        const unavailable = loadSecurityProtocol();
+        await unavailable.ready;
+
+        expect(unavailable.keysAvailable).toBe(false);
+        await expect(unavailable.encrypt('sk-new', 'local')).rejects.toThrow('Encryption key not available');
+
+        let apiClient;
+        jest.isolateModules(() => {
+            require('../../src/api-client.js');
+            apiClient = window.apiClient;
+        });
+        await apiClient.setSecurityProtocol(unavailable);
+
+        expect(apiClient.apiConfig.keys.openai).toBeUndefined();
+        expect(() => apiClient.setApiKey('openai', 'sk-new')).toThrow('until encryption is available');
+
+        apiClient.apiConfig.activeProvider = 'localServer';
+        await apiClient.saveApiConfig();
+
+        expect(storedKeys()).toEqual({ openai: ciphertext });
+        expect(await loadSecurityProtocol().decrypt(storedKeys().openai, 'local')).toBe('sk-kept');
+    });
+});
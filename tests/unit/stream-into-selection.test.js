@@ -0,0 +1,102 @@
+/**
+ * Tests for streaming generated text into the Word selection
+ */
+
+const { streamTextIntoSelection } = require('../../src/services/office/wordDocumentService');
+
+// A document body as a string, with ranges as offsets into it
+function mockWord(initialText, selection) {
+    const doc = { text: initialText, insertText: jest.fn() };
+
+    const makeRange = (start, end) => {
+        const range = {
+            start,
+            end,
+            track: jest.fn(),
+            untrack: jest.fn(),
+            insertText: (text, location) => {
+                doc.insertText(text, location);
+                if (doc.failNext) {
+                    doc.failNext = false;
+                    throw new Error('InvalidArgument');
+                }
+
+                const at = location === 'Replace' ? range.start : range.end;
+                const removed = location === 'Replace' ? range.end - range.start : 0;
+                doc.text = doc.text.slice(0, at) + text + doc.text.slice(at + removed);
+                return makeRange(at, at + text.length);
+            }
+        };
+        return range;
+    };
+
+    // Word leaves the selection where it was, before anything appended
+    const selectionRange = makeRange(selection[0], selection[1]);
+    const context = {
+        document: { getSelection: () => selectionRange },
+        sync: () => Promise.resolve()
+    };
+
+    global.Word = {
+        InsertLocation: { replace: 'Replace', after: 'After', end: 'End' },
+        run: (objectOrBatch, batch) => Promise.resolve().then(() => (batch || objectOrBatch)(context))
+    };
+    return doc;
+}
+
+// Emits tokens with a pause between them so several batches are written
+function tokenStream(tokens, { failWith } = {}) {
+    return async (onToken) => {
+        for (const token of tokens) {
+            onToken(token);
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        if (failWith) {
+            throw failWith;
+        }
+    };
+}
+
+describe('streamTextIntoSelection', () => {
+    afterEach(() => {
+        delete global.Word;
+    });
+
+    test('replaces the selection and appends later batches in order', async () => {
+        const doc = mockWord('Before [old] after', [7, 12]);
+
+        const { done } = streamTextIntoSelection(tokenStream(['One ', 'two ', 'three ', 'four']), { flushInterval: 0 });
+
+        await expect(done).resolves.toBe('One two three four');
+        expect(doc.text).toBe('Before One two three four after');
+        expect(doc.insertText.mock.calls.length).toBeGreaterThan(1);
+        expect(doc.insertText.mock.calls[0][1]).toBe('Replace');
+    });
+
+    test('stops generation and rejects with the write error', async () => {
+        const doc = mockWord('', [0, 0]);
+        doc.failNext = true;
+        let signal;
+
+        const { done } = streamTextIntoSelection(async (onToken, abortSignal) => {
+            signal = abortSignal;
+            await tokenStream(['a', 'b', 'c'])(onToken);
+        }, { flushInterval: 0 });
+
+        await expect(done).rejects.toThrow('InvalidArgument');
+        expect(signal.aborted).toBe(true);
+        expect(doc.text).toBe('');
+    });
+
+    test('reports a generation error rather than a later write error', async () => {
+        const doc = mockWord('', [0, 0]);
+
+        const { done } = streamTextIntoSelection(async (onToken) => {
+            onToken('partial');
+            doc.failNext = true;
+            throw new Error('Stream closed');
+        }, { flushInterval: 1000 });
+
+        await expect(done).rejects.toThrow('Stream closed');
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for hierarchical (map-reduce) summarization
+ */
+
+jest.mock('../../src/services/api/textGeneration', () => ({
+    createCompletion: jest.fn()
+}));
+
+jest.mock('../../src/services/settings/settingsManager', () => ({
+    getSetting: (key, defaultValue) => defaultValue
+}));
+
+jest.mock('../../src/utils/localModels', () => ({
+    LOCAL_MODELS: { LLAMA3_8B: 'llama3', MISTRAL: 'mistral' },
+    generateWithLocalModel: jest.fn()
+}));
+
+const { createCompletion } = require('../../src/services/api/textGeneration');
+const { generateWithLocalModel } = require('../../src/utils/localModels');
+const { summarizeDocument } = require('../../src/services/api/summarization');
+
+function buildParagraphs(sections, paragraphsPerSection) {
+    const paragraphs = [];
+    for (let s = 1; s <= sections; s++) {
+        paragraphs.push({ text: `Section ${s}`, isHeading: true });
+        for (let p = 0; p < paragraphsPerSection; p++) {
+            paragraphs.push({ text: `Paragraph ${p} of section ${s} discusses the contract terms in some detail.` });
+        }
+    }
+    return paragraphs;
+}
+
+describe('summarizeDocument', () => {
+    beforeEach(() => {
+        createCompletion.mockReset();
+        generateWithLocalModel.mockReset();
+        createCompletion.mockResolvedValue({ content: 'short summary' });
+        generateWithLocalModel.mockResolvedValue('local summary');
+    });
+
+    test('summarizes short text in a single call', async () => {
+        const result = await summarizeDocument('A short note.', { model: 'gpt-4' });
+
+        expect(result).toEqual({ content: 'short summary', sections: 1, levels: 0, chunked: false });
+        expect(createCompletion).toHaveBeenCalledTimes(1);
+        expect(createCompletion.mock.calls[0][1].useMemory).toBe(false);
+    });
+
+    test('maps each chunk then reduces to one summary with progress events', async () => {
+        const events = [];
+        const result = await summarizeDocument(buildParagraphs(4, 6), {
+            model: 'gpt-4',
+            chunkTokens: 120,
+            onProgress: event => events.push(event)
+        });
+
+        const mapEvents = events.filter(event => event.phase === 'map');
+        expect(result.chunked).toBe(true);
+        expect(mapEvents.length).toBe(result.sections);
+        expect(mapEvents[0].title).toBe('Section 1');
+        expect(events[events.length - 1].phase).toBe('final');
+        expect(createCompletion).toHaveBeenCalledTimes(events.length);
+        expect(result.content).toBe('short summary');
+    });
+
+    test('routes local models through Ollama', async () => {
+        const result = await summarizeDocument('A short note.', { model: 'llama3' });
+
+        expect(result.content).toBe('local summary');
+        expect(generateWithLocalModel).toHaveBeenCalledTimes(1);
+        expect(createCompletion).not.toHaveBeenCalled();
+    });
+
+    test('stops when aborted', async () => {
+        const controller = new AbortController();
+        createCompletion.mockImplementation(async () => {
+            controller.abort();
+            return { content: 'partial' };
+        });
+
+        await expect(summarizeDocument(buildParagraphs(4, 6), {
+            model: 'gpt-4',
+            chunkTokens: 120,
+            signal: controller.signal
+        })).rejects.toMatchObject({ name: 'AbortError' });
+        expect(createCompletion).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for the BPE tokenization utilities
+ * (run under node: the tokenizer needs TextDecoder, which jsdom lacks)
+ *
+ * @jest-environment node
+ */
+
+const {
+    estimateTokenCount,
+    getEncodingName,
+    isEncodingLoaded,
+    loadEncoding,
+    truncateToTokenLimit,
+    splitIntoChunks,
+    chunkParagraphs
+} = require('../../src/utils/tokenization');
+
+describe('vocabulary loading', () => {
+    test('loads a vocabulary only for the models that need it', async () => {
+        expect(isEncodingLoaded('gpt-4o')).toBe(false);
+        expect(isEncodingLoaded('gpt-3.5-turbo')).toBe(false);
+
+        // Until it arrives, counts err high rather than low
+        const japanese = '東京都は日本の首都です。';
+        expect(estimateTokenCount(japanese, 'gpt-4o')).toBe(japanese.length);
+        expect(truncateToTokenLimit('word '.repeat(200), 50, 'gpt-4o')).toHaveLength(49 * 4 + 3);
+
+        await loadEncoding('gpt-4o');
+        expect(isEncodingLoaded('gpt-4o')).toBe(true);
+        expect(isEncodingLoaded('gpt-3.5-turbo')).toBe(false);
+    });
+});
+
+describe('tokenization', () => {
+    beforeAll(() => loadEncoding('openai'));
+
+    test('counts BPE tokens rather than characters', () => {
+        expect(estimateTokenCount('hello world')).toBe(2);
+        expect(estimateTokenCount('')).toBe(0);
+    });
+
+    test('does not undercount code and non-English text', () => {
+        const code = 'const x = arr.map((a) => a[0]?.b ?? {});';
+        const japanese = '東京都は日本の首都です。';
+
+        expect(estimateTokenCount(code)).toBeGreaterThan(Math.ceil(code.length / 4));
+        expect(estimateTokenCount(japanese)).toBeGreaterThan(Math.ceil(japanese.length / 4));
+    });
+
+    test('picks the o200k vocabulary for newer OpenAI models', () => {
+        expect(getEncodingName('gpt-4o-mini')).toBe('o200k_base');
+        expect(getEncodingName('gpt-3.5-turbo')).toBe('cl100k_base');
+        expect(getEncodingName('deepseek')).toBe('cl100k_base');
+    });
+
+    test('treats special token strings as plain text', () => {
+        expect(estimateTokenCount('before <|endoftext|> after')).toBeGreaterThan(3);
+    });
+
+    test('truncates to the token limit', () => {
+        const text = 'word '.repeat(200);
+        const truncated = truncateToTokenLimit(text, 50);
+
+        expect(truncated.endsWith('...')).toBe(true);
+        expect(estimateTokenCount(truncated)).toBeLessThanOrEqual(50);
+        expect(truncateToTokenLimit('short', 50)).toBe('short');
+    });
+
+    test('keeps every chunk within the limit', () => {
+        const paragraphs = Array.from({ length: 40 }, (_, i) => `Paragraph ${i} has a few words in it. It also has a second sentence.`);
+        const chunks = splitIntoChunks(paragraphs.join('\n\n'), 60);
+
+        expect(chunks.length).toBeGreaterThan(1);
+        chunks.forEach(chunk => expect(estimateTokenCount(chunk)).toBeLessThanOrEqual(60));
+        expect(chunks.join('\n\n')).toBe(paragraphs.join('\n\n'));
+    });
+
+    describe('chunkParagraphs', () => {
+        const sentence = 'This paragraph talks about the contract terms in some detail.';
+
+        test('keeps tables whole and maps chunks back to paragraphs', () => {
+            const paragraphs = [
+                { text: sentence },
+                { text: sentence },
+                { text: 'Row 1', inTable: true },
+                { text: 'Row 2', inTable: true },
+                { text: 'Row 3', inTable: true },
+                { text: sentence }
+            ];
+
+            const chunks = chunkParagraphs(paragraphs, { maxTokens: 30 });
+            const tableChunk = chunks.find(chunk => chunk.paragraphIndices.includes(2));
+
+            expect(tableChunk.paragraphIndices).toEqual(expect.arrayContaining([2, 3, 4]));
+            expect(chunks.flatMap(chunk => chunk.paragraphIndices)).toEqual([0, 1, 2, 3, 4, 5]);
+        });
+
+        test('never ends a chunk on a heading', () => {
+            const paragraphs = [
+                { text: sentence },
+                { text: sentence },
+                { text: 'Section Two', isHeading: true },
+                { text: sentence }
+            ];
+
+            const chunks = chunkParagraphs(paragraphs, { maxTokens: 30 });
+
+            chunks.forEach(chunk => {
+                const last = chunk.paragraphIndices[chunk.paragraphIndices.length - 1];
+                expect(paragraphs[last].isHeading).toBeFalsy();
+            });
+            expect(chunks.find(chunk => chunk.paragraphIndices.includes(2)).paragraphIndices).toContain(3);
+        });
+
+        test('adds overlap as context without claiming it', () => {
+            const paragraphs = Array.from({ length: 6 }, (_, i) => ({ text: `${i}: ${sentence}` }));
+
+            const chunks = chunkParagraphs(paragraphs, { maxTokens: 60, overlapTokens: 20 });
+
+            expect(chunks.length).toBeGreaterThan(1);
+            expect(chunks[1].overlapIndices.length).toBeGreaterThan(0);
+            expect(chunks[1].text.startsWith(paragraphs[chunks[1].overlapIndices[0]].text)).toBe(true);
+            expect(chunks.flatMap(chunk => chunk.paragraphIndices)).toEqual([0, 1, 2, 3, 4, 5]);
+            chunks.forEach(chunk => expect(chunk.tokenCount).toBeLessThanOrEqual(60));
+        });
+
+        test('splits an oversized paragraph into partial chunks', () => {
+            const chunks = chunkParagraphs([{ text: sentence.repeat(10) }], { maxTokens: 40 });
+
+            expect(chunks.length).toBeGreaterThan(1);
+            chunks.forEach(chunk => {
+                expect(chunk.partial).toBe(true);
+                expect(chunk.paragraphIndices).toEqual([0]);
+            });
+        });
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for workflow template import and export
+ */
+
+const {
+    importWorkflows,
+    exportWorkflows,
+    parseWorkflowFile
+} = require('../../src/automation/workflow-io');
+
+const REVIEW_YAML = `
+schemaVersion: 1
+workflows:
+  - id: review
+    name: Document Review
+    steps:
+      - id: tone
+        name: Tone
+        handler: analyzeTone
+        output: [toneAnalysis]
+      - id: legal
+        name: Legal Review
+        handler: legalReview
+        condition: toneAnalysis.formality.score >= 60
+    settings:
+      requiredUserApproval: [legal]
+`;
+
+function createManager() {
+    const templates = {
+        documentImprovement: { name: 'Document Improvement', steps: [{ id: 'tone', name: 'Tone', handler: 'analyzeTone' }] }
+    };
+
+    return {
+        handlerRegistry: { analyzeTone: jest.fn(), legalReview: jest.fn() },
+        getWorkflowTemplates: () => templates,
+        validateWorkflowTemplate: jest.fn(),
+        createWorkflowTemplate: jest.fn(template => {
+            templates[template.id] = { ...template, custom: true };
+            return template.id;
+        })
+    };
+}
+
+describe('workflow import/export', () => {
+    test('imports YAML and exports it back as JSON', () => {
+        const manager = createManager();
+
+        expect(importWorkflows(manager, REVIEW_YAML)).toEqual({ imported: ['review'], skipped: [] });
+        expect(manager.validateWorkflowTemplate).toHaveBeenCalledWith(expect.objectContaining({ id: 'review' }));
+        expect(importWorkflows(manager, REVIEW_YAML)).toEqual({ imported: [], skipped: ['review'] });
+
+        const exported = JSON.parse(exportWorkflows(manager));
+        expect(exported.schemaVersion).toBe(1);
+        expect(exported.workflows).toHaveLength(1);
+        expect(exported.workflows[0]).toMatchObject({ id: 'review', name: 'Document Review' });
+        expect(exported.workflows[0].custom).toBeUndefined();
+
+        const builtIn = exportWorkflows(manager, { ids: ['documentImprovement'], format: 'yaml' });
+        expect(() => importWorkflows(manager, builtIn)).toThrow('would replace built-in workflows: documentImprovement');
+    });
+
+    test('reports every problem by workflow, step and handler', () => {
+        const manager = createManager();
+        manager.validateWorkflowTemplate.mockImplementation(() => {
+            throw new Error('Step legal depends on unknown step: missing');
+        });
+
+        const text = REVIEW_YAML
+            .replace('handler: legalReview', 'handler: lawyerBot')
+            .replace(/ +name: Tone\n/, '')
+            .replace('output: [toneAnalysis]', 'output: toneAnalysis');
+
+        let error;
+        try {
+            parseWorkflowFile(text, manager);
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error.errors).toEqual([
+            'Workflow "review", step "tone": missing "name"',
+            'Workflow "review", step "tone": output must be a list'
+        ]);
+
+        const schemaValid = REVIEW_YAML.replace('handler: legalReview', 'handler: lawyerBot');
+        expect(() => parseWorkflowFile(schemaValid, manager)).toThrow(
+            'Workflow "review", step "legal": handler "lawyerBot" is not registered\n' +
+            'Workflow "review": Step legal depends on unknown step: missing'
+        );
+
+        expect(() => parseWorkflowFile('{"schemaVersion": 2, "workflows": []}', manager))
+            .toThrow('schema version 2');
+    });
+
+    test('treats field names from Object.prototype as unknown', () => {
+        const manager = createManager();
+        const text = JSON.stringify({
+            schemaVersion: 1,
+            workflows: [{ id: 'review', name: 'Review', steps: [{ id: 'tone', name: 'Tone', handler: 'analyzeTone' }] }]
+        }).replace('"name":"Review"', '"name":"Review","constructor":"x","toString":1,"__proto__":{}');
+
+        let error;
+        try {
+            parseWorkflowFile(text, manager);
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error.errors).toEqual([
+            'Workflow "review": unknown field "constructor"',
+            'Workflow "review": unknown field "toString"',
+            'Workflow "review": unknown field "__proto__"'
+        ]);
+    });
+});
@@ -0,0 +1,272 @@
+/**
+ * Tests for workflow expressions and step scheduling
+ */
+
+require('../../automation/workflow-manager.js');
+
+const WorkflowManager = window.workflowManager.constructor;
+
+// Run a one-off template with the given handlers and input data
+async function runWorkflow(manager, steps, handlers, data = {}, settings = {}) {
+    Object.entries(handlers).forEach(([name, handler]) => manager.registerHandler(name, handler));
+    const templateId = manager.createWorkflowTemplate({ id: 'test', name: 'Test workflow', steps, settings });
+    const workflowId = manager.createWorkflow(templateId);
+    manager.setWorkflowData(workflowId, data);
+    return { workflowId, result: await manager.startWorkflow(workflowId) };
+}
+
+describe('WorkflowExpression', () => {
+    const manager = new WorkflowManager();
+    const evaluate = (expression, data = {}) => manager.compileExpression(expression).evaluate(data);
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    test('applies operator precedence and associativity', () => {
+        expect(evaluate('1 + 2 * 3')).toBe(7);
+        expect(evaluate('(1 + 2) * 3')).toBe(9);
+        expect(evaluate('10 - 4 - 3')).toBe(3);
+        expect(evaluate('-2 * 3 + 10 % 4')).toBe(-4);
+        expect(evaluate('1 < 2 == 2 < 3')).toBe(true);
+        expect(evaluate('false && false || true')).toBe(true);
+        expect(evaluate('!false && false')).toBe(false);
+    });
+
+    test('reads workflow data by name, member and index', () => {
+        const data = { tone: { formality: { score: 72 } }, items: ['a', 'bb'], label: 'draft' };
+
+        expect(evaluate('tone.formality.score >= 60', data)).toBe(true);
+        expect(evaluate('items[1].length', data)).toBe(2);
+        expect(evaluate('data["label"] == \'draft\'', data)).toBe(true);
+        expect(evaluate('missing.value', data)).toBeUndefined();
+    });
+
+    test('compares strictly and reaches nothing outside the data', () => {
+        expect(evaluate('1 == "1"')).toBe(false);
+        expect(evaluate('constructor')).toBeUndefined();
+        expect(evaluate('data.toString')).toBeUndefined();
+        expect(evaluate('label.constructor', { label: 'x' })).toBeUndefined();
+    });
+
+    test('rejects malformed expressions', () => {
+        expect(() => evaluate('1 +')).toThrow('Unexpected end of expression');
+        expect(() => evaluate('(1 + 2')).toThrow('Expected ")"');
+        expect(() => evaluate('a b')).toThrow('Unexpected "b"');
+        expect(() => evaluate('a; b')).toThrow('Unexpected character');
+        expect(() => evaluate('a.1')).toThrow('Expected a property name');
+    });
+});
+
+describe('WorkflowManager scheduling', () => {
+    let manager;
+
+    beforeEach(() => {
+        localStorage.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        manager = new WorkflowManager();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('skips steps whose condition is false and steps that needed their output', async () => {
+        const legalReview = jest.fn();
+        const publish = jest.fn(() => ({ published: true }));
+
+        const { result } = await runWorkflow(manager, [
+            { id: 'tone', handler: 'tone', output: ['formality'] },
+            { id: 'legal', handler: 'legal', condition: 'formality > 50', output: ['legalNotes'] },
+            { id: 'summary', handler: 'summary', dependsOn: ['legal'], requiredInput: ['legalNotes'], output: ['summary'] },
+            { id: 'publish', handler: 'publish', dependsOn: ['tone'], output: ['published'] }
+        ], {
+            tone: () => ({ formality: 20 }),
+            legal: legalReview,
+            summary: legalReview,
+            publish
+        });
+
+        expect(result.status).toBe('completed');
+        expect(legalReview).not.toHaveBeenCalled();
+        expect(publish).toHaveBeenCalled();
+        expect(result.data).toEqual({ formality: 20, published: true });
+    });
+
+    test('a step missing input from a step that ran still fails', async () => {
+        const { result } = await runWorkflow(manager, [
+            { id: 'first', handler: 'first', output: ['value'] },
+            { id: 'second', handler: 'second', requiredInput: ['value'] }
+        ], { first: () => ({}), second: jest.fn() });
+
+        expect(result.status).toBe('error');
+        expect(result.error).toMatchObject({ stepId: 'second', message: 'Missing required input: value' });
+    });
+
+    test('runs independent steps in parallel and stops when one fails', async () => {
+        const started = [];
+        let finishReadability;
+        const readability = jest.fn(() => {
+            started.push('readability');
+            return new Promise(resolve => { finishReadability = () => resolve({ readability: 60 }); });
+        });
+        const tone = jest.fn(async () => {
+            started.push('tone');
+            // Fail while readability is still running
+            expect(started).toEqual(['readability', 'tone']);
+            throw new Error('Tone service down');
+        });
+        const report = jest.fn();
+
+        const running = runWorkflow(manager, [
+            { id: 'readability', handler: 'readability', dependsOn: [], output: ['readability'] },
+            { id: 'tone', handler: 'tone', dependsOn: [], output: ['tone'] },
+            { id: 'report', handler: 'report', dependsOn: ['readability', 'tone'] }
+        ], { readability, tone, report });
+
+        const { workflowId, result } = await running;
+        finishReadability();
+        await Promise.resolve();
+
+        expect(result.status).toBe('error');
+        expect(result.error).toMatchObject({ stepId: 'tone', message: 'Tone service down' });
+        expect(report).not.toHaveBeenCalled();
+        expect(manager.getWorkflowStatus(workflowId).status).toBe('error');
+    });
+
+    test('repeats a loop until its condition holds', async () => {
+        let quality = 0;
+        const draft = jest.fn(() => ({ draft: `draft ${quality}` }));
+        const score = jest.fn(() => ({ quality: ++quality }));
+
+        const { result } = await runWorkflow(manager, [
+            { id: 'draft', handler: 'draft', output: ['draft'] },
+            { id: 'score', handler: 'score', requiredInput: ['draft'], output: ['quality'], loop: { to: 'draft', until: 'quality >= 3' } },
+            { id: 'done', handler: 'done' }
+        ], { draft, score, done: () => ({}) });
+
+        expect(result.status).toBe('completed');
+        expect(draft).toHaveBeenCalledTimes(3);
+        expect(score).toHaveBeenCalledTimes(3);
+        expect(result.data.quality).toBe(3);
+    });
+
+    test('stops a loop after maxIterations', async () => {
+        const improve = jest.fn(() => ({ quality: 1 }));
+
+        const { workflowId, result } = await runWorkflow(manager, [
+            { id: 'improve', handler: 'improve', output: ['quality'], loop: { until: 'quality >= 5', maxIterations: 2 } }
+        ], { improve });
+
+        expect(result.status).toBe('completed');
+        expect(improve).toHaveBeenCalledTimes(2);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('stopped after 2 iterations'));
+        expect(manager.getWorkflowStatus(workflowId).status).toBe('completed');
+    });
+
+    test('rejects loops that go back to a step they do not depend on', () => {
+        expect(() => manager.createWorkflowTemplate({
+            name: 'Bad loop',
+            steps: [
+                { id: 'a', handler: 'a', dependsOn: [] },
+                { id: 'b', handler: 'b', dependsOn: [], loop: { to: 'a', until: 'done' } }
+            ]
+        })).toThrow('must go back to a step it depends on');
+    });
+
+    test('waits for approval and continues with the approval data', async () => {
+        const publish = jest.fn(() => ({ published: true }));
+
+        const { workflowId, result } = await runWorkflow(manager, [
+            { id: 'draft', handler: 'draft', output: ['draft'] },
+            { id: 'publish', name: 'Publish', handler: 'publish', requiredInput: ['draft', 'reviewer'], output: ['published'] }
+        ], { draft: () => ({ draft: 'text' }), publish }, {}, { requiredUserApproval: ['publish'] });
+
+        expect(result).toMatchObject({ status: 'awaiting_approval', stepId: 'publish' });
+        expect(publish).not.toHaveBeenCalled();
+        expect(manager.getResumableWorkflows()[0].awaitingSteps).toEqual([{ stepId: 'publish', stepName: 'Publish' }]);
+
+        const approved = await manager.approveStep(workflowId, { reviewer: 'Sam' });
+
+        expect(approved.status).toBe('completed');
+        expect(publish).toHaveBeenCalledWith({ draft: 'text', reviewer: 'Sam' });
+        await expect(manager.approveStep(workflowId)).rejects.toThrow('is not awaiting approval');
+    });
+});
+
+describe('WorkflowManager checkpoints', () => {
+    const CHECKPOINT_KEY = 'wordGptPlusWorkflowCheckpoints';
+    const STEPS = [
+        { id: 'analyze', name: 'Analyze', handler: 'analyze', requiredInput: ['documentText'], output: ['notes'] },
+        { id: 'rewrite', name: 'Rewrite', handler: 'rewrite', requiredInput: ['documentText', 'notes'] }
+    ];
+    const HANDLERS = { analyze: () => ({ notes: 'short' }), rewrite: () => ({}) };
+
+    beforeEach(() => {
+        localStorage.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('leaves large data fields out and will not resume without them', async () => {
+        const manager = new WorkflowManager();
+        const documentText = 'word '.repeat(20000);
+        const { workflowId } = await runWorkflow(manager, STEPS, HANDLERS, { documentText }, { requiredUserApproval: ['rewrite'] });
+
+        const checkpoint = JSON.parse(localStorage.getItem(CHECKPOINT_KEY))[workflowId];
+        expect(checkpoint.data).toEqual({ notes: 'short' });
+        expect(checkpoint.omittedData).toEqual(['documentText']);
+
+        // After a reload
+        const reloaded = new WorkflowManager();
+        expect(reloaded.getResumableWorkflows()[0].missingData).toEqual(['documentText']);
+        await expect(reloaded.approveStep(workflowId)).rejects.toThrow('documentText was too large to save');
+
+        reloaded.discardWorkflow(workflowId);
+        expect(JSON.parse(localStorage.getItem(CHECKPOINT_KEY))).toEqual({});
+    });
+
+    test('deletes stale checkpoints on load', async () => {
+        const manager = new WorkflowManager();
+        const { workflowId } = await runWorkflow(manager, STEPS, HANDLERS, { documentText: 'text' }, { requiredUserApproval: ['rewrite'] });
+
+        const checkpoints = JSON.parse(localStorage.getItem(CHECKPOINT_KEY));
+        checkpoints[workflowId].checkpointTime = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+        localStorage.setItem(CHECKPOINT_KEY, JSON.stringify(checkpoints));
+
+        const reloaded = new WorkflowManager();
+
+        expect(reloaded.getResumableWorkflows()).toEqual([]);
+        expect(JSON.parse(localStorage.getItem(CHECKPOINT_KEY))).toEqual({});
+    });
+
+    test('saves checkpoints without data when storage is full', () => {
+        const manager = new WorkflowManager();
+        manager.activeWorkflows.wf = {
+            id: 'wf', name: 'Test', status: 'interrupted', steps: [], stepStates: {}, data: { notes: 'short' }
+        };
+
+        const quotaError = Object.assign(new Error('Quota exceeded'), { name: 'QuotaExceededError' });
+        const setItem = jest.spyOn(Storage.prototype, 'setItem')
+            .mockImplementationOnce(() => { throw quotaError; });
+
+        manager.saveCheckpoints();
+
+        expect(setItem).toHaveBeenCalledTimes(2);
+        const checkpoint = JSON.parse(localStorage.getItem(CHECKPOINT_KEY)).wf;
+        expect(checkpoint.data).toEqual({});
+        expect(checkpoint.omittedData).toEqual(['notes']);
+
+        setItem.mockImplementation(() => { throw quotaError; });
+        manager.saveCheckpoints();
+
+        expect(localStorage.getItem(CHECKPOINT_KEY)).toBeNull();
+    });
+});
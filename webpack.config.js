@@ -107,6 +107,10 @@ export default (argv) => {
                     {
                         from: 'src/ui/styles.css',
                         to: 'styles/main.css'
+                    },
+                    {
+                        from: 'src/automation/styles',
+                        to: 'styles/csl'
                     }
                 ]
             }),